@@ -1,8 +1,49 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useRef } from "react";
 import axios from "axios";
 import "./App.css";
 
+const PAGE_SIZE = 50;
+const EVENT_TYPES = [
+    "put",
+    "delete",
+    "evict",
+    "expire",
+    "flush",
+    "compaction",
+    "reset",
+];
+const TOKEN_STORAGE_KEY = "lsm-cache-token";
+const DEFAULT_NAMESPACE = "default";
+
+// Where a namespace's cache routes live; the default one is also at /api
+function apiBase(namespace) {
+    return namespace === DEFAULT_NAMESPACE
+        ? "/api"
+        : `/api/ns/${encodeURIComponent(namespace)}`;
+}
+
+// Every API request carries the API key the user signed in with
+function applyToken(token) {
+    if (token) {
+        axios.defaults.headers.common.Authorization = `Bearer ${token}`;
+    } else {
+        delete axios.defaults.headers.common.Authorization;
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function App() {
+    const [token, setToken] = useState(
+        () => localStorage.getItem(TOKEN_STORAGE_KEY) || ""
+    );
+    const [apiKey, setApiKey] = useState(null);
+    const [namespaces, setNamespaces] = useState([]);
+    const [namespace, setNamespace] = useState(DEFAULT_NAMESPACE);
     const [entries, setEntries] = useState([]);
     const [stats, setStats] = useState({});
     const [loading, setLoading] = useState(false);
@@ -13,29 +54,192 @@ function App() {
         ttl: 60000,
     });
     const [editingEntry, setEditingEntry] = useState(null);
+    const [prefix, setPrefix] = useState("");
+    const [cursor, setCursor] = useState(null);
+    // Read by the change event handler, so kept outside render state
+    const prefixRef = useRef("");
+    const namespaceRef = useRef(DEFAULT_NAMESPACE);
+    const loadedPages = useRef(1);
+
+    applyToken(token);
+    const canWrite = apiKey && apiKey.role !== "read-only";
+
+    const login = (newToken) => {
+        localStorage.setItem(TOKEN_STORAGE_KEY, newToken);
+        setToken(newToken);
+    };
+
+    const logout = () => {
+        localStorage.removeItem(TOKEN_STORAGE_KEY);
+        setToken("");
+        setApiKey(null);
+        setNamespace(DEFAULT_NAMESPACE);
+        namespaceRef.current = DEFAULT_NAMESPACE;
+        setPrefix("");
+        prefixRef.current = "";
+        setEntries([]);
+        setStats({});
+    };
+
+    // A rejected token signs the user out, back to the login form
+    useEffect(() => {
+        const interceptor = axios.interceptors.response.use(
+            (response) => response,
+            (err) => {
+                if (err.response && err.response.status === 401) {
+                    setError("The API key was rejected");
+                    logout();
+                }
+                return Promise.reject(err);
+            }
+        );
+        return () => axios.interceptors.response.eject(interceptor);
+    }, []);
+
+    // Keys limited to one prefix list that prefix; with several, the
+    // filter must start with one of them
+    useEffect(() => {
+        if (!token) return;
+        const fetchNamespaces = async () => {
+            try {
+                const response = await axios.get("/api/namespaces");
+                setNamespaces(response.data.data || []);
+            } catch (err) {
+                console.error("Failed to fetch namespaces");
+            }
+        };
+        const fetchWhoami = async () => {
+            try {
+                const response = await axios.get("/api/auth/whoami");
+                const key = response.data.data;
+                setApiKey(key);
+                setError("");
+                if (key.prefixes && key.prefixes.length === 1) {
+                    setPrefix(key.prefixes[0]);
+                    prefixRef.current = key.prefixes[0];
+                }
+                fetchNamespaces();
+            } catch (err) {
+                if (!err.response || err.response.status !== 401) {
+                    setError("Failed to fetch API key details");
+                }
+            }
+        };
+        fetchWhoami();
+    }, [token]);
 
+    // Runs again on switching namespace, which has its own change feed, and
+    // on signing in with another key
     useEffect(() => {
+        if (!apiKey) return;
         fetchEntries();
         fetchStats();
-        const interval = setInterval(() => {
-            fetchEntries();
-            fetchStats();
-        }, 5000); // Refresh every 5 seconds
-        return () => clearInterval(interval);
-    }, []);
 
+        // Reload when the server reports changes, at most twice a second.
+        // EventSource reconnects by itself and resumes after the last event.
+        let timer = null;
+        const refresh = () => {
+            if (timer) return;
+            timer = setTimeout(() => {
+                timer = null;
+                fetchEntries();
+                fetchStats();
+            }, 500);
+        };
+        // EventSource cannot send headers, so the token goes in the URL
+        const events = new EventSource(
+            `${apiBase(namespace)}/events?access_token=${encodeURIComponent(
+                token
+            )}`
+        );
+        EVENT_TYPES.forEach((type) => events.addEventListener(type, refresh));
+        return () => {
+            events.close();
+            clearTimeout(timer);
+        };
+    }, [apiKey, namespace, token]);
+
+    // New entries default to the namespace's TTL
+    const handleNamespaceChange = (e) => {
+        const selected = namespaces.find(
+            (candidate) => candidate.name === e.target.value
+        );
+        setNewEntry({
+            ...newEntry,
+            ttl: selected ? selected.defaultTTL : 60000,
+        });
+        setNamespace(e.target.value);
+        namespaceRef.current = e.target.value;
+        loadedPages.current = 1;
+        setEditingEntry(null);
+        setEntries([]);
+        setCursor(null);
+    };
+
+    // Reloads every page loaded so far, from the first key, following the
+    // server's cursors (a single request's limit is capped)
     const fetchEntries = async () => {
         try {
-            const response = await axios.get("/api/cache");
-            setEntries(response.data.data || []);
+            const loaded = [];
+            let next = null;
+            for (let page = 0; page < loadedPages.current; page++) {
+                const response = await axios.get(
+                    `${apiBase(namespaceRef.current)}/cache`,
+                    {
+                        params: {
+                            prefix: prefixRef.current || undefined,
+                            limit: PAGE_SIZE,
+                            cursor: next || undefined,
+                        },
+                    }
+                );
+                loaded.push(...(response.data.data || []));
+                next = response.data.cursor || null;
+                if (!next) break;
+            }
+            setEntries(loaded);
+            setCursor(next);
         } catch (err) {
             setError("Failed to fetch cache entries");
         }
     };
 
+    const fetchNextPage = async () => {
+        if (!cursor) return;
+        try {
+            const response = await axios.get(
+                `${apiBase(namespaceRef.current)}/cache`,
+                {
+                    params: {
+                        prefix: prefixRef.current || undefined,
+                        limit: PAGE_SIZE,
+                        cursor,
+                    },
+                }
+            );
+            setEntries((current) => [
+                ...current,
+                ...(response.data.data || []),
+            ]);
+            setCursor(response.data.cursor || null);
+            loadedPages.current += 1;
+        } catch (err) {
+            setError("Failed to fetch more cache entries");
+        }
+    };
+
+    const handlePrefixChange = (e) => {
+        setPrefix(e.target.value);
+        prefixRef.current = e.target.value;
+        loadedPages.current = 1;
+        fetchEntries();
+    };
+
     const fetchStats = async () => {
         try {
-            const response = await axios.get("/api/stats");
+            const response = await axios.get(
+                `${apiBase(namespaceRef.current)}/stats`
+            );
             setStats(response.data.data || {});
         } catch (err) {
             console.error("Failed to fetch stats");
@@ -48,12 +252,12 @@ function App() {
 
         setLoading(true);
         try {
-            await axios.post("/api/cache", {
+            await axios.post(`${apiBase(namespaceRef.current)}/cache`, {
                 key: newEntry.key,
                 value: newEntry.value,
                 ttl: newEntry.ttl || 60000,
             });
-            setNewEntry({ key: "", value: "", ttl: 60000 });
+            setNewEntry({ ...newEntry, key: "", value: "" });
             fetchEntries();
             setError("");
         } catch (err) {
@@ -65,7 +269,10 @@ function App() {
     const handleUpdate = async (key, value, ttl) => {
         setLoading(true);
         try {
-            await axios.put(`/api/cache/${key}`, { value, ttl });
+            await axios.put(`${apiBase(namespaceRef.current)}/cache/${key}`, {
+                value,
+                ttl,
+            });
             setEditingEntry(null);
             fetchEntries();
             setError("");
@@ -80,7 +287,7 @@ function App() {
 
         setLoading(true);
         try {
-            await axios.delete(`/api/cache/${key}`);
+            await axios.delete(`${apiBase(namespaceRef.current)}/cache/${key}`);
             fetchEntries();
             setError("");
         } catch (err) {
@@ -96,15 +303,71 @@ function App() {
         return `${Math.ceil(remaining / 1000)}s remaining`;
     };
 
+    const formatValue = (entry) => {
+        if (isBinary(entry)) {
+            const type = entry.contentType || entry.codec;
+            return `<${type}, ${base64Length(entry.value)} bytes>`;
+        }
+        return entry.codec === "utf8"
+            ? entry.value
+            : JSON.stringify(entry.value);
+    };
+
     const formatTimestamp = (timestamp) => {
         return new Date(timestamp).toLocaleString();
     };
 
+    if (!token) {
+        return (
+            <div className="App">
+                <header className="App-header">
+                    <h1>LSM Tree Cache Manager</h1>
+                    {error && <div className="error-message">{error}</div>}
+                    <LoginForm onLogin={login} />
+                </header>
+            </div>
+        );
+    }
+
     return (
         <div className="App">
             <header className="App-header">
                 <h1>LSM Tree Cache Manager</h1>
 
+                {apiKey && (
+                    <div className="session-bar">
+                        <span>
+                            Signed in as <strong>{apiKey.name}</strong> (
+                            {apiKey.role}
+                            {apiKey.prefixes
+                                ? `, ${apiKey.prefixes.join(", ")}`
+                                : ""}
+                            )
+                        </span>
+                        <button onClick={logout}>Log out</button>
+                    </div>
+                )}
+
+                {namespaces.length > 1 && (
+                    <div className="namespace-switcher">
+                        <label htmlFor="namespace">Namespace</label>
+                        <select
+                            id="namespace"
+                            value={namespace}
+                            onChange={handleNamespaceChange}
+                        >
+                            {namespaces.map((candidate) => (
+                                <option
+                                    key={candidate.name}
+                                    value={candidate.name}
+                                >
+                                    {candidate.name}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
                 {/* Stats Section */}
                 <div className="stats-section">
                     <div className="stat-item">
@@ -119,11 +382,33 @@ function App() {
                     <div className="stat-item">
                         <span>Disk Files: {stats.diskFiles || 0}</span>
                     </div>
+                    {stats.storage && (
+                        <div className="stat-item">
+                            <span>
+                                SSTable Data:{" "}
+                                {formatBytes(stats.storage.diskBytes)}
+                                {stats.storage.compressionRatio > 1 &&
+                                    ` (${stats.storage.compressionRatio.toFixed(
+                                        1
+                                    )}x compressed)`}
+                            </span>
+                        </div>
+                    )}
                     <div className="stat-item">
                         <span>
                             Default TTL: {(stats.defaultTTL || 60000) / 1000}s
                         </span>
                     </div>
+                    {stats.eviction &&
+                        (stats.eviction.maxEntries ||
+                            stats.eviction.maxBytes) && (
+                            <div className="stat-item">
+                                <span>
+                                    Evictions ({stats.eviction.policy}):{" "}
+                                    {stats.eviction.evictions}
+                                </span>
+                            </div>
+                        )}
                     <div className="stat-item">
                         <span>📁 {stats.dataDir || "./data"}</span>
                     </div>
@@ -132,53 +417,65 @@ function App() {
                 {error && <div className="error-message">{error}</div>}
 
                 {/* Create New Entry Form */}
-                <div className="create-section">
-                    <h2>Add New Entry</h2>
-                    <form onSubmit={handleCreate} className="create-form">
-                        <input
-                            type="text"
-                            placeholder="Key"
-                            value={newEntry.key}
-                            onChange={(e) =>
-                                setNewEntry({
-                                    ...newEntry,
-                                    key: e.target.value,
-                                })
-                            }
-                            required
-                        />
-                        <input
-                            type="text"
-                            placeholder="Value"
-                            value={newEntry.value}
-                            onChange={(e) =>
-                                setNewEntry({
-                                    ...newEntry,
-                                    value: e.target.value,
-                                })
-                            }
-                            required
-                        />
-                        <input
-                            type="number"
-                            placeholder="TTL (ms)"
-                            value={newEntry.ttl}
-                            onChange={(e) =>
-                                setNewEntry({
-                                    ...newEntry,
-                                    ttl: parseInt(e.target.value) || 60000,
-                                })
-                            }
-                        />
-                        <button type="submit" disabled={loading}>
-                            {loading ? "Adding..." : "Add Entry"}
-                        </button>
-                    </form>
-                </div>
+                {canWrite && (
+                    <div className="create-section">
+                        <h2>Add New Entry</h2>
+                        <form onSubmit={handleCreate} className="create-form">
+                            <input
+                                type="text"
+                                placeholder="Key"
+                                value={newEntry.key}
+                                onChange={(e) =>
+                                    setNewEntry({
+                                        ...newEntry,
+                                        key: e.target.value,
+                                    })
+                                }
+                                required
+                            />
+                            <input
+                                type="text"
+                                placeholder="Value"
+                                value={newEntry.value}
+                                onChange={(e) =>
+                                    setNewEntry({
+                                        ...newEntry,
+                                        value: e.target.value,
+                                    })
+                                }
+                                required
+                            />
+                            <input
+                                type="number"
+                                placeholder="TTL (ms)"
+                                value={newEntry.ttl}
+                                onChange={(e) =>
+                                    setNewEntry({
+                                        ...newEntry,
+                                        ttl: parseInt(e.target.value) || 60000,
+                                    })
+                                }
+                            />
+                            <button type="submit" disabled={loading}>
+                                {loading ? "Adding..." : "Add Entry"}
+                            </button>
+                        </form>
+                    </div>
+                )}
 
                 {/* Entries List */}
                 <div className="entries-section">
-                    <h2>Cache Entries ({entries.length})</h2>
+                    <h2>
+                        Cache Entries ({entries.length}
+                        {cursor ? "+" : ""})
+                    </h2>
+                    <input
+                        type="text"
+                        className="prefix-filter"
+                        placeholder="Filter by key prefix"
+                        value={prefix}
+                        onChange={handlePrefixChange}
+                    />
                     {entries.length === 0 ? (
                         <p>No cache entries found</p>
                     ) : (
@@ -197,34 +494,36 @@ function App() {
                                         <div className="entry-display">
                                             <div className="entry-header">
                                                 <strong>{entry.key}</strong>
-                                                <div className="entry-actions">
-                                                    <button
-                                                        onClick={() =>
-                                                            setEditingEntry(
-                                                                entry.key
-                                                            )
-                                                        }
-                                                    >
-                                                        Edit
-                                                    </button>
-                                                    <button
-                                                        onClick={() =>
-                                                            handleDelete(
-                                                                entry.key
-                                                            )
-                                                        }
-                                                        className="delete-btn"
-                                                    >
-                                                        Delete
-                                                    </button>
-                                                </div>
+                                                {canWrite && (
+                                                    <div className="entry-actions">
+                                                        {!isBinary(entry) && (
+                                                            <button
+                                                                onClick={() =>
+                                                                    setEditingEntry(
+                                                                        entry.key
+                                                                    )
+                                                                }
+                                                            >
+                                                                Edit
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() =>
+                                                                handleDelete(
+                                                                    entry.key
+                                                                )
+                                                            }
+                                                            className="delete-btn"
+                                                        >
+                                                            Delete
+                                                        </button>
+                                                    </div>
+                                                )}
                                             </div>
                                             <div className="entry-details">
                                                 <div>
                                                     <strong>Value:</strong>{" "}
-                                                    {JSON.stringify(
-                                                        entry.value
-                                                    )}
+                                                    {formatValue(entry)}
                                                 </div>
                                                 <div>
                                                     <strong>TTL:</strong>{" "}
@@ -243,12 +542,57 @@ function App() {
                             ))}
                         </div>
                     )}
+                    {cursor && (
+                        <button
+                            className="load-more-btn"
+                            onClick={fetchNextPage}
+                        >
+                            Load More
+                        </button>
+                    )}
                 </div>
             </header>
         </div>
     );
 }
 
+function LoginForm({ onLogin }) {
+    const [token, setToken] = useState("");
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (token.trim()) onLogin(token.trim());
+    };
+
+    return (
+        <div className="login-section">
+            <h2>Sign In</h2>
+            <form onSubmit={handleSubmit} className="login-form">
+                <input
+                    type="password"
+                    placeholder="API key"
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    required
+                />
+                <button type="submit">Sign In</button>
+            </form>
+        </div>
+    );
+}
+
+// Values of these codecs arrive base64-encoded and cannot be edited as text
+const BINARY_CODECS = ["bytes", "msgpack"];
+
+function isBinary(entry) {
+    return BINARY_CODECS.includes(entry.codec);
+}
+
+function base64Length(text) {
+    const padding = text.endsWith("==") ? 2 : text.endsWith("=") ? 1 : 0;
+    return (text.length * 3) / 4 - padding;
+}
+
 function EditEntryForm({ entry, onSave, onCancel }) {
     const [value, setValue] = useState(entry.value);
     const [ttl, setTtl] = useState(
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// API keys live in <dataDir>/api-keys.json. Only a SHA-256 hash of each
+// token is stored; the token itself is shown once, when the key is created.
+// A key has a role and, optionally, the key prefixes it may touch:
+//   { id, name, role, prefixes: [string] | null, hash, createdAt }
+
+// Where the first start writes the token of the admin key it creates
+const BOOTSTRAP_TOKEN_FILE = "bootstrap-admin-token";
+
+// Each role may do everything the ones before it may
+const ROLES = ["read-only", "read-write", "admin"];
+const ACCESS = { read: "read-only", write: "read-write", admin: "admin" };
+
+class AuthError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function generateToken() {
+    return `lsm_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+class ApiKeyStore {
+    constructor(dataDir, { adminToken } = {}) {
+        this.filePath = path.join(dataDir, "api-keys.json");
+        this.keys = [];
+        this.byHash = new Map();
+        // A token from the environment that is always an admin, for
+        // bootstrapping and recovery; never written to disk
+        this.adminHash = adminToken ? hashToken(adminToken) : null;
+    }
+
+    async load() {
+        if (fs.existsSync(this.filePath)) {
+            this.keys = JSON.parse(
+                await fs.promises.readFile(this.filePath, "utf8")
+            );
+        }
+        this.index();
+
+        // Without any way in, nobody could create the first key
+        if (this.keys.length === 0 && !this.adminHash) {
+            const { token } = await this.create({
+                name: "bootstrap-admin",
+                role: "admin",
+            });
+            // Logs end up in places the token should not; the file is
+            // readable by the server's user only
+            const tokenPath = path.join(
+                path.dirname(this.filePath),
+                BOOTSTRAP_TOKEN_FILE
+            );
+            await fs.promises.rm(tokenPath, { force: true });
+            await fs.promises.writeFile(tokenPath, `${token}\n`, {
+                mode: 0o600,
+            });
+            console.log(
+                `Created admin API key "bootstrap-admin"; its token is in ${tokenPath}, to be read once and deleted`
+            );
+        }
+    }
+
+    index() {
+        this.byHash = new Map(this.keys.map((key) => [key.hash, key]));
+    }
+
+    async save() {
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(
+            tmpPath,
+            JSON.stringify(this.keys, null, 2),
+            { mode: 0o600 }
+        );
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+
+    // Returns the key a token belongs to, or null
+    authenticate(token) {
+        if (typeof token !== "string" || token.length === 0) return null;
+        const hash = hashToken(token);
+        if (
+            this.adminHash &&
+            crypto.timingSafeEqual(
+                Buffer.from(hash, "hex"),
+                Buffer.from(this.adminHash, "hex")
+            )
+        ) {
+            return {
+                id: "env",
+                name: "ADMIN_TOKEN",
+                role: "admin",
+                prefixes: null,
+            };
+        }
+        return this.byHash.get(hash) || null;
+    }
+
+    async create({ name, role, prefixes = null }) {
+        if (!ROLES.includes(role)) {
+            throw new AuthError(400, `role must be one of ${ROLES.join(", ")}`);
+        }
+        if (
+            prefixes !== null &&
+            (!Array.isArray(prefixes) ||
+                prefixes.length === 0 ||
+                prefixes.some(
+                    (prefix) => typeof prefix !== "string" || prefix === ""
+                ))
+        ) {
+            throw new AuthError(
+                400,
+                "prefixes must be null or a non-empty array of non-empty strings"
+            );
+        }
+
+        const token = generateToken();
+        const key = {
+            id: crypto.randomBytes(8).toString("hex"),
+            name: name || "unnamed",
+            role,
+            prefixes,
+            hash: hashToken(token),
+            createdAt: Date.now(),
+        };
+        this.keys.push(key);
+        this.index();
+        await this.save();
+        return { key: describe(key), token };
+    }
+
+    async revoke(id) {
+        const count = this.keys.length;
+        this.keys = this.keys.filter((key) => key.id !== id);
+        if (this.keys.length === count) return false;
+        this.index();
+        await this.save();
+        return true;
+    }
+
+    list() {
+        return this.keys.map(describe);
+    }
+}
+
+// A key as shown to clients: everything but the hash
+function describe({ hash, ...key }) {
+    return key;
+}
+
+// Whether `apiKey` may perform `access` ("read", "write" or "admin")
+function hasAccess(apiKey, access) {
+    return ROLES.indexOf(apiKey.role) >= ROLES.indexOf(ACCESS[access]);
+}
+
+function allowsKey(apiKey, key) {
+    return (
+        !apiKey.prefixes ||
+        (typeof key === "string" &&
+            apiKey.prefixes.some((prefix) => key.startsWith(prefix)))
+    );
+}
+
+// The prefix a listing by `apiKey` should use: the requested one if the key
+// may see everything under it, else its only allowed prefix. Throws if the
+// request would reach keys outside the allowed prefixes.
+function scopePrefix(apiKey, prefix) {
+    if (!apiKey.prefixes) return prefix;
+    if (prefix && allowsKey(apiKey, prefix)) return prefix;
+    if (!prefix && apiKey.prefixes.length === 1) return apiKey.prefixes[0];
+    throw new AuthError(
+        403,
+        `prefix must start with one of: ${apiKey.prefixes.join(", ")}`
+    );
+}
+
+// Bearer token from the Authorization header, or X-API-Key. Streams opened
+// by EventSource cannot set headers, so they may pass ?access_token=.
+function tokenFrom(req, { allowQuery = false } = {}) {
+    const header = req.get("Authorization");
+    if (header && header.startsWith("Bearer ")) return header.slice(7).trim();
+    if (req.get("X-API-Key")) return req.get("X-API-Key");
+    if (allowQuery && typeof req.query.access_token === "string") {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+// Express middleware factory. `access` is "read", "write" or "admin";
+// `keysOf(req)`, if given, lists the cache keys the request touches, each
+// of which must be under one of the API key's prefixes. The API key is left
+// on req.apiKey.
+function createAuthorizer(store) {
+    return function authorize(access, { keysOf, allowQuery } = {}) {
+        return (req, res, next) => {
+            const apiKey = store.authenticate(tokenFrom(req, { allowQuery }));
+            if (!apiKey) {
+                return res.status(401).json({
+                    success: false,
+                    error: "A valid API key is required",
+                });
+            }
+            if (!hasAccess(apiKey, access)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `The "${apiKey.role}" role may not ${access}`,
+                });
+            }
+            const keys = keysOf ? keysOf(req) : [];
+            const denied = keys.find((key) => !allowsKey(apiKey, key));
+            if (denied !== undefined) {
+                return res.status(403).json({
+                    success: false,
+                    error: `Key "${denied}" is outside the allowed prefixes`,
+                });
+            }
+            req.apiKey = apiKey;
+            next();
+        };
+    };
+}
+
+module.exports = {
+    ApiKeyStore,
+    AuthError,
+    ROLES,
+    hasAccess,
+    allowsKey,
+    scopePrefix,
+    createAuthorizer,
+};
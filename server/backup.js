@@ -0,0 +1,257 @@
+const fs = require("fs");
+const path = require("path");
+const { Manifest } = require("./manifest");
+const { entryToJSON, entryFromJSON } = require("./value-codecs");
+
+// A backup is a directory holding one tree as of a sequence number:
+//   manifest.json          { format, createdAt, seq, settings,
+//                            tables: [{ file, bloom, level, count }],
+//                            wal: [file] }
+//   sstable_*.sst, .bloom  hard links to the tree's tables at the time
+//   wal_*.log              the WAL segments with writes not yet in a table
+// `settings` are the ones changed at runtime. LSMTree.backup() writes one;
+// restoreBackup() turns one back into a data directory, with a MANIFEST
+// naming the tables. Export and import instead move live entries as
+// NDJSON lines of { key, value, codec, contentType, expiresAt }, binary
+// values base64-encoded; lines without a codec hold JSON values.
+const MANIFEST_FILE = "manifest.json";
+const BACKUP_FORMAT = 1;
+const IMPORT_BATCH_SIZE = 500;
+
+class ImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.status = 400;
+    }
+}
+
+// Tables are immutable once written, so a link is as good as a copy;
+// copies are the fallback across filesystems
+async function linkOrCopy(from, to) {
+    try {
+        await fs.promises.link(from, to);
+    } catch (error) {
+        if (error.code !== "EXDEV" && error.code !== "EPERM") throw error;
+        await fs.promises.copyFile(from, to);
+    }
+}
+
+// Fills the new directory `dir` with `tables` and copies of the WAL
+// segments at `walPaths`, then the manifest, which marks the backup whole
+async function writeBackup(dir, { seq, settings, tables, walPaths }) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    if ((await fs.promises.readdir(dir)).length > 0) {
+        throw new Error(`Backup directory ${dir} is not empty`);
+    }
+
+    const manifest = {
+        format: BACKUP_FORMAT,
+        createdAt: Date.now(),
+        seq,
+        settings,
+        tables: [],
+        wal: [],
+    };
+    for (const ssTable of tables) {
+        const file = path.basename(ssTable.filePath);
+        await linkOrCopy(ssTable.filePath, path.join(dir, file));
+        let bloom = null;
+        if (fs.existsSync(ssTable.bloomPath)) {
+            bloom = path.basename(ssTable.bloomPath);
+            await linkOrCopy(ssTable.bloomPath, path.join(dir, bloom));
+        }
+        manifest.tables.push({
+            file,
+            bloom,
+            level: ssTable.level,
+            count: ssTable.size(),
+        });
+    }
+    for (const walPath of walPaths) {
+        const file = path.basename(walPath);
+        await fs.promises.copyFile(walPath, path.join(dir, file));
+        manifest.wal.push(file);
+    }
+
+    await fs.promises.writeFile(
+        path.join(dir, MANIFEST_FILE),
+        JSON.stringify(manifest, null, 2)
+    );
+    return manifest;
+}
+
+// Rebuilds the data directory `dataDir`, which must be empty or absent,
+// from the backup in `backupDir`. Run it while no server uses `dataDir`.
+async function restoreBackup(backupDir, dataDir) {
+    const manifestPath = path.join(backupDir, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        throw new Error(`${backupDir} has no ${MANIFEST_FILE}`);
+    }
+    const manifest = JSON.parse(
+        await fs.promises.readFile(manifestPath, "utf8")
+    );
+    if (manifest.format !== BACKUP_FORMAT) {
+        throw new Error(`Unsupported backup format ${manifest.format}`);
+    }
+    if (
+        fs.existsSync(dataDir) &&
+        (await fs.promises.readdir(dataDir)).length > 0
+    ) {
+        throw new Error(`Data directory ${dataDir} is not empty`);
+    }
+
+    await fs.promises.mkdir(dataDir, { recursive: true });
+    for (const { file, bloom } of manifest.tables) {
+        await linkOrCopy(path.join(backupDir, file), path.join(dataDir, file));
+        if (bloom) {
+            await linkOrCopy(
+                path.join(backupDir, bloom),
+                path.join(dataDir, bloom)
+            );
+        }
+    }
+    // Recovery may truncate a segment, so these are copies, never links
+    for (const file of manifest.wal) {
+        await fs.promises.copyFile(
+            path.join(backupDir, file),
+            path.join(dataDir, file)
+        );
+    }
+    const dataManifest = new Manifest(dataDir);
+    await dataManifest.create({
+        add: manifest.tables.map(({ file, level }) => ({ file, level })),
+        logNumber: 0,
+        lastSequence: manifest.seq,
+    });
+    await dataManifest.close();
+    await fs.promises.writeFile(
+        path.join(dataDir, "metadata.json"),
+        JSON.stringify(
+            {
+                lastSequence: manifest.seq,
+                settings: manifest.settings || {},
+                lastUpdated: Date.now(),
+            },
+            null,
+            2
+        )
+    );
+    return manifest;
+}
+
+// Live entries under `prefix` as of one snapshot, as export lines
+async function* exportEntries(tree, { prefix } = {}) {
+    const snapshot = await tree.snapshot();
+    try {
+        for await (const [key, entry] of tree.iterate({ prefix, snapshot })) {
+            const { value, codec, contentType } = entryToJSON(entry);
+            yield {
+                key,
+                value,
+                codec,
+                contentType,
+                expiresAt: entry.expiresAt,
+            };
+        }
+    } finally {
+        snapshot.release();
+    }
+}
+
+// Writes export lines into `tree` in batches. Entries keep their expiry
+// time; ones already expired are skipped, and ones without `expiresAt`
+// get the tree's default TTL. Stops at the first malformed line; the
+// batches before it stay written.
+async function importEntries(tree, lines) {
+    const counts = { imported: 0, expired: 0 };
+    let ops = [];
+    const writeBatch = async () => {
+        if (ops.length === 0) return;
+        await tree.batch(ops);
+        counts.imported += ops.length;
+        ops = [];
+    };
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        const { key, codec, contentType, expiresAt } = line || {};
+        if (
+            typeof key !== "string" ||
+            key === "" ||
+            line.value === undefined
+        ) {
+            throw new ImportError(
+                `Entry ${lineNumber} needs a key and a value (${
+                    counts.imported
+                } imported before it)`
+            );
+        }
+        if (
+            expiresAt !== undefined &&
+            expiresAt !== null &&
+            typeof expiresAt !== "number"
+        ) {
+            throw new ImportError(
+                `Entry ${lineNumber} has an invalid expiresAt (${
+                    counts.imported
+                } imported before it)`
+            );
+        }
+
+        let value;
+        try {
+            ({ value } = entryFromJSON({ value: line.value, codec }));
+        } catch (error) {
+            throw new ImportError(
+                `Entry ${lineNumber} has an invalid value: ${error.message} (${
+                    counts.imported
+                } imported before it)`
+            );
+        }
+
+        const now = Date.now();
+        if (expiresAt && expiresAt <= now) {
+            counts.expired++;
+            continue;
+        }
+        let ttl;
+        if (expiresAt !== undefined) {
+            ttl = expiresAt === null ? null : expiresAt - now;
+        }
+        ops.push({ op: "put", key, value, ttl, codec, contentType });
+        if (ops.length >= IMPORT_BATCH_SIZE) await writeBatch();
+    }
+    await writeBatch();
+    return counts;
+}
+
+module.exports = {
+    writeBackup,
+    restoreBackup,
+    exportEntries,
+    importEntries,
+    ImportError,
+    MANIFEST_FILE,
+};
+
+// node server/backup.js restore <backup directory> <data directory>
+if (require.main === module) {
+    const [command, backupDir, dataDir] = process.argv.slice(2);
+    if (command !== "restore" || !backupDir || !dataDir) {
+        console.error(
+            "Usage: node server/backup.js restore <backup directory> <data directory>"
+        );
+        process.exit(1);
+    }
+    restoreBackup(backupDir, dataDir)
+        .then((manifest) => {
+            console.log(
+                `Restored ${manifest.tables.length} SSTables and ${manifest.wal.length} WAL segments up to sequence number ${manifest.seq} into ${dataDir}`
+            );
+        })
+        .catch((error) => {
+            console.error(`Restore failed: ${error.message}`);
+            process.exit(1);
+        });
+}
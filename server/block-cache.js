@@ -0,0 +1,74 @@
+// An LRU cache of decoded SSTable blocks, shared by every table of a tree
+// (and, when the server passes one in, by every namespace) within a byte
+// budget. Blocks are charged their decompressed size, roughly what their
+// decoded entries hold in memory. Point lookups fill the cache; scans and
+// compactions read through it without filling it, so one pass over a
+// table does not push out the blocks lookups keep coming back to.
+class BlockCache {
+    constructor(maxBytes = 32 * 1024 * 1024) {
+        this.maxBytes = maxBytes;
+        this.bytes = 0;
+        // "<table file>:<block index>" -> { entries, bytes }, least
+        // recently used first. Table ids may repeat across data
+        // directories; file paths do not.
+        this.blocks = new Map();
+        this.stats = { hits: 0, misses: 0, evictions: 0 };
+    }
+
+    static key(filePath, blockIndex) {
+        return `${filePath}:${blockIndex}`;
+    }
+
+    get(key) {
+        const block = this.blocks.get(key);
+        if (!block) {
+            this.stats.misses++;
+            return null;
+        }
+        this.stats.hits++;
+        this.blocks.delete(key);
+        this.blocks.set(key, block);
+        return block.entries;
+    }
+
+    set(key, entries, bytes) {
+        if (bytes > this.maxBytes) return;
+        this.remove(key);
+        this.blocks.set(key, { entries, bytes });
+        this.bytes += bytes;
+        for (const [oldest, block] of this.blocks) {
+            if (this.bytes <= this.maxBytes) break;
+            this.blocks.delete(oldest);
+            this.bytes -= block.bytes;
+            this.stats.evictions++;
+        }
+    }
+
+    remove(key) {
+        const block = this.blocks.get(key);
+        if (!block) return;
+        this.blocks.delete(key);
+        this.bytes -= block.bytes;
+    }
+
+    // Drops the blocks of a table that is gone
+    removeTable(filePath) {
+        const prefix = `${filePath}:`;
+        for (const key of this.blocks.keys()) {
+            if (key.startsWith(prefix)) this.remove(key);
+        }
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            maxBytes: this.maxBytes,
+            bytes: this.bytes,
+            blocks: this.blocks.size,
+            ...this.stats,
+            hitRatio: lookups > 0 ? this.stats.hits / lookups : null,
+        };
+    }
+}
+
+module.exports = { BlockCache };
@@ -0,0 +1,91 @@
+const zlib = require("zlib");
+
+// File layout: [magic "BLOM"][hashCount u32][bitCount u32][crc32 u32][bits]
+const MAGIC = Buffer.from("BLOM");
+const HEADER_SIZE = 16;
+
+// 32-bit FNV-1a; combined with CRC32 for double hashing
+function fnv1a(buffer) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < buffer.length; i++) {
+        hash ^= buffer[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+class BloomFilter {
+    constructor(bitCount, hashCount, bits = null) {
+        this.bitCount = bitCount;
+        this.hashCount = hashCount;
+        this.bits = bits || Buffer.alloc(Math.ceil(bitCount / 8));
+    }
+
+    // Sizes the filter for `capacity` keys at the given false-positive rate
+    static forCapacity(capacity, falsePositiveRate = 0.01) {
+        const n = Math.max(capacity, 1);
+        const bitCount = Math.max(
+            64,
+            Math.ceil((-n * Math.log(falsePositiveRate)) / Math.LN2 ** 2)
+        );
+        const hashCount = Math.max(1, Math.round((bitCount / n) * Math.LN2));
+        return new BloomFilter(bitCount, hashCount);
+    }
+
+    positions(key) {
+        const buffer = Buffer.from(key, "utf8");
+        const h1 = fnv1a(buffer);
+        const h2 = zlib.crc32(buffer) | 1;
+        const positions = [];
+        for (let i = 0; i < this.hashCount; i++) {
+            positions.push(((h1 + Math.imul(i, h2)) >>> 0) % this.bitCount);
+        }
+        return positions;
+    }
+
+    add(key) {
+        for (const position of this.positions(key)) {
+            this.bits[position >> 3] |= 1 << (position & 7);
+        }
+    }
+
+    mightContain(key) {
+        return this.positions(key).every(
+            (position) => this.bits[position >> 3] & (1 << (position & 7))
+        );
+    }
+
+    byteSize() {
+        return HEADER_SIZE + this.bits.length;
+    }
+
+    toBuffer() {
+        const header = Buffer.alloc(HEADER_SIZE);
+        MAGIC.copy(header, 0);
+        header.writeUInt32LE(this.hashCount, 4);
+        header.writeUInt32LE(this.bitCount, 8);
+        header.writeUInt32LE(zlib.crc32(this.bits), 12);
+        return Buffer.concat([header, this.bits]);
+    }
+
+    static fromBuffer(buffer) {
+        if (
+            buffer.length < HEADER_SIZE ||
+            !buffer.subarray(0, 4).equals(MAGIC)
+        ) {
+            throw new Error("Bad Bloom filter magic");
+        }
+        const hashCount = buffer.readUInt32LE(4);
+        const bitCount = buffer.readUInt32LE(8);
+        const bits = buffer.subarray(HEADER_SIZE);
+        if (
+            bits.length !== Math.ceil(bitCount / 8) ||
+            zlib.crc32(bits) !== buffer.readUInt32LE(12)
+        ) {
+            throw new Error("Bloom filter checksum mismatch");
+        }
+        return new BloomFilter(bitCount, hashCount, Buffer.from(bits));
+    }
+}
+
+module.exports = { BloomFilter };
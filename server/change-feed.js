@@ -0,0 +1,108 @@
+const { valueByteLength } = require("./value-codecs");
+
+// Events the tree emits, each an object with `type` and `seq`:
+//   put, delete, evict  a key was written: { key, seq, timestamp, ... }
+//   expire              a key's value expired: found on read (and written
+//                       over with a tombstone), by the sweeper or by a
+//                       compaction
+//   flush, compaction   tables were written; no `key`
+// Key events carry the sequence number of their write; the others carry
+// the tree's latest sequence number when they happened.
+const EVENT_TYPES = ["put", "delete", "evict", "expire", "flush", "compaction"];
+
+// Rough memory a buffered event takes besides its key and value bytes
+const EVENT_OVERHEAD = 128;
+
+function eventBytes(event) {
+    let bytes = EVENT_OVERHEAD;
+    if (event.key !== undefined) bytes += Buffer.byteLength(event.key);
+    if (event.value !== undefined) bytes += valueByteLength(event);
+    return bytes;
+}
+
+// Fans tree events out to subscribers and keeps the most recent ones, so a
+// subscriber that reconnects can resume from the last sequence number it saw.
+// The buffer holds at most `bufferSize` events and `bufferBytes` of them,
+// counting their keys and values.
+class ChangeFeed {
+    constructor(
+        tree,
+        { bufferSize = 10000, bufferBytes = 4 * 1024 * 1024 } = {}
+    ) {
+        this.bufferSize = bufferSize;
+        this.bufferBytes = bufferBytes;
+        // Each { event, bytes }, oldest first
+        this.buffer = [];
+        this.bytes = 0;
+        this.subscribers = new Set();
+        // Events at or below this sequence number can no longer be replayed
+        this.floor = null;
+        tree.ready.then(() => {
+            this.floor = tree.lastSequence;
+        });
+
+        for (const type of EVENT_TYPES) {
+            tree.on(type, (event) => this.publish(event));
+        }
+    }
+
+    publish(event) {
+        const bytes = eventBytes(event);
+        this.buffer.push({ event, bytes });
+        this.bytes += bytes;
+        if (
+            this.buffer.length > this.bufferSize * 2 ||
+            this.bytes > this.bufferBytes
+        ) {
+            this.trim();
+        }
+
+        for (const subscriber of this.subscribers) {
+            if (matches(event, subscriber.prefix)) subscriber.listener(event);
+        }
+    }
+
+    // Drops the oldest events in one go, down to `bufferSize` of them and
+    // half of `bufferBytes`, so trimming does not run on every publish
+    trim() {
+        let count = Math.max(this.buffer.length - this.bufferSize, 0);
+        for (let i = 0; i < count; i++) this.bytes -= this.buffer[i].bytes;
+        while (
+            count < this.buffer.length &&
+            this.bytes > this.bufferBytes / 2
+        ) {
+            this.bytes -= this.buffer[count].bytes;
+            count++;
+        }
+        const dropped = this.buffer.splice(0, count);
+        this.floor = dropped[dropped.length - 1].event.seq;
+    }
+
+    // Calls `listener` with every event after sequence number `since` still
+    // buffered, then with each new one. Only key events under `prefix` are
+    // passed on; flush and compaction events always are. If events after
+    // `since` were already dropped, a { type: "reset" } event comes first
+    // so the subscriber knows to reload. Returns an unsubscribe function.
+    subscribe({ prefix, since } = {}, listener) {
+        if (since !== undefined) {
+            if (this.floor !== null && since < this.floor) {
+                listener({ type: "reset", seq: this.floor });
+            }
+            for (const { event } of this.buffer) {
+                if (event.seq > since && matches(event, prefix)) {
+                    listener(event);
+                }
+            }
+        }
+
+        const subscriber = { prefix, listener };
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+}
+
+function matches(event, prefix) {
+    return !prefix || event.key === undefined || event.key.startsWith(prefix);
+}
+
+module.exports = { ChangeFeed, EVENT_TYPES };
@@ -0,0 +1,628 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { LSMTree } = require("./lsm-tree");
+const { SSTable, compareKeys } = require("./sstable");
+const { Manifest, MANIFEST_FILE } = require("./manifest");
+const { decodeRecords, parseSegmentId, segmentFileName } = require("./wal");
+const { entryToJSON } = require("./value-codecs");
+const { isLive, isTombstone } = require("./entry");
+const { ConfigError, loadConfig, treeOptionsFor } = require("./config");
+
+// lsm-cli inspects and repairs a data directory without the server. Every
+// command but compact, repair and `wal replay` opens the directory
+// read-only and leaves it as it was; those three write to it, and must not
+// run while a server has it open. Results go to stdout (NDJSON for
+// entries); the tree's own progress messages go to stderr.
+const USAGE = `Usage: lsm-cli <command> [options]
+
+Commands:
+  dump <table>             Every version an SSTable holds, as NDJSON
+  get <key>                The newest version of a key, live or not
+  scan                     Live entries in key order, as NDJSON
+    [--prefix p] [--start k] [--end k] [--limit n] [--reverse]
+  stats                    The tree's statistics
+  verify                   Check the SSTables, MANIFEST, WAL and metadata
+  compact [--full]         Run due compactions, or merge every table
+  repair                   Set corrupt SSTables aside and rebuild the MANIFEST
+                           from the readable ones
+  wal replay [--dry-run]   Replay the WAL into an SSTable, or list what a
+                           replay would apply
+
+Options:
+  --data-dir <dir>         Data directory (default: the server's dataDir)
+  --ns <name>              Use a namespace's directory
+  --config <file>          The server's config file, for dataDir and the
+                           options of tables written
+`;
+
+const VALUE_FLAGS = [
+    "data-dir",
+    "ns",
+    "config",
+    "prefix",
+    "start",
+    "end",
+    "limit",
+];
+const BOOLEAN_FLAGS = ["full", "dry-run", "reverse"];
+
+// Corrupt tables are moved here, out of the way of startup's cleanup
+const CORRUPT_DIR = "corrupt";
+
+class CliError extends Error {}
+
+function parseArgs(argv) {
+    const args = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)(?:=(.*))?$/s.exec(argv[i]);
+        if (!match) {
+            args.push(argv[i]);
+            continue;
+        }
+        const [, flag, value] = match;
+        if (BOOLEAN_FLAGS.includes(flag)) {
+            flags[flag] = value === undefined || value === "true";
+        } else if (VALUE_FLAGS.includes(flag)) {
+            flags[flag] = value === undefined ? argv[++i] : value;
+            if (flags[flag] === undefined) {
+                throw new CliError(`--${flag} needs a value`);
+            }
+        } else {
+            throw new CliError(`Unknown option --${flag}`);
+        }
+    }
+    return { args, flags };
+}
+
+function print(value) {
+    process.stdout.write(`${JSON.stringify(value)}\n`);
+}
+
+// Everything but results goes to stderr, the tree's messages included
+function log(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+function printEntry(key, entry) {
+    print({ key, ...entryToJSON(entry) });
+}
+
+// The directory and LSMTree options to work with: the server's settings,
+// with a namespace's own config over them
+function resolveTarget(flags) {
+    const { settings } = loadConfig({
+        argv: flags.config ? ["--config", flags.config] : [],
+    });
+    let dataDir = flags["data-dir"] || settings.dataDir;
+    let options = treeOptionsFor(settings);
+    if (flags.ns) {
+        const registryPath = path.join(dataDir, "namespaces.json");
+        const registry = fs.existsSync(registryPath)
+            ? JSON.parse(fs.readFileSync(registryPath, "utf8"))
+            : [];
+        const namespace = registry.find(({ name }) => name === flags.ns);
+        if (!namespace) {
+            throw new CliError(`Namespace "${flags.ns}" not found`);
+        }
+        dataDir = path.join(dataDir, "namespaces", flags.ns);
+        options = { ...options, ...namespace.config };
+    }
+    if (!fs.existsSync(dataDir)) {
+        throw new CliError(`Data directory ${dataDir} does not exist`);
+    }
+    return { dataDir, options };
+}
+
+async function openTree({ dataDir, options }, { readOnly = true } = {}) {
+    const { memTableMaxSize, maxSSTables, ...rest } = options;
+    const tree = new LSMTree(memTableMaxSize, maxSSTables, dataDir, {
+        ...rest,
+        readOnly,
+        ttlSweepIntervalMs: 0,
+        log,
+    });
+    await tree.ready;
+    return tree;
+}
+
+// A table by path, file name or id
+function tablePath(dataDir, table) {
+    if (fs.existsSync(table)) return table;
+    const file = table.startsWith("sstable_") ? table : SSTable.fileName(table);
+    return path.join(dataDir, file);
+}
+
+// The MANIFEST's version, read without changing it, or null without one
+async function readManifest(dataDir) {
+    const manifest = new Manifest(dataDir, { readOnly: true });
+    if (!manifest.exists()) return null;
+    const version = await manifest.load();
+    return { version, damagedBytes: manifest.damagedBytes };
+}
+
+// Every WAL segment in the directory, oldest first, decoded
+async function readSegments(dataDir) {
+    const ids = (await fs.promises.readdir(dataDir))
+        .map(parseSegmentId)
+        .filter((id) => id !== null)
+        .sort((a, b) => a - b);
+    const segments = [];
+    for (const id of ids) {
+        const file = segmentFileName(id);
+        const buffer = await fs.promises.readFile(path.join(dataDir, file));
+        const { records, validLength } = decodeRecords(buffer);
+        const seqs = records.flatMap((record) =>
+            record.ops.map((op) => op.entry.seq || 0)
+        );
+        segments.push({
+            id,
+            file,
+            records,
+            seqs,
+            damagedBytes: buffer.length - validLength,
+        });
+    }
+    return segments;
+}
+
+function tableFiles(files) {
+    return files.filter(
+        (file) => file.startsWith("sstable_") && file.endsWith(".sst")
+    );
+}
+
+async function dump(target, [table]) {
+    if (!table) throw new CliError("dump needs a table");
+    const filePath = tablePath(target.dataDir, table);
+    if (!fs.existsSync(filePath)) {
+        throw new CliError(`No SSTable ${filePath}`);
+    }
+    const ssTable = await SSTable.readFromDisk(filePath, { readOnly: true });
+    try {
+        const { meta } = ssTable;
+        log(
+            `${path.basename(ssTable.filePath)}: format ${
+                ssTable.version
+            }, ${ssTable.codec.name} compression, level ${meta.level || 0}, ${
+                meta.count
+            } entries in ${ssTable.index.length} blocks, keys "${
+                meta.minKey
+            }" to "${meta.maxKey}", seq ${meta.minSeq} to ${meta.maxSeq}`
+        );
+        for await (const [key, entry] of ssTable.entries()) {
+            printEntry(key, entry);
+        }
+    } finally {
+        await ssTable.close();
+    }
+}
+
+async function get(target, [key]) {
+    if (key === undefined) throw new CliError("get needs a key");
+    const tree = await openTree(target);
+    try {
+        const { entry, fromMemTable } = await tree.locate(key, Infinity);
+        if (!entry) {
+            log(`"${key}" not found`);
+            return 1;
+        }
+        const state = isLive(entry)
+            ? "live"
+            : isTombstone(entry)
+            ? "deleted"
+            : "expired";
+        print({
+            key,
+            ...entryToJSON(entry),
+            state,
+            source: fromMemTable ? "wal" : "sstable",
+        });
+        return 0;
+    } finally {
+        await tree.shutdown();
+    }
+}
+
+async function scan(target, args, flags) {
+    const limit = flags.limit === undefined ? Infinity : Number(flags.limit);
+    if (!(limit >= 0)) throw new CliError("--limit must be a number");
+    const tree = await openTree(target);
+    try {
+        let count = 0;
+        if (limit === 0) return 0;
+        for await (const [key, entry] of tree.iterate({
+            prefix: flags.prefix,
+            start: flags.start,
+            end: flags.end,
+            reverse: flags.reverse,
+        })) {
+            printEntry(key, entry);
+            if (++count >= limit) break;
+        }
+        return 0;
+    } finally {
+        await tree.shutdown();
+    }
+}
+
+async function stats(target) {
+    const tree = await openTree(target);
+    try {
+        process.stdout.write(
+            `${JSON.stringify(await tree.getStats(), null, 2)}\n`
+        );
+        return 0;
+    } finally {
+        await tree.shutdown();
+    }
+}
+
+// Checks everything startup reads, without changing any of it. Prints a
+// line per file and resolves with the number of problems.
+async function verify({ dataDir }) {
+    let problems = 0;
+    const report = (file, found) => {
+        if (found.length === 0) return;
+        problems += found.length;
+        found.forEach((problem) => log(`FAIL ${file}: ${problem}`));
+    };
+
+    const metadataPath = path.join(dataDir, "metadata.json");
+    if (fs.existsSync(metadataPath)) {
+        try {
+            JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+        } catch (error) {
+            report("metadata.json", [error.message]);
+        }
+    }
+
+    const files = await fs.promises.readdir(dataDir);
+    const manifest = await readManifest(dataDir);
+    let listed;
+    if (manifest) {
+        listed = manifest.version.tables;
+        report(
+            MANIFEST_FILE,
+            manifest.damagedBytes > 0
+                ? [`${manifest.damagedBytes} damaged trailing bytes`]
+                : []
+        );
+        for (const file of tableFiles(files)) {
+            if (!listed.has(file)) {
+                log(
+                    `NOTE ${file}: not in the MANIFEST; startup removes it`
+                );
+            }
+        }
+    } else {
+        log(`NOTE ${MANIFEST_FILE}: none; startup lists every table`);
+        listed = new Map(tableFiles(files).map((file) => [file, null]));
+    }
+
+    const levels = [];
+    for (const [file, level] of listed) {
+        let ssTable;
+        try {
+            ssTable = await SSTable.readFromDisk(path.join(dataDir, file), {
+                readOnly: true,
+            });
+        } catch (error) {
+            report(file, [error.code === "ENOENT" ? "missing" : error.message]);
+            continue;
+        }
+        try {
+            const result = await ssTable.verify();
+            if (result.bloomFilterMisses > 0) {
+                result.problems.push(
+                    `Bloom filter rules out ${result.bloomFilterMisses} of its entries`
+                );
+            }
+            report(file, result.problems);
+            if (result.problems.length === 0) {
+                log(
+                    `ok   ${file}: ${result.entries} entries in ${ssTable.index.length} blocks`
+                );
+            }
+            const tableLevel = level === null ? ssTable.level : level;
+            if (tableLevel > 0 && ssTable.meta.count > 0) {
+                levels[tableLevel] = levels[tableLevel] || [];
+                levels[tableLevel].push({ file, meta: ssTable.meta });
+            }
+        } finally {
+            await ssTable.close();
+        }
+    }
+
+    // Below L0, a level's tables hold disjoint key ranges
+    levels.forEach((tables, level) => {
+        tables.sort((a, b) => compareKeys(a.meta.minKey, b.meta.minKey));
+        for (let i = 1; i < tables.length; i++) {
+            const previous = tables[i - 1];
+            if (compareKeys(tables[i].meta.minKey, previous.meta.maxKey) <= 0) {
+                report(tables[i].file, [
+                    `overlaps ${previous.file} at level ${level}`,
+                ]);
+            }
+        }
+    });
+
+    const logNumber = manifest ? manifest.version.logNumber : 0;
+    for (const segment of await readSegments(dataDir)) {
+        if (segment.id < logNumber) continue;
+        const found = [];
+        if (segment.damagedBytes > 0) {
+            found.push(`${segment.damagedBytes} damaged trailing bytes`);
+        }
+        const outOfOrder = segment.seqs.findIndex(
+            (seq, i) => i > 0 && seq <= segment.seqs[i - 1]
+        );
+        if (outOfOrder !== -1) {
+            found.push(
+                `sequence number ${segment.seqs[outOfOrder]} follows ${
+                    segment.seqs[outOfOrder - 1]
+                }`
+            );
+        }
+        report(segment.file, found);
+        if (found.length === 0) {
+            log(
+                `ok   ${segment.file}: ${segment.records.length} records`
+            );
+        }
+    }
+
+    log(
+        problems === 0 ? "No problems found" : `${problems} problems found`
+    );
+    return problems === 0 ? 0 : 1;
+}
+
+async function compact(target, args, flags) {
+    const tree = await openTree(target, { readOnly: false });
+    try {
+        const before = tree.ssTables.length;
+        const { compactions } = await tree.compact({ full: flags.full });
+        log(
+            `Ran ${compactions} compactions: ${before} SSTables before, ${tree.ssTables.length} after`
+        );
+        return 0;
+    } finally {
+        await tree.shutdown();
+    }
+}
+
+// Moves a table and its Bloom filter into the corrupt/ directory
+async function setAside(dataDir, file) {
+    const dir = path.join(dataDir, CORRUPT_DIR);
+    await fs.promises.mkdir(dir, { recursive: true });
+    for (const name of [file, file.replace(/\.sst$/, ".bloom")]) {
+        await fs.promises
+            .rename(path.join(dataDir, name), path.join(dir, name))
+            .catch((error) => {
+                if (error.code !== "ENOENT") throw error;
+            });
+    }
+}
+
+// Keeps the tables that read back whole and sets the rest aside. With a
+// sound MANIFEST only the tables it lists count; without one every table
+// file does, and data a committed compaction had already replaced may come
+// back. The tree is then opened, which replays the WAL, cuts damaged tails
+// and removes orphans, and shut down, which flushes what it replayed.
+async function repair(target) {
+    const { dataDir } = target;
+    const metadataPath = path.join(dataDir, "metadata.json");
+    if (fs.existsSync(metadataPath)) {
+        try {
+            JSON.parse(fs.readFileSync(metadataPath, "utf8"));
+        } catch (error) {
+            await fs.promises.rename(metadataPath, `${metadataPath}.corrupt`);
+            log(
+                `Moved unreadable metadata.json aside; settings changed at runtime are reset`
+            );
+        }
+    }
+
+    const manifest = await readManifest(dataDir);
+    const sound = Boolean(manifest) && manifest.damagedBytes === 0;
+    const candidates = sound
+        ? manifest.version.tables
+        : new Map(
+              tableFiles(await fs.promises.readdir(dataDir)).map((file) => [
+                  file,
+                  null,
+              ])
+          );
+    if (!sound) {
+        log(
+            manifest
+                ? `${MANIFEST_FILE} is damaged; rebuilding it from every readable table`
+                : `No ${MANIFEST_FILE}; building one from every readable table`
+        );
+    }
+
+    const kept = [];
+    let changed = !sound;
+    for (const [file, level] of candidates) {
+        const filePath = path.join(dataDir, file);
+        if (!fs.existsSync(filePath)) {
+            log(`Dropping ${file} from the ${MANIFEST_FILE}: missing`);
+            changed = true;
+            continue;
+        }
+        let result;
+        let ssTable = null;
+        try {
+            ssTable = await SSTable.readFromDisk(filePath, { readOnly: true });
+            result = await ssTable.verify();
+        } catch (error) {
+            result = { problems: [error.message] };
+        } finally {
+            if (ssTable) await ssTable.close();
+        }
+        if (result.problems.length > 0) {
+            await setAside(dataDir, file);
+            log(
+                `Moved ${file} to ${CORRUPT_DIR}/: ${result.problems[0]}`
+            );
+            changed = true;
+            continue;
+        }
+        if (result.bloomFilterMisses > 0) {
+            // Startup rebuilds a missing filter from the table
+            await fs.promises.rm(ssTable.bloomPath, { force: true });
+            log(`Removed the bad Bloom filter of ${file}`);
+        }
+        kept.push({
+            file,
+            level: level === null ? ssTable.level : level,
+            maxSeq: ssTable.meta.maxSeq || 0,
+        });
+    }
+
+    if (changed) {
+        const maxSeq = Math.max(0, ...kept.map((table) => table.maxSeq));
+        let logNumber;
+        if (sound) {
+            logNumber = manifest.version.logNumber;
+        } else {
+            // Segments holding nothing newer than the tables are flushed
+            const segments = await readSegments(dataDir);
+            const needed = segments.find((segment) =>
+                segment.seqs.some((seq) => seq > maxSeq)
+            );
+            logNumber = needed
+                ? needed.id
+                : segments.length > 0
+                ? segments[segments.length - 1].id + 1
+                : 0;
+        }
+        const rebuilt = new Manifest(dataDir);
+        await rebuilt.create({
+            add: kept.map(({ file, level }) => ({ file, level })),
+            logNumber,
+            lastSequence: Math.max(
+                maxSeq,
+                manifest ? manifest.version.lastSequence : 0
+            ),
+        });
+        await rebuilt.close();
+        log(
+            `Wrote a ${MANIFEST_FILE} of ${kept.length} SSTables, replaying the WAL from segment ${logNumber}`
+        );
+    } else {
+        log(`All ${kept.length} SSTables are readable`);
+    }
+
+    const tree = await openTree(target, { readOnly: false });
+    const entries = tree.memTable.size();
+    await tree.shutdown();
+    log(
+        `Replayed ${entries} keys from the WAL; the tree holds ${tree.ssTables.length} SSTables`
+    );
+    return 0;
+}
+
+async function walReplay(target, args, flags) {
+    if (!flags["dry-run"]) {
+        const tree = await openTree(target, { readOnly: false });
+        const keys = tree.memTable.size();
+        let flushed = null;
+        tree.on("flush", (event) => {
+            flushed = event;
+        });
+        await tree.flush();
+        await tree.shutdown();
+        log(
+            flushed
+                ? `Replayed ${keys} keys into SSTable ${flushed.table} (${flushed.entries} entries)`
+                : "The WAL held nothing to replay"
+        );
+        return 0;
+    }
+
+    const manifest = await readManifest(target.dataDir);
+    const logNumber = manifest ? manifest.version.logNumber : 0;
+    let damaged = false;
+    let records = 0;
+    let writes = 0;
+    for (const segment of await readSegments(target.dataDir)) {
+        if (segment.id < logNumber) {
+            log(`${segment.file}: already flushed; would be removed`);
+            continue;
+        }
+        if (damaged) {
+            log(
+                `${segment.file}: follows a damaged segment; would be set aside`
+            );
+            continue;
+        }
+        const { seqs } = segment;
+        log(
+            `${segment.file}: ${segment.records.length} records${
+                seqs.length > 0
+                    ? `, seq ${seqs[0]} to ${seqs[seqs.length - 1]}`
+                    : ""
+            }${
+                segment.damagedBytes > 0
+                    ? `, then ${segment.damagedBytes} damaged bytes that would be cut`
+                    : ""
+            }`
+        );
+        for (const record of segment.records) {
+            for (const { key, entry } of record.ops) {
+                const type = isTombstone(entry) ? "delete" : "put";
+                log(`  ${entry.seq || 0} ${type} ${key}`);
+                writes++;
+            }
+        }
+        records += segment.records.length;
+        damaged = segment.damagedBytes > 0;
+    }
+    log(`Would replay ${records} records holding ${writes} writes`);
+    return 0;
+}
+
+async function main(argv) {
+    const { args, flags } = parseArgs(argv);
+    const [command, ...rest] = args;
+    if (!command || command === "help") {
+        process.stdout.write(USAGE);
+        return command ? 0 : 1;
+    }
+    const commands = {
+        dump,
+        get,
+        scan,
+        stats,
+        verify,
+        compact,
+        repair,
+        wal: (target, [sub, ...walArgs], walFlags) => {
+            if (sub !== "replay") throw new CliError("Usage: wal replay");
+            return walReplay(target, walArgs, walFlags);
+        },
+    };
+    if (!commands[command]) throw new CliError(`Unknown command "${command}"`);
+
+    const target = resolveTarget(flags);
+    return commands[command](target, rest, flags);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then((code) => process.exit(code || 0))
+        .catch((error) => {
+            if (error instanceof CliError || error instanceof ConfigError) {
+                console.error(error.message);
+                if (error instanceof CliError) console.error(`\n${USAGE}`);
+            } else {
+                console.error(error);
+            }
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
@@ -0,0 +1,231 @@
+const { compareKeys } = require("./sstable");
+
+// A compaction strategy looks at the current levels and returns the next
+// task to run, or null when the tree is in shape. `levels[0]` holds
+// freshly flushed tables, newest first, with overlapping key ranges; deeper
+// levels are sorted by key. A task is:
+//   { inputs: [SSTable] (newest data first), outputLevel, targetTableBytes }
+
+function totalBytes(tables) {
+    return tables.reduce((sum, table) => sum + table.byteSize(), 0);
+}
+
+function keyRange(tables) {
+    let minKey = null;
+    let maxKey = null;
+    for (const table of tables) {
+        if (minKey === null || compareKeys(table.meta.minKey, minKey) < 0) {
+            minKey = table.meta.minKey;
+        }
+        if (maxKey === null || compareKeys(table.meta.maxKey, maxKey) > 0) {
+            maxKey = table.meta.maxKey;
+        }
+    }
+    return { minKey, maxKey };
+}
+
+function overlapping(tables, { minKey, maxKey }) {
+    return tables.filter(
+        (table) =>
+            compareKeys(table.meta.minKey, maxKey) <= 0 &&
+            compareKeys(minKey, table.meta.maxKey) <= 0
+    );
+}
+
+// Merges everything into a single sorted run, split into output tables of
+// `targetTableBytes`. Shared by both strategies for on-demand compaction.
+function planFull(levels, outputLevel, targetTableBytes) {
+    const inputs = levels.flat();
+    if (inputs.length === 0) return null;
+    return { inputs, outputLevel, targetTableBytes };
+}
+
+// L0 collects flushed tables; once it holds `level0Trigger` tables they are
+// merged with the overlapping part of L1. Each deeper level may hold
+// `levelSizeRatio` times the bytes of the one above it; when a level grows
+// past its budget, one table (round-robin through the key space) is merged
+// into the overlapping tables of the next level.
+class LeveledCompaction {
+    constructor(options = {}) {
+        const {
+            level0Trigger = 4,
+            levelSizeRatio = 10,
+            baseLevelBytes = 1024 * 1024,
+            maxLevels = 7,
+            targetTableBytes = 256 * 1024,
+        } = options;
+
+        this.name = "leveled";
+        this.level0Trigger = level0Trigger;
+        this.levelSizeRatio = levelSizeRatio;
+        this.baseLevelBytes = baseLevelBytes;
+        this.maxLevels = maxLevels;
+        this.targetTableBytes = targetTableBytes;
+        // Last key compacted out of each level, to rotate through its range
+        this.compactPointers = [];
+    }
+
+    maxBytesForLevel(level) {
+        return this.baseLevelBytes * this.levelSizeRatio ** (level - 1);
+    }
+
+    pick(levels) {
+        const level0 = levels[0] || [];
+        if (level0.length >= this.level0Trigger) {
+            const next = overlapping(levels[1] || [], keyRange(level0));
+            return {
+                inputs: [...level0, ...next],
+                outputLevel: 1,
+                targetTableBytes: this.targetTableBytes,
+            };
+        }
+
+        for (let level = 1; level < this.maxLevels - 1; level++) {
+            const tables = levels[level] || [];
+            if (totalBytes(tables) <= this.maxBytesForLevel(level)) continue;
+
+            const pointer = this.compactPointers[level];
+            const table =
+                tables.find(
+                    (candidate) =>
+                        pointer === undefined ||
+                        compareKeys(candidate.meta.minKey, pointer) > 0
+                ) || tables[0];
+            this.compactPointers[level] = table.meta.maxKey;
+
+            const next = overlapping(
+                levels[level + 1] || [],
+                keyRange([table])
+            );
+            return {
+                inputs: [table, ...next],
+                outputLevel: level + 1,
+                targetTableBytes: this.targetTableBytes,
+            };
+        }
+
+        return null;
+    }
+
+    planFull(levels) {
+        const deepest = levels.reduce(
+            (found, tables, level) => (tables.length > 0 ? level : found),
+            1
+        );
+        return planFull(levels, Math.max(deepest, 1), this.targetTableBytes);
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            level0Trigger: this.level0Trigger,
+            levelSizeRatio: this.levelSizeRatio,
+            baseLevelBytes: this.baseLevelBytes,
+            maxLevels: this.maxLevels,
+            targetTableBytes: this.targetTableBytes,
+        };
+    }
+}
+
+// All tables live in L0. Tables of similar size form a tier; once a tier of
+// tables adjacent in age reaches `minThreshold`, up to `maxThreshold` of them
+// are merged into one larger table that takes their place.
+class SizeTieredCompaction {
+    constructor(options = {}) {
+        const {
+            minThreshold = 4,
+            maxThreshold = 32,
+            bucketLow = 0.5,
+            bucketHigh = 1.5,
+            minTableBytes = 64 * 1024,
+        } = options;
+
+        this.name = "size-tiered";
+        this.minThreshold = minThreshold;
+        this.maxThreshold = maxThreshold;
+        this.bucketLow = bucketLow;
+        this.bucketHigh = bucketHigh;
+        // Tables below this size all count as one tier
+        this.minTableBytes = minTableBytes;
+    }
+
+    fitsTier(tier, table) {
+        const size = table.byteSize();
+        const average = totalBytes(tier) / tier.length;
+        if (size < this.minTableBytes && average < this.minTableBytes) {
+            return true;
+        }
+        return (
+            size >= average * this.bucketLow &&
+            size <= average * this.bucketHigh
+        );
+    }
+
+    pick(levels) {
+        const tables = levels[0] || [];
+
+        // Only runs of tables adjacent in age may merge; otherwise the output
+        // would have to sit both before and after a table left out of it
+        // A tier of one table would merge into itself again and again
+        const minThreshold = Math.max(this.minThreshold, 2);
+        let tier = [];
+        for (const table of tables) {
+            if (tier.length > 0 && !this.fitsTier(tier, table)) {
+                if (tier.length >= minThreshold) break;
+                tier = [];
+            }
+            tier.push(table);
+        }
+        const inputs = tier.slice(0, this.maxThreshold);
+        if (tier.length < minThreshold || inputs.length < 2) return null;
+
+        return {
+            inputs,
+            outputLevel: 0,
+            targetTableBytes: Infinity,
+        };
+    }
+
+    planFull(levels) {
+        return planFull(levels, 0, Infinity);
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            minThreshold: this.minThreshold,
+            maxThreshold: this.maxThreshold,
+            bucketLow: this.bucketLow,
+            bucketHigh: this.bucketHigh,
+            minTableBytes: this.minTableBytes,
+        };
+    }
+}
+
+const STRATEGIES = {
+    leveled: LeveledCompaction,
+    "size-tiered": SizeTieredCompaction,
+};
+
+// Accepts a strategy name or any object implementing pick() and planFull()
+function createCompactionStrategy(strategy = "leveled", options = {}) {
+    if (strategy && typeof strategy === "object") return strategy;
+
+    const Strategy = STRATEGIES[strategy];
+    if (!Strategy) {
+        throw new Error(
+            `Unknown compaction strategy "${strategy}" (expected one of ${Object.keys(
+                STRATEGIES
+            ).join(", ")})`
+        );
+    }
+    return new Strategy(options);
+}
+
+module.exports = {
+    LeveledCompaction,
+    SizeTieredCompaction,
+    createCompactionStrategy,
+    overlapping,
+    STRATEGIES,
+};
@@ -0,0 +1,59 @@
+const zlib = require("zlib");
+
+// Codecs for SSTable blocks and WAL records. Files record a codec by its
+// id, so ids never change. Blocks and records are a few KB, small enough
+// that the synchronous zlib calls cost less than a trip to the threadpool.
+const CODECS = {
+    none: {
+        id: 0,
+        compress: (buffer) => buffer,
+        decompress: (buffer) => buffer,
+    },
+    deflate: {
+        id: 1,
+        compress: (buffer) => zlib.deflateRawSync(buffer),
+        decompress: (buffer) => zlib.inflateRawSync(buffer),
+    },
+    gzip: {
+        id: 2,
+        compress: (buffer) => zlib.gzipSync(buffer),
+        decompress: (buffer) => zlib.gunzipSync(buffer),
+    },
+    brotli: {
+        id: 3,
+        // Quality 11, the default, is far too slow for flushes
+        compress: (buffer) =>
+            zlib.brotliCompressSync(buffer, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: buffer.length,
+                },
+            }),
+        decompress: (buffer) => zlib.brotliDecompressSync(buffer),
+    },
+};
+for (const [name, codec] of Object.entries(CODECS)) codec.name = name;
+
+const COMPRESSION_CODECS = Object.keys(CODECS);
+
+function getCodec(name = "none") {
+    const codec = CODECS[name];
+    if (!codec) {
+        throw new Error(
+            `Unknown compression codec "${name}" (expected one of ${COMPRESSION_CODECS.join(
+                ", "
+            )})`
+        );
+    }
+    return codec;
+}
+
+function codecById(id) {
+    const codec = Object.values(CODECS).find(
+        (candidate) => candidate.id === id
+    );
+    if (!codec) throw new Error(`Unknown compression codec id ${id}`);
+    return codec;
+}
+
+module.exports = { CODECS, COMPRESSION_CODECS, getCodec, codecById };
@@ -0,0 +1,496 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("./yaml");
+const { POLICIES } = require("./eviction");
+const { STRATEGIES } = require("./compaction");
+const { COMPRESSION_CODECS } = require("./compression");
+const { FSYNC_POLICIES } = require("./wal");
+
+// The server's settings come from, in increasing order of precedence:
+// their defaults, a JSON or YAML config file (--config or CONFIG_FILE),
+// environment variables and command-line flags (--name=value, the
+// setting's name in kebab-case). Every value is validated at startup; a
+// bad one stops the server with a message naming where it came from.
+//
+// Settings marked `runtime` may also be changed while the server runs,
+// per namespace, through PATCH /api/admin/config. The tree applies them
+// and keeps them in its metadata.json, where they take precedence over
+// the startup value until reset with null.
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.status = 400;
+    }
+}
+
+// A setting type: the values it allows (`valid`, described by
+// `expected`) and how to read one from an environment variable or flag.
+// Types without `fromString` can only be set in the config file.
+const integer = (min, max = Infinity) => ({
+    expected:
+        max < Infinity
+            ? `an integer from ${min} to ${max}`
+            : min > 1
+            ? `an integer of at least ${min}`
+            : min > 0
+            ? "a positive integer"
+            : "a non-negative integer",
+    fromString: (text) => (/^\s*-?\d+\s*$/.test(text) ? Number(text) : NaN),
+    valid: (value) =>
+        Number.isInteger(value) && value >= min && value <= max,
+});
+
+// A number above `low` and at most `high`
+const between = (low, high = Infinity) => ({
+    expected:
+        high < Infinity
+            ? `a number above ${low} and at most ${high}`
+            : `a number above ${low}`,
+    fromString: (text) => (text.trim() === "" ? NaN : Number(text)),
+    valid: (value) =>
+        typeof value === "number" && value > low && value <= high,
+});
+
+const fraction = between(0, 1);
+
+const string = {
+    expected: "a non-empty string",
+    fromString: (text) => text,
+    valid: (value) => typeof value === "string" && value !== "",
+};
+
+const boolean = {
+    expected: "true or false",
+    fromString: (text) => ({ true: true, false: false }[text.toLowerCase()]),
+    valid: (value) => typeof value === "boolean",
+};
+
+const oneOf = (choices) => ({
+    expected: `one of ${choices.join(", ")}`,
+    fromString: (text) => text,
+    valid: (value) => choices.includes(value),
+});
+
+// A body size limit: bytes, or a string such as "10mb"
+const SIZE = /^\d+(\.\d+)?\s*(b|kb|mb|gb)$/i;
+const byteSize = {
+    expected: 'a number of bytes or a size such as "10mb"',
+    fromString: (text) => (/^\d+$/.test(text) ? Number(text) : text),
+    valid: (value) =>
+        (Number.isInteger(value) && value > 0) ||
+        (typeof value === "string" && SIZE.test(value)),
+};
+
+// Options for the compaction strategy, e.g. { level0Trigger: 4 }. Which
+// ones it takes, and their values, depend on the strategy: see
+// compactionProblems().
+const strategyOptions = {
+    expected: "an object of compaction strategy options",
+    valid: (value) =>
+        Boolean(value) && typeof value === "object" && !Array.isArray(value),
+};
+
+// The options each compaction strategy takes; see compaction.js
+const COMPACTION_OPTIONS = {
+    leveled: {
+        level0Trigger: integer(1),
+        levelSizeRatio: between(1),
+        baseLevelBytes: integer(1),
+        maxLevels: integer(2),
+        targetTableBytes: integer(1),
+    },
+    "size-tiered": {
+        // A merge needs two tables
+        minThreshold: integer(2),
+        maxThreshold: integer(2),
+        bucketLow: fraction,
+        bucketHigh: between(1),
+        minTableBytes: integer(0),
+    },
+};
+
+// name -> { type, default, env, secret, runtime }. A null default means
+// unset, and null is then allowed wherever the setting is given.
+const SETTINGS = {
+    // Server
+    port: { type: integer(1, 65535), default: 3001, env: "PORT" },
+    // Redis protocol port; 0 turns the RESP server off
+    respPort: { type: integer(0, 65535), default: 6380, env: "RESP_PORT" },
+    dataDir: { type: string, default: "./data", env: "DATA_DIR" },
+    // Where POST /api/admin/backup writes backups
+    backupDir: { type: string, default: "./backups", env: "BACKUP_DIR" },
+    // A primary's URL, to run as its read-only replica
+    replicaOf: { type: string, default: null, env: "REPLICA_OF" },
+    // Must be an admin API key on the primary
+    replicaToken: {
+        type: string,
+        default: null,
+        env: "REPLICA_TOKEN",
+        secret: true,
+    },
+    adminToken: {
+        type: string,
+        default: null,
+        env: "ADMIN_TOKEN",
+        secret: true,
+    },
+    // Comma-separated; any origin when unset
+    corsOrigin: { type: string, default: null, env: "CORS_ORIGIN" },
+    maxValueBytes: {
+        type: byteSize,
+        default: "10mb",
+        env: "MAX_VALUE_BYTES",
+    },
+
+    // Trees: the default namespace's, and the ones other namespaces
+    // start from
+    defaultTTL: {
+        type: integer(1),
+        default: 60000,
+        env: "DEFAULT_TTL",
+        runtime: true,
+    },
+    // A MemTable flushes at whichever limit it reaches first
+    memTableMaxSize: {
+        type: integer(1),
+        default: 1000,
+        env: "MEMTABLE_MAX_ENTRIES",
+        runtime: true,
+    },
+    memTableMaxBytes: {
+        type: integer(1),
+        default: 4 * 1024 * 1024,
+        env: "MEMTABLE_MAX_BYTES",
+        runtime: true,
+    },
+    // Flushed tables that trigger a compaction
+    maxSSTables: {
+        type: integer(1),
+        default: 10,
+        env: "MAX_SSTABLES",
+        runtime: true,
+    },
+    compactionStrategy: {
+        type: oneOf(Object.keys(STRATEGIES)),
+        default: "leveled",
+        env: "COMPACTION_STRATEGY",
+    },
+    compaction: { type: strategyOptions, default: {}, runtime: true },
+    // One block cache serves every namespace
+    blockCacheBytes: {
+        type: integer(1),
+        default: 32 * 1024 * 1024,
+        env: "BLOCK_CACHE_BYTES",
+    },
+    walFsync: {
+        type: oneOf(FSYNC_POLICIES),
+        default: "always",
+        env: "WAL_FSYNC",
+    },
+    walBatchIntervalMs: {
+        type: integer(1),
+        default: 10,
+        env: "WAL_BATCH_INTERVAL_MS",
+    },
+    walCompression: {
+        type: oneOf(COMPRESSION_CODECS),
+        default: "none",
+        env: "WAL_COMPRESSION",
+    },
+    compression: {
+        type: oneOf(COMPRESSION_CODECS),
+        default: "none",
+        env: "SSTABLE_COMPRESSION",
+    },
+    bloomFalsePositiveRate: {
+        type: fraction,
+        default: 0.01,
+        env: "BLOOM_FP_RATE",
+    },
+    // 0 turns the background expiry sweeper off
+    ttlSweepIntervalMs: {
+        type: integer(0),
+        default: 30000,
+        env: "TTL_SWEEP_INTERVAL_MS",
+        runtime: true,
+    },
+    expiredRewriteThreshold: {
+        type: fraction,
+        default: 0.5,
+        env: "TTL_REWRITE_THRESHOLD",
+        runtime: true,
+    },
+    // No capacity limit unless one of these is set
+    maxEntries: { type: integer(1), default: null, env: "CACHE_MAX_ENTRIES" },
+    maxBytes: { type: integer(1), default: null, env: "CACHE_MAX_BYTES" },
+    evictionPolicy: {
+        type: oneOf(Object.keys(POLICIES)),
+        default: "lru",
+        env: "EVICTION_POLICY",
+    },
+
+    // A directory of per-key JSON files the default namespace reads
+    // through to and writes behind to, for keys under originPrefix
+    originDir: { type: string, default: null, env: "ORIGIN_DIR" },
+    originPrefix: { type: string, default: null, env: "ORIGIN_PREFIX" },
+    originTtl: { type: integer(1), default: null, env: "ORIGIN_TTL" },
+    originStaleMs: { type: integer(0), default: 0, env: "ORIGIN_STALE_MS" },
+    originWriteBehind: {
+        type: boolean,
+        default: true,
+        env: "ORIGIN_WRITE_BEHIND",
+    },
+    originLatencyMs: {
+        type: integer(0),
+        default: 0,
+        env: "ORIGIN_LATENCY_MS",
+    },
+};
+
+const flagName = (name) =>
+    name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+
+// Flag -> setting name, for the settings a flag can give
+const FLAGS = new Map(
+    Object.entries(SETTINGS)
+        .filter(([, setting]) => setting.type.fromString)
+        .map(([name]) => [flagName(name), name])
+);
+
+// Where a setting can be given, for error messages
+function sourcesOf(name) {
+    const setting = SETTINGS[name];
+    const sources = [`"${name}" in the config file`];
+    if (setting.env) sources.push(setting.env);
+    if (FLAGS.has(flagName(name))) sources.push(`--${flagName(name)}`);
+    const last = sources.pop();
+    return sources.length > 0 ? `${sources.join(", ")} or ${last}` : last;
+}
+
+// --name=value, --name value, or --name alone for true
+function parseFlags(argv, errors) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z0-9-]+)(?:=(.*))?$/s.exec(argv[i]);
+        if (!match) {
+            errors.push(`Unexpected argument "${argv[i]}"`);
+            continue;
+        }
+        let [, flag, value] = match;
+        if (value === undefined) {
+            value =
+                i + 1 < argv.length && !argv[i + 1].startsWith("--")
+                    ? argv[++i]
+                    : "true";
+        }
+        flags[flag] = value;
+    }
+    return flags;
+}
+
+function readConfigFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, "utf8");
+    } catch (error) {
+        throw new ConfigError(
+            `Cannot read config file ${file}: ${error.message}`
+        );
+    }
+    let contents;
+    try {
+        contents = /\.ya?ml$/i.test(file) ? yaml.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new ConfigError(`Invalid config file ${file}: ${error.message}`);
+    }
+    if (contents === null) return {};
+    if (typeof contents !== "object" || Array.isArray(contents)) {
+        throw new ConfigError(
+            `Config file ${file} must hold an object of settings`
+        );
+    }
+    return contents;
+}
+
+// Resolves the settings from defaults, the config file, `env` and `argv`
+// (flags only). Returns { file, settings, sources }, `sources` naming
+// where each setting came from: default, file, env or flag. Throws a
+// ConfigError listing every problem found.
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+    const errors = [];
+    const flags = parseFlags(argv, errors);
+    const file = flags.config || env.CONFIG_FILE || null;
+    delete flags.config;
+
+    const settings = {};
+    const sources = {};
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        settings[name] = setting.default;
+        sources[name] = "default";
+    }
+
+    // `given` is the value as written, for errors
+    const set = (name, value, source, label, given = value) => {
+        const setting = SETTINGS[name];
+        const unset = value === null && setting.default === null;
+        if (!unset && !setting.type.valid(value)) {
+            errors.push(
+                `${label} must be ${setting.type.expected} (got ${JSON.stringify(
+                    given
+                )})`
+            );
+            return;
+        }
+        settings[name] = value;
+        sources[name] = source;
+    };
+
+    if (file) {
+        for (const [name, value] of Object.entries(readConfigFile(file))) {
+            if (!SETTINGS[name]) {
+                errors.push(`Unknown setting "${name}" in ${file}`);
+                continue;
+            }
+            set(name, value, "file", `"${name}" in ${file}`);
+        }
+    }
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        const text = setting.env && env[setting.env];
+        if (!text) continue;
+        set(name, setting.type.fromString(text), "env", setting.env, text);
+    }
+    for (const [flag, text] of Object.entries(flags)) {
+        const name = FLAGS.get(flag);
+        if (!name) {
+            errors.push(`Unknown flag --${flag}`);
+            continue;
+        }
+        const value = SETTINGS[name].type.fromString(text);
+        set(name, value, "flag", `--${flag}`, text);
+    }
+
+    if (sources.compaction === "file") {
+        const problems = compactionProblems(
+            settings.compactionStrategy,
+            settings.compaction
+        );
+        for (const problem of problems) {
+            errors.push(`"compaction" in ${file}: ${problem}`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new ConfigError(
+            `Invalid configuration:\n  ${errors.join("\n  ")}`
+        );
+    }
+    return { file: file && path.resolve(file), settings, sources };
+}
+
+// What is wrong with `options` for the compaction strategy named
+// `strategy`, one message per option; empty if nothing is
+function compactionProblems(strategy, options) {
+    const types = COMPACTION_OPTIONS[strategy] || {};
+    const problems = [];
+    for (const [name, value] of Object.entries(options)) {
+        const type = types[name];
+        if (!type) {
+            problems.push(
+                `The ${strategy} compaction strategy has no "${name}" setting (expected one of ${Object.keys(
+                    types
+                ).join(", ")})`
+            );
+        } else if (!type.valid(value)) {
+            problems.push(
+                `"${name}" must be ${type.expected} (got ${JSON.stringify(
+                    value
+                )})`
+            );
+        }
+    }
+    return problems;
+}
+
+// LSMTree options from the settings, for the default namespace's tree
+// and the ones other namespaces start from
+function treeOptionsFor(settings) {
+    return {
+        defaultTTL: settings.defaultTTL,
+        memTableMaxSize: settings.memTableMaxSize,
+        memTableMaxBytes: settings.memTableMaxBytes,
+        maxSSTables: settings.maxSSTables,
+        blockCacheBytes: settings.blockCacheBytes,
+        walFsync: settings.walFsync,
+        walBatchIntervalMs: settings.walBatchIntervalMs,
+        bloomFalsePositiveRate: settings.bloomFalsePositiveRate,
+        compression: settings.compression,
+        walCompression: settings.walCompression,
+        compactionStrategy: settings.compactionStrategy,
+        compaction: settings.compaction,
+        ttlSweepIntervalMs: settings.ttlSweepIntervalMs,
+        expiredRewriteThreshold: settings.expiredRewriteThreshold,
+        maxEntries: settings.maxEntries,
+        maxBytes: settings.maxBytes,
+        evictionPolicy: settings.evictionPolicy,
+    };
+}
+
+// Settings as shown to clients, secrets masked
+function redact(settings) {
+    const shown = { ...settings };
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        if (setting.secret && shown[name] !== null) shown[name] = "********";
+    }
+    return shown;
+}
+
+// Checks a change to runtime settings: { name: value }, null undoing an
+// earlier runtime change. `strategy` names the compaction strategy that
+// `compaction` options are for.
+function validateRuntimeSettings(changes, strategy = "leveled") {
+    if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+        throw new ConfigError("Settings must be an object");
+    }
+    const runtime = Object.keys(SETTINGS).filter(
+        (name) => SETTINGS[name].runtime
+    );
+    for (const [name, value] of Object.entries(changes)) {
+        const setting = SETTINGS[name];
+        if (!setting) {
+            throw new ConfigError(
+                `Unknown setting "${name}" (settings that can change at runtime: ${runtime.join(
+                    ", "
+                )})`
+            );
+        }
+        if (!setting.runtime) {
+            throw new ConfigError(
+                `"${name}" cannot be changed at runtime; set it with ${sourcesOf(
+                    name
+                )} and restart the server`
+            );
+        }
+        if (value !== null && !setting.type.valid(value)) {
+            throw new ConfigError(
+                `"${name}" must be ${setting.type.expected}, or null to undo a runtime change`
+            );
+        }
+    }
+    if (changes.compaction) {
+        const problems = compactionProblems(strategy, changes.compaction);
+        if (problems.length > 0) {
+            throw new ConfigError(problems.join("; "));
+        }
+    }
+}
+
+module.exports = {
+    SETTINGS,
+    ConfigError,
+    loadConfig,
+    compactionProblems,
+    treeOptionsFor,
+    redact,
+    validateRuntimeSettings,
+};
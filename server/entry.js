@@ -0,0 +1,67 @@
+const { defaultCodecFor, checkValue } = require("./value-codecs");
+
+// Every version of a key stored in a MemTable, the WAL or an SSTable is
+// either a value or a tombstone:
+//   { type: "put", value, codec, contentType?, expiresAt, timestamp }
+//   { type: "delete", deletedAt, timestamp }
+// A tombstone shadows every older version of its key until compaction can
+// prove no older table still holds one. `codec` names how the value is
+// stored (see value-codecs.js).
+
+const PUT = "put";
+const DELETE = "delete";
+
+// `format` is { codec, contentType }, both optional; the codec defaults
+// to bytes for Buffers and JSON for anything else
+function createPut(value, ttl, now = Date.now(), format = {}) {
+    const codec = format.codec || defaultCodecFor(value);
+    checkValue(codec, value);
+    const entry = { type: PUT, value, codec };
+    if (format.contentType) entry.contentType = format.contentType;
+    entry.expiresAt = ttl ? now + ttl : null;
+    entry.timestamp = now;
+    return entry;
+}
+
+function createTombstone(now = Date.now()) {
+    return { type: DELETE, deletedAt: now, timestamp: now };
+}
+
+// Entries written before tombstones had a type used a null value instead
+function isTombstone(entry) {
+    return (
+        entry.type === DELETE ||
+        (entry.type === undefined && entry.value === null)
+    );
+}
+
+function isExpired(entry, now = Date.now()) {
+    return Boolean(entry.expiresAt && now > entry.expiresAt);
+}
+
+// An expired value only needs to keep hiding older versions of its key,
+// which a tombstone does with less space
+function expiredToTombstone(entry) {
+    return {
+        type: DELETE,
+        deletedAt: entry.expiresAt,
+        timestamp: entry.timestamp,
+        seq: entry.seq,
+    };
+}
+
+// A live entry is a value that has not expired; anything else hides the key
+function isLive(entry, now = Date.now()) {
+    return !isTombstone(entry) && !isExpired(entry, now);
+}
+
+module.exports = {
+    PUT,
+    DELETE,
+    createPut,
+    createTombstone,
+    isTombstone,
+    isExpired,
+    isLive,
+    expiredToTombstone,
+};
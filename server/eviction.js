@@ -0,0 +1,213 @@
+// An eviction policy orders the tracked keys for eviction. It is told
+// about every live key the tree holds:
+//   record(key, { bytes, expiresAt })  key written (inserted or updated)
+//   access(key)                        key read
+//   remove(key)                        key deleted, expired or evicted
+//   pop()                              forget and return the next victim,
+//                                      or undefined when empty
+
+// Least recently used: a Map keeps keys in order of last use
+class LRUPolicy {
+    constructor() {
+        this.name = "lru";
+        this.keys = new Map();
+    }
+
+    record(key) {
+        this.keys.delete(key);
+        this.keys.set(key, true);
+    }
+
+    access(key) {
+        if (this.keys.has(key)) this.record(key);
+    }
+
+    remove(key) {
+        this.keys.delete(key);
+    }
+
+    pop() {
+        const { value: key, done } = this.keys.keys().next();
+        if (done) return undefined;
+        this.keys.delete(key);
+        return key;
+    }
+}
+
+// Least frequently used, ties broken by least recent use. Keys sit in one
+// Set per use count, so every operation is O(1).
+class LFUPolicy {
+    constructor() {
+        this.name = "lfu";
+        this.counts = new Map();
+        this.buckets = new Map();
+        this.minCount = 0;
+    }
+
+    place(key, count) {
+        this.counts.set(key, count);
+        if (!this.buckets.has(count)) this.buckets.set(count, new Set());
+        this.buckets.get(count).add(key);
+    }
+
+    unplace(key) {
+        const count = this.counts.get(key);
+        const bucket = this.buckets.get(count);
+        bucket.delete(key);
+        if (bucket.size === 0) {
+            this.buckets.delete(count);
+            if (this.minCount === count) this.minCount = count + 1;
+        }
+        this.counts.delete(key);
+        return count;
+    }
+
+    // A write counts as a use, like a read
+    record(key) {
+        if (this.counts.has(key)) {
+            this.access(key);
+            return;
+        }
+        this.place(key, 1);
+        this.minCount = 1;
+    }
+
+    access(key) {
+        if (!this.counts.has(key)) return;
+        this.place(key, this.unplace(key) + 1);
+    }
+
+    remove(key) {
+        if (!this.counts.has(key)) return;
+        this.unplace(key);
+        if (this.counts.size === 0) {
+            this.minCount = 0;
+        } else if (!this.buckets.has(this.minCount)) {
+            this.minCount = Math.min(...this.buckets.keys());
+        }
+    }
+
+    pop() {
+        if (this.counts.size === 0) return undefined;
+        if (!this.buckets.has(this.minCount)) {
+            this.minCount = Math.min(...this.buckets.keys());
+        }
+        const key = this.buckets.get(this.minCount).values().next().value;
+        this.remove(key);
+        return key;
+    }
+}
+
+// Soonest to expire first; keys without a TTL go last, least recently
+// written first. A min-heap of [expiresAt, key] is cleaned lazily: entries
+// whose key has since been rewritten or removed are skipped on pop.
+class TTLPolicy {
+    constructor() {
+        this.name = "ttl";
+        this.heap = [];
+        this.expiries = new Map();
+        this.forever = new Map();
+    }
+
+    push(item) {
+        const heap = this.heap;
+        heap.push(item);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    }
+
+    shift() {
+        const heap = this.heap;
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) {
+                    smallest = left;
+                }
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) {
+                    smallest = right;
+                }
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    record(key, { expiresAt }) {
+        this.remove(key);
+        if (expiresAt) {
+            this.expiries.set(key, expiresAt);
+            this.push([expiresAt, key]);
+            // Rebuild once stale entries make up most of the heap
+            if (this.heap.length > 2 * this.expiries.size + 64) {
+                this.heap = [];
+                for (const [live, at] of this.expiries) this.push([at, live]);
+            }
+        } else {
+            this.forever.set(key, true);
+        }
+    }
+
+    access() {}
+
+    remove(key) {
+        this.expiries.delete(key);
+        this.forever.delete(key);
+    }
+
+    pop() {
+        while (this.heap.length > 0) {
+            const [expiresAt, key] = this.shift();
+            if (this.expiries.get(key) === expiresAt) {
+                this.expiries.delete(key);
+                return key;
+            }
+        }
+        const { value: key, done } = this.forever.keys().next();
+        if (done) return undefined;
+        this.forever.delete(key);
+        return key;
+    }
+}
+
+const POLICIES = {
+    lru: LRUPolicy,
+    lfu: LFUPolicy,
+    ttl: TTLPolicy,
+};
+
+// Accepts a policy name or any object implementing the methods above
+function createEvictionPolicy(policy = "lru") {
+    if (policy && typeof policy === "object") return policy;
+
+    const Policy = POLICIES[policy];
+    if (!Policy) {
+        throw new Error(
+            `Unknown eviction policy "${policy}" (expected one of ${Object.keys(
+                POLICIES
+            ).join(", ")})`
+        );
+    }
+    return new Policy();
+}
+
+module.exports = {
+    LRUPolicy,
+    LFUPolicy,
+    TTLPolicy,
+    createEvictionPolicy,
+    POLICIES,
+};
@@ -3,135 +3,947 @@ const cors = require("cors");
 const bodyParser = require("body-parser");
 const path = require("path");
 const { LSMTree } = require("./lsm-tree");
+const { RespServer } = require("./resp-server");
+const { NamespaceManager, DEFAULT_NAMESPACE } = require("./namespaces");
+const { Replica, ReplicationStream } = require("./replication");
+const { exportEntries, importEntries } = require("./backup");
+const { readNDJSON, writeNDJSON } = require("./ndjson");
+const { FileOrigin } = require("./loaders");
+const { BlockCache } = require("./block-cache");
+const {
+    ConfigError,
+    loadConfig,
+    treeOptionsFor,
+    redact,
+} = require("./config");
+const {
+    codecForContentType,
+    decodeValue,
+    entryToJSON,
+    entryFromJSON,
+    getValueCodec,
+} = require("./value-codecs");
+const {
+    Registry,
+    httpMetrics,
+    treeMetrics,
+    CONTENT_TYPE,
+} = require("./metrics");
+const {
+    ApiKeyStore,
+    AuthError,
+    scopePrefix,
+    createAuthorizer,
+} = require("./auth");
 
 const app = express();
-const PORT = process.env.PORT || 3001;
+
+// Settings from the config file, environment and flags; see config.js
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(error.message);
+    process.exit(1);
+}
+const { settings } = config;
+const REPLICA_OF = settings.replicaOf;
+
+// Options for the default namespace's tree, and the ones other
+// namespaces start from
+const treeOptions = {
+    ...treeOptionsFor(settings),
+    // One block cache serves every namespace
+    blockCache: new BlockCache(settings.blockCacheBytes),
+    replica: Boolean(REPLICA_OF),
+};
 
 // Initialize LSM Tree
-const cache = new LSMTree();
+const cache = new LSMTree(
+    treeOptions.memTableMaxSize,
+    treeOptions.maxSSTables,
+    settings.dataDir,
+    treeOptions
+);
+// A tree that cannot load would serve a part of its data; stop instead
+cache.ready.catch((error) => {
+    console.error("Failed to load from disk:", error);
+    process.exit(1);
+});
+const namespaces = new NamespaceManager(cache, treeOptions);
+if (settings.originDir) {
+    const origin = new FileOrigin(settings.originDir, {
+        latencyMs: settings.originLatencyMs,
+    });
+    cache.registerLoader(
+        settings.originPrefix || "",
+        (key) => origin.load(key),
+        {
+            ttl: settings.originTtl || undefined,
+            staleWhileRevalidate: settings.originStaleMs,
+            writeBehind: settings.originWriteBehind ? origin : null,
+        }
+    );
+}
+const keyStore = new ApiKeyStore(cache.dataDir, {
+    adminToken: settings.adminToken,
+});
+// The data directory exists once the tree is ready
+const keysReady = cache.ready
+    .then(() => keyStore.load())
+    .catch((error) => {
+        console.error("Failed to load API keys:", error);
+    });
+const namespacesReady = cache.ready
+    .then(() => namespaces.load())
+    .catch((error) => {
+        console.error("Failed to load namespaces:", error);
+        process.exit(1);
+    });
+const replica = REPLICA_OF
+    ? new Replica(namespaces, REPLICA_OF, {
+          token: settings.replicaToken,
+      })
+    : null;
+if (replica) {
+    namespacesReady.then(() => replica.start());
+}
+const authorize = createAuthorizer(keyStore);
+// Open SSE responses, ended on shutdown so the server can close
+const eventStreams = new Set();
+// Served in Prometheus format by GET /metrics
+const metrics = new Registry();
+treeMetrics(metrics, namespaces);
+
+// Labels HTTP metrics with the matched route pattern, so keys and
+// namespace names do not become label values
+function routePattern(req) {
+    if (!req.route) return "other";
+    const base = req.params.ns === undefined ? req.baseUrl : "/api/ns/:ns";
+    return `${base}${req.route.path}`;
+}
 
 // Middleware
-app.use(cors());
+app.use(httpMetrics(metrics, routePattern));
+// Any origin by default; clients authenticate with a token, not cookies
+app.use(
+    cors(
+        settings.corsOrigin
+            ? { origin: settings.corsOrigin.split(",") }
+            : undefined
+    )
+);
 app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, "../client/build")));
+app.use(["/api", "/metrics"], (req, res, next) =>
+    Promise.all([keysReady, namespacesReady]).then(() => next())
+);
 
-// API Routes
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const MAX_BATCH_SIZE = 1000;
+
+// Bodies of any type but JSON are values uploaded as they are
+const rawValue = bodyParser.raw({
+    type: (req) => !req.is("application/json"),
+    limit: settings.maxValueBytes,
+});
+
+// Cursors are opaque to clients: the last key returned, base64url-encoded
+function encodeCursor(key) {
+    return Buffer.from(JSON.stringify({ k: key })).toString("base64url");
+}
 
-// GET /api/cache - Get all cache entries
-app.get("/api/cache", (req, res) => {
+function decodeCursor(cursor) {
     try {
-        const entries = cache.getAllEntries();
-        res.json({ success: true, data: entries });
+        const { k } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        if (typeof k === "string") return k;
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        // Fall through to the error below
     }
-});
+    throw new Error("Invalid cursor");
+}
 
-// GET /api/cache/:key - Get specific cache entry
-app.get("/api/cache/:key", (req, res) => {
+// An entry's ETag is its version, i.e. the sequence number of its write
+function etagFor(entry) {
+    return `"${entry.seq}"`;
+}
+
+// The value, TTL and format ({ codec, contentType }) a write request
+// carries. A JSON body holds { value, ttl, codec }, values of binary
+// codecs base64-encoded; any other body is the value itself, stored with
+// the codec for its Content-Type, and the TTL comes from ?ttl=.
+function valueFromRequest(req) {
+    if (Buffer.isBuffer(req.body)) {
+        const contentType =
+            req.get("Content-Type") || "application/octet-stream";
+        const codec = codecForContentType(contentType);
+        const { ttl } = req.query;
+        if (ttl !== undefined && !/^\d+$/.test(ttl)) {
+            const error = new Error("ttl must be a number of milliseconds");
+            error.status = 400;
+            throw error;
+        }
+        return {
+            value: decodeValue(codec, req.body),
+            ttl: ttl === undefined ? undefined : Number(ttl),
+            format: { codec, contentType },
+        };
+    }
+    const { value, ttl, codec } = req.body;
+    if (value === undefined) return { value, ttl };
+    return {
+        value: entryFromJSON({ value, codec }).value,
+        ttl,
+        format: { codec },
+    };
+}
+
+// Answers an entry uploaded with a Content-Type with its bytes as they
+// came, and any other entry (or ?format=json) as JSON
+function sendEntry(req, res, key, entry) {
+    res.set("ETag", etagFor(entry));
+    if (entry.contentType && req.query.format !== "json") {
+        if (entry.expiresAt) {
+            res.set("Expires", new Date(entry.expiresAt).toUTCString());
+        }
+        return res
+            .type(entry.contentType)
+            .send(getValueCodec(entry.codec).encode(entry.value));
+    }
+    res.json({
+        success: true,
+        data: { key, ...entryToJSON(entry), version: entry.seq },
+    });
+}
+
+// Replicas take writes only from their primary
+function writable(req, res, next) {
+    if (!replica) return next();
+    res.status(403).json({
+        success: false,
+        error: `This server is a read-only replica of ${REPLICA_OF}`,
+    });
+}
+
+// Narrows a listing to the prefixes the request's API key may read;
+// sends a 403 and returns undefined if it cannot be
+function scopedPrefix(req, res) {
     try {
-        const { key } = req.params;
-        const entry = cache.get(key);
+        return { prefix: scopePrefix(req.apiKey, req.query.prefix) };
+    } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        res.status(error.status).json({ success: false, error: error.message });
+        return undefined;
+    }
+}
 
-        if (!entry) {
-            return res
-                .status(404)
-                .json({ success: false, error: "Key not found" });
+// Parses an If-Match / If-None-Match header: "*" or a list of ETags
+function parseETags(header) {
+    if (header.trim() === "*") return "*";
+    return header
+        .split(",")
+        .map((tag) => tag.trim().replace(/^W\//, ""))
+        .filter(Boolean);
+}
+
+function matchesETags(entry, tags) {
+    return Boolean(entry) && (tags === "*" || tags.includes(etagFor(entry)));
+}
+
+// API Routes
+
+// Cache routes serve the default namespace under /api and any namespace
+// under /api/ns/:ns; req.cache is the namespace's tree
+const cacheRoutes = express.Router({ mergeParams: true });
+
+function useNamespace(name) {
+    return (req, res, next) => {
+        const namespace = namespaces.get(name || req.params.ns);
+        if (!namespace) {
+            return res.status(404).json({
+                success: false,
+                error: `Namespace "${req.params.ns}" not found`,
+            });
         }
+        req.namespace = namespace;
+        req.cache = namespace.tree;
+        next();
+    };
+}
+
+// GET /api/cache - List cache entries in key order, one page at a time
+// Query: prefix, start (inclusive), end (exclusive), limit, reverse, cursor
+cacheRoutes.get("/cache", authorize("read"), async (req, res) => {
+    try {
+        const scoped = scopedPrefix(req, res);
+        if (!scoped) return;
+        const { prefix } = scoped;
+        const { start, end, cursor } = req.query;
+        const reverse = req.query.reverse === "true";
+        const limit = Math.min(
+            parseInt(req.query.limit) || DEFAULT_PAGE_SIZE,
+            MAX_PAGE_SIZE
+        );
 
-        res.json({ success: true, data: { key, ...entry } });
+        const range = { prefix, start, end, reverse };
+        if (cursor) {
+            let lastKey;
+            try {
+                lastKey = decodeCursor(cursor);
+            } catch (error) {
+                return res
+                    .status(400)
+                    .json({ success: false, error: error.message });
+            }
+            // Resume just past the last key of the previous page
+            if (reverse) {
+                range.end = lastKey;
+            } else {
+                range.start = `${lastKey}\u0000`;
+            }
+        }
+
+        // One extra entry tells whether another page follows
+        const entries = await req.cache.scan({ ...range, limit: limit + 1 });
+        const hasMore = entries.length > limit;
+        const page = entries.slice(0, limit);
+
+        res.json({
+            success: true,
+            data: page.map(entryToJSON),
+            cursor: hasMore ? encodeCursor(page[page.length - 1].key) : null,
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// GET /api/events - Server-Sent Events stream of changes
+// Query: prefix (key events under it only), since (sequence number to
+// resume after; the Last-Event-ID header works too)
+cacheRoutes.get(
+    "/events",
+    authorize("read", { allowQuery: true }),
+    (req, res) => {
+        const scoped = scopedPrefix(req, res);
+        if (!scoped) return;
+        const { prefix } = scoped;
+        const resumeFrom =
+            req.query.since !== undefined
+                ? req.query.since
+                : req.get("Last-Event-ID");
+        const since = resumeFrom === undefined ? undefined : Number(resumeFrom);
+        if (since !== undefined && !Number.isInteger(since)) {
+            return res
+                .status(400)
+                .json({ success: false, error: "since must be an integer" });
+        }
+
+        res.set({
+            "Content-Type": "text/event-stream",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        });
+        res.flushHeaders();
+
+        const unsubscribe = req.namespace.feed.subscribe(
+            { prefix, since },
+            (event) => {
+                res.write(
+                    `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(
+                        entryToJSON(event)
+                    )}\n\n`
+                );
+            }
+        );
+        // Comments keep proxies from closing an idle stream
+        const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+        res.locals.namespace = req.namespace.name;
+        eventStreams.add(res);
+
+        req.on("close", () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            eventStreams.delete(res);
+        });
+    }
+);
+
+// POST /api/cache/batch - Apply puts and deletes atomically
+cacheRoutes.post(
+    "/cache/batch",
+    writable,
+    authorize("write", {
+        keysOf: (req) =>
+            Array.isArray(req.body.ops)
+                ? req.body.ops.map((op) => op && op.key)
+                : [],
+    }),
+    async (req, res) => {
+        try {
+            const { ops } = req.body;
+
+            if (!Array.isArray(ops) || ops.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: "ops must be a non-empty array",
+                });
+            }
+            if (ops.length > MAX_BATCH_SIZE) {
+                return res.status(400).json({
+                    success: false,
+                    error: `A batch may hold at most ${MAX_BATCH_SIZE} operations`,
+                });
+            }
+            const invalid = ops.some(
+                (op) =>
+                    !op ||
+                    typeof op.key !== "string" ||
+                    op.key.length === 0 ||
+                    !["put", "del"].includes(op.op) ||
+                    (op.op === "put" && op.value === undefined)
+            );
+            if (invalid) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Each op needs a string key and op "put" (with a value) or "del"',
+                });
+            }
+
+            // Puts may carry a codec, with binary values base64-encoded
+            await req.cache.batch(
+                ops.map((op) => (op.op === "put" ? entryFromJSON(op) : op))
+            );
+            res.json({
+                success: true,
+                message: `Applied ${ops.length} operations`,
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+);
+
+// POST /api/cache/mget - Get several entries in one request
+cacheRoutes.post(
+    "/cache/mget",
+    authorize("read", {
+        keysOf: (req) => (Array.isArray(req.body.keys) ? req.body.keys : []),
+    }),
+    async (req, res) => {
+        try {
+            const { keys } = req.body;
+
+            if (
+                !Array.isArray(keys) ||
+                keys.some((key) => typeof key !== "string")
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: "keys must be an array of strings",
+                });
+            }
+            if (keys.length > MAX_BATCH_SIZE) {
+                return res.status(400).json({
+                    success: false,
+                    error: `At most ${MAX_BATCH_SIZE} keys per request`,
+                });
+            }
+
+            // Missing keys come back as null, in request order
+            const entries = await req.cache.mget(keys);
+            res.json({
+                success: true,
+                data: entries.map((entry, i) =>
+                    entry ? { key: keys[i], ...entryToJSON(entry) } : null
+                ),
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+);
+
+// GET /api/cache/:key - Get specific cache entry
+const keyParam = { keysOf: (req) => [req.params.key] };
+
+cacheRoutes.get(
+    "/cache/:key",
+    authorize("read", keyParam),
+    async (req, res) => {
+        try {
+            const { key } = req.params;
+            const entry = await req.cache.get(key);
+
+            if (!entry) {
+                return res
+                    .status(404)
+                    .json({ success: false, error: "Key not found" });
+            }
+
+            sendEntry(req, res, key, entry);
+        } catch (error) {
+            // 502 when a loader fails to reach its origin
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+);
+
+// A POST's key comes from the query string when the body is the value
+function keyOfPost(req) {
+    return Buffer.isBuffer(req.body) ? req.query.key : req.body.key;
+}
+
 // POST /api/cache - Create/Update cache entry
-app.post("/api/cache", async (req, res) => {
-    try {
-        const { key, value, ttl } = req.body;
+// A body other than JSON is the value; ?key= and ?ttl= go with it
+cacheRoutes.post(
+    "/cache",
+    writable,
+    rawValue,
+    authorize("write", { keysOf: (req) => [keyOfPost(req)] }),
+    async (req, res) => {
+        try {
+            const key = keyOfPost(req);
+            const { value, ttl, format } = valueFromRequest(req);
+
+            if (typeof key !== "string" || !key || value === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: "A string key and a value are required",
+                });
+            }
 
-        if (!key || value === undefined) {
-            return res.status(400).json({
+            await req.cache.put(key, value, ttl, format);
+            res.json({
+                success: true,
+                message: "Entry created/updated successfully",
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({
                 success: false,
-                error: "Key and value are required",
+                error: error.message,
             });
         }
+    }
+);
 
-        await cache.put(key, value, ttl);
-        res.json({
-            success: true,
-            message: "Entry created/updated successfully",
+// PUT /api/cache/:key - Update specific cache entry
+// Honours If-Match (write only if the current ETag matches, "*" if the key
+// exists) and If-None-Match ("*" to create only if absent); 412 otherwise.
+// A body other than JSON is the value, with ?ttl=.
+cacheRoutes.put(
+    "/cache/:key",
+    writable,
+    rawValue,
+    authorize("write", keyParam),
+    async (req, res) => {
+        try {
+            const { key } = req.params;
+            const { value, ttl, format } = valueFromRequest(req);
+
+            if (value === undefined) {
+                return res.status(400).json({
+                    success: false,
+                    error: "Value is required",
+                });
+            }
+
+            const ifMatch = req.get("If-Match");
+            const ifNoneMatch = req.get("If-None-Match");
+            let entry;
+            if (ifMatch === undefined && ifNoneMatch === undefined) {
+                entry = await req.cache.put(key, value, ttl, format);
+            } else {
+                entry = await req.cache.putIf(
+                    key,
+                    value,
+                    ttl,
+                    (current) =>
+                        (ifMatch === undefined ||
+                            matchesETags(current, parseETags(ifMatch))) &&
+                        (ifNoneMatch === undefined ||
+                            !matchesETags(current, parseETags(ifNoneMatch))),
+                    format
+                );
+                if (!entry) {
+                    return res
+                        .status(412)
+                        .json({ success: false, error: "Precondition failed" });
+                }
+            }
+
+            res.set("ETag", etagFor(entry));
+            res.json({
+                success: true,
+                message: "Entry updated successfully",
+                data: { key, version: entry.seq },
+            });
+        } catch (error) {
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message,
+            });
+        }
+    }
+);
+
+// POST /api/cache/:key/increment - Atomically add `delta` (default 1) to a
+// numeric value; absent keys start from 0
+cacheRoutes.post(
+    "/cache/:key/increment",
+    writable,
+    authorize("write", keyParam),
+    async (req, res) => {
+        try {
+            const { key } = req.params;
+            const { delta = 1, ttl } = req.body;
+
+            if (typeof delta !== "number" || !Number.isFinite(delta)) {
+                return res.status(400).json({
+                    success: false,
+                    error: "delta must be a finite number",
+                });
+            }
+
+            const entry = await req.cache.increment(key, delta, ttl);
+            res.set("ETag", etagFor(entry));
+            res.json({
+                success: true,
+                data: { key, ...entryToJSON(entry), version: entry.seq },
+            });
+        } catch (error) {
+            if (error.code === "NOT_A_NUMBER") {
+                return res
+                    .status(409)
+                    .json({ success: false, error: error.message });
+            }
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+);
+
+// DELETE /api/cache/:key - Delete specific cache entry
+cacheRoutes.delete(
+    "/cache/:key",
+    writable,
+    authorize("write", keyParam),
+    async (req, res) => {
+        try {
+            const { key } = req.params;
+            await req.cache.delete(key);
+            res.json({ success: true, message: "Entry deleted successfully" });
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+);
+
+// GET /api/stats - Get cache statistics
+cacheRoutes.get("/stats", authorize("read"), async (req, res) => {
+    try {
+        const stats = await req.cache.getStats();
+        stats.replication =
+            (replica && replica.getStats(req.namespace.name)) ||
+            req.namespace.replicationLog.getStats();
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// GET /api/replication/stream - Stream WAL records to a replica as
+// newline-delimited JSON, after a snapshot if the replica is new or too far
+// behind (see replication.js). Query: since (last sequence number held)
+cacheRoutes.get("/replication/stream", authorize("admin"), async (req, res) => {
+    const since =
+        req.query.since === undefined ? undefined : Number(req.query.since);
+    if (since !== undefined && !Number.isInteger(since)) {
+        return res
+            .status(400)
+            .json({ success: false, error: "since must be an integer" });
+    }
+
+    res.set({
+        "Content-Type": "application/x-ndjson",
+        "Cache-Control": "no-cache, no-transform",
+    });
+    res.flushHeaders();
+
+    const stream = new ReplicationStream(req.namespace.replicationLog, res, {
+        since,
+        address: req.ip,
+    });
+    res.locals.namespace = req.namespace.name;
+    eventStreams.add(res);
+    req.on("close", () => {
+        stream.close();
+        eventStreams.delete(res);
+    });
+
+    try {
+        await stream.start();
+    } catch (error) {
+        console.error("Replication stream failed:", error);
+        stream.close();
+        res.end();
+    }
+});
+
+// GET /api/admin/config - The server's settings and where each came from,
+// secrets masked, and the runtime settings in effect for the namespace
+cacheRoutes.get("/admin/config", authorize("admin"), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            file: config.file,
+            settings: redact(settings),
+            sources: config.sources,
+            runtime: req.cache.getSettings(),
+        },
+    });
+});
+
+// PATCH /api/admin/config - Change runtime settings of the namespace:
+// { name: value }, null putting a setting back to its startup value.
+// Saved in the namespace's metadata.json; see config.js for the settings
+cacheRoutes.patch("/admin/config", authorize("admin"), async (req, res) => {
+    try {
+        const runtime = await req.cache.configure(req.body);
+        res.json({ success: true, data: { runtime } });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
         });
+    }
+});
+
+// POST /api/admin/compact - Run compaction now
+cacheRoutes.post("/admin/compact", authorize("admin"), async (req, res) => {
+    try {
+        const full = Boolean(req.body && req.body.full);
+        const result = await req.cache.compact({ full });
+        res.json({ success: true, data: result });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// PUT /api/cache/:key - Update specific cache entry
-app.put("/api/cache/:key", async (req, res) => {
+app.use("/api/ns/:ns", useNamespace(), cacheRoutes);
+app.use("/api", useNamespace(DEFAULT_NAMESPACE), cacheRoutes);
+
+// GET /api/namespaces - List namespaces and their settings
+app.get("/api/namespaces", authorize("read"), (req, res) => {
+    res.json({ success: true, data: namespaces.list() });
+});
+
+// POST /api/namespaces - Create a namespace: { name, config }
+// config may set defaultTTL, memTableMaxSize, memTableMaxBytes,
+// maxSSTables, maxEntries, maxBytes, evictionPolicy, compactionStrategy
+// and compaction
+app.post("/api/namespaces", writable, authorize("admin"), async (req, res) => {
     try {
-        const { key } = req.params;
-        const { value, ttl } = req.body;
+        const { name, config } = req.body;
+        const namespace = await namespaces.create(name, config);
+        res.status(201).json({ success: true, data: namespace });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
 
-        if (value === undefined) {
-            return res.status(400).json({
+// DELETE /api/namespaces/:ns - Drop a namespace and delete its data
+app.delete(
+    "/api/namespaces/:ns",
+    writable,
+    authorize("admin"),
+    async (req, res) => {
+        try {
+            await namespaces.drop(req.params.ns);
+            eventStreams.forEach((stream) => {
+                if (stream.locals.namespace === req.params.ns) stream.end();
+            });
+            res.json({ success: true, message: "Namespace dropped" });
+        } catch (error) {
+            res.status(error.status || 500).json({
                 success: false,
-                error: "Value is required",
+                error: error.message,
             });
         }
+    }
+);
 
-        await cache.put(key, value, ttl);
-        res.json({ success: true, message: "Entry updated successfully" });
+// POST /api/admin/backup - Write a point-in-time backup of the namespace
+// to a new directory under backupDir; see backup.js for restoring it
+cacheRoutes.post("/admin/backup", authorize("admin"), async (req, res) => {
+    try {
+        const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+        const dir = path.join(settings.backupDir, `${req.namespace.name}-${stamp}`);
+        const manifest = await req.cache.backup(dir);
+        res.json({
+            success: true,
+            data: {
+                path: dir,
+                seq: manifest.seq,
+                tables: manifest.tables.length,
+                walSegments: manifest.wal.length,
+            },
+        });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// DELETE /api/cache/:key - Delete specific cache entry
-app.delete("/api/cache/:key", async (req, res) => {
+// GET /api/admin/export - Stream every live entry as NDJSON lines of
+// { key, value, expiresAt }, as of one snapshot. Query: prefix
+cacheRoutes.get("/admin/export", authorize("admin"), async (req, res) => {
     try {
-        const { key } = req.params;
-        await cache.delete(key);
-        res.json({ success: true, message: "Entry deleted successfully" });
+        res.set({
+            "Content-Type": "application/x-ndjson",
+            "Content-Disposition": `attachment; filename="${req.namespace.name}.ndjson"`,
+        });
+        await writeNDJSON(
+            res,
+            exportEntries(req.cache, { prefix: req.query.prefix })
+        );
+        res.end();
     } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
+        if (!res.headersSent) {
+            return res
+                .status(500)
+                .json({ success: false, error: error.message });
+        }
+        console.error("Export failed:", error);
+        res.destroy();
     }
 });
 
-// GET /api/stats - Get cache statistics
-app.get("/api/stats", (req, res) => {
+// POST /api/admin/import - Write the NDJSON lines of an export, sent as
+// an application/x-ndjson body, in batches
+cacheRoutes.post(
+    "/admin/import",
+    writable,
+    authorize("admin"),
+    async (req, res) => {
+        try {
+            const counts = await importEntries(req.cache, readNDJSON(req));
+            res.json({ success: true, data: counts });
+        } catch (error) {
+            const status =
+                error.status || (error instanceof SyntaxError ? 400 : 500);
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+);
+
+// GET /api/auth/whoami - The API key the request was made with
+app.get("/api/auth/whoami", authorize("read"), (req, res) => {
+    const { id, name, role, prefixes } = req.apiKey;
+    res.json({ success: true, data: { id, name, role, prefixes } });
+});
+
+// GET /api/admin/keys - List API keys (tokens are never shown again)
+app.get("/api/admin/keys", authorize("admin"), (req, res) => {
+    res.json({ success: true, data: keyStore.list() });
+});
+
+// POST /api/admin/keys - Create an API key: { name, role, prefixes }
+// The response holds the token; it cannot be retrieved later
+app.post("/api/admin/keys", authorize("admin"), async (req, res) => {
     try {
-        const stats = cache.getStats();
-        res.json({ success: true, data: stats });
+        const { name, role, prefixes } = req.body;
+        const created = await keyStore.create({ name, role, prefixes });
+        res.status(201).json({ success: true, data: created });
+    } catch (error) {
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+        });
+    }
+});
+
+// DELETE /api/admin/keys/:id - Revoke an API key
+app.delete("/api/admin/keys/:id", authorize("admin"), async (req, res) => {
+    try {
+        if (!(await keyStore.revoke(req.params.id))) {
+            return res
+                .status(404)
+                .json({ success: false, error: "API key not found" });
+        }
+        res.json({ success: true, message: "API key revoked" });
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
+// GET /metrics - Request, read, flush, compaction and storage metrics of
+// every namespace, in the Prometheus text format
+app.get("/metrics", authorize("read"), (req, res) => {
+    res.set("Content-Type", CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
 // Serve React app for all other routes
 app.get("*", (req, res) => {
     res.sendFile(path.join(__dirname, "../client/build/index.html"));
 });
 
-const server = app.listen(PORT, () => {
-    console.log(`LSM Cache Server running on port ${PORT}`);
-    console.log(`API available at http://localhost:${PORT}/api`);
+const server = app.listen(settings.port, () => {
+    console.log(`LSM Cache Server running on port ${settings.port}`);
+    console.log(`API available at http://localhost:${settings.port}/api`);
     console.log(`Data persisted to: ${cache.dataDir}`);
 });
 
+const respServer = settings.respPort
+    ? new RespServer(cache, {
+          port: settings.respPort,
+          auth: keyStore,
+          readOnly: Boolean(replica),
+      })
+    : null;
+if (respServer) {
+    keysReady
+        .then(() => respServer.start())
+        .then(() =>
+            console.log(
+                `RESP (Redis protocol) server on port ${settings.respPort}`
+            )
+        )
+        .catch((error) => console.error("Failed to start RESP server:", error));
+}
+
 // Graceful shutdown
 process.on("SIGINT", async () => {
     console.log("\nReceived SIGINT. Graceful shutdown...");
+    eventStreams.forEach((res) => res.end());
     server.close(async () => {
-        await cache.shutdown();
+        if (respServer) await respServer.close();
+        if (replica) await replica.stop();
+        await namespaces.shutdown();
         process.exit(0);
     });
 });
 
 process.on("SIGTERM", async () => {
     console.log("\nReceived SIGTERM. Graceful shutdown...");
+    eventStreams.forEach((res) => res.end());
     server.close(async () => {
-        await cache.shutdown();
+        if (respServer) await respServer.close();
+        if (replica) await replica.stop();
+        await namespaces.shutdown();
         process.exit(0);
     });
 });
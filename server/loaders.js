@@ -0,0 +1,266 @@
+const fs = require("fs");
+const path = require("path");
+const { isTombstone } = require("./entry");
+
+// Read-through and write-behind for trees that cache a slower system.
+//
+// A loader is a function `load(key)` registered for a key prefix with
+// LSMTree.registerLoader(). A get() that misses under the prefix calls it,
+// caches what it returns with the loader's TTL and returns that; undefined
+// or null means the origin has no such key. Concurrent misses for one key
+// share a single load.
+//
+// An origin adapter is { load(key), store(key, value), remove(key) }, all
+// async. Given as a loader's `writeBehind`, it receives the tree's puts and
+// deletes under the prefix some time after they are acknowledged. Only the
+// latest write of each key is sent, and failed ones are retried.
+
+class LoadError extends Error {
+    constructor(prefix, cause) {
+        super(`Loader for "${prefix}" failed: ${cause.message}`);
+        this.status = 502;
+        this.cause = cause;
+    }
+}
+
+// Sends writes to an origin in the background, one key at a time
+class WriteBehindQueue {
+    constructor(origin, { delayMs = 100, retryMs = 1000, maxAttempts = 5 } = {}) {
+        this.origin = origin;
+        this.delayMs = delayMs;
+        this.retryMs = retryMs;
+        this.maxAttempts = maxAttempts;
+        // key -> { value } to store, or { removed: true }; re-inserted on
+        // every write, so keys go out in the order of their latest write
+        this.pending = new Map();
+        this.timer = null;
+        this.flushing = null;
+        this.stats = { written: 0, retries: 0, failed: 0 };
+    }
+
+    enqueue(key, write) {
+        this.pending.delete(key);
+        this.pending.set(key, { ...write, attempts: 0 });
+        this.schedule(this.delayMs);
+    }
+
+    schedule(delayMs) {
+        if (this.timer || this.flushing) return;
+        this.timer = setTimeout(() => this.run(), delayMs);
+        this.timer.unref();
+    }
+
+    run() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.flushing) {
+            this.flushing = this.flush().finally(() => {
+                this.flushing = null;
+                if (this.pending.size > 0) this.schedule(this.retryMs);
+            });
+        }
+        return this.flushing;
+    }
+
+    async flush() {
+        const writes = this.pending;
+        this.pending = new Map();
+        for (const [key, write] of writes) {
+            try {
+                if (write.removed) {
+                    await this.origin.remove(key);
+                } else {
+                    await this.origin.store(key, write.value);
+                }
+                this.stats.written++;
+            } catch (error) {
+                write.attempts++;
+                if (write.attempts >= this.maxAttempts) {
+                    this.stats.failed++;
+                    console.error(
+                        `Write-behind of "${key}" failed ${write.attempts} times; dropping it:`,
+                        error.message
+                    );
+                } else if (!this.pending.has(key)) {
+                    // A newer write of the key supersedes this one
+                    this.stats.retries++;
+                    this.pending.set(key, write);
+                }
+            }
+        }
+    }
+
+    // Sends whatever is queued, once; used on shutdown
+    async drain() {
+        if (this.flushing) await this.flushing;
+        if (this.pending.size > 0) await this.run();
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.pending.size > 0) {
+            console.error(
+                `Write-behind stopped with ${this.pending.size} writes not sent`
+            );
+        }
+    }
+
+    getStats() {
+        return { pending: this.pending.size, ...this.stats };
+    }
+}
+
+class LoaderRegistry {
+    constructor() {
+        // Longest prefix first, so the most specific loader wins
+        this.loaders = [];
+        this.inflight = new Map();
+    }
+
+    // Options: ttl (default: the tree's), staleWhileRevalidate (ms an
+    // expired value may still be served while it reloads), writeBehind (an
+    // origin adapter) and writeBehindDelayMs
+    register(prefix, load, options = {}) {
+        if (typeof prefix !== "string") {
+            throw new Error("A loader's prefix must be a string");
+        }
+        if (typeof load !== "function") {
+            throw new Error("A loader must be a function");
+        }
+        if (this.loaders.some((loader) => loader.prefix === prefix)) {
+            throw new Error(`A loader is already registered for "${prefix}"`);
+        }
+
+        const loader = {
+            prefix,
+            load,
+            ttl: options.ttl,
+            staleWhileRevalidate: options.staleWhileRevalidate || 0,
+            writeBehind: options.writeBehind
+                ? new WriteBehindQueue(options.writeBehind, {
+                      delayMs: options.writeBehindDelayMs,
+                  })
+                : null,
+            stats: {
+                loads: 0,
+                notFound: 0,
+                errors: 0,
+                coalesced: 0,
+                staleServed: 0,
+            },
+        };
+        this.loaders.push(loader);
+        this.loaders.sort((a, b) => b.prefix.length - a.prefix.length);
+        return () => {
+            this.loaders = this.loaders.filter((other) => other !== loader);
+        };
+    }
+
+    match(key) {
+        return this.loaders.find((loader) => key.startsWith(loader.prefix));
+    }
+
+    // Loads `key` once however many callers ask meanwhile. `store(value)`
+    // caches a value found and resolves with the entry to return.
+    load(key, loader, store) {
+        let pending = this.inflight.get(key);
+        if (pending) {
+            loader.stats.coalesced++;
+            return pending;
+        }
+
+        pending = (async () => {
+            loader.stats.loads++;
+            let value;
+            try {
+                value = await loader.load(key);
+            } catch (error) {
+                loader.stats.errors++;
+                throw new LoadError(loader.prefix, error);
+            }
+            if (value === undefined || value === null) {
+                loader.stats.notFound++;
+                return null;
+            }
+            return store(value);
+        })().finally(() => this.inflight.delete(key));
+        this.inflight.set(key, pending);
+        return pending;
+    }
+
+    // Queues a record's puts and deletes for the origins of loaders with
+    // write-behind. Evictions only drop the cached copy and stay local.
+    forward(ops) {
+        for (const { key, entry } of ops) {
+            // Evictions and expiries free the cache, not the origin
+            if (entry.evicted || entry.expired) continue;
+            const loader = this.match(key);
+            if (!loader || !loader.writeBehind) continue;
+            loader.writeBehind.enqueue(
+                key,
+                isTombstone(entry) ? { removed: true } : { value: entry.value }
+            );
+        }
+    }
+
+    async drain() {
+        await Promise.all(
+            this.loaders
+                .filter((loader) => loader.writeBehind)
+                .map((loader) => loader.writeBehind.drain())
+        );
+    }
+
+    getStats() {
+        return this.loaders.map((loader) => ({
+            prefix: loader.prefix,
+            ttl: loader.ttl,
+            staleWhileRevalidate: loader.staleWhileRevalidate,
+            ...loader.stats,
+            writeBehind: loader.writeBehind
+                ? loader.writeBehind.getStats()
+                : null,
+        }));
+    }
+}
+
+// An origin adapter keeping each key in a JSON file of its own under
+// `dir`; a stand-in for a real backing store in tests and demos.
+// `latencyMs` delays every call, like a slow remote system.
+class FileOrigin {
+    constructor(dir, { latencyMs = 0 } = {}) {
+        this.dir = dir;
+        this.latencyMs = latencyMs;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    pathFor(key) {
+        return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+    }
+
+    delay() {
+        return new Promise((resolve) => setTimeout(resolve, this.latencyMs));
+    }
+
+    async load(key) {
+        await this.delay();
+        try {
+            return JSON.parse(await fs.promises.readFile(this.pathFor(key)));
+        } catch (error) {
+            if (error.code === "ENOENT") return undefined;
+            throw error;
+        }
+    }
+
+    async store(key, value) {
+        await this.delay();
+        const filePath = this.pathFor(key);
+        await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(value));
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+    }
+
+    async remove(key) {
+        await this.delay();
+        await fs.promises.rm(this.pathFor(key), { force: true });
+    }
+}
+
+module.exports = { LoaderRegistry, WriteBehindQueue, FileOrigin, LoadError };
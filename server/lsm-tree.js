@@ -1,52 +1,179 @@
 const fs = require("fs");
 const path = require("path");
+const { EventEmitter } = require("events");
+const { isDeepStrictEqual } = require("util");
+const { WriteAheadLog } = require("./wal");
+const { Manifest, tableRecord } = require("./manifest");
+const { getCodec } = require("./compression");
+const {
+    SSTable,
+    SSTableBuilder,
+    compareKeys,
+    inRange,
+    DEFAULT_BLOOM_FP_RATE,
+} = require("./sstable");
+const {
+    mergeSorted,
+    groupVersions,
+    visibleVersions,
+} = require("./merge-iterator");
+const { Snapshot, SnapshotList, seqOf } = require("./snapshot");
+const { createCompactionStrategy, overlapping } = require("./compaction");
+const { createEvictionPolicy } = require("./eviction");
+const { writeBackup } = require("./backup");
+const { valueByteLength } = require("./value-codecs");
+const { LoaderRegistry } = require("./loaders");
+const { BlockCache } = require("./block-cache");
+const { validateRuntimeSettings } = require("./config");
+const {
+    createPut,
+    createTombstone,
+    isLive,
+    isTombstone,
+    isExpired,
+    expiredToTombstone,
+} = require("./entry");
 
+// Smallest string greater than every string starting with `prefix`, or
+// undefined if there is none
+function prefixEnd(prefix) {
+    let end = prefix;
+    while (end.length > 0) {
+        const last = end.charCodeAt(end.length - 1);
+        if (last < 0xffff) {
+            return end.slice(0, -1) + String.fromCharCode(last + 1);
+        }
+        end = end.slice(0, -1);
+    }
+    return undefined;
+}
+
+// The size-tiered threshold maxSSTables implies: at most 4, and never
+// below the two tables a merge needs
+function tierThreshold(maxSSTables) {
+    return Math.max(Math.min(maxSSTables, 4), 2);
+}
+
+// What a live entry counts against the byte capacity: its key and value
+function entryBytes(key, entry) {
+    return Buffer.byteLength(key) + valueByteLength(entry);
+}
+
+// Rough memory a stored version takes besides its key and value bytes:
+// the entry object, its fields and the version array slot
+const VERSION_OVERHEAD = 96;
+
+// Holds each key's versions newest first. Older versions are kept only
+// while a live snapshot can still see them. It is full once it holds
+// `maxSize` keys or about `maxBytes` bytes, whichever comes first.
 class MemTable {
-    constructor(maxSize = 1000) {
+    constructor(
+        maxSize = 1000,
+        snapshots = new SnapshotList(),
+        maxBytes = Infinity
+    ) {
         this.data = new Map();
         this.maxSize = maxSize;
+        this.maxBytes = maxBytes;
+        this.snapshots = snapshots;
+        // Approximate memory held by every stored version
+        this.bytes = 0;
+        this.versionBytes = new WeakMap();
     }
 
     put(key, value, ttl) {
-        const expiresAt = ttl ? Date.now() + ttl : null;
-        this.data.set(key, { value, expiresAt, timestamp: Date.now() });
-        return this.data.size >= this.maxSize;
+        return this.set(key, createPut(value, ttl));
     }
 
-    get(key) {
-        const entry = this.data.get(key);
-        if (!entry) return null;
+    // Returns whether the MemTable is now full
+    set(key, entry) {
+        const versions = this.data.get(key) || [];
+        this.replace(key, this.snapshots.retain([entry, ...versions]));
+        return this.isFull();
+    }
 
-        if (entry.expiresAt && Date.now() > entry.expiresAt) {
-            this.data.delete(key);
-            return null;
+    isFull() {
+        return this.data.size >= this.maxSize || this.bytes >= this.maxBytes;
+    }
+
+    // Swaps in a new list of versions for `key`, keeping the byte count
+    replace(key, versions) {
+        const old = this.data.get(key);
+        if (old) this.bytes -= this.sizeOf(key, old);
+        this.data.set(key, versions);
+        this.bytes += this.sizeOf(key, versions);
+    }
+
+    sizeOf(key, versions) {
+        let bytes = 0;
+        for (const entry of versions) {
+            let size = this.versionBytes.get(entry);
+            if (size === undefined) {
+                size =
+                    VERSION_OVERHEAD +
+                    (isTombstone(entry)
+                        ? Buffer.byteLength(key)
+                        : entryBytes(key, entry));
+                this.versionBytes.set(entry, size);
+            }
+            bytes += size;
         }
+        return bytes;
+    }
 
-        return entry;
+    // Returns the newest version of `key` at or below sequence number `seq`,
+    // tombstone or expired included. Such versions stay in place: dropping
+    // one would uncover older values.
+    find(key, seq = Infinity) {
+        const versions = this.data.get(key);
+        if (!versions) return null;
+        return versions.find((version) => seqOf(version) <= seq) || null;
+    }
+
+    get(key) {
+        const entry = this.find(key);
+        return entry && isLive(entry) ? entry : null;
     }
 
     delete(key) {
+        const versions = this.data.get(key);
+        if (!versions) return false;
+        this.bytes -= this.sizeOf(key, versions);
         return this.data.delete(key);
     }
 
     getAllEntries() {
         const entries = [];
-        for (const [key, entry] of this.data.entries()) {
-            if (!entry.expiresAt || Date.now() <= entry.expiresAt) {
+        for (const [key, [entry]] of this.data.entries()) {
+            if (isLive(entry)) {
                 entries.push({ key, ...entry });
-            } else {
-                this.data.delete(key);
             }
         }
         return entries;
     }
 
+    // Every [key, entry] version in key order (or reverse), newest version
+    // of each key first, tombstones included, for merging. `start` is
+    // inclusive and `end` exclusive.
+    sortedEntries({ start, end, reverse = false } = {}) {
+        const keys = Array.from(this.data.keys())
+            .filter((key) => inRange(key, start, end))
+            .sort(compareKeys);
+        if (reverse) keys.reverse();
+        return keys.flatMap((key) =>
+            this.snapshots
+                .retain(this.data.get(key))
+                .map((entry) => [key, entry])
+        );
+    }
+
     size() {
         return this.data.size;
     }
 
     clear() {
         this.data.clear();
+        this.bytes = 0;
     }
 
     toJSON() {
@@ -54,166 +181,657 @@ class MemTable {
     }
 
     fromJSON(data) {
-        this.data = new Map(data);
+        this.clear();
+        for (const [key, versions] of data) this.replace(key, versions);
     }
 }
 
-class SSTable {
-    constructor(data, filePath = null) {
-        this.data = new Map(data);
-        this.createdAt = Date.now();
-        this.filePath = filePath;
-        this.id = Date.now() + Math.random().toString(36).substr(2, 9);
+// Emits put, delete, evict, expire, flush and compaction events; see
+// change-feed.js for their shape. Every durable WAL record is also emitted
+// whole as a "record" event, and a restored snapshot as "restore"; see
+// replication.js.
+class LSMTree extends EventEmitter {
+    constructor(
+        memTableMaxSize = 1000,
+        maxSSTables = 10,
+        dataDir = "./data",
+        options = {}
+    ) {
+        super();
+        this.memTableMaxSize = memTableMaxSize;
+        // A MemTable is flushed at this many bytes even if it holds fewer
+        // than memTableMaxSize keys; 4 MB unless configured
+        this.memTableMaxBytes = options.memTableMaxBytes || 4 * 1024 * 1024;
+        // Sequence number of the latest write, and those pinned by snapshots
+        this.lastSequence = 0;
+        // Records queued on the WAL and not yet durable, in sequence order,
+        // each with the MemTable it goes into once it is; and for each key
+        // written by one, the latest such record's append
+        this.pendingRecords = new Map();
+        this.pendingKeys = new Map();
+        this.snapshots = new SnapshotList();
+        this.memTable = this.newMemTable();
+        // MemTable being written out by an in-progress flush, still readable
+        this.immutableMemTable = null;
+        this.ssTables = [];
+        this.maxSSTables = maxSSTables;
+        // Decoded SSTable blocks; the server shares one cache among its
+        // namespaces, a tree on its own gets a 32 MB one
+        this.blockCache =
+            options.blockCache || new BlockCache(options.blockCacheBytes);
+        // Passed to every SSTable this tree builds or loads
+        // SSTable files in the data directory, counted once at startup and
+        // then as tables are written and deleted
+        this.tableFiles = { files: 0 };
+        this.tableOptions = {
+            blockCache: this.blockCache,
+            fileCount: this.tableFiles,
+            blockSize: options.blockSize,
+            bloomFalsePositiveRate: options.bloomFalsePositiveRate,
+            // New tables only; each table records its own codec
+            compression: getCodec(options.compression).name,
+            readOnly: Boolean(options.readOnly),
+        };
+        this.bloomStats = { checks: 0, negatives: 0, falsePositives: 0 };
+        // Where get() found live entries, counted as reads happen
+        this.readStats = { memTableHits: 0, ssTableHits: 0, misses: 0 };
+        this.flushStats = {
+            completed: 0,
+            entries: 0,
+            bytesWritten: 0,
+            durationMs: 0,
+        };
+        // maxSSTables is the number of flushed tables that triggers a merge
+        this.compactionStrategy = createCompactionStrategy(
+            options.compactionStrategy,
+            {
+                level0Trigger: maxSSTables,
+                minThreshold: tierThreshold(maxSSTables),
+                ...options.compaction,
+            }
+        );
+        this.compactionQueue = Promise.resolve();
+        this.compactionScheduled = false;
+        this.compactionRunning = false;
+        this.closing = false;
+        this.compactionStats = {
+            completed: 0,
+            tablesRead: 0,
+            tablesWritten: 0,
+            bytesRead: 0,
+            bytesWritten: 0,
+            tombstonesDropped: 0,
+            versionsDropped: 0,
+            durationMs: 0,
+        };
+        // The sweeper expires MemTable entries and SSTables in the
+        // background; 0 turns it off
+        this.expiration = {
+            sweepIntervalMs:
+                options.ttlSweepIntervalMs === undefined
+                    ? 30000
+                    : options.ttlSweepIntervalMs,
+            rewriteThreshold: options.expiredRewriteThreshold || 0.5,
+        };
+        this.expirationStats = {
+            sweeps: 0,
+            memTableExpired: 0,
+            tablesDropped: 0,
+            tablesRewritten: 0,
+            lastSweepAt: null,
+        };
+        this.sweepTimer = null;
+        // A replica takes writes only from its primary, through
+        // applyReplicated(); the primary's evictions arrive as tombstones
+        this.replica = Boolean(options.replica);
+        // Offline tools open a data directory read-only: loading it changes
+        // nothing on disk, nothing runs in the background, and writes are
+        // refused
+        this.readOnly = Boolean(options.readOnly);
+        this.writable = !this.replica && !this.readOnly;
+        // Capacity limits by live key count and/or bytes; null means none.
+        // With a limit set, every live key is tracked in `keyIndex`.
+        this.capacity = {
+            maxEntries: (this.writable && options.maxEntries) || null,
+            maxBytes: (this.writable && options.maxBytes) || null,
+        };
+        this.evictionPolicy = createEvictionPolicy(options.evictionPolicy);
+        this.keyIndex = null;
+        this.liveBytes = 0;
+        // Keys in the index that have a TTL
+        this.expiringKeys = 0;
+        this.evictionStats = { evictions: 0, bytesEvicted: 0 };
+        // Read-through loaders and write-behind origins by key prefix; see
+        // loaders.js
+        this.loaders = new LoaderRegistry();
+        // 1 minute unless configured
+        this.defaultTTL = options.defaultTTL || 60000;
+        // The runtime-tunable settings (see config.js) as the tree started
+        // with them, and the changes configure() made over them since,
+        // which metadata.json keeps across restarts
+        this.startupSettings = this.currentSettings();
+        this.settingOverrides = {};
+        // Where progress messages go; lsm-cli sends them to stderr
+        this.log = options.log || console.log;
+        this.dataDir = dataDir;
+        this.legacyWalPath = path.join(dataDir, "wal.json");
+        this.metadataPath = path.join(dataDir, "metadata.json");
+        this.wal = new WriteAheadLog(dataDir, {
+            fsync: options.walFsync,
+            batchIntervalMs: options.walBatchIntervalMs,
+            compression: options.walCompression,
+            readOnly: this.readOnly,
+            log: this.log,
+        });
+        this.flushQueue = Promise.resolve();
+        // The SSTables that make up the tree; see manifest.js
+        this.manifest = new Manifest(dataDir, { readOnly: this.readOnly });
+        this.orphansRemoved = 0;
+
+        if (!this.readOnly) this.ensureDataDir();
+        this.ready = this.loadFromDisk();
+        // A tree that failed to load rejects whoever awaits it; nothing
+        // else should treat the failure as unhandled
+        this.ready.catch(() => {});
     }
 
-    get(key) {
-        const entry = this.data.get(key);
-        if (!entry) return null;
+    newMemTable() {
+        return new MemTable(
+            this.memTableMaxSize,
+            this.snapshots,
+            this.memTableMaxBytes
+        );
+    }
 
-        if (entry.expiresAt && Date.now() > entry.expiresAt) {
-            return null;
+    ensureDataDir() {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
         }
-
-        return entry;
     }
 
-    getAllEntries() {
-        const entries = [];
-        for (const [key, entry] of this.data.entries()) {
-            if (!entry.expiresAt || Date.now() <= entry.expiresAt) {
-                entries.push({ key, ...entry });
+    // Anything that stops the load rejects `ready`: serving a part of the
+    // data would hide the rest, and let compactions drop it
+    async loadFromDisk() {
+        // Load metadata
+        if (fs.existsSync(this.metadataPath)) {
+            const metadata = JSON.parse(
+                await fs.promises.readFile(this.metadataPath, "utf8")
+            );
+            this.lastSequence = metadata.lastSequence || 0;
+            this.settingOverrides = metadata.settings || {};
+            // Metadata from before runtime settings kept the default TTL
+            // on its own, and it took precedence over the startup one
+            if (!metadata.settings && metadata.defaultTTL) {
+                this.settingOverrides = { defaultTTL: metadata.defaultTTL };
             }
+            this.applySettings();
         }
-        return entries;
-    }
 
-    size() {
-        return this.data.size;
+        // Load SSTables (index and metadata only)
+        const version = this.manifest.exists()
+            ? await this.loadManifestTables()
+            : await this.discoverTables();
+
+        // Sort SSTables by creation time
+        this.ssTables.sort((a, b) => a.createdAt - b.createdAt);
+        this.lastSequence = Math.max(this.lastSequence, version.lastSequence);
+        for (const ssTable of this.ssTables) {
+            this.lastSequence = Math.max(
+                this.lastSequence,
+                ssTable.meta.maxSeq || 0
+            );
+        }
+
+        // Replay WAL (Write-Ahead Log) segments to restore MemTable. This
+        // comes after the tables so that records from before sequence
+        // numbers are numbered above everything already stored.
+        const records = await this.wal.open(version.logNumber);
+        for (const record of records) {
+            this.applyRecord(record);
+        }
+
+        await this.migrateLegacyWAL();
+        const files = await fs.promises.readdir(this.dataDir);
+        this.tableFiles.files = files.filter(
+            (file) => file.startsWith("sstable_") && file.endsWith(".sst")
+        ).length;
+
+        this.log(
+            `Loaded ${
+                this.ssTables.length
+            } SSTables and ${this.memTable.size()} MemTable entries from disk`
+        );
+
+        await this.buildKeyIndex();
+
+        if (this.readOnly) return;
+        this.scheduleCompaction();
+        this.startExpirySweeper();
     }
 
-    async saveToDisk(dataDir) {
-        if (!this.filePath) {
-            this.filePath = path.join(dataDir, `sstable_${this.id}.json`);
+    // Opens the tables the MANIFEST lists. Any other table file is left
+    // over from a flush or compaction that never committed, and goes.
+    async loadManifestTables() {
+        const version = await this.manifest.load();
+        for (const [file, level] of version.tables) {
+            const ssTable = await SSTable.loadFromDisk(
+                path.join(this.dataDir, file),
+                this.tableOptions
+            );
+            if (!ssTable) {
+                console.error(`MANIFEST lists SSTable ${file}, which is lost`);
+                continue;
+            }
+            ssTable.meta.level = level;
+            this.ssTables.push(ssTable);
+        }
+        if (this.readOnly) return version;
+
+        const files = await fs.promises.readdir(this.dataDir);
+        for (const file of files) {
+            const orphan =
+                (file.startsWith("sstable_") &&
+                    (file.endsWith(".tmp") || !this.manifest.isLive(file))) ||
+                file === "MANIFEST.tmp";
+            if (!orphan) continue;
+            console.warn(`Removing ${file}, which the MANIFEST does not list`);
+            await fs.promises.rm(path.join(this.dataDir, file), {
+                force: true,
+            });
+            this.orphansRemoved++;
         }
+        return version;
+    }
 
-        const data = {
-            id: this.id,
-            createdAt: this.createdAt,
-            entries: Array.from(this.data.entries()),
-        };
+    // Data directories from before the MANIFEST: every table file found is
+    // live. Writes the first MANIFEST from them.
+    async discoverTables() {
+        const files = await fs.promises.readdir(this.dataDir);
+        const sstableFiles = files.filter(
+            (file) => file.startsWith("sstable_") && file.endsWith(".sst")
+        );
 
-        await fs.promises.writeFile(
-            this.filePath,
-            JSON.stringify(data, null, 2)
+        for (const file of sstableFiles) {
+            const filePath = path.join(this.dataDir, file);
+            const ssTable = await SSTable.loadFromDisk(
+                filePath,
+                this.tableOptions
+            );
+            if (ssTable) {
+                this.ssTables.push(ssTable);
+            }
+        }
+
+        // Convert tables written in the old single-JSON format
+        const legacyFiles = files.filter(
+            (file) => file.startsWith("sstable_") && file.endsWith(".json")
         );
-        return this.filePath;
+        for (const file of legacyFiles) {
+            if (this.readOnly) {
+                console.warn(`Skipping SSTable ${file}, not yet migrated`);
+                continue;
+            }
+            try {
+                const ssTable = await SSTable.migrateLegacy(
+                    path.join(this.dataDir, file),
+                    this.dataDir,
+                    this.tableOptions
+                );
+                if (ssTable) {
+                    this.ssTables.push(ssTable);
+                }
+            } catch (error) {
+                console.error(`Failed to migrate SSTable ${file}:`, error);
+            }
+        }
+
+        return this.manifest.create({
+            add: this.ssTables.map(tableRecord),
+            logNumber: 0,
+            lastSequence: this.lastSequence,
+        });
     }
 
-    static async loadFromDisk(filePath) {
+    // New writes arrive without a sequence number and take the next one;
+    // replayed ones keep theirs
+    numberRecord(record) {
+        for (const op of record.ops) {
+            if (op.entry.seq === undefined) {
+                op.entry.seq = ++this.lastSequence;
+            } else {
+                this.lastSequence = Math.max(this.lastSequence, op.entry.seq);
+            }
+        }
+    }
+
+    applyRecord(record, memTable = this.memTable) {
+        this.numberRecord(record);
+        let shouldFlush = false;
+        for (const op of record.ops) {
+            shouldFlush = memTable.set(op.key, op.entry) || shouldFlush;
+            if (this.keyIndex) this.trackKey(op.key, op.entry);
+        }
+        return memTable === this.memTable && shouldFlush;
+    }
+
+    // Numbers a record's writes and queues it on the WAL in the same tick,
+    // so the log holds writes in sequence order, then applies it once it is
+    // durable: readers never see a write that a crash could lose, and a
+    // failed append leaves nothing behind. The record goes into the
+    // MemTable current when it was queued, as its WAL segment belongs to
+    // that MemTable; a flush of it waits for the record.
+    async appendAndApply(record) {
+        this.numberRecord(record);
+        const memTable = this.memTable;
+        const written = this.wal.append(record);
+        this.pendingRecords.set(record, { memTable, written });
+        for (const { key } of record.ops) this.pendingKeys.set(key, written);
         try {
-            const content = await fs.promises.readFile(filePath, "utf8");
-            const data = JSON.parse(content);
-            const ssTable = new SSTable(data.entries, filePath);
-            ssTable.id = data.id;
-            ssTable.createdAt = data.createdAt;
-            return ssTable;
-        } catch (error) {
-            console.error(`Failed to load SSTable from ${filePath}:`, error);
-            return null;
+            await written;
+        } finally {
+            this.pendingRecords.delete(record);
+            for (const { key } of record.ops) {
+                if (this.pendingKeys.get(key) === written) {
+                    this.pendingKeys.delete(key);
+                }
+            }
         }
+        const shouldFlush = this.applyRecord(record, memTable);
+        this.emitRecord(record);
+        return shouldFlush;
+    }
+
+    // Settles once every record queued for `memTable` (or any MemTable) so
+    // far is applied or has failed
+    async pendingWritesTo(memTable = null) {
+        const writes = Array.from(this.pendingRecords.values())
+            .filter((pending) => !memTable || pending.memTable === memTable)
+            .map((pending) => pending.written);
+        await Promise.allSettled(writes);
     }
 
-    async deleteFromDisk() {
-        if (this.filePath && fs.existsSync(this.filePath)) {
-            await fs.promises.unlink(this.filePath);
+    // The newest sequence number below every write not yet applied
+    visibleSequence() {
+        for (const record of this.pendingRecords.keys()) {
+            return record.ops[0].entry.seq - 1;
         }
+        return this.lastSequence;
     }
-}
 
-class LSMTree {
-    constructor(memTableMaxSize = 1000, maxSSTables = 10, dataDir = "./data") {
-        this.memTable = new MemTable(memTableMaxSize);
-        this.ssTables = [];
-        this.maxSSTables = maxSSTables;
-        this.defaultTTL = 60000; // 1 minute in milliseconds
-        this.dataDir = dataDir;
-        this.walPath = path.join(dataDir, "wal.json");
-        this.metadataPath = path.join(dataDir, "metadata.json");
+    // Logs a record's writes and applies them; see appendAndApply().
+    // Evictions needed to make room ride along in the same record.
+    // `writeBehind` false keeps the writes from being sent to an origin,
+    // for values that just came from one.
+    async logAndApply(record, { writeBehind = true } = {}) {
+        if (!this.writable) {
+            const error = new Error(
+                this.replica
+                    ? "This tree is a read-only replica"
+                    : "This tree was opened read-only"
+            );
+            error.code = "READ_ONLY";
+            throw error;
+        }
+        // A key that is not a string would be logged and only then fail,
+        // leaving a record the WAL cannot replay
+        for (const { key } of record.ops) {
+            if (typeof key !== "string" || key.length === 0) {
+                const error = new Error("A key must be a non-empty string");
+                error.code = "INVALID_KEY";
+                throw error;
+            }
+        }
+        if (this.keyIndex) {
+            const evictions = this.evictionsFor(record.ops);
+            if (evictions.length > 0) {
+                record = { ops: [...record.ops, ...evictions] };
+            }
+        }
+        const shouldFlush = await this.appendAndApply(record);
+        if (writeBehind) this.loaders.forward(record.ops);
+        return shouldFlush;
+    }
 
-        this.ensureDataDir();
-        this.loadFromDisk();
+    // Announces a record's writes once they are durable
+    emitRecord(record) {
+        for (const { key, entry } of record.ops) {
+            const type = !isTombstone(entry)
+                ? "put"
+                : entry.evicted
+                  ? "evict"
+                  : entry.expired
+                    ? "expire"
+                    : "delete";
+            if (this.listenerCount(type) === 0) continue;
+            const event = {
+                type,
+                key,
+                seq: entry.seq,
+                timestamp: entry.timestamp,
+            };
+            if (type === "put") {
+                event.value = entry.value;
+                event.codec = entry.codec;
+                if (entry.contentType) event.contentType = entry.contentType;
+                event.expiresAt = entry.expiresAt;
+            }
+            this.emit(type, event);
+        }
+        this.emit("record", record);
     }
 
-    ensureDataDir() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
+    // Applies a record shipped from the primary, keeping its sequence
+    // numbers, and logs it like a local write
+    async applyReplicated(record) {
+        await this.ready;
+        const shouldFlush = await this.appendAndApply(record);
+        if (shouldFlush) {
+            await this.flush(false);
         }
     }
 
-    async loadFromDisk() {
+    // Writes a consistent backup into the new directory `dir` (see
+    // backup.js) and resolves with its manifest. Flushes and compactions
+    // wait meanwhile, so no file goes away mid-copy; writes carry on.
+    backup(dir) {
+        const run = this.compactionQueue.then(() => {
+            const locked = this.flushQueue.then(async () => {
+                await this.ready;
+                // Every write numbered so far sits in a segment before the
+                // new one, or in a table
+                const seq = this.lastSequence;
+                const activeSegment = await this.wal.rotate();
+                return writeBackup(dir, {
+                    seq,
+                    settings: this.settingOverrides,
+                    tables: this.ssTables,
+                    walPaths: this.wal.segmentIds
+                        .filter((id) => id < activeSegment)
+                        .map((id) => this.wal.segmentPath(id)),
+                });
+            });
+            this.flushQueue = locked.catch(() => {});
+            return locked;
+        });
+        this.compactionQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Replaces everything the tree holds with `entries`, a key-ordered
+    // stream of [key, entry] pairs as of sequence number `seq`, written
+    // straight into a single SSTable. Replicas bootstrap this way.
+    async restoreSnapshot(seq, entries) {
+        await this.ready;
+        const builder = new SSTableBuilder(this.dataDir, this.tableOptions);
+        let ssTable = null;
         try {
-            // Load metadata
-            if (fs.existsSync(this.metadataPath)) {
-                const metadata = JSON.parse(
-                    await fs.promises.readFile(this.metadataPath, "utf8")
-                );
-                this.defaultTTL = metadata.defaultTTL || this.defaultTTL;
+            for await (const [key, entry] of entries) {
+                await builder.add(key, entry);
             }
+            if (builder.count > 0) ssTable = await builder.finish();
+        } catch (error) {
+            await builder.abort();
+            throw error;
+        }
+        if (!ssTable) await builder.abort();
 
-            // Load WAL (Write-Ahead Log) to restore MemTable
-            if (fs.existsSync(this.walPath)) {
-                const walData = JSON.parse(
-                    await fs.promises.readFile(this.walPath, "utf8")
-                );
-                this.memTable.fromJSON(walData.memTable || []);
+        // Swap on the compaction queue, after any flush, so neither sees
+        // the tables change underneath it
+        const run = this.compactionQueue.then(async () => {
+            await this.flushQueue;
+            const replaced = this.ssTables;
+            this.ssTables = ssTable ? [ssTable] : [];
+            this.memTable = this.newMemTable();
+            this.lastSequence = seq;
+            // Older segments would replay writes the snapshot supersedes
+            const activeSegment = await this.wal.rotate();
+            await this.manifest.apply({
+                add: this.ssTables,
+                remove: replaced,
+                logNumber: activeSegment,
+                lastSequence: seq,
+            });
+            await this.wal.removeSegmentsBefore(activeSegment);
+            for (const old of replaced) {
+                await old.deleteFromDisk();
             }
+            await this.saveMetadata();
+            this.emit("restore", {
+                type: "restore",
+                seq,
+                timestamp: Date.now(),
+            });
+        });
+        this.compactionQueue = run.catch(() => {});
+        return run;
+    }
 
-            // Load SSTables
-            const files = await fs.promises.readdir(this.dataDir);
-            const sstableFiles = files.filter(
-                (file) => file.startsWith("sstable_") && file.endsWith(".json")
-            );
+    // Loads every live key into the eviction policy, oldest write first
+    async buildKeyIndex() {
+        const { maxEntries, maxBytes } = this.capacity;
+        if (!maxEntries && !maxBytes) return;
 
-            for (const file of sstableFiles) {
-                const filePath = path.join(this.dataDir, file);
-                const ssTable = await SSTable.loadFromDisk(filePath);
-                if (ssTable) {
-                    this.ssTables.push(ssTable);
-                }
-            }
+        const entries = [];
+        for await (const [key, entry] of this.liveEntries()) {
+            entries.push([key, entry]);
+        }
+        entries.sort((a, b) => (a[1].seq || 0) - (b[1].seq || 0));
 
-            // Sort SSTables by creation time
-            this.ssTables.sort((a, b) => a.createdAt - b.createdAt);
+        this.keyIndex = new Map();
+        this.liveBytes = 0;
+        this.expiringKeys = 0;
+        for (const [key, entry] of entries) {
+            this.trackKey(key, entry);
+        }
 
-            console.log(
-                `Loaded ${
-                    this.ssTables.length
-                } SSTables and ${this.memTable.size()} MemTable entries from disk`
-            );
-        } catch (error) {
-            console.error("Failed to load from disk:", error);
+        // Limits may have shrunk since the data was written
+        const evictions = this.evictionsFor([]);
+        if (evictions.length > 0) {
+            await this.logAndApply({ ops: evictions });
         }
     }
 
-    async saveWAL() {
-        try {
-            const walData = {
-                timestamp: Date.now(),
-                memTable: this.memTable.toJSON(),
-            };
-            await fs.promises.writeFile(
-                this.walPath,
-                JSON.stringify(walData, null, 2)
-            );
-        } catch (error) {
-            console.error("Failed to save WAL:", error);
+    trackKey(key, entry) {
+        this.untrackKey(key);
+        if (!isLive(entry)) return;
+
+        const meta = {
+            bytes: entryBytes(key, entry),
+            expiresAt: entry.expiresAt,
+        };
+        this.keyIndex.set(key, meta);
+        this.liveBytes += meta.bytes;
+        if (meta.expiresAt) this.expiringKeys++;
+        this.evictionPolicy.record(key, meta);
+    }
+
+    untrackKey(key) {
+        const meta = this.keyIndex.get(key);
+        if (!meta) return;
+        this.keyIndex.delete(key);
+        this.liveBytes -= meta.bytes;
+        if (meta.expiresAt) this.expiringKeys--;
+        this.evictionPolicy.remove(key);
+    }
+
+    // Tombstones for the keys to evict so that the index, once `ops` are
+    // applied, fits the capacity. Keys written by `ops` are never chosen.
+    evictionsFor(ops) {
+        const { maxEntries, maxBytes } = this.capacity;
+        let entries = this.keyIndex.size;
+        let bytes = this.liveBytes;
+
+        const written = new Map(ops.map((op) => [op.key, op.entry]));
+        for (const [key, entry] of written) {
+            const old = this.keyIndex.get(key);
+            if (old) {
+                entries--;
+                bytes -= old.bytes;
+            }
+            if (!isTombstone(entry)) {
+                entries++;
+                bytes += entryBytes(key, entry);
+            }
+        }
+
+        const now = Date.now();
+        const evictions = [];
+        const skipped = [];
+        while (
+            (maxEntries && entries > maxEntries) ||
+            (maxBytes && bytes > maxBytes)
+        ) {
+            const key = this.evictionPolicy.pop();
+            if (key === undefined) break;
+            if (written.has(key)) {
+                skipped.push(key);
+                continue;
+            }
+            const meta = this.keyIndex.get(key);
+            entries--;
+            bytes -= meta.bytes;
+            this.evictionStats.evictions++;
+            this.evictionStats.bytesEvicted += meta.bytes;
+            evictions.push({
+                key,
+                entry: { ...createTombstone(now), evicted: true },
+            });
         }
+        // Keys being written go back; applying the write re-records them
+        for (const key of skipped) {
+            this.evictionPolicy.record(key, this.keyIndex.get(key));
+        }
+        return evictions;
+    }
+
+    // Older versions kept the whole MemTable in a single wal.json file
+    async migrateLegacyWAL() {
+        if (!fs.existsSync(this.legacyWalPath)) return;
+
+        const walData = JSON.parse(
+            await fs.promises.readFile(this.legacyWalPath, "utf8")
+        );
+        const ops = (walData.memTable || []).map(([key, entry]) => ({
+            key,
+            entry,
+        }));
+        if (this.readOnly) {
+            this.applyRecord({ ops });
+            return;
+        }
+        if (ops.length > 0) {
+            await this.logAndApply({ ops });
+        }
+        await fs.promises.unlink(this.legacyWalPath);
+        this.log(`Migrated ${ops.length} entries from legacy wal.json`);
     }
 
     async saveMetadata() {
+        if (this.readOnly) return;
         try {
             const metadata = {
-                defaultTTL: this.defaultTTL,
+                lastSequence: this.lastSequence,
+                settings: this.settingOverrides,
                 lastUpdated: Date.now(),
             };
             await fs.promises.writeFile(
@@ -225,134 +843,1138 @@ class LSMTree {
         }
     }
 
-    async put(key, value, ttl = this.defaultTTL) {
-        const shouldFlush = this.memTable.put(key, value, ttl);
+    // The runtime-tunable settings in effect
+    currentSettings() {
+        const compaction = this.compactionStrategy.describe
+            ? this.compactionStrategy.describe()
+            : {};
+        delete compaction.name;
+        return {
+            defaultTTL: this.defaultTTL,
+            memTableMaxSize: this.memTableMaxSize,
+            memTableMaxBytes: this.memTableMaxBytes,
+            maxSSTables: this.maxSSTables,
+            compaction,
+            ttlSweepIntervalMs: this.expiration.sweepIntervalMs,
+            expiredRewriteThreshold: this.expiration.rewriteThreshold,
+        };
+    }
+
+    getSettings() {
+        return {
+            values: this.currentSettings(),
+            overrides: { ...this.settingOverrides },
+        };
+    }
+
+    // Puts the startup settings, with the runtime changes over them, into
+    // effect
+    applySettings() {
+        const startup = this.startupSettings;
+        const settings = { ...startup, ...this.settingOverrides };
+        this.defaultTTL = settings.defaultTTL;
+        this.memTableMaxSize = settings.memTableMaxSize;
+        this.memTableMaxBytes = settings.memTableMaxBytes;
+        this.memTable.maxSize = settings.memTableMaxSize;
+        this.memTable.maxBytes = settings.memTableMaxBytes;
+        this.maxSSTables = settings.maxSSTables;
+        // As in the constructor, maxSSTables sets the strategy's trigger
+        // unless the compaction options set one themselves
+        const compaction = { ...startup.compaction };
+        if ("maxSSTables" in this.settingOverrides) {
+            compaction.level0Trigger = settings.maxSSTables;
+            compaction.minThreshold = tierThreshold(settings.maxSSTables);
+        }
+        Object.assign(compaction, this.settingOverrides.compaction);
+        for (const [name, value] of Object.entries(compaction)) {
+            if (name in startup.compaction) {
+                this.compactionStrategy[name] = value;
+            }
+        }
+        this.expiration.sweepIntervalMs = settings.ttlSweepIntervalMs;
+        this.expiration.rewriteThreshold = settings.expiredRewriteThreshold;
+    }
+
+    // Changes runtime-tunable settings ({ name: value }, null putting one
+    // back to its startup value) and saves them. `compaction` replaces
+    // the earlier runtime change to the strategy's options as a whole.
+    async configure(changes) {
+        validateRuntimeSettings(changes, this.compactionStrategy.name);
+        await this.ready;
 
-        // Save WAL after each write
-        await this.saveWAL();
+        const overrides = { ...this.settingOverrides };
+        for (const [name, value] of Object.entries(changes)) {
+            if (value === null) delete overrides[name];
+            else overrides[name] = value;
+        }
+        this.settingOverrides = overrides;
+        this.applySettings();
+
+        if ("ttlSweepIntervalMs" in changes && !this.closing) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+            this.startExpirySweeper();
+        }
+        // A lower threshold may call for a compaction now
+        if ("maxSSTables" in changes || "compaction" in changes) {
+            this.scheduleCompaction();
+        }
+        await this.saveMetadata();
+        return this.getSettings();
+    }
+
+    // `format` is { codec, contentType }; see value-codecs.js
+    async put(key, value, ttl = this.defaultTTL, format = {}) {
+        await this.ready;
+
+        const entry = createPut(value, ttl, Date.now(), format);
+        const shouldFlush = await this.logAndApply({ ops: [{ key, entry }] });
 
         if (shouldFlush) {
-            await this.flush();
+            await this.flush(false);
         }
+        return entry;
     }
 
-    get(key) {
-        // Check memtable first
-        let entry = this.memTable.get(key);
-        if (entry) return entry;
+    // Applies puts and deletes atomically: they share one WAL record, so
+    // recovery replays all of them or none, and readers never see a part.
+    // Operations: { op: "put", key, value, ttl, codec, contentType } or
+    // { op: "del", key }.
+    async batch(operations) {
+        await this.ready;
 
-        // Check SSTables from newest to oldest
-        for (let i = this.ssTables.length - 1; i >= 0; i--) {
-            entry = this.ssTables[i].get(key);
-            if (entry) return entry;
+        const now = Date.now();
+        const ops = operations.map((operation) => {
+            const { op, key, value, ttl, codec, contentType } = operation;
+            if (typeof key !== "string" || key.length === 0) {
+                throw new Error("Every batch operation needs a key");
+            }
+            if (op === "put") {
+                if (value === undefined) {
+                    throw new Error(`Batch put for "${key}" needs a value`);
+                }
+                return {
+                    key,
+                    entry: createPut(
+                        value,
+                        ttl === undefined ? this.defaultTTL : ttl,
+                        now,
+                        { codec, contentType }
+                    ),
+                };
+            }
+            if (op === "del") {
+                return { key, entry: createTombstone(now) };
+            }
+            throw new Error(`Unknown batch operation "${op}"`);
+        });
+        if (ops.length === 0) return;
+
+        const shouldFlush = await this.logAndApply({ ops });
+        if (shouldFlush) {
+            await this.flush(false);
+        }
+    }
+
+    // Writes `value` only if `precondition(current)` holds, where `current`
+    // is the live entry for `key` or null. Nothing else can write the key
+    // between the check and the write: if another write lands while the
+    // current version is being read, the check runs again. Returns the
+    // written entry, or null if the precondition failed.
+    async putIf(
+        key,
+        value,
+        ttl = this.defaultTTL,
+        precondition = () => true,
+        format = {}
+    ) {
+        return this.update(key, (current) =>
+            precondition(current)
+                ? createPut(value, ttl, Date.now(), format)
+                : null
+        );
+    }
+
+    async putIfAbsent(key, value, ttl = this.defaultTTL) {
+        return this.putIf(key, value, ttl, (current) => !current);
+    }
+
+    // `expected` is { version } (the entry's `seq`) or { value } (compared
+    // deeply); the key must exist either way
+    async compareAndSet(key, expected, value, ttl = this.defaultTTL) {
+        return this.putIf(
+            key,
+            value,
+            ttl,
+            (current) =>
+                Boolean(current) &&
+                ("version" in expected
+                    ? current.seq === expected.version
+                    : isDeepStrictEqual(current.value, expected.value))
+        );
+    }
+
+    // Adds `delta` to a numeric value, starting from 0 if the key is absent.
+    // An existing entry keeps its expiry and codec; a new one gets `ttl`.
+    async increment(key, delta = 1, ttl = this.defaultTTL) {
+        return this.update(key, (current) => {
+            if (!current) return createPut(delta, ttl);
+            if (typeof current.value !== "number") {
+                const error = new Error(`Value of "${key}" is not a number`);
+                error.code = "NOT_A_NUMBER";
+                throw error;
+            }
+            return {
+                ...createPut(current.value + delta, null, Date.now(), current),
+                expiresAt: current.expiresAt,
+            };
+        });
+    }
+
+    // Read-modify-write of one key. `fn` gets the live entry or null (and
+    // the newest version, which may be dead) and returns the entry to
+    // write, or null to write nothing. Reading may await disk, so the write
+    // is applied only if no other write to the key arrived meanwhile;
+    // otherwise `fn` runs again on the newer version.
+    async update(key, fn) {
+        await this.ready;
+
+        while (true) {
+            // A write to the key on its way to the WAL would land after the
+            // version read here
+            if (this.pendingKeys.has(key)) {
+                await this.pendingKeys.get(key).catch(() => {});
+                continue;
+            }
+            const memTable = this.memTable;
+            const seq = this.lastSequence;
+            const found = await this.findNewest(key, seq);
+
+            // Every write since `seq` is in `memTable` unless a flush has
+            // swapped it out
+            if (this.memTable !== memTable) continue;
+            const latest = memTable.find(key);
+            if (latest && latest.seq > seq) continue;
+            if (this.pendingKeys.has(key)) continue;
+
+            const entry = fn(found && isLive(found) ? found : null, found);
+            if (!entry) return null;
+
+            const shouldFlush = await this.logAndApply({
+                ops: [{ key, entry }],
+            });
+            if (shouldFlush) {
+                await this.flush(false);
+            }
+            return entry;
+        }
+    }
+
+    // Looks up several keys at once; results line up with `keys`
+    async mget(keys) {
+        return Promise.all(keys.map((key) => this.get(key)));
+    }
+
+    // L0 newest first, then each deeper level sorted by key
+    getLevels() {
+        const levels = [[]];
+        for (const ssTable of this.ssTables) {
+            while (levels.length <= ssTable.level) levels.push([]);
+            levels[ssTable.level].push(ssTable);
+        }
+        levels[0].reverse();
+        for (let level = 1; level < levels.length; level++) {
+            levels[level].sort((a, b) =>
+                compareKeys(a.meta.minKey, b.meta.minKey)
+            );
+        }
+        return levels;
+    }
+
+    // Runs `fn` against the current SSTables in search order (newest data
+    // first), keeping every table open until it finishes even if a
+    // compaction replaces them meanwhile
+    async withSSTables(fn) {
+        const ssTables = this.getLevels().flat();
+        ssTables.forEach((ssTable) => ssTable.ref());
+        try {
+            return await fn(ssTables);
+        } finally {
+            await Promise.all(ssTables.map((ssTable) => ssTable.unref()));
+        }
+    }
+
+    // Pins the current state: reads through the returned handle ignore
+    // every later write until it is released
+    async snapshot() {
+        await this.ready;
+        const snapshot = new Snapshot(this, this.visibleSequence());
+        this.snapshots.add(snapshot.seq);
+        return snapshot;
+    }
+
+    snapshotSeq(snapshot) {
+        if (!snapshot) return Infinity;
+        snapshot.check();
+        return snapshot.seq;
+    }
+
+    // Registers `load(key)` to fill misses for keys under `prefix`; see
+    // loaders.js for the options. Returns a function that unregisters it.
+    registerLoader(prefix, load, options = {}) {
+        return this.loaders.register(prefix, load, options);
+    }
+
+    async get(key, { snapshot } = {}) {
+        const { entry, fromMemTable } = await this.locate(
+            key,
+            this.snapshotSeq(snapshot)
+        );
+        if (!entry || !isLive(entry)) {
+            this.readStats.misses++;
+            // Snapshots read the past, and replicas cannot cache a load
+            const loader =
+                !snapshot && !this.replica && this.loaders.match(key);
+            if (loader) return this.readThrough(key, entry, loader);
+            if (!snapshot && entry && !isTombstone(entry)) {
+                this.expireOnRead(key, entry).catch((error) => {
+                    console.error(`Failed to expire "${key}":`, error);
+                });
+            }
+            return null;
+        }
+        this.readStats[fromMemTable ? "memTableHits" : "ssTableHits"]++;
+        if (this.keyIndex && !snapshot) this.evictionPolicy.access(key);
+        return entry;
+    }
+
+    // Writes a tombstone over a value found expired on read, unless the key
+    // was written since. The expiry is then announced once, as an "expire"
+    // event here and on replicas, and later reads stop at the tombstone.
+    async expireOnRead(key, expired) {
+        if (!this.writable) return;
+        await this.update(key, (current, newest) =>
+            newest && !isTombstone(newest) && newest.seq === expired.seq
+                ? { ...createTombstone(), expired: true }
+                : null
+        );
+    }
+
+    // Fills a miss from `loader`. An expired value still within the
+    // loader's stale-while-revalidate window is returned as is while the
+    // reload runs in the background.
+    async readThrough(key, entry, loader) {
+        const load = () =>
+            this.loaders.load(key, loader, async (value) => {
+                const loaded = createPut(
+                    value,
+                    loader.ttl === undefined ? this.defaultTTL : loader.ttl
+                );
+                const shouldFlush = await this.logAndApply(
+                    { ops: [{ key, entry: loaded }] },
+                    { writeBehind: false }
+                );
+                if (shouldFlush) {
+                    await this.flush(false);
+                }
+                return loaded;
+            });
+
+        if (
+            entry &&
+            !isTombstone(entry) &&
+            loader.staleWhileRevalidate > 0 &&
+            Date.now() <= entry.expiresAt + loader.staleWhileRevalidate
+        ) {
+            loader.stats.staleServed++;
+            load().catch((error) => console.error(error.message));
+            return entry;
         }
+        return load();
+    }
 
-        return null;
+    // The newest stored version of `key` at or below sequence number `seq`,
+    // which may be a tombstone or expired; either one hides every older
+    // version
+    async findNewest(key, seq = Infinity) {
+        return (await this.locate(key, seq)).entry;
+    }
+
+    // findNewest(), also telling whether the version came from a MemTable
+    async locate(key, seq) {
+        await this.ready;
+
+        // Check memtable first, then the one being flushed
+        let entry = this.memTable.find(key, seq);
+        if (!entry && this.immutableMemTable) {
+            entry = this.immutableMemTable.find(key, seq);
+        }
+        if (entry) return { entry, fromMemTable: true };
+
+        // Check SSTables from newest to oldest
+        entry = await this.withSSTables(async (ssTables) => {
+            for (const ssTable of ssTables) {
+                const found = await ssTable.find(key, {
+                    seq,
+                    bloomStats: this.bloomStats,
+                });
+                if (found) return found;
+            }
+            return null;
+        });
+        return { entry, fromMemTable: false };
     }
 
     async delete(key) {
-        // Mark as deleted in memtable
-        this.memTable.put(key, null, null);
-        await this.saveWAL();
+        await this.ready;
+
+        // Record a tombstone; older versions stay on disk until compaction
+        const entry = createTombstone();
+        const shouldFlush = await this.logAndApply({ ops: [{ key, entry }] });
+
+        if (shouldFlush) {
+            await this.flush(false);
+        }
+    }
+
+    // Flushes are serialised; `force` false skips the flush if another one
+    // already drained the MemTable below its limit.
+    flush(force = true) {
+        const run = this.flushQueue.then(() => this.flushMemTable(force));
+        this.flushQueue = run.catch(() => {});
+        return run;
     }
 
-    async flush() {
-        if (this.memTable.size() === 0) return;
+    async flushMemTable(force) {
+        await this.ready;
+        if (this.memTable.size() === 0) {
+            // Writes on their way to the WAL may be all there is
+            await this.pendingWritesTo(this.memTable);
+            if (this.memTable.size() === 0) return;
+        }
+        if (!force && !this.memTable.isFull()) return;
+        const startedAt = Date.now();
+
+        // Swap in a fresh MemTable and WAL segment together; writes arriving
+        // during the flush land in both and are not lost.
+        this.immutableMemTable = this.memTable;
+        this.memTable = this.newMemTable();
+        const activeSegment = await this.wal.rotate();
+        // Records queued before the rotation belong to the flushed MemTable
+        await this.pendingWritesTo(this.immutableMemTable);
 
-        const ssTable = new SSTable(this.memTable.data);
-        await ssTable.saveToDisk(this.dataDir);
+        let ssTable;
+        try {
+            ssTable = await SSTable.build(
+                this.dataDir,
+                this.immutableMemTable.sortedEntries(),
+                this.tableOptions
+            );
+            // The table counts from here on, with the segments before the
+            // rotation no longer needed
+            await this.manifest.apply({
+                add: [ssTable],
+                logNumber: activeSegment,
+                lastSequence: this.lastSequence,
+            });
+        } catch (error) {
+            if (ssTable) await ssTable.deleteFromDisk();
+            // Fold the entries back so they stay readable and get flushed
+            // next time; their WAL segments are kept until then.
+            for (const [key, versions] of this.immutableMemTable.data) {
+                const newer = this.memTable.data.get(key) || [];
+                this.memTable.replace(
+                    key,
+                    this.snapshots.retain([...newer, ...versions])
+                );
+            }
+            this.immutableMemTable = null;
+            throw error;
+        }
 
         this.ssTables.push(ssTable);
-        this.memTable.clear();
+        this.immutableMemTable = null;
+        this.flushStats.completed++;
+        this.flushStats.entries += ssTable.size();
+        this.flushStats.bytesWritten += ssTable.byteSize();
+        this.flushStats.durationMs += Date.now() - startedAt;
+
+        // Segments before the rotation are covered by the new SSTable
+        await this.wal.removeSegmentsBefore(activeSegment);
 
-        // Clear WAL since MemTable is now empty
-        await this.saveWAL();
+        this.emit("flush", {
+            type: "flush",
+            seq: this.lastSequence,
+            timestamp: Date.now(),
+            table: ssTable.id,
+            entries: ssTable.size(),
+        });
+        this.scheduleCompaction();
+    }
+
+    // Queues a background pass that runs the strategy's tasks until it has
+    // nothing left to do. Reads and writes carry on meanwhile.
+    scheduleCompaction() {
+        if (this.compactionScheduled) return;
+        this.compactionScheduled = true;
+
+        this.compactionQueue = this.compactionQueue
+            .then(async () => {
+                this.compactionScheduled = false;
+                await this.runCompactionTasks();
+            })
+            .catch((error) => {
+                console.error("Background compaction failed:", error);
+            });
+    }
 
-        // Compact if too many SSTables
-        if (this.ssTables.length > this.maxSSTables) {
-            await this.compact();
+    async runCompactionTasks() {
+        let runs = 0;
+        let task;
+        while (
+            !this.closing &&
+            (task = this.compactionStrategy.pick(this.getLevels()))
+        ) {
+            await this.runCompaction(task);
+            runs++;
         }
+        return runs;
     }
 
-    async compact() {
-        if (this.ssTables.length <= 1) return;
+    // Compacts on demand and resolves once done. `full` merges every table
+    // into one sorted run instead of following the strategy.
+    compact({ full = false } = {}) {
+        const run = this.compactionQueue.then(async () => {
+            await this.ready;
+            if (!full) {
+                return { compactions: await this.runCompactionTasks() };
+            }
 
-        console.log(`Compacting ${this.ssTables.length} SSTables...`);
+            const task = this.compactionStrategy.planFull(this.getLevels());
+            if (!task) return { compactions: 0 };
+            await this.runCompaction(task);
+            return { compactions: 1 };
+        });
+        this.compactionQueue = run.catch(() => {});
+        return run;
+    }
 
-        const mergedData = new Map();
+    async runCompaction({ inputs, outputLevel, targetTableBytes }) {
+        const startedAt = Date.now();
+        this.compactionRunning = true;
+        this.log(
+            `Compacting ${inputs.length} SSTables into level ${outputLevel}...`
+        );
 
-        // Merge all SSTables, newer entries override older ones
-        for (const ssTable of this.ssTables) {
-            for (const [key, entry] of ssTable.data.entries()) {
+        // Outputs take the age of their newest input so that a restart,
+        // which orders L0 by creation time, keeps them in place
+        const createdAt = Math.max(...inputs.map((input) => input.createdAt));
+        const outputs = [];
+        let builder = null;
+        let entries = 0;
+        let tombstonesDropped = 0;
+        let versionsDropped = 0;
+
+        // Tables holding data older than the inputs; tables merely searched
+        // after them with disjoint key ranges are harmless to include
+        const searchOrder = this.getLevels().flat();
+        const firstInput = Math.min(
+            ...inputs.map((input) => searchOrder.indexOf(input))
+        );
+        const olderTables = searchOrder
+            .slice(firstInput)
+            .filter((ssTable) => !inputs.includes(ssTable));
+        // Tables that may hold newer data, for announcing expiries
+        const lastInput = Math.max(
+            ...inputs.map((input) => searchOrder.indexOf(input))
+        );
+        const newerTables = searchOrder
+            .slice(0, lastInput)
+            .filter((ssTable) => !inputs.includes(ssTable));
+        const announce = this.listenerCount("expire") > 0;
+        const now = Date.now();
+
+        inputs.forEach((input) => input.ref());
+        try {
+            const merged = mergeSorted(inputs.map((input) => input.entries()));
+            for await (const [key, versions] of groupVersions(merged)) {
                 if (
-                    entry.value !== null &&
-                    (!entry.expiresAt || Date.now() <= entry.expiresAt)
+                    announce &&
+                    !isTombstone(versions[0]) &&
+                    isExpired(versions[0], now) &&
+                    !this.mightHaveNewerVersion(key, newerTables)
                 ) {
-                    mergedData.set(key, entry);
+                    this.emitExpire(key, now);
                 }
+
+                // Superseded versions survive only for live snapshots
+                const retained = this.snapshots.retain(versions);
+                versionsDropped += versions.length - retained.length;
+
+                // A dead oldest version is safe to forget only if no older
+                // table might still hold a version it is hiding
+                const shadowsOlder = olderTables.some((ssTable) =>
+                    ssTable.mightContain(key)
+                );
+                while (
+                    !shadowsOlder &&
+                    retained.length > 0 &&
+                    !isLive(retained[retained.length - 1])
+                ) {
+                    retained.pop();
+                    tombstonesDropped++;
+                }
+
+                for (let entry of retained) {
+                    if (!isLive(entry) && !isTombstone(entry)) {
+                        entry = expiredToTombstone(entry);
+                    }
+
+                    if (!builder) {
+                        builder = new SSTableBuilder(this.dataDir, {
+                            ...this.tableOptions,
+                            level: outputLevel,
+                            createdAt,
+                        });
+                    }
+                    await builder.add(key, entry);
+                    entries++;
+                }
+
+                // Split only between keys, so a key's versions share a table
+                if (builder && builder.bytes >= targetTableBytes) {
+                    outputs.push(await builder.finish());
+                    builder = null;
+                }
+            }
+            if (builder) {
+                outputs.push(await builder.finish());
+                builder = null;
             }
+            await this.manifest.apply({ add: outputs, remove: inputs });
+        } catch (error) {
+            if (builder) await builder.abort();
+            for (const output of outputs) await output.deleteFromDisk();
+            throw error;
+        } finally {
+            await Promise.all(inputs.map((input) => input.unref()));
+            this.compactionRunning = false;
         }
 
-        // Delete old SSTable files
-        for (const ssTable of this.ssTables) {
-            await ssTable.deleteFromDisk();
+        // Swap the outputs in where the inputs were, then drop the inputs
+        const position = Math.min(
+            ...inputs.map((input) => this.ssTables.indexOf(input))
+        );
+        this.ssTables = this.ssTables.filter(
+            (ssTable) => !inputs.includes(ssTable)
+        );
+        this.ssTables.splice(position, 0, ...outputs);
+
+        for (const input of inputs) {
+            await input.deleteFromDisk();
         }
 
-        // Create new compacted SSTable
-        const compactedSSTable = new SSTable(mergedData);
-        await compactedSSTable.saveToDisk(this.dataDir);
+        const stats = this.compactionStats;
+        stats.completed++;
+        stats.tablesRead += inputs.length;
+        stats.tablesWritten += outputs.length;
+        stats.tombstonesDropped += tombstonesDropped;
+        stats.versionsDropped += versionsDropped;
+        stats.bytesRead += inputs.reduce((sum, t) => sum + t.byteSize(), 0);
+        stats.bytesWritten += outputs.reduce((sum, t) => sum + t.byteSize(), 0);
+        stats.durationMs += Date.now() - startedAt;
+
+        this.log(
+            `Compaction complete. Merged ${inputs.length} SSTables into ${
+                outputs.length
+            } at level ${outputLevel} with ${entries} entries (${tombstonesDropped} tombstones dropped) in ${
+                Date.now() - startedAt
+            }ms.`
+        );
+        this.emit("compaction", {
+            type: "compaction",
+            seq: this.lastSequence,
+            timestamp: Date.now(),
+            level: outputLevel,
+            inputs: inputs.map((input) => input.id),
+            outputs: outputs.map((output) => output.id),
+            entries,
+        });
+    }
+
+    startExpirySweeper() {
+        const { sweepIntervalMs } = this.expiration;
+        if (!sweepIntervalMs || this.sweepTimer) return;
+
+        this.sweepTimer = setInterval(() => {
+            this.sweepExpired().catch((error) => {
+                console.error("Expiry sweep failed:", error);
+            });
+        }, sweepIntervalMs);
+        this.sweepTimer.unref();
+    }
+
+    // Drops expired data ahead of compaction. Runs on the compaction queue
+    // so it never races a merge over the same tables.
+    sweepExpired() {
+        const run = this.compactionQueue.then(async () => {
+            await this.ready;
+            if (this.closing) return null;
+
+            const now = Date.now();
+            if (this.keyIndex) {
+                for (const [key, meta] of this.keyIndex) {
+                    if (meta.expiresAt && now > meta.expiresAt) {
+                        this.untrackKey(key);
+                    }
+                }
+            }
+            const result = {
+                memTableExpired: this.expireMemTable(now),
+                tablesDropped: 0,
+                tablesRewritten: 0,
+            };
+
+            // Oldest first, so dropping a table can free a newer one that
+            // only overlapped it
+            const rewrites = [];
+            for (const ssTable of this.getLevels().flat().reverse()) {
+                const searchOrder = this.getLevels().flat();
+                const older = searchOrder.slice(
+                    searchOrder.indexOf(ssTable) + 1
+                );
+                if (
+                    ssTable.isFullyExpired(now) &&
+                    overlapping(older, ssTable.meta).length === 0
+                ) {
+                    // Nothing left to hide: delete it, reading it only to
+                    // announce its keys' expiry
+                    if (this.listenerCount("expire") > 0) {
+                        await this.announceExpiries(
+                            ssTable,
+                            searchOrder.slice(0, searchOrder.indexOf(ssTable)),
+                            now
+                        );
+                    }
+                    await this.manifest.apply({ remove: [ssTable] });
+                    this.ssTables = this.ssTables.filter(
+                        (table) => table !== ssTable
+                    );
+                    await ssTable.deleteFromDisk();
+                    result.tablesDropped++;
+                } else if (
+                    ssTable.expiredFraction(now) >=
+                    this.expiration.rewriteThreshold
+                ) {
+                    rewrites.push(ssTable);
+                }
+            }
+
+            for (const ssTable of rewrites) {
+                if (!this.ssTables.includes(ssTable)) continue;
+                await this.runCompaction({
+                    inputs: [ssTable],
+                    outputLevel: ssTable.level,
+                    targetTableBytes: Infinity,
+                });
+                result.tablesRewritten++;
+            }
+
+            const stats = this.expirationStats;
+            stats.sweeps++;
+            stats.memTableExpired += result.memTableExpired;
+            stats.tablesDropped += result.tablesDropped;
+            stats.tablesRewritten += result.tablesRewritten;
+            stats.lastSweepAt = now;
+            if (result.tablesDropped > 0 || result.tablesRewritten > 0) {
+                this.log(
+                    `Expiry sweep dropped ${result.tablesDropped} and rewrote ${result.tablesRewritten} SSTables.`
+                );
+            }
+            return result;
+        });
+        this.compactionQueue = run.catch(() => {});
+        return run;
+    }
 
-        this.ssTables = [compactedSSTable];
+    // Announces that the value of `key` expired, for expiries found by the
+    // sweeper and compactions rather than written as tombstones
+    emitExpire(key, timestamp = Date.now()) {
+        this.emit("expire", {
+            type: "expire",
+            key,
+            seq: this.lastSequence,
+            timestamp,
+        });
+    }
 
-        console.log(
-            `Compaction complete. Merged into 1 SSTable with ${mergedData.size} entries.`
+    // Whether a version of `key` newer than those in SSTables searched
+    // after `newerTables` might exist. A newer version means the expired
+    // one was overwritten, or expired on read, and announced then.
+    mightHaveNewerVersion(key, newerTables) {
+        return (
+            this.memTable.find(key) !== null ||
+            (this.immutableMemTable !== null &&
+                this.immutableMemTable.find(key) !== null) ||
+            newerTables.some((ssTable) => ssTable.mightContain(key))
         );
     }
 
-    getAllEntries() {
-        const allEntries = new Map();
+    // Announces the expiry of every key whose newest version in `ssTable`
+    // is an expired value that nothing newer hides
+    async announceExpiries(ssTable, newerTables, now) {
+        ssTable.ref();
+        try {
+            for await (const [key, versions] of groupVersions(
+                ssTable.entries()
+            )) {
+                if (
+                    !isTombstone(versions[0]) &&
+                    isExpired(versions[0], now) &&
+                    !this.mightHaveNewerVersion(key, newerTables)
+                ) {
+                    this.emitExpire(key, now);
+                }
+            }
+        } finally {
+            await ssTable.unref();
+        }
+    }
 
-        // Add entries from SSTables (oldest first)
-        for (const ssTable of this.ssTables) {
-            for (const entry of ssTable.getAllEntries()) {
-                allEntries.set(entry.key, entry);
+    // Replaces expired MemTable values with tombstones, or forgets the key
+    // altogether when nothing older could hold it. Runs without awaiting,
+    // so no write can interleave. Returns the number of values expired.
+    expireMemTable(now) {
+        let expired = 0;
+        for (const [key, versions] of this.memTable.data) {
+            const expiredValues = versions.filter(
+                (entry) => !isTombstone(entry) && isExpired(entry, now)
+            ).length;
+            if (expiredValues === 0) continue;
+            expired += expiredValues;
+            if (!isTombstone(versions[0]) && isExpired(versions[0], now)) {
+                this.emitExpire(key, now);
             }
+
+            const shadowsOlder =
+                (this.immutableMemTable &&
+                    this.immutableMemTable.find(key) !== null) ||
+                this.ssTables.some((ssTable) => ssTable.mightContain(key));
+            if (
+                !shadowsOlder &&
+                !versions.some((entry) => isLive(entry, now))
+            ) {
+                this.memTable.delete(key);
+                continue;
+            }
+            this.memTable.replace(
+                key,
+                versions.map((entry) =>
+                    isTombstone(entry) || !isExpired(entry, now)
+                        ? entry
+                        : expiredToTombstone(entry)
+                )
+            );
         }
+        return expired;
+    }
 
-        // Add entries from memtable (newest, overrides SSTables)
-        for (const entry of this.memTable.getAllEntries()) {
-            if (entry.value !== null) {
-                allEntries.set(entry.key, entry);
-            } else {
-                allEntries.delete(entry.key); // Handle deletions
+    // Yields live [key, entry] pairs in key order (or reverse) across the
+    // MemTables and every SSTable, as of `snapshot` if given. `start` is
+    // inclusive, `end` exclusive and `prefix` narrows both. Tables stay open
+    // until iteration ends.
+    async *iterate(options = {}) {
+        await this.ready;
+        yield* this.liveEntries(options);
+    }
+
+    // iterate() without waiting for startup, for use during it
+    async *liveEntries({ start, end, prefix, reverse = false, snapshot } = {}) {
+        const seq = this.snapshotSeq(snapshot);
+
+        if (prefix) {
+            if (start === undefined || compareKeys(prefix, start) > 0) {
+                start = prefix;
+            }
+            const upper = prefixEnd(prefix);
+            if (
+                upper !== undefined &&
+                (end === undefined || compareKeys(upper, end) < 0)
+            ) {
+                end = upper;
+            }
+        }
+        const range = { start, end, reverse };
+
+        const memTables = [this.memTable, this.immutableMemTable].filter(
+            Boolean
+        );
+        const ssTables = this.getLevels().flat();
+        ssTables.forEach((ssTable) => ssTable.ref());
+
+        try {
+            // Sources go newest first, so a tombstone or expired version
+            // hides whatever older tables hold for its key
+            const sources = [
+                ...memTables.map((memTable) => memTable.sortedEntries(range)),
+                ...ssTables.map((ssTable) => ssTable.entries(range)),
+            ];
+            const merged = mergeSorted(sources, range);
+            for await (const [key, entry] of visibleVersions(merged, seq)) {
+                if (isLive(entry)) {
+                    yield [key, entry];
+                }
             }
+        } finally {
+            await Promise.all(ssTables.map((ssTable) => ssTable.unref()));
         }
+    }
+
+    // Up to `limit` live entries in key order (or reverse) within the range
+    async scan({
+        start,
+        end,
+        prefix,
+        limit = Infinity,
+        reverse = false,
+        snapshot,
+    } = {}) {
+        const entries = [];
+        if (limit <= 0) return entries;
 
-        return Array.from(allEntries.values());
+        for await (const [key, entry] of this.iterate({
+            start,
+            end,
+            prefix,
+            reverse,
+            snapshot,
+        })) {
+            entries.push({ key, ...entry });
+            if (entries.length >= limit) break;
+        }
+        return entries;
     }
 
-    getStats() {
-        const diskFiles = fs.existsSync(this.dataDir)
-            ? fs
-                  .readdirSync(this.dataDir)
-                  .filter((f) => f.startsWith("sstable_")).length
-            : 0;
+    async getAllEntries() {
+        return this.scan();
+    }
 
+    async getStats() {
         return {
             memTableSize: this.memTable.size(),
+            memTableBytes: this.memTable.bytes,
+            memTableLimits: {
+                maxEntries: this.memTableMaxSize,
+                maxBytes: this.memTableMaxBytes,
+            },
             ssTablesCount: this.ssTables.length,
-            totalEntries: this.getAllEntries().length,
+            ...this.estimateKeyCounts(),
             defaultTTL: this.defaultTTL,
-            diskFiles,
+            diskFiles: this.tableFiles.files,
             dataDir: this.dataDir,
+            wal: this.wal.getStats(),
+            reads: { ...this.readStats },
+            flushes: { ...this.flushStats },
+            manifest: {
+                ...this.manifest.getStats(),
+                orphansRemoved: this.orphansRemoved,
+            },
+            sequence: {
+                last: this.lastSequence,
+                liveSnapshots: this.snapshots.size,
+                oldestSnapshot: this.snapshots.oldest,
+            },
+            storage: this.getStorageStats(),
+            bloomFilters: this.getBloomStats(),
+            compaction: this.getCompactionStats(),
+            expiration: {
+                ...this.expiration,
+                ...this.expirationStats,
+            },
+            eviction: {
+                policy: this.evictionPolicy.name,
+                ...this.capacity,
+                entries: this.keyIndex ? this.keyIndex.size : null,
+                bytes: this.keyIndex ? this.liveBytes : null,
+                ...this.evictionStats,
+            },
+            loaders: this.loaders.getStats(),
+            blockCache: this.blockCache.getStats(),
+            memory: this.getMemoryStats(),
+        };
+    }
+
+    // Live keys (`totalEntries`) and those with a TTL (`expiringEntries`),
+    // without reading any SSTable: exact while capacity limits keep a key
+    // index, otherwise the MemTables' live keys plus each table's unexpired
+    // values, less one value hidden per tombstone. A key written again
+    // since its table was flushed counts once per copy until compaction
+    // merges them.
+    estimateKeyCounts(now = Date.now()) {
+        if (this.keyIndex) {
+            return {
+                totalEntries: this.keyIndex.size,
+                expiringEntries: this.expiringKeys,
+            };
+        }
+        let values = 0;
+        let expiring = 0;
+        let tombstones = 0;
+        for (const memTable of [this.memTable, this.immutableMemTable]) {
+            if (!memTable) continue;
+            for (const [entry] of memTable.data.values()) {
+                if (isTombstone(entry)) {
+                    tombstones++;
+                } else if (isLive(entry, now)) {
+                    values++;
+                    if (entry.expiresAt) expiring++;
+                }
+            }
+        }
+        for (const ssTable of this.ssTables) {
+            const { count, expiry } = ssTable.meta;
+            // Tables from before expiry metadata count every entry
+            if (!expiry) {
+                values += count;
+                continue;
+            }
+            const expired = ssTable.expiredCount(now);
+            values += count - expiry.tombstones - expired;
+            expiring += count - expiry.tombstones - expiry.forever - expired;
+            tombstones += expiry.tombstones;
+        }
+        const totalEntries = Math.max(values - tombstones, 0);
+        return {
+            totalEntries,
+            expiringEntries: Math.min(expiring, totalEntries),
+        };
+    }
+
+    // Approximate bytes held in memory, by component. The block cache may
+    // be shared with other trees; its figure is the whole cache's.
+    getMemoryStats() {
+        const memTable = this.memTable.bytes;
+        const immutableMemTable = this.immutableMemTable
+            ? this.immutableMemTable.bytes
+            : 0;
+        const bloomFilters = this.getBloomStats().totalBytes;
+        const blockCache = this.blockCache.bytes;
+        return {
+            memTable,
+            immutableMemTable,
+            bloomFilters,
+            blockCache,
+            total: memTable + immutableMemTable + bloomFilters + blockCache,
+        };
+    }
+
+    getCompactionStats() {
+        return {
+            strategy: this.compactionStrategy.describe
+                ? this.compactionStrategy.describe()
+                : { name: this.compactionStrategy.name },
+            running: this.compactionRunning,
+            ...this.compactionStats,
+            writeAmplification: this.getWriteAmplification(),
+            levels: this.getLevels().map((tables, level) => ({
+                level,
+                tables: tables.length,
+                bytes: tables.reduce((sum, t) => sum + t.byteSize(), 0),
+            })),
+        };
+    }
+
+    // SSTable bytes on disk against their size uncompressed
+    getStorageStats() {
+        const tablesByCodec = {};
+        let diskBytes = 0;
+        let rawBytes = 0;
+        for (const ssTable of this.ssTables) {
+            const codec = ssTable.codec.name;
+            tablesByCodec[codec] = (tablesByCodec[codec] || 0) + 1;
+            diskBytes += ssTable.byteSize();
+            rawBytes += ssTable.rawByteSize();
+        }
+        return {
+            compression: this.tableOptions.compression,
+            walCompression: this.wal.codec.name,
+            tablesByCodec,
+            diskBytes,
+            rawBytes,
+            compressionRatio: diskBytes > 0 ? rawBytes / diskBytes : null,
+        };
+    }
+
+    // Bytes written to SSTables per byte flushed: 1 until compaction
+    // rewrites data, null before the first flush
+    getWriteAmplification() {
+        const flushed = this.flushStats.bytesWritten;
+        if (flushed === 0) return null;
+        return (flushed + this.compactionStats.bytesWritten) / flushed;
+    }
+
+    getBloomStats() {
+        const { checks, negatives, falsePositives } = this.bloomStats;
+        const sizes = this.ssTables
+            .filter((ssTable) => ssTable.bloomFilter)
+            .map((ssTable) => ({
+                id: ssTable.id,
+                bytes: ssTable.bloomFilter.byteSize(),
+                bits: ssTable.bloomFilter.bitCount,
+                hashes: ssTable.bloomFilter.hashCount,
+            }));
+        // Share of lookups for absent keys that the filters failed to skip
+        const absent = negatives + falsePositives;
+
+        return {
+            falsePositiveRate:
+                this.tableOptions.bloomFalsePositiveRate ||
+                DEFAULT_BLOOM_FP_RATE,
+            totalBytes: sizes.reduce((sum, size) => sum + size.bytes, 0),
+            tables: sizes,
+            checks,
+            negatives,
+            falsePositives,
+            observedFalsePositiveRate: absent > 0 ? falsePositives / absent : 0,
         };
     }
 
     async shutdown() {
-        console.log("Shutting down LSM Tree...");
+        if (this.readOnly) {
+            await this.ready;
+            await Promise.all(this.ssTables.map((ssTable) => ssTable.close()));
+            return;
+        }
+        this.log("Shutting down LSM Tree...");
+        clearInterval(this.sweepTimer);
+        await this.loaders.drain();
         await this.flush();
+        // Let a running compaction finish, but start no new ones
+        this.closing = true;
+        await this.compactionQueue;
+        await this.wal.close();
+        await this.manifest.close();
+        await Promise.all(this.ssTables.map((ssTable) => ssTable.close()));
         await this.saveMetadata();
-        console.log("LSM Tree shutdown complete.");
+        this.log("LSM Tree shutdown complete.");
+    }
+
+    // Closes the tree without flushing and deletes its data directory,
+    // SSTables, WAL and all
+    async destroy() {
+        clearInterval(this.sweepTimer);
+        await this.ready;
+        this.closing = true;
+        await this.flushQueue;
+        await this.compactionQueue;
+        await this.wal.close();
+        await this.manifest.close();
+        await Promise.all(this.ssTables.map((ssTable) => ssTable.close()));
+        // Free their share of a cache other trees go on using
+        for (const ssTable of this.ssTables) {
+            this.blockCache.removeTable(ssTable.filePath);
+        }
+        await fs.promises.rm(this.dataDir, { recursive: true, force: true });
     }
 }
 
@@ -0,0 +1,218 @@
+const fs = require("fs");
+const path = require("path");
+const { encodeRecord, decodeRecords } = require("./wal");
+
+// The MANIFEST names the SSTables that make up a tree; startup opens those
+// and no others. It is a log of version edits, framed and checksummed like
+// WAL records:
+//   { add: [{ file, level }], remove: [file], logNumber, lastSequence }
+// Replaying the edits in order gives the current version. `logNumber` is
+// the oldest WAL segment still needed; the ones before it are covered by
+// tables. An edit is a single record, so a crash applies all of it or none.
+const MANIFEST_FILE = "MANIFEST";
+// Past this many edits the log is rewritten as a single one
+const MAX_EDITS = 256;
+
+function emptyVersion() {
+    return { tables: new Map(), logNumber: 0, lastSequence: 0 };
+}
+
+function applyEdit(version, edit) {
+    for (const file of edit.remove || []) {
+        version.tables.delete(file);
+    }
+    for (const { file, level } of edit.add || []) {
+        version.tables.set(file, level);
+    }
+    if (edit.logNumber !== undefined) version.logNumber = edit.logNumber;
+    if (edit.lastSequence !== undefined) {
+        version.lastSequence = edit.lastSequence;
+    }
+}
+
+// An SSTable as an edit records it
+function tableRecord(ssTable) {
+    return { file: path.basename(ssTable.filePath), level: ssTable.level };
+}
+
+// Makes a rename in `dir` durable. Not every platform can open a
+// directory; there the rename is as durable as the OS makes it.
+async function syncDir(dir) {
+    let handle;
+    try {
+        handle = await fs.promises.open(dir, "r");
+        await handle.sync();
+    } catch (error) {
+        // Unsupported here
+    } finally {
+        if (handle) await handle.close();
+    }
+}
+
+class Manifest {
+    // A `readOnly` manifest, for offline tools, reads the log but never
+    // changes it
+    constructor(dir, { readOnly = false } = {}) {
+        this.dir = dir;
+        this.readOnly = readOnly;
+        this.path = path.join(dir, MANIFEST_FILE);
+        this.version = emptyVersion();
+        this.handle = null;
+        this.edits = 0;
+        // The log's size, kept as it is written
+        this.bytes = 0;
+        this.damagedBytes = 0;
+        // Set when an append fails: its partial record would hide every
+        // later one, so the next edit rewrites the file instead
+        this.damaged = false;
+        this.queue = Promise.resolve();
+    }
+
+    exists() {
+        return fs.existsSync(this.path);
+    }
+
+    // Replays the log and opens it for appends. A torn last edit, left by a
+    // crash while it was written, never happened.
+    async load() {
+        const buffer = await fs.promises.readFile(this.path);
+        const { records, validLength } = decodeRecords(buffer);
+        this.version = emptyVersion();
+        records.forEach((edit) => applyEdit(this.version, edit));
+        this.edits = records.length;
+
+        // A read-only load leaves a torn edit in place, and says so here
+        this.damagedBytes = buffer.length - validLength;
+        this.bytes = buffer.length;
+        if (this.readOnly) return this.version;
+
+        if (validLength < buffer.length) {
+            console.warn(
+                `MANIFEST has ${
+                    buffer.length - validLength
+                } damaged trailing bytes; truncating after ${
+                    records.length
+                } edits`
+            );
+            await fs.promises.truncate(this.path, validLength);
+            this.bytes = validLength;
+        }
+        this.handle = await fs.promises.open(this.path, "a");
+        return this.version;
+    }
+
+    // Starts a new log from `edit`, whose tables are { file, level } records
+    async create(edit) {
+        const version = emptyVersion();
+        applyEdit(version, edit);
+        if (this.readOnly) {
+            this.version = version;
+            return version;
+        }
+        await this.rewrite(version);
+        return version;
+    }
+
+    // Writes `version` as one edit to a temporary file and renames it over
+    // the log, so the old log stays whole until the new one is
+    async rewrite(version) {
+        this.damaged = true;
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+
+        const tmpPath = `${this.path}.tmp`;
+        const record = encodeRecord({
+            add: Array.from(version.tables, ([file, level]) => ({
+                file,
+                level,
+            })),
+            logNumber: version.logNumber,
+            lastSequence: version.lastSequence,
+        });
+        const handle = await fs.promises.open(tmpPath, "w");
+        try {
+            await handle.write(record);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tmpPath, this.path);
+        await syncDir(this.dir);
+
+        this.handle = await fs.promises.open(this.path, "a");
+        this.version = version;
+        this.edits = 1;
+        this.bytes = record.length;
+        this.damaged = false;
+    }
+
+    // Logs an edit whose `add` and `remove` are SSTables, with `logNumber`
+    // and `lastSequence` when they move, and applies it once durable.
+    // Edits are serialised. Callers write new tables before the edit and
+    // delete replaced ones only after it.
+    apply({ add = [], remove = [], logNumber, lastSequence }) {
+        if (this.readOnly) {
+            return Promise.reject(new Error("The MANIFEST is read-only"));
+        }
+        const edit = {
+            add: add.map(tableRecord),
+            remove: remove.map((ssTable) => path.basename(ssTable.filePath)),
+            logNumber,
+            lastSequence,
+        };
+        const run = this.queue.then(async () => {
+            const next = {
+                ...this.version,
+                tables: new Map(this.version.tables),
+            };
+            applyEdit(next, edit);
+
+            if (this.damaged || this.edits >= MAX_EDITS) {
+                await this.rewrite(next);
+                return;
+            }
+            const record = encodeRecord(edit);
+            try {
+                await this.handle.write(record);
+                await this.handle.sync();
+            } catch (error) {
+                this.damaged = true;
+                throw error;
+            }
+            this.version = next;
+            this.edits++;
+            this.bytes += record.length;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Whether `file`, an SSTable or Bloom filter name, belongs to the
+    // current version
+    isLive(file) {
+        return this.version.tables.has(file.replace(/\.bloom$/, ".sst"));
+    }
+
+    getStats() {
+        return {
+            tables: this.version.tables.size,
+            logNumber: this.version.logNumber,
+            lastSequence: this.version.lastSequence,
+            edits: this.edits,
+            bytes: this.bytes,
+        };
+    }
+
+    async close() {
+        await this.queue;
+        if (this.handle) {
+            const handle = this.handle;
+            this.handle = null;
+            await handle.close();
+        }
+    }
+}
+
+module.exports = { Manifest, MANIFEST_FILE, tableRecord };
@@ -0,0 +1,71 @@
+const { compareKeys } = require("./sstable");
+const { seqOf } = require("./snapshot");
+
+// Merges sorted [key, entry] sources into one sorted stream of every
+// version: by key (descending if `reverse`), then newest sequence number
+// first. Sources are ordered newest first, which breaks ties between
+// versions without sequence numbers. Sources may be sync or async iterables.
+async function* mergeSorted(sources, { reverse = false } = {}) {
+    const direction = reverse ? -1 : 1;
+    const cursors = sources.map((source) =>
+        source[Symbol.asyncIterator]
+            ? source[Symbol.asyncIterator]()
+            : source[Symbol.iterator]()
+    );
+    const heads = await Promise.all(cursors.map((cursor) => cursor.next()));
+
+    try {
+        while (true) {
+            // Linear scan: the number of sources is small (MemTables plus
+            // SSTables), and ties resolve to the lowest, i.e. newest, index
+            let winner = -1;
+            for (let i = 0; i < heads.length; i++) {
+                if (heads[i].done) continue;
+                if (winner === -1) {
+                    winner = i;
+                    continue;
+                }
+                const [key, entry] = heads[i].value;
+                const [winnerKey, winnerEntry] = heads[winner].value;
+                const order =
+                    compareKeys(key, winnerKey) * direction ||
+                    seqOf(winnerEntry) - seqOf(entry);
+                if (order < 0) winner = i;
+            }
+            if (winner === -1) return;
+
+            const item = heads[winner].value;
+            heads[winner] = await cursors[winner].next();
+            yield item;
+        }
+    } finally {
+        await Promise.all(
+            cursors.map((cursor) => cursor.return && cursor.return())
+        );
+    }
+}
+
+// Groups a merged stream into [key, versions] with versions newest first
+async function* groupVersions(merged) {
+    let key;
+    let versions = [];
+    for await (const [itemKey, entry] of merged) {
+        if (versions.length > 0 && itemKey !== key) {
+            yield [key, versions];
+            versions = [];
+        }
+        key = itemKey;
+        versions.push(entry);
+    }
+    if (versions.length > 0) yield [key, versions];
+}
+
+// For each key, the newest version at or below sequence number `seq`
+async function* visibleVersions(merged, seq = Infinity) {
+    for await (const [key, versions] of groupVersions(merged)) {
+        const entry = versions.find((version) => seqOf(version) <= seq);
+        if (entry) yield [key, entry];
+    }
+}
+
+module.exports = { mergeSorted, groupVersions, visibleVersions };
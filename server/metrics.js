@@ -0,0 +1,412 @@
+// Metrics in the Prometheus text exposition format (version 0.0.4).
+// Counters and histograms are updated as things happen; a scrape only
+// formats them, after collectors have copied in values kept elsewhere.
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Request latency buckets, in seconds
+const LATENCY_BUCKETS = [
+    0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+    10,
+];
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(
+        ([name, value]) =>
+            `${name}="${String(value)
+                .replace(/\\/g, "\\\\")
+                .replace(/\n/g, "\\n")
+                .replace(/"/g, '\\"')}"`
+    );
+    return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function formatValue(value) {
+    if (Number.isFinite(value)) return String(value);
+    if (Number.isNaN(value)) return "NaN";
+    return value > 0 ? "+Inf" : "-Inf";
+}
+
+// One metric and its series, one per distinct set of labels
+class Metric {
+    constructor(name, help, type) {
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    seriesFor(labels) {
+        const key = formatLabels(labels);
+        let series = this.series.get(key);
+        if (!series) {
+            series = this.createSeries(labels);
+            this.series.set(key, series);
+        }
+        return series;
+    }
+
+    createSeries(labels) {
+        return { labels, value: 0 };
+    }
+
+    // Drops every series, e.g. before a collector sets them afresh
+    reset() {
+        this.series.clear();
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    render() {
+        const lines = [
+            `# HELP ${this.name} ${this.help}`,
+            `# TYPE ${this.name} ${this.type}`,
+        ];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join("\n");
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super(name, help, "counter");
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help) {
+        super(name, help, "gauge");
+    }
+}
+
+// A total and a count, e.g. of durations, without quantiles
+class Summary extends Metric {
+    constructor(name, help) {
+        super(name, help, "summary");
+    }
+
+    createSeries(labels) {
+        return { labels, sum: 0, count: 0 };
+    }
+
+    set(labels, { sum, count }) {
+        Object.assign(this.seriesFor(labels), { sum, count });
+    }
+
+    renderSeries({ labels, sum, count }) {
+        return [
+            `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${formatValue(count)}`,
+        ];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets = LATENCY_BUCKETS) {
+        super(name, help, "histogram");
+        this.buckets = buckets;
+    }
+
+    createSeries(labels) {
+        return {
+            labels,
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0,
+        };
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        const bucket = this.buckets.findIndex((bound) => value <= bound);
+        if (bucket !== -1) series.counts[bucket]++;
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        const lines = [];
+        let cumulative = 0;
+        this.buckets.forEach((bound, i) => {
+            cumulative += counts[i];
+            lines.push(
+                `${this.name}_bucket${formatLabels({
+                    ...labels,
+                    le: bound,
+                })} ${cumulative}`
+            );
+        });
+        lines.push(
+            `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        );
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    summary(name, help) {
+        return this.register(new Summary(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    // `collect` runs before every render, to set values kept elsewhere
+    addCollector(collect) {
+        this.collectors.push(collect);
+    }
+
+    render() {
+        this.collectors.forEach((collect) => collect());
+        return `${this.metrics.map((metric) => metric.render()).join("\n")}\n`;
+    }
+}
+
+// Express middleware counting and timing requests by method, route and
+// status. `routeOf(req)` names the route; it should be the matched
+// pattern, so keys never become label values.
+function httpMetrics(registry, routeOf) {
+    const requests = registry.counter(
+        "lsm_http_requests_total",
+        "HTTP requests by method, route and status"
+    );
+    const latency = registry.histogram(
+        "lsm_http_request_duration_seconds",
+        "HTTP request latency by method and route"
+    );
+    return (req, res, next) => {
+        const startedAt = process.hrtime.bigint();
+        res.once("finish", () => {
+            const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+            const route = routeOf(req);
+            requests.inc({
+                method: req.method,
+                route,
+                status: res.statusCode,
+            });
+            latency.observe({ method: req.method, route }, seconds);
+        });
+        next();
+    };
+}
+
+// Gauges and counters for each namespace's tree, copied from the counters
+// LSMTree keeps as it works. Only in-memory state is read.
+function treeMetrics(registry, namespaces) {
+    const gauge = (name, help) => registry.gauge(`lsm_${name}`, help);
+    const counter = (name, help) => registry.counter(`lsm_${name}`, help);
+    const summary = (name, help) => registry.summary(`lsm_${name}`, help);
+    const metrics = {
+        gets: counter(
+            "get_total",
+            "Point lookups by where they were answered: memtable, sstable or miss"
+        ),
+        memTableEntries: gauge("memtable_keys", "Keys in the MemTable"),
+        memoryBytes: gauge(
+            "memory_bytes",
+            "Approximate memory by component: memtable, immutable_memtable or bloom_filters"
+        ),
+        blockCacheBytes: gauge(
+            "block_cache_bytes",
+            "Decoded SSTable blocks held in the block cache"
+        ),
+        blockCacheLookups: counter(
+            "block_cache_lookups_total",
+            "Block cache lookups by result: hit or miss"
+        ),
+        sequence: gauge("last_sequence", "Sequence number of the latest write"),
+        walBytes: counter(
+            "wal_bytes_written_total",
+            "Bytes appended to the WAL since startup"
+        ),
+        walSegments: gauge("wal_segments", "WAL segments on disk"),
+        flushes: counter("flushes_total", "MemTable flushes"),
+        flushDuration: summary(
+            "flush_duration_seconds",
+            "Time spent flushing MemTables"
+        ),
+        flushBytes: counter(
+            "flush_bytes_written_total",
+            "SSTable bytes written by flushes"
+        ),
+        compactions: counter("compactions_total", "Compactions run"),
+        compactionDuration: summary(
+            "compaction_duration_seconds",
+            "Time spent compacting"
+        ),
+        compactionBytesRead: counter(
+            "compaction_bytes_read_total",
+            "SSTable bytes read by compactions"
+        ),
+        compactionBytesWritten: counter(
+            "compaction_bytes_written_total",
+            "SSTable bytes written by compactions"
+        ),
+        writeAmplification: gauge(
+            "write_amplification",
+            "SSTable bytes written per byte flushed"
+        ),
+        levelBytes: gauge("level_bytes", "SSTable bytes per level"),
+        levelTables: gauge("level_tables", "SSTables per level"),
+        rawBytes: gauge(
+            "sstable_raw_bytes",
+            "SSTable data bytes before compression"
+        ),
+        compressionRatio: gauge(
+            "compression_ratio",
+            "SSTable data bytes before compression per byte on disk"
+        ),
+        bloomChecks: counter(
+            "bloom_checks_total",
+            "Bloom filter checks by result: negative, false_positive or positive"
+        ),
+        evictions: counter(
+            "evictions_total",
+            "Keys evicted by the capacity limit"
+        ),
+    };
+
+    registry.addCollector(() => {
+        Object.values(metrics).forEach((metric) => metric.reset());
+        // Namespaces normally share one block cache; count each cache once
+        const blockCaches = new Set();
+        for (const { name, tree } of namespaces.all()) {
+            const labels = { namespace: name };
+            const { readStats, flushStats, compactionStats, bloomStats } = tree;
+
+            metrics.gets.set(
+                { ...labels, result: "memtable" },
+                readStats.memTableHits
+            );
+            metrics.gets.set(
+                { ...labels, result: "sstable" },
+                readStats.ssTableHits
+            );
+            metrics.gets.set({ ...labels, result: "miss" }, readStats.misses);
+            metrics.memTableEntries.set(labels, tree.memTable.size());
+            const memory = tree.getMemoryStats();
+            metrics.memoryBytes.set(
+                { ...labels, component: "memtable" },
+                memory.memTable
+            );
+            metrics.memoryBytes.set(
+                { ...labels, component: "immutable_memtable" },
+                memory.immutableMemTable
+            );
+            metrics.memoryBytes.set(
+                { ...labels, component: "bloom_filters" },
+                memory.bloomFilters
+            );
+            blockCaches.add(tree.blockCache);
+            metrics.sequence.set(labels, tree.lastSequence);
+            metrics.walBytes.set(labels, tree.wal.bytesWritten);
+            metrics.walSegments.set(labels, tree.wal.segmentIds.length);
+
+            metrics.flushes.set(labels, flushStats.completed);
+            metrics.flushDuration.set(labels, {
+                sum: flushStats.durationMs / 1000,
+                count: flushStats.completed,
+            });
+            metrics.flushBytes.set(labels, flushStats.bytesWritten);
+            metrics.compactions.set(labels, compactionStats.completed);
+            metrics.compactionDuration.set(labels, {
+                sum: compactionStats.durationMs / 1000,
+                count: compactionStats.completed,
+            });
+            metrics.compactionBytesRead.set(labels, compactionStats.bytesRead);
+            metrics.compactionBytesWritten.set(
+                labels,
+                compactionStats.bytesWritten
+            );
+            const amplification = tree.getWriteAmplification();
+            if (amplification !== null) {
+                metrics.writeAmplification.set(labels, amplification);
+            }
+
+            tree.getLevels().forEach((tables, level) => {
+                metrics.levelBytes.set(
+                    { ...labels, level },
+                    tables.reduce((sum, table) => sum + table.byteSize(), 0)
+                );
+                metrics.levelTables.set({ ...labels, level }, tables.length);
+            });
+
+            const storage = tree.getStorageStats();
+            metrics.rawBytes.set(labels, storage.rawBytes);
+            if (storage.compressionRatio !== null) {
+                metrics.compressionRatio.set(labels, storage.compressionRatio);
+            }
+
+            metrics.bloomChecks.set(
+                { ...labels, result: "negative" },
+                bloomStats.negatives
+            );
+            metrics.bloomChecks.set(
+                { ...labels, result: "false_positive" },
+                bloomStats.falsePositives
+            );
+            metrics.bloomChecks.set(
+                { ...labels, result: "positive" },
+                bloomStats.checks -
+                    bloomStats.negatives -
+                    bloomStats.falsePositives
+            );
+            metrics.evictions.set(labels, tree.evictionStats.evictions);
+        }
+
+        let bytes = 0;
+        let hits = 0;
+        let misses = 0;
+        for (const blockCache of blockCaches) {
+            bytes += blockCache.bytes;
+            hits += blockCache.stats.hits;
+            misses += blockCache.stats.misses;
+        }
+        metrics.blockCacheBytes.set({}, bytes);
+        metrics.blockCacheLookups.set({ result: "hit" }, hits);
+        metrics.blockCacheLookups.set({ result: "miss" }, misses);
+    });
+}
+
+module.exports = {
+    Registry,
+    Counter,
+    Gauge,
+    Summary,
+    Histogram,
+    httpMetrics,
+    treeMetrics,
+    CONTENT_TYPE,
+};
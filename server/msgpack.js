@@ -0,0 +1,209 @@
+// A MessagePack encoder and decoder for the values the cache stores:
+// null, booleans, numbers, strings, Buffers (the bin family), arrays and
+// plain objects. Extension types are not supported. Integers that fit in
+// 32 bits are written as integers, other numbers as float64.
+
+function encode(value) {
+    const chunks = [];
+    write(value, chunks);
+    return Buffer.concat(chunks);
+}
+
+// The shortest header for a string, bin, array or map of `length`: the
+// "fix" form holding the length in its low bits if there is one (`fix`
+// and its largest length `fixMax`), else the first of `sizes` it fits
+function header(type, length, fix, fixMax, sizes) {
+    if (fix !== null && length <= fixMax) return Buffer.from([fix | length]);
+    for (const [limit, code, bytes] of sizes) {
+        if (length <= limit) {
+            const buffer = Buffer.alloc(1 + bytes);
+            buffer[0] = code;
+            buffer.writeUIntBE(length, 1, bytes);
+            return buffer;
+        }
+    }
+    throw new Error(`MessagePack ${type} too long: ${length}`);
+}
+
+const STR_SIZES = [
+    [0xff, 0xd9, 1],
+    [0xffff, 0xda, 2],
+    [0xffffffff, 0xdb, 4],
+];
+const BIN_SIZES = [
+    [0xff, 0xc4, 1],
+    [0xffff, 0xc5, 2],
+    [0xffffffff, 0xc6, 4],
+];
+const ARRAY_SIZES = [
+    [0xffff, 0xdc, 2],
+    [0xffffffff, 0xdd, 4],
+];
+const MAP_SIZES = [
+    [0xffff, 0xde, 2],
+    [0xffffffff, 0xdf, 4],
+];
+
+function writeNumber(value, chunks) {
+    let buffer;
+    if (
+        !Number.isInteger(value) ||
+        value < -0x80000000 ||
+        value > 0xffffffff
+    ) {
+        buffer = Buffer.alloc(9);
+        buffer[0] = 0xcb;
+        buffer.writeDoubleBE(value, 1);
+    } else if (value >= 0 && value < 0x80) {
+        buffer = Buffer.from([value]);
+    } else if (value < 0 && value >= -32) {
+        buffer = Buffer.from([value & 0xff]);
+    } else if (value >= 0) {
+        buffer = Buffer.alloc(5);
+        buffer[0] = 0xce;
+        buffer.writeUInt32BE(value, 1);
+    } else {
+        buffer = Buffer.alloc(5);
+        buffer[0] = 0xd2;
+        buffer.writeInt32BE(value, 1);
+    }
+    chunks.push(buffer);
+}
+
+function write(value, chunks) {
+    if (value === null || value === undefined) {
+        chunks.push(Buffer.from([0xc0]));
+    } else if (typeof value === "boolean") {
+        chunks.push(Buffer.from([value ? 0xc3 : 0xc2]));
+    } else if (typeof value === "number") {
+        writeNumber(value, chunks);
+    } else if (typeof value === "string") {
+        const bytes = Buffer.from(value, "utf8");
+        chunks.push(
+            header("string", bytes.length, 0xa0, 31, STR_SIZES),
+            bytes
+        );
+    } else if (Buffer.isBuffer(value)) {
+        chunks.push(header("bin", value.length, null, 0, BIN_SIZES), value);
+    } else if (Array.isArray(value)) {
+        chunks.push(header("array", value.length, 0x90, 15, ARRAY_SIZES));
+        value.forEach((item) => write(item, chunks));
+    } else if (typeof value === "object") {
+        // Like JSON, keys with undefined values are left out
+        const entries = Object.entries(value).filter(
+            ([, item]) => item !== undefined
+        );
+        chunks.push(header("map", entries.length, 0x80, 15, MAP_SIZES));
+        for (const [key, item] of entries) {
+            write(key, chunks);
+            write(item, chunks);
+        }
+    } else {
+        throw new Error(`Cannot encode a ${typeof value} as MessagePack`);
+    }
+}
+
+function decode(buffer) {
+    const reader = { buffer, offset: 0 };
+    const value = read(reader);
+    if (reader.offset !== buffer.length) {
+        throw new Error("Trailing bytes after MessagePack value");
+    }
+    return value;
+}
+
+function take(reader, length) {
+    const { buffer, offset } = reader;
+    if (offset + length > buffer.length) {
+        throw new Error("Truncated MessagePack value");
+    }
+    reader.offset += length;
+    return buffer.subarray(offset, offset + length);
+}
+
+function readUInt(reader, bytes) {
+    return take(reader, bytes).readUIntBE(0, bytes);
+}
+
+function readArray(reader, length) {
+    const array = [];
+    for (let i = 0; i < length; i++) array.push(read(reader));
+    return array;
+}
+
+function readMap(reader, length) {
+    const object = {};
+    for (let i = 0; i < length; i++) {
+        const key = read(reader);
+        // As JSON.parse does, "__proto__" becomes an ordinary property
+        Object.defineProperty(object, key, {
+            value: read(reader),
+            enumerable: true,
+            writable: true,
+            configurable: true,
+        });
+    }
+    return object;
+}
+
+function read(reader) {
+    const code = take(reader, 1)[0];
+    if (code < 0x80) return code;
+    if (code >= 0xe0) return code - 0x100;
+    if (code >= 0xa0 && code <= 0xbf) {
+        return take(reader, code & 0x1f).toString("utf8");
+    }
+    if (code >= 0x90 && code <= 0x9f) return readArray(reader, code & 0x0f);
+    if (code >= 0x80 && code <= 0x8f) return readMap(reader, code & 0x0f);
+
+    switch (code) {
+        case 0xc0:
+            return null;
+        case 0xc2:
+            return false;
+        case 0xc3:
+            return true;
+        case 0xc4:
+        case 0xc5:
+        case 0xc6:
+            return Buffer.from(
+                take(reader, readUInt(reader, 1 << (code - 0xc4)))
+            );
+        case 0xca:
+            return take(reader, 4).readFloatBE(0);
+        case 0xcb:
+            return take(reader, 8).readDoubleBE(0);
+        case 0xcc:
+        case 0xcd:
+        case 0xce:
+            return readUInt(reader, 1 << (code - 0xcc));
+        case 0xcf:
+            return Number(take(reader, 8).readBigUInt64BE(0));
+        case 0xd0:
+            return take(reader, 1).readInt8(0);
+        case 0xd1:
+            return take(reader, 2).readInt16BE(0);
+        case 0xd2:
+            return take(reader, 4).readInt32BE(0);
+        case 0xd3:
+            return Number(take(reader, 8).readBigInt64BE(0));
+        case 0xd9:
+        case 0xda:
+        case 0xdb:
+            return take(reader, readUInt(reader, 1 << (code - 0xd9))).toString(
+                "utf8"
+            );
+        case 0xdc:
+        case 0xdd:
+            return readArray(reader, readUInt(reader, 2 << (code - 0xdc)));
+        case 0xde:
+        case 0xdf:
+            return readMap(reader, readUInt(reader, 2 << (code - 0xde)));
+        default:
+            throw new Error(
+                `Unsupported MessagePack type 0x${code.toString(16)}`
+            );
+    }
+}
+
+module.exports = { encode, decode };
@@ -0,0 +1,224 @@
+const fs = require("fs");
+const path = require("path");
+const { LSMTree } = require("./lsm-tree");
+const { ChangeFeed } = require("./change-feed");
+const { ReplicationLog } = require("./replication");
+const { SETTINGS: SERVER_SETTINGS, compactionProblems } = require("./config");
+
+// Each namespace is a keyspace of its own: a separate LSMTree, with its own
+// MemTable, WAL, SSTables and settings, under <dataDir>/namespaces/<name>/.
+// The "default" namespace is the tree at the top of the data directory.
+// Other namespaces are listed in <dataDir>/namespaces.json:
+//   [{ name, config, createdAt }]
+const DEFAULT_NAMESPACE = "default";
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Settings a namespace may set, checked as the server's own are (see
+// config.js); the rest come from the server's options
+const SETTINGS = [
+    "defaultTTL",
+    "memTableMaxSize",
+    "memTableMaxBytes",
+    "maxSSTables",
+    "maxEntries",
+    "maxBytes",
+    "evictionPolicy",
+    "compactionStrategy",
+    "compression",
+    // Passed to the compaction strategy, e.g. { level0Trigger: 4 }
+    "compaction",
+];
+
+class NamespaceError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// `strategy` is the compaction strategy a namespace gets unless its
+// config picks one
+function validateConfig(config, strategy = "leveled") {
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+        throw new NamespaceError(400, "config must be an object");
+    }
+    for (const [setting, value] of Object.entries(config)) {
+        if (!SETTINGS.includes(setting)) {
+            throw new NamespaceError(
+                400,
+                `Unknown setting "${setting}" (expected one of ${SETTINGS.join(
+                    ", "
+                )})`
+            );
+        }
+        const { type } = SERVER_SETTINGS[setting];
+        if (!type.valid(value)) {
+            throw new NamespaceError(
+                400,
+                `"${setting}" must be ${type.expected}`
+            );
+        }
+    }
+    if (config.compaction) {
+        const problems = compactionProblems(
+            config.compactionStrategy || strategy,
+            config.compaction
+        );
+        if (problems.length > 0) {
+            throw new NamespaceError(400, problems.join("; "));
+        }
+    }
+}
+
+class NamespaceManager {
+    // `defaultTree` is the default namespace; `baseOptions` are the LSMTree
+    // options every other namespace starts from
+    constructor(defaultTree, baseOptions = {}) {
+        this.baseOptions = baseOptions;
+        this.dataDir = defaultTree.dataDir;
+        this.registryPath = path.join(this.dataDir, "namespaces.json");
+        this.namespacesDir = path.join(this.dataDir, "namespaces");
+        this.namespaces = new Map();
+        this.register(DEFAULT_NAMESPACE, {}, null, defaultTree);
+    }
+
+    register(name, config, createdAt, tree) {
+        const namespace = {
+            name,
+            config,
+            createdAt,
+            tree,
+            feed: new ChangeFeed(tree),
+            replicationLog: new ReplicationLog(tree),
+        };
+        this.namespaces.set(name, namespace);
+        return namespace;
+    }
+
+    openTree(name, config) {
+        const {
+            memTableMaxSize = 1000,
+            maxSSTables = 10,
+            ...options
+        } = { ...this.baseOptions, ...config };
+        return new LSMTree(
+            memTableMaxSize,
+            maxSSTables,
+            path.join(this.namespacesDir, name),
+            options
+        );
+    }
+
+    async load() {
+        const registry = fs.existsSync(this.registryPath)
+            ? JSON.parse(await fs.promises.readFile(this.registryPath, "utf8"))
+            : [];
+        for (const { name, config, createdAt } of registry) {
+            this.register(name, config, createdAt, this.openTree(name, config));
+        }
+
+        // A drop that crashed after updating the registry leaves its
+        // directory behind; finish it
+        if (fs.existsSync(this.namespacesDir)) {
+            for (const dir of await fs.promises.readdir(this.namespacesDir)) {
+                if (this.namespaces.has(dir)) continue;
+                await fs.promises.rm(path.join(this.namespacesDir, dir), {
+                    recursive: true,
+                    force: true,
+                });
+                console.log(`Removed data of dropped namespace "${dir}"`);
+            }
+        }
+
+        await Promise.all(
+            Array.from(this.namespaces.values(), ({ tree }) => tree.ready)
+        );
+    }
+
+    async save() {
+        const registry = Array.from(this.namespaces.values())
+            .filter(({ name }) => name !== DEFAULT_NAMESPACE)
+            .map(({ name, config, createdAt }) => ({
+                name,
+                config,
+                createdAt,
+            }));
+        const tmpPath = `${this.registryPath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(registry, null, 2));
+        await fs.promises.rename(tmpPath, this.registryPath);
+    }
+
+    get(name) {
+        return this.namespaces.get(name);
+    }
+
+    // Every namespace, "default" first
+    all() {
+        return Array.from(this.namespaces.values());
+    }
+
+    list() {
+        return Array.from(this.namespaces.values(), describe);
+    }
+
+    async create(name, config = {}) {
+        if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+            throw new NamespaceError(
+                400,
+                "name must be 1-64 lowercase letters, digits, - or _, starting with a letter or digit"
+            );
+        }
+        validateConfig(config, this.baseOptions.compactionStrategy);
+        if (this.namespaces.has(name)) {
+            throw new NamespaceError(409, `Namespace "${name}" already exists`);
+        }
+
+        const namespace = this.register(
+            name,
+            config,
+            Date.now(),
+            this.openTree(name, config)
+        );
+        await namespace.tree.ready;
+        await this.save();
+        return describe(namespace);
+    }
+
+    // Deletes the namespace's directory outright, so its space comes back
+    // without a compaction. The registry is updated first: if the server
+    // stops halfway, load() removes the rest.
+    async drop(name) {
+        if (name === DEFAULT_NAMESPACE) {
+            throw new NamespaceError(
+                400,
+                "The default namespace cannot be dropped"
+            );
+        }
+        const namespace = this.namespaces.get(name);
+        if (!namespace) {
+            throw new NamespaceError(404, `Namespace "${name}" not found`);
+        }
+
+        this.namespaces.delete(name);
+        await this.save();
+        namespace.tree.removeAllListeners();
+        await namespace.tree.destroy();
+    }
+
+    async shutdown() {
+        await Promise.all(
+            Array.from(this.namespaces.values(), ({ tree }) => tree.shutdown())
+        );
+    }
+}
+
+// A namespace as shown to clients
+function describe({ name, config, createdAt, tree }) {
+    return { name, config, createdAt, defaultTTL: tree.defaultTTL };
+}
+
+module.exports = {
+    NamespaceManager,
+    NamespaceError,
+    DEFAULT_NAMESPACE,
+};
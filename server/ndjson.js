@@ -0,0 +1,48 @@
+// Newline-delimited JSON: one JSON value per line, blank lines ignored
+
+// Parses a readable stream one value at a time. A malformed line throws a
+// SyntaxError naming its line number.
+async function* readNDJSON(stream) {
+    stream.setEncoding("utf8");
+    let buffered = "";
+    let lineNumber = 0;
+    const parse = (line) => {
+        lineNumber++;
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new SyntaxError(`Line ${lineNumber}: ${error.message}`);
+        }
+    };
+
+    for await (const chunk of stream) {
+        buffered += chunk;
+        let newline;
+        while ((newline = buffered.indexOf("\n")) !== -1) {
+            const line = buffered.slice(0, newline).trim();
+            buffered = buffered.slice(newline + 1);
+            if (line) {
+                yield parse(line);
+            } else {
+                lineNumber++;
+            }
+        }
+    }
+    if (buffered.trim()) yield parse(buffered.trim());
+}
+
+// Writes each value of a (sync or async) iterable as a line, waiting
+// whenever the stream's buffer is full. Stops early if the stream closes.
+async function writeNDJSON(stream, values) {
+    for await (const value of values) {
+        if (stream.destroyed) return;
+        if (!stream.write(`${JSON.stringify(value)}\n`)) {
+            await new Promise((resolve) => {
+                stream.once("drain", resolve);
+                stream.once("close", resolve);
+            });
+        }
+    }
+}
+
+module.exports = { readNDJSON, writeNDJSON };
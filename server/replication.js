@@ -0,0 +1,575 @@
+const http = require("http");
+const https = require("https");
+const { readNDJSON } = require("./ndjson");
+const {
+    entryToJSON,
+    entryFromJSON,
+    recordToJSON,
+    recordFromJSON,
+    valueByteLength,
+} = require("./value-codecs");
+
+// Primary/replica replication by WAL shipping. A replica follows each of
+// its primary's namespaces over an HTTP stream of newline-delimited JSON:
+//   { type: "resume", seq }             records after `seq` follow
+//   { type: "snapshot", seq }           the primary's data as of `seq`
+//   { type: "entries", entries }        [key, entry] pairs, in key order
+//   { type: "snapshot-end", seq }       records after `seq` follow
+//   { type: "record", seq, ops }        a WAL record; `seq` is its highest
+//   { type: "heartbeat", seq, timestamp }  the primary's latest sequence
+// A replica asks for the records after the last sequence number it holds;
+// when the primary no longer buffers them all, it sends a snapshot instead.
+// Entries travel in their JSON form (see value-codecs.js).
+
+const HEARTBEAT_INTERVAL_MS = 5000;
+// A replica that hears nothing for this long, missed heartbeats included,
+// takes the connection for dead and reconnects
+const IDLE_TIMEOUT_MS = HEARTBEAT_INTERVAL_MS * 3;
+const SNAPSHOT_BATCH_SIZE = 500;
+// A replica this far behind on reading is cut off; it reconnects and
+// catches up, by snapshot if need be
+const MAX_BUFFERED_BYTES = 64 * 1024 * 1024;
+// Rough memory a buffered record takes besides its keys and values
+const RECORD_OVERHEAD = 128;
+
+function recordBytes(record) {
+    let bytes = RECORD_OVERHEAD;
+    for (const { key, entry } of record.ops) {
+        bytes += Buffer.byteLength(key);
+        if ("value" in entry) bytes += valueByteLength(entry);
+    }
+    return bytes;
+}
+
+// Keeps a tree's most recent WAL records for replicas to catch up from: at
+// most `bufferSize` records and `bufferBytes` of their keys and values.
+// Nothing is kept until a replica first connects.
+class ReplicationLog {
+    constructor(
+        tree,
+        { bufferSize = 10000, bufferBytes = 16 * 1024 * 1024 } = {}
+    ) {
+        this.tree = tree;
+        this.bufferSize = bufferSize;
+        this.bufferBytes = bufferBytes;
+        // Each { message, bytes }, oldest first
+        this.buffer = [];
+        this.bytes = 0;
+        this.buffering = false;
+        this.subscribers = new Set();
+        // Records at or below this sequence number are no longer buffered
+        this.floor = null;
+        tree.ready.then(() => {
+            this.floor = tree.lastSequence;
+        });
+
+        tree.on("record", (record) => this.publish(record));
+        tree.on("restore", ({ seq }) => {
+            this.buffer = [];
+            this.bytes = 0;
+            this.floor = seq;
+        });
+    }
+
+    publish(record) {
+        const seq = Math.max(...record.ops.map((op) => op.entry.seq));
+        if (!this.buffering) {
+            this.floor = seq;
+            return;
+        }
+
+        const message = { type: "record", seq, ops: recordToJSON(record).ops };
+
+        const bytes = recordBytes(record);
+        this.buffer.push({ message, bytes });
+        this.bytes += bytes;
+        if (
+            this.buffer.length > this.bufferSize * 2 ||
+            this.bytes > this.bufferBytes
+        ) {
+            this.trim();
+        }
+
+        for (const subscriber of this.subscribers) {
+            subscriber.listener(message);
+        }
+    }
+
+    // Drops the oldest records in one go, down to `bufferSize` of them and
+    // half of `bufferBytes`
+    trim() {
+        let count = Math.max(this.buffer.length - this.bufferSize, 0);
+        for (let i = 0; i < count; i++) this.bytes -= this.buffer[i].bytes;
+        while (
+            count < this.buffer.length &&
+            this.bytes > this.bufferBytes / 2
+        ) {
+            this.bytes -= this.buffer[count].bytes;
+            count++;
+        }
+        const dropped = this.buffer.splice(0, count);
+        this.floor = dropped[dropped.length - 1].message.seq;
+    }
+
+    // Whether every record after sequence number `since` is buffered
+    covers(since) {
+        return (
+            this.floor !== null &&
+            since >= this.floor &&
+            since <= this.tree.lastSequence
+        );
+    }
+
+    recordsAfter(since) {
+        return this.buffer
+            .map(({ message }) => message)
+            .filter((message) => message.seq > since);
+    }
+
+    // Buffering starts with the first replica and goes on after it leaves,
+    // so that it can resume when it reconnects
+    subscribe(listener, info = {}) {
+        this.buffering = true;
+        const subscriber = { listener, info };
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    getStats() {
+        const last = this.tree.lastSequence;
+        return {
+            role: this.tree.replica ? "replica" : "primary",
+            bufferedRecords: this.buffer.length,
+            bufferedBytes: this.bytes,
+            floor: this.floor,
+            replicas: Array.from(this.subscribers, ({ info }) => ({
+                ...info,
+                lag: info.sentSeq === null ? null : last - info.sentSeq,
+            })),
+        };
+    }
+}
+
+// One replica's stream on the primary, written to an HTTP response
+class ReplicationStream {
+    constructor(log, res, { since, address }) {
+        this.log = log;
+        this.tree = log.tree;
+        this.res = res;
+        this.since = since;
+        this.closed = false;
+        this.info = {
+            address,
+            connectedAt: Date.now(),
+            state: "starting",
+            sentSeq: null,
+        };
+    }
+
+    // Resolves once `message` is handed to the network
+    send(message) {
+        if (this.closed) return Promise.resolve();
+        if (message.type === "record") this.info.sentSeq = message.seq;
+        if (this.res.write(`${JSON.stringify(message)}\n`)) {
+            return Promise.resolve();
+        }
+        if (this.res.writableLength > MAX_BUFFERED_BYTES) {
+            console.error(
+                `Replica ${this.info.address} fell too far behind; disconnecting`
+            );
+            this.close();
+            this.res.destroy();
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            this.res.once("drain", resolve);
+            this.res.once("close", resolve);
+        });
+    }
+
+    async start() {
+        await this.tree.ready;
+        if (this.closed) return;
+        // Records arriving while the backlog is sent wait their turn
+        let pending = [];
+        this.unsubscribe = this.log.subscribe((message) => {
+            if (pending) {
+                pending.push(message);
+            } else {
+                this.send(message);
+            }
+        }, this.info);
+        this.heartbeat = setInterval(
+            () =>
+                this.send({
+                    type: "heartbeat",
+                    seq: this.tree.lastSequence,
+                    timestamp: Date.now(),
+                }),
+            HEARTBEAT_INTERVAL_MS
+        );
+
+        let sentSeq;
+        if (this.since !== undefined && this.log.covers(this.since)) {
+            this.info.state = "catching-up";
+            sentSeq = this.since;
+            await this.send({ type: "resume", seq: sentSeq });
+            for (const message of this.log.recordsAfter(sentSeq)) {
+                await this.send(message);
+                sentSeq = message.seq;
+            }
+        } else {
+            this.info.state = "bootstrapping";
+            sentSeq = await this.sendSnapshot();
+        }
+
+        // Anything the snapshot or backlog already covered is skipped
+        while (pending.length > 0 && !this.closed) {
+            const message = pending.shift();
+            if (message.seq > sentSeq) await this.send(message);
+        }
+        pending = null;
+        this.info.state = "streaming";
+        if (this.info.sentSeq === null) this.info.sentSeq = sentSeq;
+    }
+
+    async sendSnapshot() {
+        const snapshot = await this.tree.snapshot();
+        try {
+            await this.send({ type: "snapshot", seq: snapshot.seq });
+            let entries = [];
+            for await (const pair of this.tree.iterate({ snapshot })) {
+                if (this.closed) break;
+                entries.push([pair[0], entryToJSON(pair[1])]);
+                if (entries.length >= SNAPSHOT_BATCH_SIZE) {
+                    await this.send({ type: "entries", entries });
+                    entries = [];
+                }
+            }
+            if (entries.length > 0) {
+                await this.send({ type: "entries", entries });
+            }
+            await this.send({ type: "snapshot-end", seq: snapshot.seq });
+            this.info.sentSeq = snapshot.seq;
+            return snapshot.seq;
+        } finally {
+            snapshot.release();
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        clearInterval(this.heartbeat);
+        if (this.unsubscribe) this.unsubscribe();
+    }
+}
+
+// GET `url`; the request is left on `connection.req` so it can be aborted
+function request(url, { token, connection } = {}) {
+    const client = url.startsWith("https:") ? https : http;
+    return new Promise((resolve, reject) => {
+        const req = client.get(
+            url,
+            { headers: token ? { Authorization: `Bearer ${token}` } : {} },
+            resolve
+        );
+        req.on("error", reject);
+        if (connection) connection.req = req;
+    });
+}
+
+async function readBody(res) {
+    res.setEncoding("utf8");
+    let body = "";
+    for await (const chunk of res) body += chunk;
+    return body;
+}
+
+async function requestJson(url, options) {
+    const res = await request(url, options);
+    const body = await readBody(res);
+    const json = JSON.parse(body);
+    if (res.statusCode !== 200) {
+        throw new Error(`${url} answered ${res.statusCode}: ${json.error}`);
+    }
+    return json;
+}
+
+// Follows one namespace of the primary into a replica tree, reconnecting
+// after `retryMs` whenever the stream breaks or goes quiet for
+// `idleTimeoutMs`
+class ReplicationClient {
+    constructor(
+        tree,
+        url,
+        { token, retryMs = 1000, idleTimeoutMs = IDLE_TIMEOUT_MS } = {}
+    ) {
+        this.tree = tree;
+        this.url = url;
+        this.token = token;
+        this.retryMs = retryMs;
+        this.idleTimeoutMs = idleTimeoutMs;
+        this.stopped = false;
+        this.connection = {};
+        this.retryTimer = null;
+        this.stats = {
+            state: "connecting",
+            primarySeq: null,
+            lagMs: null,
+            lastContactAt: null,
+            bootstraps: 0,
+            reconnects: 0,
+            error: null,
+        };
+    }
+
+    start() {
+        this.running = this.run();
+        return this;
+    }
+
+    async run() {
+        while (!this.stopped) {
+            try {
+                await this.follow();
+                this.stats.error = "Primary closed the stream";
+            } catch (error) {
+                this.stats.error = error.message;
+            }
+            if (this.stopped) break;
+            this.stats.state = "disconnected";
+            this.stats.reconnects++;
+            await new Promise((resolve) => {
+                this.retryTimer = setTimeout(resolve, this.retryMs);
+                this.wake = resolve;
+            });
+        }
+    }
+
+    async follow() {
+        await this.tree.ready;
+        this.stats.state = "connecting";
+        const res = await request(
+            `${this.url}?since=${this.tree.lastSequence}`,
+            { token: this.token, connection: this.connection }
+        );
+        if (res.statusCode !== 200) {
+            const body = await readBody(res);
+            let message = body;
+            try {
+                message = JSON.parse(body).error;
+            } catch (error) {
+                // Not JSON; report the body as is
+            }
+            throw new Error(`Primary answered ${res.statusCode}: ${message}`);
+        }
+
+        this.connection.res = res;
+        const messages = readNDJSON(res);
+        while (!this.stopped) {
+            const { value: message, done } = await this.nextMessage(messages);
+            if (done) return;
+            await this.handle(message, messages);
+        }
+    }
+
+    // The stream's next message. A half-open connection never ends the
+    // stream, so one that stays silent past a few heartbeats is cut off.
+    async nextMessage(messages) {
+        const timer = setTimeout(() => {
+            this.connection.res.destroy(
+                new Error(
+                    `Heard nothing from the primary for ${this.idleTimeoutMs}ms`
+                )
+            );
+        }, this.idleTimeoutMs);
+        try {
+            return await messages.next();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async handle(message, messages) {
+        this.stats.lastContactAt = Date.now();
+        switch (message.type) {
+            case "resume":
+                this.stats.state = "streaming";
+                this.stats.error = null;
+                break;
+            case "snapshot":
+                this.stats.state = "bootstrapping";
+                this.stats.bootstraps++;
+                await this.tree.restoreSnapshot(
+                    message.seq,
+                    this.snapshotEntries(messages)
+                );
+                this.stats.state = "streaming";
+                this.stats.error = null;
+                break;
+            case "record": {
+                await this.tree.applyReplicated(
+                    recordFromJSON({ ops: message.ops })
+                );
+                const written = Math.max(
+                    ...message.ops.map((op) => op.entry.timestamp || 0)
+                );
+                this.stats.lagMs = Math.max(0, Date.now() - written);
+                break;
+            }
+            case "heartbeat":
+                this.stats.primarySeq = message.seq;
+                if (this.tree.lastSequence >= message.seq) {
+                    this.stats.lagMs = 0;
+                }
+                break;
+            default:
+                break;
+        }
+        if (message.seq > this.stats.primarySeq) {
+            this.stats.primarySeq = message.seq;
+        }
+    }
+
+    // The snapshot's entries, read off the stream up to its end
+    async *snapshotEntries(messages) {
+        while (true) {
+            const { value: message, done } = await this.nextMessage(messages);
+            if (done) throw new Error("Stream ended during the snapshot");
+            if (message.type === "snapshot-end") return;
+            if (message.type === "heartbeat") {
+                this.stats.primarySeq = message.seq;
+            }
+            if (message.type === "entries") {
+                for (const [key, entry] of message.entries) {
+                    yield [key, entryFromJSON(entry)];
+                }
+            }
+        }
+    }
+
+    getStats() {
+        const appliedSeq = this.tree.lastSequence;
+        const { primarySeq } = this.stats;
+        return {
+            role: "replica",
+            primary: this.url,
+            ...this.stats,
+            appliedSeq,
+            lag:
+                primarySeq === null
+                    ? null
+                    : Math.max(0, primarySeq - appliedSeq),
+        };
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.retryTimer);
+        if (this.wake) this.wake();
+        if (this.connection.req) this.connection.req.destroy();
+        await this.running;
+    }
+}
+
+// Makes this server a replica of `primaryUrl`: mirrors its namespaces,
+// checking for new and dropped ones every `pollIntervalMs`, and follows
+// each with a ReplicationClient. `token` must be an admin API key there.
+class Replica {
+    constructor(
+        namespaces,
+        primaryUrl,
+        { token, pollIntervalMs = 10000, retryMs } = {}
+    ) {
+        this.namespaces = namespaces;
+        this.primaryUrl = primaryUrl.replace(/\/+$/, "");
+        this.token = token;
+        this.pollIntervalMs = pollIntervalMs;
+        this.retryMs = retryMs;
+        this.clients = new Map();
+        this.pollTimer = null;
+    }
+
+    async start() {
+        await this.sync().catch((error) => {
+            console.error("Failed to list the primary's namespaces:", error);
+        });
+        // Without the list, at least the default namespace can follow
+        this.follow("default");
+        this.pollTimer = setInterval(() => {
+            this.sync().catch((error) => {
+                console.error(
+                    "Failed to list the primary's namespaces:",
+                    error.message
+                );
+            });
+        }, this.pollIntervalMs);
+        this.pollTimer.unref();
+    }
+
+    async sync() {
+        const { data } = await requestJson(
+            `${this.primaryUrl}/api/namespaces`,
+            { token: this.token }
+        );
+        const remote = new Map(
+            data.map((namespace) => [namespace.name, namespace])
+        );
+
+        for (const { name } of this.namespaces.list()) {
+            if (remote.has(name)) continue;
+            await this.unfollow(name);
+            await this.namespaces.drop(name);
+            console.log(`Dropped namespace "${name}", gone from the primary`);
+        }
+        for (const [name, { config }] of remote) {
+            if (!this.namespaces.get(name)) {
+                await this.namespaces.create(name, config);
+                console.log(`Created namespace "${name}" from the primary`);
+            }
+            this.follow(name);
+        }
+    }
+
+    follow(name) {
+        const namespace = this.namespaces.get(name);
+        if (this.clients.has(name) || !namespace) return;
+        const url = `${this.primaryUrl}/api/ns/${encodeURIComponent(
+            name
+        )}/replication/stream`;
+        this.clients.set(
+            name,
+            new ReplicationClient(namespace.tree, url, {
+                token: this.token,
+                retryMs: this.retryMs,
+            }).start()
+        );
+    }
+
+    async unfollow(name) {
+        const client = this.clients.get(name);
+        if (!client) return;
+        this.clients.delete(name);
+        await client.stop();
+    }
+
+    getStats(name) {
+        const client = this.clients.get(name);
+        return client ? client.getStats() : null;
+    }
+
+    async stop() {
+        clearInterval(this.pollTimer);
+        await Promise.all(
+            Array.from(this.clients.keys(), (name) => this.unfollow(name))
+        );
+    }
+}
+
+module.exports = {
+    ReplicationLog,
+    ReplicationStream,
+    ReplicationClient,
+    Replica,
+};
@@ -0,0 +1,614 @@
+const net = require("net");
+const { createPut, createTombstone } = require("./entry");
+const { hasAccess, allowsKey } = require("./auth");
+
+// RESP2 front-end: requests are arrays of bulk strings (or inline commands
+// typed into telnet), replies are simple strings, errors, integers, bulk
+// strings and arrays. Commands on one connection run one at a time, so
+// pipelined replies come back in order.
+//
+// With an API key store, a connection must AUTH with a token first; its
+// role and prefixes then apply as they do over HTTP.
+
+const CRLF = "\r\n";
+// SCAN cursors each connection keeps before forgetting its oldest
+const SCAN_CURSOR_LIMIT = 1000;
+
+class RespError extends Error {}
+
+const reply = {
+    simple: (text) => `+${text}${CRLF}`,
+    error: (message) => `-${message}${CRLF}`,
+    integer: (n) => `:${n}${CRLF}`,
+    // Binary values go out as Buffers, byte for byte
+    bulk: (text) => {
+        if (text === null) return `$-1${CRLF}`;
+        if (!Buffer.isBuffer(text)) {
+            return `$${Buffer.byteLength(text)}${CRLF}${text}${CRLF}`;
+        }
+        return Buffer.concat([
+            Buffer.from(`$${text.length}${CRLF}`),
+            text,
+            Buffer.from(CRLF),
+        ]);
+    },
+    array: (items) => {
+        if (items === null) return `*-1${CRLF}`;
+        const head = `*${items.length}${CRLF}`;
+        if (!items.some(Buffer.isBuffer)) return `${head}${items.join("")}`;
+        return Buffer.concat(
+            [head, ...items].map((item) =>
+                Buffer.isBuffer(item) ? item : Buffer.from(item)
+            )
+        );
+    },
+};
+
+// Parses one request from the front of `buffer`. Returns
+// { args, length } or null if the request is not complete yet. Arguments
+// are Buffers, so values stay binary-safe; respond() decodes the rest.
+function parseRequest(buffer) {
+    if (buffer.length === 0) return null;
+
+    if (buffer[0] !== 0x2a /* "*" */) {
+        const end = buffer.indexOf(CRLF);
+        if (end === -1) return null;
+        const line = buffer.toString("utf8", 0, end).trim();
+        return {
+            args: line.length
+                ? line.split(/\s+/).map((arg) => Buffer.from(arg))
+                : [],
+            length: end + 2,
+        };
+    }
+
+    let offset = buffer.indexOf(CRLF);
+    if (offset === -1) return null;
+    const count = parseInt(buffer.toString("ascii", 1, offset), 10);
+    if (Number.isNaN(count)) throw new RespError("ERR Protocol error");
+    offset += 2;
+
+    const args = [];
+    for (let i = 0; i < count; i++) {
+        const end = buffer.indexOf(CRLF, offset);
+        if (end === -1) return null;
+        if (buffer[offset] !== 0x24 /* "$" */) {
+            throw new RespError("ERR Protocol error: expected '$'");
+        }
+        const length = parseInt(buffer.toString("ascii", offset + 1, end), 10);
+        if (Number.isNaN(length) || length < 0) {
+            throw new RespError("ERR Protocol error: invalid bulk length");
+        }
+        const start = end + 2;
+        if (buffer.length < start + length + 2) return null;
+        // A copy, so the argument does not hold on to the whole chunk
+        args.push(Buffer.from(buffer.subarray(start, start + length)));
+        offset = start + length + 2;
+    }
+    return { args, length: offset };
+}
+
+// Command names and keys are text; the arguments VALUE_ARGS names stay
+// bytes
+function decodeArgs([name, ...args]) {
+    const upper = name.toString("utf8").toUpperCase();
+    const isValue = VALUE_ARGS[upper] || (() => false);
+    return [
+        name.toString("utf8"),
+        ...args.map((arg, i) => (isValue(i) ? arg : arg.toString("utf8"))),
+    ];
+}
+
+// A value from a client is stored as a string when its bytes are valid
+// UTF-8, which they then round-trip through, and as bytes otherwise
+function fromRespString(buffer) {
+    const text = buffer.toString("utf8");
+    return Buffer.from(text, "utf8").equals(buffer) ? text : buffer;
+}
+
+// Values written over HTTP may be any JSON or binary; Redis only has
+// (binary-safe) strings
+function toRespString(value) {
+    return typeof value === "string" || Buffer.isBuffer(value)
+        ? value
+        : JSON.stringify(value);
+}
+
+function parseInteger(text) {
+    if (!/^-?\d+$/.test(text)) {
+        throw new RespError("ERR value is not an integer or out of range");
+    }
+    return parseInt(text, 10);
+}
+
+// Redis glob patterns: *, ?, [...], [^...] and backslash escapes
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === "*") source += ".*";
+        else if (char === "?") source += ".";
+        else if (char === "[") {
+            const end = pattern.indexOf("]", i + 1);
+            if (end === -1) {
+                source += "\\[";
+            } else {
+                // A leading ^ negates the set, as in Redis
+                const set = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+                source += `[${set}]`;
+                i = end;
+            }
+        } else if (char === "\\" && i + 1 < pattern.length) {
+            source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`, "s");
+}
+
+// The part of a glob before its first wildcard, used to narrow the scan
+function literalPrefix(pattern) {
+    const match = pattern.match(/^[^*?[\\]*/);
+    return match[0];
+}
+
+class RespServer {
+    constructor(
+        tree,
+        { port = 6380, host, auth = null, readOnly = false } = {}
+    ) {
+        this.tree = tree;
+        this.auth = auth;
+        // Replicas refuse writes, as Redis replicas do
+        this.readOnly = readOnly;
+        this.port = port;
+        this.host = host;
+        this.server = null;
+        this.sockets = new Set();
+    }
+
+    start() {
+        this.server = net.createServer((socket) => this.handle(socket));
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off("error", reject);
+                resolve();
+            });
+        });
+    }
+
+    close() {
+        if (!this.server) return Promise.resolve();
+        for (const socket of this.sockets) socket.destroy();
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    handle(socket) {
+        this.sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        let queue = Promise.resolve();
+        // SCAN cursors are numbers to clients; each maps to the last key
+        // returned. They belong to the connection, so one client cannot
+        // continue another's scan.
+        const session = { apiKey: null, scanCursors: new Map(), nextCursor: 1 };
+
+        socket.on("data", (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            try {
+                while ((request = parseRequest(buffer))) {
+                    buffer = buffer.subarray(request.length);
+                    const { args } = request;
+                    if (args.length === 0) continue;
+                    queue = queue.then(() =>
+                        this.respond(socket, args, session)
+                    );
+                }
+            } catch (error) {
+                socket.end(reply.error(error.message));
+            }
+        });
+        socket.on("error", () => socket.destroy());
+        socket.on("close", () => this.sockets.delete(socket));
+    }
+
+    async respond(socket, rawArgs, session) {
+        if (socket.destroyed) return;
+        const args = decodeArgs(rawArgs);
+        let response;
+        try {
+            response = await this.execute(args, session);
+        } catch (error) {
+            response = reply.error(
+                error instanceof RespError
+                    ? error.message
+                    : `ERR ${error.message}`
+            );
+        }
+        socket.write(response);
+        if (args[0].toUpperCase() === "QUIT") socket.end();
+    }
+
+    async execute([name, ...args], session) {
+        const upper = name.toUpperCase();
+        const command = COMMANDS[upper];
+        if (!command) {
+            throw new RespError(`ERR unknown command '${name}'`);
+        }
+        const [handler, minArgs, maxArgs = minArgs, multipleOf = 1] = command;
+        if (
+            args.length < minArgs ||
+            args.length > maxArgs ||
+            args.length % multipleOf !== 0
+        ) {
+            throw new RespError(
+                `ERR wrong number of arguments for '${name.toLowerCase()}' command`
+            );
+        }
+        if (this.auth && upper !== "AUTH" && upper !== "QUIT") {
+            this.checkAccess(upper, args, session);
+        }
+        if (this.readOnly && COMMAND_ACCESS[upper] === "write") {
+            throw new RespError(
+                "READONLY You can't write against a read only replica."
+            );
+        }
+        return handler.call(this, args, session);
+    }
+
+    checkAccess(name, args, { apiKey }) {
+        if (!apiKey) {
+            throw new RespError("NOAUTH Authentication required.");
+        }
+        const access = COMMAND_ACCESS[name];
+        if (access && !hasAccess(apiKey, access)) {
+            throw new RespError(
+                `NOPERM The "${apiKey.role}" role may not run '${name.toLowerCase()}'`
+            );
+        }
+        const keys = COMMAND_KEYS[name] ? COMMAND_KEYS[name](args) : [];
+        const denied = keys.find((key) => !allowsKey(apiKey, key));
+        if (denied !== undefined) {
+            throw new RespError(
+                `NOPERM Key '${denied}' is outside the allowed prefixes`
+            );
+        }
+    }
+
+    // AUTH token, or AUTH username token (the username is ignored)
+    async authenticate(args, session) {
+        if (!this.auth) {
+            throw new RespError(
+                "ERR AUTH <password> called without any password configured for the default user. Are you sure your configuration is correct?"
+            );
+        }
+        const apiKey = this.auth.authenticate(args[args.length - 1]);
+        if (!apiKey) {
+            throw new RespError(
+                "WRONGPASS invalid username-password pair or user is disabled."
+            );
+        }
+        session.apiKey = apiKey;
+        return reply.simple("OK");
+    }
+
+    async ping([message]) {
+        return message === undefined
+            ? reply.simple("PONG")
+            : reply.bulk(message);
+    }
+
+    async get([key]) {
+        const entry = await this.tree.get(key);
+        return reply.bulk(entry ? toRespString(entry.value) : null);
+    }
+
+    // SET key value [EX seconds | PX milliseconds] [NX | XX]
+    async set([key, value, ...options]) {
+        let ttl = null;
+        let condition = null;
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toUpperCase();
+            if ((option === "EX" || option === "PX") && ttl === null) {
+                if (i + 1 >= options.length) {
+                    throw new RespError("ERR syntax error");
+                }
+                const amount = parseInteger(options[++i]);
+                if (amount <= 0) {
+                    throw new RespError(
+                        "ERR invalid expire time in 'set' command"
+                    );
+                }
+                ttl = option === "EX" ? amount * 1000 : amount;
+            } else if ((option === "NX" || option === "XX") && !condition) {
+                condition = option;
+            } else {
+                throw new RespError("ERR syntax error");
+            }
+        }
+
+        value = fromRespString(value);
+        if (!condition) {
+            await this.tree.put(key, value, ttl);
+            return reply.simple("OK");
+        }
+        const written = await this.tree.putIf(key, value, ttl, (current) =>
+            condition === "NX" ? !current : Boolean(current)
+        );
+        return written ? reply.simple("OK") : reply.bulk(null);
+    }
+
+    async del(keys) {
+        let deleted = 0;
+        for (const key of new Set(keys)) {
+            const written = await this.tree.update(key, (current) =>
+                current ? createTombstone() : null
+            );
+            if (written) deleted++;
+        }
+        return reply.integer(deleted);
+    }
+
+    async exists(keys) {
+        const entries = await this.tree.mget(keys);
+        return reply.integer(entries.filter(Boolean).length);
+    }
+
+    async mget(keys) {
+        const entries = await this.tree.mget(keys);
+        return reply.array(
+            entries.map((entry) =>
+                reply.bulk(entry ? toRespString(entry.value) : null)
+            )
+        );
+    }
+
+    async mset(args) {
+        const ops = [];
+        for (let i = 0; i < args.length; i += 2) {
+            ops.push({
+                op: "put",
+                key: args[i],
+                value: fromRespString(args[i + 1]),
+                ttl: null,
+            });
+        }
+        await this.tree.batch(ops);
+        return reply.simple("OK");
+    }
+
+    async remaining(key, unit) {
+        const entry = await this.tree.get(key);
+        if (!entry) return reply.integer(-2);
+        if (!entry.expiresAt) return reply.integer(-1);
+        const ms = Math.max(entry.expiresAt - Date.now(), 0);
+        return reply.integer(unit === 1 ? ms : Math.round(ms / unit));
+    }
+
+    async ttl([key]) {
+        return this.remaining(key, 1000);
+    }
+
+    async pttl([key]) {
+        return this.remaining(key, 1);
+    }
+
+    async expire([key, seconds]) {
+        const ttl = parseInteger(seconds) * 1000;
+        const written = await this.tree.update(key, (current) => {
+            if (!current) return null;
+            // A non-positive timeout deletes the key, as in Redis; the
+            // value keeps its codec and content type
+            return ttl > 0
+                ? createPut(current.value, ttl, Date.now(), current)
+                : createTombstone();
+        });
+        return reply.integer(written ? 1 : 0);
+    }
+
+    async incrementBy(key, delta) {
+        const written = await this.tree.update(key, (current) => {
+            if (!current) return createPut(delta, null);
+            const value =
+                typeof current.value === "number"
+                    ? current.value
+                    : parseInteger(String(toRespString(current.value)));
+            if (!Number.isSafeInteger(value)) {
+                throw new RespError(
+                    "ERR value is not an integer or out of range"
+                );
+            }
+            return {
+                ...createPut(value + delta, null),
+                expiresAt: current.expiresAt,
+            };
+        });
+        return reply.integer(written.value);
+    }
+
+    async incr([key]) {
+        return this.incrementBy(key, 1);
+    }
+
+    async incrby([key, delta]) {
+        return this.incrementBy(key, parseInteger(delta));
+    }
+
+    async decr([key]) {
+        return this.incrementBy(key, -1);
+    }
+
+    async decrby([key, delta]) {
+        return this.incrementBy(key, -parseInteger(delta));
+    }
+
+    // SCAN cursor [MATCH pattern] [COUNT count]. Keys come in key order,
+    // `count` per call before filtering, as in Redis.
+    async scan([cursor, ...options], session) {
+        const { apiKey, scanCursors } = session;
+        let pattern = null;
+        let count = 10;
+        for (let i = 0; i < options.length; i += 2) {
+            const option = options[i].toUpperCase();
+            if (i + 1 >= options.length)
+                throw new RespError("ERR syntax error");
+            if (option === "MATCH") {
+                pattern = options[i + 1];
+            } else if (option === "COUNT") {
+                count = parseInteger(options[i + 1]);
+                if (count < 1) throw new RespError("ERR syntax error");
+            } else {
+                throw new RespError("ERR syntax error");
+            }
+        }
+
+        let start;
+        if (cursor !== "0") {
+            const lastKey = scanCursors.get(parseInteger(cursor));
+            // An unknown cursor ends the iteration, as an invalid one would
+            if (lastKey === undefined) {
+                return reply.array([reply.bulk("0"), reply.array([])]);
+            }
+            start = `${lastKey}\u0000`;
+        }
+
+        const prefix = pattern ? literalPrefix(pattern) : undefined;
+        const entries = await this.tree.scan({
+            start,
+            prefix: prefix || undefined,
+            limit: count + 1,
+        });
+        const page = entries.slice(0, count);
+        let next = "0";
+        if (entries.length > count) {
+            const id = session.nextCursor++;
+            scanCursors.set(id, page[page.length - 1].key);
+            if (scanCursors.size > SCAN_CURSOR_LIMIT) {
+                scanCursors.delete(scanCursors.keys().next().value);
+            }
+            next = String(id);
+        }
+
+        const regExp = pattern ? globToRegExp(pattern) : null;
+        // Keys outside the allowed prefixes are skipped, like non-matches
+        const keys = page
+            .map((entry) => entry.key)
+            .filter((key) => !regExp || regExp.test(key))
+            .filter((key) => !apiKey || allowsKey(apiKey, key));
+        return reply.array([
+            reply.bulk(next),
+            reply.array(keys.map(reply.bulk)),
+        ]);
+    }
+
+    async echo([message]) {
+        return reply.bulk(message);
+    }
+
+    async select([index]) {
+        if (index !== "0") throw new RespError("ERR DB index is out of range");
+        return reply.simple("OK");
+    }
+
+    async quit() {
+        return reply.simple("OK");
+    }
+
+    // Clients ask for command docs and server info on connect; answer
+    // enough for them to carry on
+    async command() {
+        return reply.array([]);
+    }
+
+    async info() {
+        const stats = await this.tree.getStats();
+        return reply.bulk(
+            [
+                "# Server",
+                "redis_version:7.0.0",
+                "redis_mode:standalone",
+                `tcp_port:${this.port}`,
+                "# Keyspace",
+                `db0:keys=${stats.totalEntries},expires=${stats.expiringEntries}`,
+                "",
+            ].join(CRLF)
+        );
+    }
+
+    async client() {
+        return reply.simple("OK");
+    }
+}
+
+// name: [handler, min args, max args, args multiple of]
+const COMMANDS = {
+    AUTH: [RespServer.prototype.authenticate, 1, 2],
+    PING: [RespServer.prototype.ping, 0, 1],
+    ECHO: [RespServer.prototype.echo, 1],
+    GET: [RespServer.prototype.get, 1],
+    SET: [RespServer.prototype.set, 2, 6],
+    DEL: [RespServer.prototype.del, 1, Infinity],
+    EXISTS: [RespServer.prototype.exists, 1, Infinity],
+    MGET: [RespServer.prototype.mget, 1, Infinity],
+    MSET: [RespServer.prototype.mset, 2, Infinity, 2],
+    TTL: [RespServer.prototype.ttl, 1],
+    PTTL: [RespServer.prototype.pttl, 1],
+    EXPIRE: [RespServer.prototype.expire, 2],
+    INCR: [RespServer.prototype.incr, 1],
+    INCRBY: [RespServer.prototype.incrby, 2],
+    DECR: [RespServer.prototype.decr, 1],
+    DECRBY: [RespServer.prototype.decrby, 2],
+    SCAN: [RespServer.prototype.scan, 1, 5],
+    SELECT: [RespServer.prototype.select, 1],
+    QUIT: [RespServer.prototype.quit, 0],
+    COMMAND: [RespServer.prototype.command, 0, Infinity],
+    INFO: [RespServer.prototype.info, 0, Infinity],
+    CLIENT: [RespServer.prototype.client, 1, Infinity],
+};
+
+// Arguments, counted after the command name, that are values
+const VALUE_ARGS = {
+    SET: (i) => i === 1,
+    MSET: (i) => i % 2 === 1,
+    PING: () => true,
+    ECHO: () => true,
+};
+
+const READS = ["GET", "EXISTS", "MGET", "TTL", "PTTL", "SCAN", "INFO"];
+const WRITES = [
+    "SET",
+    "DEL",
+    "MSET",
+    "EXPIRE",
+    "INCR",
+    "INCRBY",
+    "DECR",
+    "DECRBY",
+];
+const COMMAND_ACCESS = Object.fromEntries([
+    ...READS.map((name) => [name, "read"]),
+    ...WRITES.map((name) => [name, "write"]),
+]);
+
+// The keys each command touches, checked against the allowed prefixes
+const firstKey = (args) => [args[0]];
+const allKeys = (args) => args;
+const COMMAND_KEYS = {
+    GET: firstKey,
+    SET: firstKey,
+    TTL: firstKey,
+    PTTL: firstKey,
+    EXPIRE: firstKey,
+    INCR: firstKey,
+    INCRBY: firstKey,
+    DECR: firstKey,
+    DECRBY: firstKey,
+    DEL: allKeys,
+    EXISTS: allKeys,
+    MGET: allKeys,
+    MSET: (args) => args.filter((arg, i) => i % 2 === 0),
+};
+
+module.exports = { RespServer, parseRequest, globToRegExp };
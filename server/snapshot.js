@@ -0,0 +1,102 @@
+// Every write gets the next sequence number. A snapshot pins the sequence
+// number current when it was taken; reads through it see, for each key, the
+// newest version with a sequence number at or below it. Entries written
+// before sequence numbers existed count as sequence 0.
+
+function seqOf(entry) {
+    return entry.seq || 0;
+}
+
+class Snapshot {
+    constructor(tree, seq) {
+        this.tree = tree;
+        this.seq = seq;
+        this.released = false;
+    }
+
+    check() {
+        if (this.released) {
+            throw new Error(`Snapshot at sequence ${this.seq} was released`);
+        }
+    }
+
+    async get(key) {
+        this.check();
+        return this.tree.get(key, { snapshot: this });
+    }
+
+    iterate(options = {}) {
+        this.check();
+        return this.tree.iterate({ ...options, snapshot: this });
+    }
+
+    async scan(options = {}) {
+        this.check();
+        return this.tree.scan({ ...options, snapshot: this });
+    }
+
+    // Lets flushes and compactions discard the versions kept for it
+    release() {
+        if (this.released) return;
+        this.released = true;
+        this.tree.snapshots.remove(this.seq);
+    }
+}
+
+// Sequence numbers of the live snapshots, ascending; a number appears once
+// per snapshot holding it
+class SnapshotList {
+    constructor() {
+        this.seqs = [];
+    }
+
+    // Index of the first snapshot at or above `seq`
+    lowerBound(seq) {
+        let low = 0;
+        let high = this.seqs.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.seqs[mid] < seq) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    add(seq) {
+        this.seqs.splice(this.lowerBound(seq), 0, seq);
+    }
+
+    remove(seq) {
+        const i = this.lowerBound(seq);
+        if (this.seqs[i] === seq) this.seqs.splice(i, 1);
+    }
+
+    // Whether some snapshot sees a version written at `seq` that was
+    // superseded at `nextSeq`, i.e. seq <= snapshot < nextSeq
+    needs(seq, nextSeq) {
+        const i = this.lowerBound(seq);
+        return i < this.seqs.length && this.seqs[i] < nextSeq;
+    }
+
+    // Of a key's versions, newest first, the ones the latest state or some
+    // live snapshot can still see
+    retain(versions) {
+        return versions.filter(
+            (version, i) =>
+                i === 0 || this.needs(seqOf(version), seqOf(versions[i - 1]))
+        );
+    }
+
+    get size() {
+        return this.seqs.length;
+    }
+
+    get oldest() {
+        return this.seqs.length ? this.seqs[0] : null;
+    }
+}
+
+module.exports = { Snapshot, SnapshotList, seqOf };
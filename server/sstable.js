@@ -0,0 +1,858 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { BloomFilter } = require("./bloom-filter");
+const { isLive, isTombstone } = require("./entry");
+const { CODECS, getCodec, codecById } = require("./compression");
+const { getValueCodec } = require("./value-codecs");
+const { BlockCache } = require("./block-cache");
+
+// File layout:
+//   [header: magic "LSST" + version u32 + codec id u8 + 3 reserved bytes]
+//   [data block]...[data block]
+//   [index: JSON array, one { key, lastKey, offset, length, rawLength,
+//            count, crc } per block]
+//   [meta: JSON { id, createdAt, level, count, minKey, maxKey, minSeq, maxSeq,
+//                 expiry, blockSize }]
+//   [footer: indexOffset u64, indexLength u32, metaLength u32, magic "LSST"]
+// Blocks hold entries as
+//   [keyLength u32][key][metaLength u32][meta JSON][valueLength u32][value]
+// where the meta is the entry without its value and the value is the bytes
+// its value codec encodes it to (see value-codecs.js); valueLength is
+// NO_VALUE for tombstones. Entries are ordered by key and, for several
+// versions of one key, newest (highest sequence number) first. A key's
+// versions may span blocks.
+// Each block is compressed on its own with the header's codec (see
+// compression.js); `length` and `crc` are of the stored bytes, `rawLength`
+// of the block before compression. Version 1 files have an 8-byte header
+// and uncompressed blocks; version 1 and 2 blocks hold entries as
+// [keyLength u32][key][entryLength u32][entry JSON].
+// A Bloom filter over the table's keys is kept next to it in sstable_<id>.bloom.
+//
+// `expiry` summarises when the table's data dies, so it can be judged
+// without reading blocks:
+//   { tombstones, forever (values without a TTL), maxExpiresAt,
+//     buckets: [[expiresAt, values expiring at or before it], ...] }
+// The buckets are quantiles of the expiry times, so the expired count they
+// give for a moment is a lower bound.
+const MAGIC = Buffer.from("LSST");
+const FORMAT_VERSION = 3;
+const HEADER_SIZE = 12;
+const FOOTER_SIZE = 20;
+const DEFAULT_BLOCK_SIZE = 4096;
+const DEFAULT_BLOOM_FP_RATE = 0.01;
+const EXPIRY_BUCKETS = 16;
+const NO_VALUE = 0xffffffff;
+// Scans read blocks once, so they leave the block cache as it is
+const scanRead = { fillCache: false };
+
+function compareKeys(a, b) {
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+// Orders [key, entry] versions by key, then newest sequence number first.
+// Entries from before sequence numbers count as 0.
+function compareVersions(a, b) {
+    return compareKeys(a[0], b[0]) || (b[1].seq || 0) - (a[1].seq || 0);
+}
+
+// `start` is inclusive and `end` exclusive; either may be undefined
+function inRange(key, start, end) {
+    return (
+        (start === undefined || compareKeys(key, start) >= 0) &&
+        (end === undefined || compareKeys(key, end) < 0)
+    );
+}
+
+// [length u32][bytes]
+function lengthPrefixed(buffer, length = buffer.length) {
+    const prefix = Buffer.alloc(4);
+    prefix.writeUInt32LE(length, 0);
+    return [prefix, buffer];
+}
+
+function encodeEntry(key, entry) {
+    const { value, ...meta } = entry;
+    const hasValue = "value" in entry;
+    return Buffer.concat([
+        ...lengthPrefixed(Buffer.from(key, "utf8")),
+        ...lengthPrefixed(Buffer.from(JSON.stringify(meta), "utf8")),
+        ...(hasValue
+            ? lengthPrefixed(getValueCodec(entry.codec).encode(value))
+            : lengthPrefixed(Buffer.alloc(0), NO_VALUE)),
+    ]);
+}
+
+function decodeBlock(buffer, version = FORMAT_VERSION) {
+    const entries = [];
+    let offset = 0;
+    const next = () => {
+        const length = buffer.readUInt32LE(offset);
+        const start = offset + 4;
+        offset = start + (length === NO_VALUE ? 0 : length);
+        return length === NO_VALUE ? null : buffer.subarray(start, offset);
+    };
+    while (offset < buffer.length) {
+        const key = next().toString("utf8");
+        const entry = JSON.parse(next().toString("utf8"));
+        if (version >= 3) {
+            const value = next();
+            if (value) entry.value = getValueCodec(entry.codec).decode(value);
+        }
+        entries.push([key, entry]);
+    }
+    return entries;
+}
+
+class SSTable {
+    constructor(
+        filePath,
+        meta,
+        index,
+        codec = CODECS.none,
+        version = FORMAT_VERSION
+    ) {
+        this.filePath = filePath;
+        this.codec = codec;
+        this.version = version;
+        // Shared cache of decoded blocks, if the tree has one
+        this.blockCache = null;
+        // The tree's count of table files, { files }, kept as tables are
+        // written and deleted
+        this.fileCount = null;
+        this.id = meta.id;
+        this.createdAt = meta.createdAt;
+        this.meta = meta;
+        this.index = index;
+        this.bloomFilter = null;
+        this.handle = null;
+        this.opening = null;
+        // Readers hold a ref so a compacted-away table stays open until
+        // the last in-flight lookup finishes
+        this.refs = 0;
+        this.obsolete = false;
+    }
+
+    static generateId() {
+        return Date.now() + Math.random().toString(36).substr(2, 9);
+    }
+
+    static fileName(id) {
+        return `sstable_${id}.sst`;
+    }
+
+    get bloomPath() {
+        return this.filePath.replace(/\.sst$/, ".bloom");
+    }
+
+    // Writes `entries` ([key, entry] pairs, any order) as a new table in
+    // `dataDir`
+    static async build(dataDir, entries, options = {}) {
+        const sorted = Array.from(entries).sort(compareVersions);
+        const builder = new SSTableBuilder(dataDir, options);
+        try {
+            for (const [key, entry] of sorted) {
+                await builder.add(key, entry);
+            }
+            return await builder.finish();
+        } catch (error) {
+            await builder.abort();
+            throw error;
+        }
+    }
+
+    // Reads only the footer, index, metadata and Bloom filter; data blocks
+    // stay on disk. Resolves with null, after logging why, if the file is
+    // not a readable table.
+    static async loadFromDisk(filePath, options = {}) {
+        try {
+            return await SSTable.readFromDisk(filePath, options);
+        } catch (error) {
+            console.error(`Failed to load SSTable from ${filePath}:`, error);
+            return null;
+        }
+    }
+
+    // loadFromDisk(), throwing whatever makes the file unreadable.
+    // `readOnly` keeps a rebuilt Bloom filter in memory only.
+    static async readFromDisk(filePath, options = {}) {
+        let handle;
+        try {
+            handle = await fs.promises.open(filePath, "r");
+            const { size } = await handle.stat();
+            if (size < HEADER_SIZE + FOOTER_SIZE) {
+                throw new Error("File too small to be an SSTable");
+            }
+
+            const header = Buffer.alloc(HEADER_SIZE);
+            await handle.read(header, 0, HEADER_SIZE, 0);
+            if (!header.subarray(0, 4).equals(MAGIC)) {
+                throw new Error("Bad SSTable header magic");
+            }
+            const version = header.readUInt32LE(4);
+            if (version > FORMAT_VERSION) {
+                throw new Error(
+                    `Unsupported SSTable format version ${version}`
+                );
+            }
+            const codec =
+                version === 1 ? CODECS.none : codecById(header.readUInt8(8));
+
+            const footer = Buffer.alloc(FOOTER_SIZE);
+            await handle.read(footer, 0, FOOTER_SIZE, size - FOOTER_SIZE);
+            if (!footer.subarray(16).equals(MAGIC)) {
+                throw new Error("Bad SSTable footer magic");
+            }
+
+            const indexOffset = Number(footer.readBigUInt64LE(0));
+            const indexLength = footer.readUInt32LE(8);
+            const metaLength = footer.readUInt32LE(12);
+            const tail = Buffer.alloc(indexLength + metaLength);
+            await handle.read(tail, 0, tail.length, indexOffset);
+
+            const index = JSON.parse(tail.toString("utf8", 0, indexLength));
+            const meta = JSON.parse(tail.toString("utf8", indexLength));
+
+            const ssTable = new SSTable(
+                filePath,
+                meta,
+                index,
+                codec,
+                version
+            );
+            ssTable.handle = handle;
+            ssTable.blockCache = options.blockCache || null;
+            ssTable.fileCount = options.fileCount || null;
+            await ssTable.loadBloomFilter(
+                options.bloomFalsePositiveRate,
+                !options.readOnly
+            );
+            return ssTable;
+        } catch (error) {
+            if (handle) await handle.close().catch(() => {});
+            throw error;
+        }
+    }
+
+    // Converts a table written by older versions (one JSON document holding
+    // every entry) into the block format, keeping its id and creation time.
+    static async migrateLegacy(filePath, dataDir, options = {}) {
+        const content = await fs.promises.readFile(filePath, "utf8");
+        const data = JSON.parse(content);
+        const built = await SSTable.build(dataDir, data.entries, {
+            ...options,
+            id: data.id,
+            createdAt: data.createdAt,
+        });
+        await fs.promises.unlink(filePath);
+        return SSTable.loadFromDisk(built.filePath, options);
+    }
+
+    async saveBloomFilter() {
+        const tmpPath = `${this.bloomPath}.tmp`;
+        await fs.promises.writeFile(tmpPath, this.bloomFilter.toBuffer());
+        await fs.promises.rename(tmpPath, this.bloomPath);
+    }
+
+    // Tables without a readable filter get one rebuilt from their keys,
+    // and saved unless `save` is false
+    async loadBloomFilter(
+        falsePositiveRate = DEFAULT_BLOOM_FP_RATE,
+        save = true
+    ) {
+        try {
+            const buffer = await fs.promises.readFile(this.bloomPath);
+            this.bloomFilter = BloomFilter.fromBuffer(buffer);
+            return;
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                console.warn(
+                    `Rebuilding Bloom filter for ${this.filePath}: ${error.message}`
+                );
+            }
+        }
+
+        const bloomFilter = BloomFilter.forCapacity(
+            this.meta.count,
+            falsePositiveRate
+        );
+        for await (const [key] of this.entries()) {
+            bloomFilter.add(key);
+        }
+        this.bloomFilter = bloomFilter;
+        if (save) await this.saveBloomFilter();
+    }
+
+    async open() {
+        if (this.handle) return this.handle;
+
+        // Concurrent first reads share one open() call
+        if (!this.opening) {
+            this.opening = fs.promises
+                .open(this.filePath, "r")
+                .then((handle) => {
+                    this.handle = handle;
+                    return handle;
+                })
+                .finally(() => {
+                    this.opening = null;
+                });
+        }
+        return this.opening;
+    }
+
+    ref() {
+        this.refs++;
+    }
+
+    async unref() {
+        this.refs--;
+        if (this.obsolete && this.refs === 0) {
+            await this.close();
+        }
+    }
+
+    // Decoded blocks come from the block cache when it has them; `fillCache`
+    // false reads without adding to it, for scans
+    async readBlock(blockIndex, { fillCache = true } = {}) {
+        const cacheKey = BlockCache.key(this.filePath, blockIndex);
+        const cached = this.blockCache && this.blockCache.get(cacheKey);
+        if (cached) return cached;
+
+        const { offset, length, rawLength, crc } = this.index[blockIndex];
+        const handle = await this.open();
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, offset);
+        if (zlib.crc32(buffer) !== crc) {
+            throw new Error(
+                `Checksum mismatch in block ${blockIndex} of ${this.filePath}`
+            );
+        }
+        const raw = this.codec.decompress(buffer);
+        const entries = decodeBlock(raw, this.version);
+        if (this.blockCache && fillCache && !this.obsolete) {
+            this.blockCache.set(cacheKey, entries, rawLength || raw.length);
+        }
+        return entries;
+    }
+
+    // Binary search over the sparse index for the first block whose last
+    // key is >= key, i.e. the first block that can hold a version of it.
+    // Returns index.length if there is none.
+    findBlock(key) {
+        let low = 0;
+        let high = this.index.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (compareKeys(this.index[mid].lastKey, key) < 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    // Last block whose first key is < key, or -1
+    findBlockBefore(key) {
+        let low = 0;
+        let high = this.index.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (compareKeys(this.index[mid].key, key) < 0) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low - 1;
+    }
+
+    mayContain(key) {
+        return (
+            this.meta.count > 0 &&
+            compareKeys(key, this.meta.minKey) >= 0 &&
+            compareKeys(key, this.meta.maxKey) <= 0
+        );
+    }
+
+    // In-memory check only: false means the key is definitely not here
+    mightContain(key) {
+        return (
+            this.mayContain(key) &&
+            (!this.bloomFilter || this.bloomFilter.mightContain(key))
+        );
+    }
+
+    // Returns the newest version of `key` with a sequence number <= `seq`,
+    // tombstone or expired included. `bloomStats`, if given, counts filter
+    // checks, the lookups the filter ruled out, and the ones it let through
+    // for keys that are not here.
+    async find(key, { seq = Infinity, bloomStats = null } = {}) {
+        if (!this.mayContain(key)) return null;
+
+        if (this.bloomFilter && bloomStats) bloomStats.checks++;
+        if (this.bloomFilter && !this.bloomFilter.mightContain(key)) {
+            if (bloomStats) bloomStats.negatives++;
+            return null;
+        }
+
+        let present = false;
+        for (let i = this.findBlock(key); i < this.index.length; i++) {
+            if (compareKeys(this.index[i].key, key) > 0) break;
+            for (const [blockKey, entry] of await this.readBlock(i)) {
+                if (blockKey !== key) continue;
+                present = true;
+                if ((entry.seq || 0) <= seq) return entry;
+            }
+        }
+
+        if (!present && this.bloomFilter && bloomStats) {
+            bloomStats.falsePositives++;
+        }
+        return null;
+    }
+
+    async get(key, options = {}) {
+        const entry = await this.find(key, options);
+        return entry && isLive(entry) ? entry : null;
+    }
+
+    // Yields every stored [key, entry] version in key order (or reverse
+    // key order), newest version of each key first either way, one block in
+    // memory at a time. `start` is inclusive, `end` exclusive; blocks
+    // outside the range are never read.
+    async *entries({ start, end, reverse = false } = {}) {
+        if (!reverse) {
+            const first = start === undefined ? 0 : this.findBlock(start);
+            for (let i = first; i < this.index.length; i++) {
+                if (
+                    end !== undefined &&
+                    compareKeys(this.index[i].key, end) >= 0
+                ) {
+                    return;
+                }
+                for (const item of await this.readBlock(i, scanRead)) {
+                    if (inRange(item[0], start, end)) yield item;
+                }
+            }
+            return;
+        }
+
+        // Walking backwards meets a key's versions oldest first, so they are
+        // held back until the key changes and then replayed newest first
+        let versions = [];
+        const last =
+            end === undefined
+                ? this.index.length - 1
+                : this.findBlockBefore(end);
+        for (let i = last; i >= 0; i--) {
+            if (
+                start !== undefined &&
+                compareKeys(this.index[i].lastKey, start) < 0
+            ) {
+                break;
+            }
+            const block = await this.readBlock(i, scanRead);
+            for (let j = block.length - 1; j >= 0; j--) {
+                const item = block[j];
+                if (!inRange(item[0], start, end)) continue;
+                if (versions.length > 0 && versions[0][0] !== item[0]) {
+                    yield* versions.reverse();
+                    versions = [];
+                }
+                versions.push(item);
+            }
+        }
+        yield* versions.reverse();
+    }
+
+    // Live entries as of the newest version of each key
+    async getAllEntries() {
+        const entries = [];
+        let lastKey;
+        for await (const [key, entry] of this.entries()) {
+            if (key === lastKey) continue;
+            lastKey = key;
+            if (isLive(entry)) {
+                entries.push({ key, ...entry });
+            }
+        }
+        return entries;
+    }
+
+    // Reads every block and checks it against the index and metadata:
+    // checksums, entry order, block bounds, counts and key range. Resolves
+    // with { entries, problems }, no problems for sound data, and
+    // `bloomFilterMisses`, the entries the Bloom filter would wrongly rule
+    // out; a bad filter loses lookups but can be rebuilt from the data.
+    async verify() {
+        const problems = [];
+        let previous = null;
+        let first = null;
+        let count = 0;
+        let missing = 0;
+        for (let i = 0; i < this.index.length; i++) {
+            let block;
+            try {
+                block = await this.readBlock(i, scanRead);
+            } catch (error) {
+                problems.push(`Block ${i}: ${error.message}`);
+                previous = null;
+                continue;
+            }
+            const { key, lastKey } = this.index[i];
+            if (block.length === 0) {
+                problems.push(`Block ${i}: empty`);
+                continue;
+            }
+            if (
+                block[0][0] !== key ||
+                block[block.length - 1][0] !== lastKey
+            ) {
+                problems.push(
+                    `Block ${i}: holds "${block[0][0]}" to "${
+                        block[block.length - 1][0]
+                    }", the index says "${key}" to "${lastKey}"`
+                );
+            }
+            if (
+                this.index[i].count !== undefined &&
+                this.index[i].count !== block.length
+            ) {
+                problems.push(
+                    `Block ${i}: holds ${block.length} entries, the index says ${this.index[i].count}`
+                );
+            }
+            for (const item of block) {
+                if (previous && compareVersions(previous, item) >= 0) {
+                    problems.push(
+                        `Block ${i}: "${item[0]}" (seq ${
+                            item[1].seq || 0
+                        }) is out of order after "${previous[0]}" (seq ${
+                            previous[1].seq || 0
+                        })`
+                    );
+                }
+                if (
+                    this.bloomFilter &&
+                    !this.bloomFilter.mightContain(item[0])
+                ) {
+                    missing++;
+                }
+                if (!first) first = item;
+                previous = item;
+                count++;
+            }
+        }
+
+        if (count !== this.meta.count) {
+            problems.push(
+                `Holds ${count} entries, the metadata says ${this.meta.count}`
+            );
+        }
+        if (
+            first &&
+            previous &&
+            (first[0] !== this.meta.minKey || previous[0] !== this.meta.maxKey)
+        ) {
+            problems.push(
+                `Keys run from "${first[0]}" to "${previous[0]}", the metadata says "${this.meta.minKey}" to "${this.meta.maxKey}"`
+            );
+        }
+        return { entries: count, problems, bloomFilterMisses: missing };
+    }
+
+    size() {
+        return this.meta.count;
+    }
+
+    // Values known to have expired by `now`; 0 for tables written before
+    // expiry metadata
+    expiredCount(now = Date.now()) {
+        const { expiry } = this.meta;
+        if (!expiry) return 0;
+        let count = 0;
+        for (const [expiresAt, upTo] of expiry.buckets) {
+            if (now <= expiresAt) break;
+            count = upTo;
+        }
+        return count;
+    }
+
+    // Share of entries that are values past their TTL
+    expiredFraction(now = Date.now()) {
+        return this.meta.count > 0
+            ? this.expiredCount(now) / this.meta.count
+            : 0;
+    }
+
+    // Whether every entry is a tombstone or an expired value
+    isFullyExpired(now = Date.now()) {
+        const { expiry } = this.meta;
+        return Boolean(
+            expiry &&
+            expiry.forever === 0 &&
+            (expiry.maxExpiresAt === null || now > expiry.maxExpiresAt)
+        );
+    }
+
+    get level() {
+        return this.meta.level || 0;
+    }
+
+    // Bytes of data blocks, excluding index, metadata and filter
+    byteSize() {
+        return this.index.reduce((sum, block) => sum + block.length, 0);
+    }
+
+    // byteSize() before compression
+    rawByteSize() {
+        return this.index.reduce(
+            (sum, block) => sum + (block.rawLength || block.length),
+            0
+        );
+    }
+
+    async close() {
+        if (this.handle) {
+            const handle = this.handle;
+            this.handle = null;
+            await handle.close();
+        }
+    }
+
+    // The file is unlinked right away; the open handle keeps it readable
+    // for lookups that still hold a ref
+    async deleteFromDisk() {
+        this.obsolete = true;
+        if (this.blockCache) this.blockCache.removeTable(this.filePath);
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            await fs.promises.unlink(this.filePath);
+            if (this.fileCount) this.fileCount.files--;
+        }
+        await fs.promises.rm(this.bloomPath, { force: true });
+        if (this.refs === 0) {
+            await this.close();
+        }
+    }
+}
+
+// Streams entries, which must arrive in key order, into a new table file.
+// The file is written under a temporary name and renamed into place by
+// finish(), so a crash never leaves a half-written table behind.
+class SSTableBuilder {
+    constructor(dataDir, options = {}) {
+        const {
+            id = SSTable.generateId(),
+            createdAt = Date.now(),
+            level = 0,
+            blockSize = DEFAULT_BLOCK_SIZE,
+            bloomFalsePositiveRate = DEFAULT_BLOOM_FP_RATE,
+            compression = "none",
+            blockCache = null,
+            fileCount = null,
+        } = options;
+
+        this.id = id;
+        this.codec = getCodec(compression);
+        this.blockCache = blockCache;
+        this.fileCount = fileCount;
+        this.createdAt = createdAt;
+        this.level = level;
+        this.blockSize = blockSize;
+        this.bloomFalsePositiveRate = bloomFalsePositiveRate;
+        this.filePath = path.join(dataDir, SSTable.fileName(id));
+        this.tmpPath = `${this.filePath}.tmp`;
+        this.handle = null;
+        this.offset = 0;
+        this.index = [];
+        // Distinct keys, for the Bloom filter; a key may have several versions
+        this.keys = [];
+        this.entryCount = 0;
+        this.last = null;
+        this.minSeq = null;
+        this.maxSeq = null;
+        this.tombstones = 0;
+        this.forever = 0;
+        this.expiryTimes = [];
+        this.block = [];
+        this.blockBytes = 0;
+    }
+
+    get count() {
+        return this.entryCount;
+    }
+
+    // Bytes written so far, counting the block still being filled
+    get bytes() {
+        return this.offset + this.blockBytes;
+    }
+
+    // The file is created lazily so an abandoned builder leaves nothing
+    async start() {
+        if (this.handle) return;
+        this.handle = await fs.promises.open(this.tmpPath, "w");
+        const header = Buffer.alloc(HEADER_SIZE);
+        MAGIC.copy(header, 0);
+        header.writeUInt32LE(FORMAT_VERSION, 4);
+        header.writeUInt8(this.codec.id, 8);
+        await this.handle.write(header, 0, HEADER_SIZE, 0);
+        this.offset = HEADER_SIZE;
+    }
+
+    async write(buffer) {
+        await this.start();
+        await this.handle.write(buffer, 0, buffer.length, this.offset);
+        this.offset += buffer.length;
+    }
+
+    async add(key, entry) {
+        if (this.last && compareVersions(this.last, [key, entry]) >= 0) {
+            throw new Error(
+                `SSTable entries out of order: "${key}" (seq ${
+                    entry.seq || 0
+                }) after "${this.last[0]}" (seq ${this.last[1].seq || 0})`
+            );
+        }
+
+        if (!this.last || this.last[0] !== key) this.keys.push(key);
+        this.last = [key, entry];
+        this.entryCount++;
+        const seq = entry.seq || 0;
+        if (this.minSeq === null || seq < this.minSeq) this.minSeq = seq;
+        if (this.maxSeq === null || seq > this.maxSeq) this.maxSeq = seq;
+        if (isTombstone(entry)) {
+            this.tombstones++;
+        } else if (entry.expiresAt) {
+            this.expiryTimes.push(entry.expiresAt);
+        } else {
+            this.forever++;
+        }
+
+        const buffer = encodeEntry(key, entry);
+        this.block.push({ key, buffer });
+        this.blockBytes += buffer.length;
+        if (this.blockBytes >= this.blockSize) {
+            await this.writeBlock();
+        }
+    }
+
+    async writeBlock() {
+        const block = this.block;
+        const raw = Buffer.concat(block.map((item) => item.buffer));
+        const buffer = this.codec.compress(raw);
+        this.block = [];
+        this.blockBytes = 0;
+
+        await this.start();
+        this.index.push({
+            key: block[0].key,
+            lastKey: block[block.length - 1].key,
+            offset: this.offset,
+            length: buffer.length,
+            rawLength: raw.length,
+            count: block.length,
+            crc: zlib.crc32(buffer),
+        });
+        await this.write(buffer);
+    }
+
+    summarizeExpiry() {
+        const times = this.expiryTimes.sort((a, b) => a - b);
+        const buckets = [];
+        for (let i = 1; i <= EXPIRY_BUCKETS && times.length > 0; i++) {
+            const upTo = Math.ceil((i * times.length) / EXPIRY_BUCKETS);
+            const expiresAt = times[upTo - 1];
+            const last = buckets[buckets.length - 1];
+            if (last && last[0] === expiresAt) {
+                last[1] = upTo;
+            } else {
+                buckets.push([expiresAt, upTo]);
+            }
+        }
+        return {
+            tombstones: this.tombstones,
+            forever: this.forever,
+            maxExpiresAt: times.length ? times[times.length - 1] : null,
+            buckets,
+        };
+    }
+
+    async finish() {
+        if (this.block.length > 0) {
+            await this.writeBlock();
+        }
+        await this.start();
+
+        const meta = {
+            id: this.id,
+            createdAt: this.createdAt,
+            level: this.level,
+            count: this.entryCount,
+            minKey: this.keys.length ? this.keys[0] : null,
+            maxKey: this.keys.length ? this.keys[this.keys.length - 1] : null,
+            minSeq: this.minSeq,
+            maxSeq: this.maxSeq,
+            expiry: this.summarizeExpiry(),
+            blockSize: this.blockSize,
+        };
+        const indexBuffer = Buffer.from(JSON.stringify(this.index), "utf8");
+        const metaBuffer = Buffer.from(JSON.stringify(meta), "utf8");
+        const footer = Buffer.alloc(FOOTER_SIZE);
+        footer.writeBigUInt64LE(BigInt(this.offset), 0);
+        footer.writeUInt32LE(indexBuffer.length, 8);
+        footer.writeUInt32LE(metaBuffer.length, 12);
+        MAGIC.copy(footer, 16);
+
+        await this.write(indexBuffer);
+        await this.write(metaBuffer);
+        await this.write(footer);
+        await this.handle.sync();
+        await this.handle.close();
+        this.handle = null;
+
+        const bloomFilter = BloomFilter.forCapacity(
+            this.keys.length,
+            this.bloomFalsePositiveRate
+        );
+        this.keys.forEach((key) => bloomFilter.add(key));
+
+        // The filter goes first: a table without one still works, but a
+        // filter without its table would be garbage
+        const ssTable = new SSTable(
+            this.filePath,
+            meta,
+            this.index,
+            this.codec
+        );
+        ssTable.bloomFilter = bloomFilter;
+        ssTable.blockCache = this.blockCache;
+        ssTable.fileCount = this.fileCount;
+        await ssTable.saveBloomFilter();
+        await fs.promises.rename(this.tmpPath, this.filePath);
+        if (this.fileCount) this.fileCount.files++;
+
+        return ssTable;
+    }
+
+    async abort() {
+        if (this.handle) {
+            await this.handle.close().catch(() => {});
+            this.handle = null;
+        }
+        await fs.promises.rm(this.tmpPath, { force: true });
+    }
+}
+
+module.exports = {
+    SSTable,
+    SSTableBuilder,
+    compareKeys,
+    compareVersions,
+    inRange,
+    DEFAULT_BLOCK_SIZE,
+    DEFAULT_BLOOM_FP_RATE,
+};
@@ -0,0 +1,190 @@
+const msgpack = require("./msgpack");
+
+// Codecs for stored values. Every value records its codec's name in the
+// entry (`codec`; entries written before codecs existed are JSON) and may
+// carry the `contentType` it was uploaded with.
+//
+// SSTables store a value as the bytes its codec encodes it to, so binary
+// values take no more room than their bytes. Media that carry entries as
+// JSON (the WAL, replication, exports and the HTTP API) carry those bytes
+// base64-encoded, unless the codec's values are JSON already (`json`).
+//
+// A codec is { contentType, mediaTypes, json, accepts(value),
+// encode(value) -> Buffer, decode(buffer) -> value }. `mediaTypes` are the
+// request content types it is chosen for; "text/*" matches a whole type.
+
+class ValueCodecError extends Error {
+    constructor(message) {
+        super(message);
+        this.status = 400;
+    }
+}
+
+const VALUE_CODECS = new Map();
+
+function registerValueCodec(name, codec) {
+    if (VALUE_CODECS.has(name)) {
+        throw new Error(`A value codec named "${name}" already exists`);
+    }
+    VALUE_CODECS.set(name, { name, mediaTypes: [], ...codec });
+}
+
+registerValueCodec("json", {
+    contentType: "application/json",
+    mediaTypes: ["application/json"],
+    json: true,
+    accepts: (value) => value !== undefined && !Buffer.isBuffer(value),
+    encode: (value) => Buffer.from(JSON.stringify(value), "utf8"),
+    decode: (buffer) => JSON.parse(buffer.toString("utf8")),
+});
+
+registerValueCodec("utf8", {
+    contentType: "text/plain; charset=utf-8",
+    mediaTypes: ["text/*"],
+    json: true,
+    accepts: (value) => typeof value === "string",
+    encode: (value) => Buffer.from(value, "utf8"),
+    decode: (buffer) => buffer.toString("utf8"),
+});
+
+registerValueCodec("bytes", {
+    contentType: "application/octet-stream",
+    mediaTypes: ["application/octet-stream"],
+    json: false,
+    accepts: (value) => Buffer.isBuffer(value),
+    encode: (value) => value,
+    decode: (buffer) => Buffer.from(buffer),
+});
+
+registerValueCodec("msgpack", {
+    contentType: "application/msgpack",
+    mediaTypes: ["application/msgpack", "application/x-msgpack"],
+    json: false,
+    accepts: (value) => value !== undefined,
+    encode: msgpack.encode,
+    decode: msgpack.decode,
+});
+
+function getValueCodec(name = "json") {
+    const codec = VALUE_CODECS.get(name);
+    if (!codec) {
+        throw new ValueCodecError(
+            `Unknown value codec "${name}" (expected one of ${Array.from(
+                VALUE_CODECS.keys()
+            ).join(", ")})`
+        );
+    }
+    return codec;
+}
+
+// The codec for a value written without one: bytes for Buffers, else JSON
+function defaultCodecFor(value) {
+    return Buffer.isBuffer(value) ? "bytes" : "json";
+}
+
+function checkValue(codecName, value) {
+    const codec = getValueCodec(codecName);
+    if (!codec.accepts(value)) {
+        throw new ValueCodecError(
+            `Value cannot be stored with the "${codec.name}" codec`
+        );
+    }
+    return codec;
+}
+
+// The codec to store a request body of `contentType` with. Text in a
+// charset other than UTF-8 is kept as bytes, like any unknown type.
+function codecForContentType(contentType = "") {
+    const [type, ...params] = contentType.toLowerCase().split(";");
+    const mediaType = type.trim();
+    const charset = params
+        .map((param) => param.trim())
+        .find((param) => param.startsWith("charset="));
+    for (const codec of VALUE_CODECS.values()) {
+        const matches = codec.mediaTypes.some((pattern) =>
+            pattern.endsWith("/*")
+                ? mediaType.startsWith(pattern.slice(0, -1))
+                : mediaType === pattern
+        );
+        if (!matches) continue;
+        if (codec.name === "utf8" && charset && charset !== "charset=utf-8") {
+            break;
+        }
+        return codec.name;
+    }
+    return "bytes";
+}
+
+// Decodes bytes from a client, which may not be valid for the codec
+function decodeValue(codecName, buffer) {
+    const codec = getValueCodec(codecName);
+    try {
+        return codec.decode(buffer);
+    } catch (error) {
+        throw new ValueCodecError(
+            `Value is not valid for the "${codec.name}" codec: ${error.message}`
+        );
+    }
+}
+
+// Bytes a value takes stored, which is what capacity limits count
+function valueByteLength(entry) {
+    return getValueCodec(entry.codec).encode(entry.value).length;
+}
+
+// An entry as it is carried in JSON: binary values base64-encoded
+function entryToJSON(entry) {
+    if (!("value" in entry)) return entry;
+    const codec = getValueCodec(entry.codec);
+    if (codec.json) return entry;
+    return { ...entry, value: codec.encode(entry.value).toString("base64") };
+}
+
+function entryFromJSON(entry) {
+    if (!("value" in entry)) return entry;
+    const codec = getValueCodec(entry.codec);
+    if (codec.json) return entry;
+    if (typeof entry.value !== "string") {
+        throw new ValueCodecError(
+            `A "${codec.name}" value must be given base64-encoded`
+        );
+    }
+    return {
+        ...entry,
+        value: decodeValue(codec.name, Buffer.from(entry.value, "base64")),
+    };
+}
+
+// A WAL record ({ ops: [{ key, entry }] }) as carried in JSON, and back
+function recordToJSON(record) {
+    return {
+        ...record,
+        ops: record.ops.map((op) => ({ ...op, entry: entryToJSON(op.entry) })),
+    };
+}
+
+function recordFromJSON(record) {
+    return {
+        ...record,
+        ops: record.ops.map((op) => ({
+            ...op,
+            entry: entryFromJSON(op.entry),
+        })),
+    };
+}
+
+module.exports = {
+    VALUE_CODECS,
+    ValueCodecError,
+    registerValueCodec,
+    getValueCodec,
+    defaultCodecFor,
+    checkValue,
+    codecForContentType,
+    decodeValue,
+    valueByteLength,
+    entryToJSON,
+    entryFromJSON,
+    recordToJSON,
+    recordFromJSON,
+};
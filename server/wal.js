@@ -0,0 +1,343 @@
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { CODECS, getCodec, codecById } = require("./compression");
+const { recordToJSON, recordFromJSON } = require("./value-codecs");
+
+// Record layout: [length u32][crc32 u32][type u8][payload]
+// length counts payload bytes only; the checksum covers type + payload.
+// A full record's payload is the record's JSON; a compressed one's is
+// [codec id u8][compressed JSON] (see compression.js). The log holds
+// records in their JSON form, binary values base64-encoded (see
+// value-codecs.js).
+const HEADER_SIZE = 9;
+const RECORD_FULL = 1;
+const RECORD_COMPRESSED = 2;
+
+const FSYNC_POLICIES = ["always", "batch", "os"];
+
+const SEGMENT_PREFIX = "wal_";
+const SEGMENT_SUFFIX = ".log";
+
+function segmentFileName(id) {
+    return `${SEGMENT_PREFIX}${String(id).padStart(6, "0")}${SEGMENT_SUFFIX}`;
+}
+
+function parseSegmentId(file) {
+    if (!file.startsWith(SEGMENT_PREFIX) || !file.endsWith(SEGMENT_SUFFIX)) {
+        return null;
+    }
+    const id = parseInt(
+        file.slice(SEGMENT_PREFIX.length, -SEGMENT_SUFFIX.length),
+        10
+    );
+    return Number.isNaN(id) ? null : id;
+}
+
+// Records that `codec` does not make smaller are written uncompressed
+function encodeRecord(record, codec = CODECS.none) {
+    let payload = Buffer.from(JSON.stringify(record), "utf8");
+    let type = RECORD_FULL;
+    if (codec !== CODECS.none) {
+        const compressed = codec.compress(payload);
+        if (compressed.length + 1 < payload.length) {
+            payload = Buffer.concat([Buffer.from([codec.id]), compressed]);
+            type = RECORD_COMPRESSED;
+        }
+    }
+    const buffer = Buffer.alloc(HEADER_SIZE + payload.length);
+    buffer.writeUInt32LE(payload.length, 0);
+    buffer.writeUInt8(type, 8);
+    payload.copy(buffer, HEADER_SIZE);
+    buffer.writeUInt32LE(zlib.crc32(buffer.subarray(8)), 4);
+    return buffer;
+}
+
+// Decodes records until the end of the buffer or the first damaged record.
+// Returns the records and the offset just past the last valid one.
+function decodeRecords(buffer) {
+    const records = [];
+    let offset = 0;
+
+    while (offset + HEADER_SIZE <= buffer.length) {
+        const length = buffer.readUInt32LE(offset);
+        const checksum = buffer.readUInt32LE(offset + 4);
+        const end = offset + HEADER_SIZE + length;
+        if (end > buffer.length) break;
+
+        const body = buffer.subarray(offset + 8, end);
+        if (zlib.crc32(body) !== checksum) break;
+
+        try {
+            let payload;
+            if (body[0] === RECORD_FULL) {
+                payload = body.subarray(1);
+            } else if (body[0] === RECORD_COMPRESSED) {
+                payload = codecById(body[1]).decompress(body.subarray(2));
+            } else {
+                break;
+            }
+            records.push(JSON.parse(payload.toString("utf8")));
+        } catch (error) {
+            break;
+        }
+        offset = end;
+    }
+
+    return { records, validLength: offset };
+}
+
+// A decoded record as the tree applies it. Throws if it cannot be applied:
+// an intact record can still hold a write written before keys were checked.
+function replayable(json) {
+    const record = recordFromJSON(json);
+    for (const { key, entry } of record.ops) {
+        if (typeof key !== "string" || key.length === 0) {
+            throw new Error(`${JSON.stringify(key)} is not a valid key`);
+        }
+        if (!entry || typeof entry !== "object") {
+            throw new Error(`The write to "${key}" has no entry`);
+        }
+    }
+    return record;
+}
+
+class WriteAheadLog {
+    constructor(dir, options = {}) {
+        const {
+            fsync = "always",
+            batchIntervalMs = 10,
+            compression = "none",
+            readOnly = false,
+            log = console.log,
+        } = options;
+        if (!FSYNC_POLICIES.includes(fsync)) {
+            throw new Error(
+                `Unknown WAL fsync policy "${fsync}" (expected one of ${FSYNC_POLICIES.join(
+                    ", "
+                )})`
+            );
+        }
+
+        this.dir = dir;
+        // For offline tools: open() replays without deleting, truncating or
+        // starting segments, and appends are refused
+        this.readOnly = readOnly;
+        this.log = log;
+        this.fsync = fsync;
+        this.codec = getCodec(compression);
+        this.batchIntervalMs = batchIntervalMs;
+        this.segmentIds = [];
+        // Each segment's size, kept as it is written
+        this.segmentBytes = new Map();
+        this.activeId = 0;
+        this.handle = null;
+        this.activeBytes = 0;
+        // Every byte appended since the log was opened
+        this.bytesWritten = 0;
+        this.queue = Promise.resolve();
+        this.pendingSyncs = [];
+        this.syncTimer = null;
+    }
+
+    // Replays every segment in order and opens a fresh segment for appends.
+    // A torn or corrupt tail is truncated away; anything after it is ignored.
+    // Segments before `firstId` are already in SSTables and are deleted
+    // unread.
+    async open(firstId = 0) {
+        const files = await fs.promises.readdir(this.dir);
+        this.segmentIds = files
+            .map(parseSegmentId)
+            .filter((id) => id !== null)
+            .sort((a, b) => a - b);
+        const lastId = this.segmentIds[this.segmentIds.length - 1] || 0;
+        for (const id of this.segmentIds.filter((id) => id < firstId)) {
+            if (this.readOnly) continue;
+            this.log(
+                `Removing WAL segment ${segmentFileName(id)}, already flushed`
+            );
+            await fs.promises.rm(this.segmentPath(id), { force: true });
+        }
+        this.segmentIds = this.segmentIds.filter((id) => id >= firstId);
+
+        const records = [];
+        for (let i = 0; i < this.segmentIds.length; i++) {
+            const filePath = this.segmentPath(this.segmentIds[i]);
+            const buffer = await fs.promises.readFile(filePath);
+            const decoded = decodeRecords(buffer);
+            this.segmentBytes.set(this.segmentIds[i], buffer.length);
+            for (const json of decoded.records) {
+                try {
+                    records.push(replayable(json));
+                } catch (error) {
+                    console.warn(
+                        `Skipping a record in WAL segment ${path.basename(
+                            filePath
+                        )} that cannot be replayed: ${error.message}`
+                    );
+                }
+            }
+
+            if (decoded.validLength < buffer.length) {
+                console.warn(
+                    `WAL segment ${path.basename(filePath)} has ${
+                        buffer.length - decoded.validLength
+                    } damaged trailing bytes; ${
+                        this.readOnly ? "stopping" : "truncating"
+                    } after ${decoded.records.length} records`
+                );
+                // Later segments cannot be replayed without the lost records,
+                // so move them aside rather than applying them out of order.
+                const later = this.segmentIds.slice(i + 1);
+                this.segmentIds = this.segmentIds.slice(0, i + 1);
+                if (this.readOnly) break;
+                await fs.promises.truncate(filePath, decoded.validLength);
+                this.segmentBytes.set(this.segmentIds[i], decoded.validLength);
+                for (const laterId of later) {
+                    const laterPath = this.segmentPath(laterId);
+                    console.warn(
+                        `Ignoring WAL segment ${path.basename(
+                            laterPath
+                        )} after damaged segment`
+                    );
+                    await fs.promises.rename(laterPath, `${laterPath}.corrupt`);
+                }
+                break;
+            }
+        }
+
+        // Numbering carries on past every segment seen, even deleted ones
+        if (this.readOnly) return records;
+        await this.openSegment(Math.max(lastId, firstId - 1) + 1);
+
+        return records;
+    }
+
+    segmentPath(id) {
+        return path.join(this.dir, segmentFileName(id));
+    }
+
+    async openSegment(id) {
+        this.handle = await fs.promises.open(this.segmentPath(id), "a");
+        this.activeId = id;
+        this.activeBytes = 0;
+        this.segmentIds.push(id);
+        this.segmentBytes.set(id, 0);
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    // Appends are queued synchronously, so callers observe log order equal to
+    // call order. The returned promise settles according to the fsync policy.
+    append(record) {
+        if (this.readOnly) {
+            return Promise.reject(new Error("The WAL is read-only"));
+        }
+        const buffer = encodeRecord(recordToJSON(record), this.codec);
+        const written = this.enqueue(async () => {
+            await this.handle.write(buffer);
+            this.activeBytes += buffer.length;
+            this.segmentBytes.set(this.activeId, this.activeBytes);
+            this.bytesWritten += buffer.length;
+            if (this.fsync === "always") {
+                await this.handle.sync();
+            }
+        });
+
+        if (this.fsync !== "batch") return written;
+
+        // Group commit: every append within the window shares one fsync
+        return written.then(
+            () =>
+                new Promise((resolve, reject) => {
+                    this.pendingSyncs.push({ resolve, reject });
+                    if (!this.syncTimer) {
+                        this.syncTimer = setTimeout(
+                            () => this.syncPending(),
+                            this.batchIntervalMs
+                        );
+                    }
+                })
+        );
+    }
+
+    async syncPending() {
+        if (this.syncTimer) {
+            clearTimeout(this.syncTimer);
+            this.syncTimer = null;
+        }
+        if (this.pendingSyncs.length === 0) return;
+
+        const waiters = this.pendingSyncs;
+        this.pendingSyncs = [];
+        try {
+            await this.enqueue(() => this.handle.sync());
+            waiters.forEach((waiter) => waiter.resolve());
+        } catch (error) {
+            waiters.forEach((waiter) => waiter.reject(error));
+        }
+    }
+
+    // Seals the active segment and starts a new one. Resolves with the id of
+    // the new segment; every earlier segment can be dropped once the data it
+    // covers has been flushed.
+    rotate() {
+        return this.enqueue(async () => {
+            await this.handle.sync();
+            await this.handle.close();
+            await this.openSegment(this.activeId + 1);
+            return this.activeId;
+        });
+    }
+
+    async removeSegmentsBefore(id) {
+        const obsolete = this.segmentIds.filter((segmentId) => segmentId < id);
+        for (const segmentId of obsolete) {
+            await fs.promises.rm(this.segmentPath(segmentId), { force: true });
+            this.segmentBytes.delete(segmentId);
+        }
+        this.segmentIds = this.segmentIds.filter(
+            (segmentId) => segmentId >= id
+        );
+    }
+
+    getStats() {
+        let totalBytes = 0;
+        for (const id of this.segmentIds) {
+            totalBytes += this.segmentBytes.get(id) || 0;
+        }
+
+        return {
+            fsync: this.fsync,
+            compression: this.codec.name,
+            segments: this.segmentIds.length,
+            activeSegment: segmentFileName(this.activeId),
+            bytes: totalBytes,
+            bytesWritten: this.bytesWritten,
+        };
+    }
+
+    async close() {
+        await this.syncPending();
+        await this.enqueue(async () => {
+            if (this.handle) {
+                await this.handle.sync();
+                await this.handle.close();
+                this.handle = null;
+            }
+        });
+    }
+}
+
+module.exports = {
+    WriteAheadLog,
+    FSYNC_POLICIES,
+    encodeRecord,
+    decodeRecords,
+    parseSegmentId,
+    segmentFileName,
+};
@@ -0,0 +1,162 @@
+// A parser for the part of YAML a config file needs: nested block
+// mappings, block sequences, plain and quoted scalars, and comments.
+// Flow collections (other than [] and {}), block scalars, anchors, tags
+// and multiple documents are not supported and fail with the line they
+// are on.
+
+class YAMLError extends Error {
+    constructor(line, message) {
+        super(`Line ${line.number}: ${message}`);
+    }
+}
+
+function parse(text) {
+    const lines = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = { number: index + 1 };
+        const content = stripComment(raw);
+        if (content.trim() === "") return;
+        if (lines.length === 0 && content.trim() === "---") return;
+        if (/^ *\t/.test(content)) {
+            throw new YAMLError(line, "Tabs cannot indent YAML");
+        }
+        line.indent = content.length - content.trimStart().length;
+        line.text = content.trim();
+        lines.push(line);
+    });
+    if (lines.length === 0) return null;
+
+    const state = { lines, index: 0 };
+    const value = parseBlock(state, lines[0].indent);
+    if (state.index < lines.length) {
+        throw new YAMLError(lines[state.index], "Unexpected indentation");
+    }
+    return value;
+}
+
+// Cuts a "#" comment, which starts a line or follows whitespace, unless
+// it is inside quotes
+function stripComment(raw) {
+    let quote = null;
+    for (let i = 0; i < raw.length; i++) {
+        const char = raw[i];
+        if (quote) {
+            if (char === "\\" && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === "#" && (i === 0 || /\s/.test(raw[i - 1]))) {
+            return raw.slice(0, i).trimEnd();
+        }
+    }
+    return raw.trimEnd();
+}
+
+const isItem = (line) => line.text === "-" || line.text.startsWith("- ");
+
+function parseBlock(state, indent) {
+    return isItem(state.lines[state.index])
+        ? parseSequence(state, indent)
+        : parseMapping(state, indent);
+}
+
+// The block under a "key:" or "-" line with nothing after it, if any. A
+// mapping's sequence may sit at the mapping's own indentation.
+function parseNested(state, indent, inMapping) {
+    const next = state.lines[state.index];
+    if (!next || next.indent < indent) return null;
+    if (next.indent === indent) {
+        return inMapping && isItem(next) ? parseSequence(state, indent) : null;
+    }
+    return parseBlock(state, next.indent);
+}
+
+function parseSequence(state, indent) {
+    const items = [];
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        if (line.indent < indent || !isItem(line)) break;
+        if (line.indent > indent) {
+            throw new YAMLError(line, "Unexpected indentation");
+        }
+        state.index++;
+        const rest = line.text.slice(1).trim();
+        if (KEY.test(rest) && !/^["']/.test(rest)) {
+            throw new YAMLError(
+                line,
+                "Mappings inside sequences are not supported"
+            );
+        }
+        items.push(
+            rest ? parseScalar(rest, line) : parseNested(state, indent, false)
+        );
+    }
+    return items;
+}
+
+// A key (plain or quoted), a colon, and the rest of the line if any
+const KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'][^:]*?)\s*:(?:\s+(.*))?$/;
+
+function parseMapping(state, indent) {
+    const mapping = {};
+    while (state.index < state.lines.length) {
+        const line = state.lines[state.index];
+        if (line.indent < indent) break;
+        if (line.indent > indent) {
+            throw new YAMLError(line, "Unexpected indentation");
+        }
+        if (isItem(line)) {
+            throw new YAMLError(line, "Expected a key, not a sequence item");
+        }
+        const match = KEY.exec(line.text);
+        if (!match) throw new YAMLError(line, 'Expected "key: value"');
+        const key = /^["']/.test(match[1])
+            ? parseScalar(match[1], line)
+            : match[1];
+        if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+            throw new YAMLError(line, `Duplicate key "${key}"`);
+        }
+        state.index++;
+        // As JSON.parse does, "__proto__" becomes an ordinary property
+        Object.defineProperty(mapping, key, {
+            value: match[2]
+                ? parseScalar(match[2], line)
+                : parseNested(state, indent, true),
+            enumerable: true,
+            writable: true,
+            configurable: true,
+        });
+    }
+    return mapping;
+}
+
+const NUMBER = /^[-+]?(\d+|\d*\.\d+|\d+\.\d*)([eE][-+]?\d+)?$/;
+
+function parseScalar(text, line) {
+    if (text.startsWith('"')) {
+        try {
+            // YAML's double-quoted escapes are a superset of JSON's
+            return JSON.parse(text);
+        } catch (error) {
+            throw new YAMLError(line, `Invalid double-quoted string ${text}`);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!/^'(?:[^']|'')*'$/.test(text)) {
+            throw new YAMLError(line, `Invalid single-quoted string ${text}`);
+        }
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    if (text === "[]") return [];
+    if (text === "{}") return {};
+    if (/^[[{&*!|>%@`]/.test(text)) {
+        throw new YAMLError(line, `Unsupported YAML syntax: ${text}`);
+    }
+    if (/^(null|Null|NULL|~)$/.test(text)) return null;
+    if (/^(true|True|TRUE)$/.test(text)) return true;
+    if (/^(false|False|FALSE)$/.test(text)) return false;
+    if (NUMBER.test(text)) return Number(text);
+    return text;
+}
+
+module.exports = { parse, YAMLError };
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+    ApiKeyStore,
+    hasAccess,
+    allowsKey,
+    scopePrefix,
+} = require("../server/auth");
+const { tempDir, startServer, api } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+test("keys are stored hashed and authenticate by token", async (t) => {
+    const dir = tempDir(t);
+    const store = new ApiKeyStore(dir, { adminToken: TOKEN });
+    await store.load();
+    const { key, token } = await store.create({
+        name: "reports",
+        role: "read-only",
+        prefixes: ["user:"],
+    });
+    assert.ok(!fs.readFileSync(store.filePath, "utf8").includes(token));
+    assert.strictEqual(fs.statSync(store.filePath).mode & 0o777, 0o600);
+
+    const reloaded = new ApiKeyStore(dir);
+    await reloaded.load();
+    assert.strictEqual(reloaded.authenticate(token).id, key.id);
+    assert.strictEqual(reloaded.authenticate(`${token}x`), null);
+    assert.strictEqual(reloaded.authenticate(TOKEN), null);
+    assert.strictEqual(store.authenticate(TOKEN).role, "admin");
+
+    assert.ok(await reloaded.revoke(key.id));
+    assert.strictEqual(reloaded.authenticate(token), null);
+    assert.strictEqual(await reloaded.revoke(key.id), false);
+});
+
+test("rejects unknown roles and empty prefixes", async (t) => {
+    const store = new ApiKeyStore(tempDir(t), { adminToken: TOKEN });
+    await store.load();
+    await assert.rejects(store.create({ role: "root" }), { status: 400 });
+    await assert.rejects(
+        store.create({ role: "admin", prefixes: [""] }),
+        { status: 400 }
+    );
+    await assert.rejects(
+        store.create({ role: "admin", prefixes: [] }),
+        { status: 400 }
+    );
+});
+
+test("a first start writes a bootstrap token to a private file", async (t) => {
+    const dir = tempDir(t);
+    const logged = [];
+    const log = console.log;
+    console.log = (...args) => logged.push(args.join(" "));
+    const store = new ApiKeyStore(dir);
+    try {
+        await store.load();
+    } finally {
+        console.log = log;
+    }
+
+    const tokenPath = path.join(dir, "bootstrap-admin-token");
+    const token = fs.readFileSync(tokenPath, "utf8").trim();
+    assert.strictEqual(fs.statSync(tokenPath).mode & 0o777, 0o600);
+    assert.strictEqual(store.authenticate(token).role, "admin");
+    assert.ok(logged.every((line) => !line.includes(token)));
+    assert.ok(logged.some((line) => line.includes(tokenPath)));
+});
+
+test("roles and prefixes decide access", () => {
+    const reader = { role: "read-only", prefixes: ["user:", "team:"] };
+    const writer = { role: "read-write", prefixes: null };
+    assert.ok(hasAccess(reader, "read"));
+    assert.ok(!hasAccess(reader, "write"));
+    assert.ok(hasAccess(writer, "write"));
+    assert.ok(!hasAccess(writer, "admin"));
+
+    assert.ok(allowsKey(reader, "user:1"));
+    assert.ok(!allowsKey(reader, "order:1"));
+    assert.ok(!allowsKey(reader, 123));
+    assert.ok(allowsKey(writer, "anything"));
+
+    assert.strictEqual(scopePrefix(reader, "user:1"), "user:1");
+    assert.throws(() => scopePrefix(reader, undefined), { status: 403 });
+    assert.strictEqual(
+        scopePrefix({ role: "read-only", prefixes: ["user:"] }, undefined),
+        "user:"
+    );
+});
+
+test("the API checks tokens, roles and prefixes", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const created = await api(url, "POST", "/api/admin/keys", {
+        token: TOKEN,
+        body: { name: "app", role: "read-write", prefixes: ["app:"] },
+    });
+    assert.strictEqual(created.status, 201);
+    const appToken = created.body.data.token;
+
+    const write = (token, key) =>
+        api(url, "POST", "/api/cache", { token, body: { key, value: 1 } });
+    assert.strictEqual((await write(null, "app:1")).status, 401);
+    assert.strictEqual((await write("bogus", "app:1")).status, 401);
+    assert.strictEqual((await write(appToken, "app:1")).status, 200);
+    assert.strictEqual((await write(appToken, "other")).status, 403);
+    assert.strictEqual((await write(appToken, 123)).status, 403);
+
+    const whoami = await api(url, "GET", "/api/auth/whoami", {
+        token: appToken,
+    });
+    assert.strictEqual(whoami.body.data.role, "read-write");
+    const keys = await api(url, "GET", "/api/admin/keys", { token: appToken });
+    assert.strictEqual(keys.status, 403);
+
+    // X-API-Key works as well as a bearer token
+    const list = await api(url, "GET", "/api/cache", {
+        headers: { "X-API-Key": appToken },
+    });
+    assert.deepStrictEqual(
+        list.body.data.map((entry) => entry.key),
+        ["app:1"]
+    );
+
+    const id = created.body.data.key.id;
+    const revoked = await api(url, "DELETE", `/api/admin/keys/${id}`, {
+        token: TOKEN,
+    });
+    assert.strictEqual(revoked.status, 200);
+    assert.strictEqual((await write(appToken, "app:2")).status, 401);
+});
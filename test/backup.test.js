@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+const {
+    restoreBackup,
+    exportEntries,
+    importEntries,
+} = require("../server/backup");
+const { tempDir, openTree, close, startServer, api } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+const BACKUP_SCRIPT = path.join(__dirname, "../server/backup.js");
+
+// POSTs an NDJSON body, which api() would encode as JSON
+async function importLines(base, body) {
+    const res = await fetch(`${base}/api/admin/import`, {
+        method: "POST",
+        headers: {
+            Authorization: `Bearer ${TOKEN}`,
+            "Content-Type": "application/x-ndjson",
+        },
+        body,
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+test("a backup restores the tree as of its sequence number", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("flushed", 1, 0);
+    await tree.flush();
+    await tree.put("logged", Buffer.from([1, 2, 3]), 0);
+    await tree.delete("flushed");
+    await tree.configure({ defaultTTL: 1234 });
+
+    const backupDir = path.join(tempDir(t), "backup");
+    const manifest = await tree.backup(backupDir);
+    await tree.put("later", 1);
+    assert.strictEqual(manifest.seq, 3);
+    assert.strictEqual(manifest.tables.length, 1);
+    assert.ok(manifest.wal.length > 0);
+    await close(tree);
+
+    const restoredDir = path.join(tempDir(t), "data");
+    await restoreBackup(backupDir, restoredDir);
+    const restored = await openTree(t, restoredDir);
+    assert.strictEqual(await restored.get("flushed"), null);
+    const logged = await restored.get("logged");
+    assert.ok(logged.value.equals(Buffer.from([1, 2, 3])));
+    assert.strictEqual(await restored.get("later"), null);
+    assert.strictEqual(restored.lastSequence, 3);
+    assert.strictEqual(restored.defaultTTL, 1234);
+    // The backup's files are untouched by the restored tree
+    await restored.put("new", 1);
+    await restored.compact({ full: true });
+    assert.strictEqual(fs.readdirSync(backupDir).length, 1 + 2 + 1);
+});
+
+test("restoring refuses a non-empty data directory", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    const backupDir = path.join(tempDir(t), "backup");
+    await tree.backup(backupDir);
+
+    const dataDir = tempDir(t);
+    fs.writeFileSync(path.join(dataDir, "stray"), "");
+    await assert.rejects(restoreBackup(backupDir, dataDir), /is not empty/);
+    await assert.rejects(restoreBackup(dataDir, tempDir(t)), /has no/);
+    await assert.rejects(tree.backup(backupDir), /is not empty/);
+});
+
+test("export and import carry values, codecs and expiry", async (t) => {
+    const source = await openTree(t, tempDir(t));
+    const expiresAt = Date.now() + 60000;
+    await source.put("user:bytes", Buffer.from([0, 255]), 60000);
+    await source.put("user:json", { nested: [1, 2] }, 0);
+    await source.put("user:gone", 1, 0);
+    await source.delete("user:gone");
+    await source.put("other", "x", 0);
+
+    const lines = await collect(exportEntries(source, { prefix: "user:" }));
+    assert.deepStrictEqual(
+        lines.map((line) => [line.key, line.codec]),
+        [
+            ["user:bytes", "bytes"],
+            ["user:json", "json"],
+        ]
+    );
+    assert.strictEqual(lines[0].value, "AP8=");
+    assert.ok(Math.abs(lines[0].expiresAt - expiresAt) < 1000);
+
+    const target = await openTree(t, tempDir(t), { defaultTTL: 5000 });
+    const counts = await importEntries(target, [
+        ...JSON.parse(JSON.stringify(lines)),
+        { key: "stale", value: 1, expiresAt: Date.now() - 1 },
+        { key: "fresh", value: 2 },
+    ]);
+    assert.deepStrictEqual(counts, { imported: 3, expired: 1 });
+    const bytes = await target.get("user:bytes");
+    assert.ok(bytes.value.equals(Buffer.from([0, 255])));
+    assert.ok(Math.abs(bytes.expiresAt - expiresAt) < 1000);
+    assert.strictEqual((await target.get("user:json")).expiresAt, null);
+    assert.deepStrictEqual((await target.get("user:json")).value, {
+        nested: [1, 2],
+    });
+    assert.ok((await target.get("fresh")).expiresAt <= Date.now() + 5000);
+    assert.strictEqual(await target.get("stale"), null);
+});
+
+test("an import stops at the first bad line", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await assert.rejects(
+        importEntries(tree, [
+            { key: "a", value: 1 },
+            { key: "b", value: 2, codec: "bytes" },
+            { key: "c", value: 3 },
+        ]),
+        (error) =>
+            error.status === 400 &&
+            /Entry 2 has an invalid value/.test(error.message)
+    );
+    await assert.rejects(importEntries(tree, [{ value: 1 }]), {
+        status: 400,
+        message: /Entry 1 needs a key/,
+    });
+    await assert.rejects(
+        importEntries(tree, [{ key: "a", value: 1, expiresAt: "soon" }]),
+        { status: 400 }
+    );
+});
+
+test("the API backs up, exports and imports", async (t) => {
+    const backupRoot = tempDir(t);
+    const { url } = await startServer(t, tempDir(t), {
+        ADMIN_TOKEN: TOKEN,
+        BACKUP_DIR: backupRoot,
+    });
+    for (const key of ["a", "b"]) {
+        await api(url, "POST", "/api/cache", {
+            token: TOKEN,
+            body: { key, value: key },
+        });
+    }
+
+    const backup = await api(url, "POST", "/api/admin/backup", {
+        token: TOKEN,
+    });
+    assert.strictEqual(backup.body.data.seq, 2);
+    assert.ok(backup.body.data.path.startsWith(backupRoot));
+
+    const exported = await api(url, "GET", "/api/admin/export", {
+        token: TOKEN,
+    });
+    assert.match(exported.headers.get("content-type"), /x-ndjson/);
+    const copy = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const imported = await importLines(copy.url, exported.text);
+    assert.deepStrictEqual(imported.body.data, { imported: 2, expired: 0 });
+    const b = await api(copy.url, "GET", "/api/cache/b", { token: TOKEN });
+    assert.strictEqual(b.body.data.value, "b");
+
+    const bad = await importLines(copy.url, "{not json\n");
+    assert.strictEqual(bad.status, 400);
+
+    // And the backup restores from the command line
+    const restoredDir = path.join(tempDir(t), "data");
+    const { stdout } = await promisify(execFile)(process.execPath, [
+        BACKUP_SCRIPT,
+        "restore",
+        backup.body.data.path,
+        restoredDir,
+    ]);
+    assert.match(stdout, /up to sequence number 2/);
+    const restored = await openTree(t, restoredDir);
+    assert.strictEqual((await restored.get("a")).value, "a");
+});
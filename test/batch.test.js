@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tempDir, openTree, crash, startServer, api } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+test("a batch applies its puts and deletes as one WAL record", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("gone", 0);
+    const records = [];
+    tree.on("record", (record) => records.push(record));
+    await tree.batch([
+        { op: "put", key: "a", value: 1 },
+        { op: "put", key: "b", value: { nested: true }, ttl: 0 },
+        { op: "del", key: "gone" },
+    ]);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].ops.length, 3);
+    await crash(tree);
+
+    const recovered = await openTree(t, dir);
+    assert.deepStrictEqual(
+        (await recovered.mget(["a", "b", "gone"])).map((e) => e && e.value),
+        [1, { nested: true }, null]
+    );
+    assert.strictEqual((await recovered.get("b")).expiresAt, null);
+});
+
+test("a batch with one bad op applies nothing", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await assert.rejects(
+        tree.batch([
+            { op: "put", key: "a", value: 1 },
+            { op: "upsert", key: "b", value: 2 },
+        ]),
+        /Unknown batch operation "upsert"/
+    );
+    await assert.rejects(
+        tree.batch([{ op: "put", key: "a" }]),
+        /needs a value/
+    );
+    assert.strictEqual(await tree.get("a"), null);
+    assert.strictEqual(tree.lastSequence, 0);
+});
+
+test("the batch, mget and increment endpoints", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const post = (path, body) => api(url, "POST", path, { token: TOKEN, body });
+
+    const batch = await post("/api/cache/batch", {
+        ops: [
+            { op: "put", key: "a", value: 1 },
+            { op: "put", key: "b", value: "two" },
+            { op: "del", key: "a" },
+        ],
+    });
+    assert.strictEqual(batch.status, 200);
+
+    const mget = await post("/api/cache/mget", { keys: ["a", "b", "c"] });
+    assert.deepStrictEqual(
+        mget.body.data.map((entry) => entry && [entry.key, entry.value]),
+        [null, ["b", "two"], null]
+    );
+
+    const first = await post("/api/cache/count/increment", {});
+    const second = await post("/api/cache/count/increment", { delta: 5 });
+    assert.strictEqual(first.body.data.value, 1);
+    assert.strictEqual(second.body.data.value, 6);
+    assert.strictEqual(second.body.data.key, "count");
+    assert.strictEqual(second.body.data.codec, "json");
+    assert.strictEqual(second.headers.get("etag"), `"${second.body.data.seq}"`);
+    assert.strictEqual((await post("/api/cache/b/increment", {})).status, 409);
+});
+
+test("the batch endpoint rejects malformed ops with 400", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const bad = [
+        { ops: [] },
+        { ops: [{ op: "put", key: 123, value: 1 }] },
+        { ops: [{ op: "put", key: "", value: 1 }] },
+        { ops: [{ op: "put", key: "a" }] },
+        { ops: [{ op: "upsert", key: "a", value: 1 }] },
+        { ops: [null] },
+        {
+            ops: Array.from({ length: 1001 }, (_, i) => ({
+                op: "del",
+                key: `k${i}`,
+            })),
+        },
+    ];
+    for (const body of bad) {
+        const res = await api(url, "POST", "/api/cache/batch", {
+            token: TOKEN,
+            body,
+        });
+        assert.strictEqual(res.status, 400, JSON.stringify(body).slice(0, 60));
+    }
+    const { body } = await api(url, "GET", "/api/cache?limit=10", {
+        token: TOKEN,
+    });
+    assert.deepStrictEqual(body.data, []);
+});
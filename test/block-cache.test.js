@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { BlockCache } = require("../server/block-cache");
+const { MemTable } = require("../server/lsm-tree");
+const {
+    tempDir,
+    openTree,
+    close,
+    crash,
+    startServer,
+    api,
+} = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+function keyAt(i) {
+    return `key:${String(i).padStart(4, "0")}`;
+}
+
+// A tree of one table of 200 keys in blocks of about 512 bytes
+async function tableTree(t, options = {}) {
+    const tree = await openTree(t, tempDir(t), { blockSize: 512, ...options });
+    for (let i = 0; i < 200; i++) await tree.put(keyAt(i), `value ${i}`, 0);
+    await tree.flush();
+    return tree;
+}
+
+test("keeps the most recently used blocks within its budget", () => {
+    const cache = new BlockCache(300);
+    cache.set("t:0", ["a"], 100);
+    cache.set("t:1", ["b"], 100);
+    cache.set("u:0", ["c"], 100);
+    assert.deepStrictEqual(cache.get("t:0"), ["a"]);
+    cache.set("u:1", ["d"], 100);
+
+    assert.strictEqual(cache.get("t:1"), null);
+    assert.deepStrictEqual(cache.get("u:0"), ["c"]);
+    assert.strictEqual(cache.bytes, 300);
+    cache.set("big", ["e"], 301);
+    assert.strictEqual(cache.get("big"), null);
+
+    cache.removeTable("u");
+    assert.deepStrictEqual(Array.from(cache.blocks.keys()), ["t:0"]);
+    assert.deepStrictEqual(cache.getStats(), {
+        maxBytes: 300,
+        bytes: 100,
+        blocks: 1,
+        hits: 2,
+        misses: 2,
+        evictions: 1,
+        hitRatio: 0.5,
+    });
+});
+
+test("lookups fill the cache, scans and compactions do not", async (t) => {
+    const tree = await tableTree(t);
+    const { blockCache } = tree;
+    assert.strictEqual(blockCache.blocks.size, 0);
+
+    await tree.scan();
+    await tree.compact({ full: true });
+    assert.strictEqual(blockCache.blocks.size, 0);
+
+    const { hits, misses } = blockCache.stats;
+    await tree.get(keyAt(10));
+    await tree.get(keyAt(11));
+    assert.strictEqual(blockCache.blocks.size, 1);
+    assert.strictEqual(blockCache.stats.hits, hits + 1);
+    assert.strictEqual(blockCache.stats.misses, misses + 1);
+
+    // Blocks of a table compacted away are dropped
+    await tree.put(keyAt(0), "new", 0);
+    await tree.flush();
+    await tree.compact({ full: true });
+    assert.strictEqual(blockCache.blocks.size, 0);
+});
+
+test("trees sharing a cache do not see each other's blocks", async (t) => {
+    const blockCache = new BlockCache(64 * 1024);
+    const first = await tableTree(t, { blockCache });
+    const second = await openTree(t, tempDir(t), { blockCache });
+    for (let i = 0; i < 200; i++) await second.put(keyAt(i), `other ${i}`, 0);
+    await second.flush();
+
+    assert.strictEqual((await first.get(keyAt(5))).value, "value 5");
+    assert.strictEqual((await second.get(keyAt(5))).value, "other 5");
+    assert.strictEqual(blockCache.blocks.size, 2);
+    assert.strictEqual(first.getMemoryStats().blockCache, blockCache.bytes);
+});
+
+test("a MemTable counts the bytes its versions hold", () => {
+    const memTable = new MemTable(1000, undefined, 2000);
+    memTable.put("a", "x".repeat(500));
+    const one = memTable.bytes;
+    assert.ok(one > 500 && one < 700, `${one} bytes`);
+
+    // Overwriting replaces the old version when no snapshot needs it
+    memTable.put("a", "y".repeat(500));
+    assert.strictEqual(memTable.bytes, one);
+    assert.ok(!memTable.put("b", "x".repeat(500)));
+    assert.ok(!memTable.put("c", "x".repeat(500)));
+    assert.ok(memTable.put("d", "x".repeat(500)));
+
+    memTable.delete("d");
+    assert.strictEqual(memTable.bytes, one * 3);
+    memTable.clear();
+    assert.strictEqual(memTable.bytes, 0);
+});
+
+test("a tree flushes at whichever MemTable limit comes first", async (t) => {
+    const tree = await openTree(t, tempDir(t), {
+        memTableMaxSize: 1000,
+        memTableMaxBytes: 8 * 1024,
+    });
+    for (let i = 0; i < 20; i++) await tree.put(keyAt(i), "x".repeat(1024));
+    await tree.flushQueue;
+    assert.ok(tree.ssTables.length >= 2);
+    assert.ok(tree.memTable.bytes < 8 * 1024);
+
+    const byCount = await openTree(t, tempDir(t), { memTableMaxSize: 5 });
+    for (let i = 0; i < 12; i++) await byCount.put(keyAt(i), i);
+    await byCount.flushQueue;
+    assert.strictEqual(byCount.ssTables.length, 2);
+    assert.strictEqual(byCount.memTable.size(), 2);
+    const { memTableLimits } = await byCount.getStats();
+    assert.strictEqual(memTableLimits.maxEntries, 5);
+});
+
+test("a key that is not a string is refused before it is logged", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("a", 1);
+    await assert.rejects(tree.put(123, 1), { code: "INVALID_KEY" });
+    await assert.rejects(tree.put("", 1), { code: "INVALID_KEY" });
+    await assert.rejects(tree.increment(null), { code: "INVALID_KEY" });
+    assert.strictEqual(tree.lastSequence, 1);
+    await crash(tree);
+
+    const reopened = await openTree(t, dir);
+    assert.strictEqual((await reopened.get("a")).value, 1);
+    await reopened.put("b", 2);
+    await close(reopened);
+
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    for (const key of [123, ["a"], ""]) {
+        const posted = await api(url, "POST", "/api/cache", {
+            token: TOKEN,
+            body: { key, value: 1 },
+        });
+        assert.strictEqual(posted.status, 400);
+    }
+});
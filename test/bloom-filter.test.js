@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { BloomFilter } = require("../server/bloom-filter");
+const { SSTable } = require("../server/sstable");
+const { createPut } = require("../server/entry");
+const { onCleanup, tempDir, openTree } = require("./helpers");
+
+function filterOf(count, rate) {
+    const filter = BloomFilter.forCapacity(count, rate);
+    for (let i = 0; i < count; i++) filter.add(`present:${i}`);
+    return filter;
+}
+
+test("never rules out a key it holds", () => {
+    const filter = filterOf(2000, 0.01);
+    for (let i = 0; i < 2000; i++) {
+        assert.ok(filter.mightContain(`present:${i}`), `present:${i}`);
+    }
+});
+
+test("keeps false positives near the configured rate", () => {
+    const filter = filterOf(2000, 0.01);
+    let falsePositives = 0;
+    for (let i = 0; i < 20000; i++) {
+        if (filter.mightContain(`absent:${i}`)) falsePositives++;
+    }
+    assert.ok(falsePositives / 20000 < 0.02, `${falsePositives} of 20000`);
+});
+
+test("a lower false-positive rate takes more bits and hashes", () => {
+    const loose = BloomFilter.forCapacity(1000, 0.1);
+    const tight = BloomFilter.forCapacity(1000, 0.001);
+    assert.ok(tight.bitCount > loose.bitCount);
+    assert.ok(tight.hashCount > loose.hashCount);
+});
+
+test("round-trips through its file form and rejects damage", () => {
+    const filter = filterOf(100, 0.01);
+    const buffer = filter.toBuffer();
+    const copy = BloomFilter.fromBuffer(buffer);
+    assert.strictEqual(copy.hashCount, filter.hashCount);
+    assert.ok(copy.bits.equals(filter.bits));
+
+    buffer[buffer.length - 1] ^= 0xff;
+    assert.throws(() => BloomFilter.fromBuffer(buffer), /checksum/);
+    assert.throws(() => BloomFilter.fromBuffer(Buffer.alloc(20)), /magic/);
+});
+
+test("a table whose filter file is lost gets it rebuilt", async (t) => {
+    const dir = tempDir(t);
+    const built = await SSTable.build(dir, [
+        ["a", { ...createPut(1, null), seq: 1 }],
+        ["b", { ...createPut(2, null), seq: 2 }],
+    ]);
+    await built.close();
+    fs.unlinkSync(built.bloomPath);
+
+    const table = await SSTable.readFromDisk(built.filePath);
+    onCleanup(t, () => table.close());
+    assert.ok(table.mightContain("a"));
+    assert.ok(fs.existsSync(built.bloomPath));
+});
+
+test("the tree counts lookups its filters skip", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    for (let i = 0; i < 100; i++) await tree.put(`key:${i}`, i);
+    await tree.flush();
+    // Inside the table's key range, so only the filter can rule them out
+    for (let i = 0; i < 100; i++) await tree.get(`key:5_${i}`);
+
+    const stats = tree.getBloomStats();
+    assert.strictEqual(stats.tables.length, 1);
+    assert.strictEqual(stats.checks, 100);
+    assert.ok(stats.negatives >= 90, `${stats.negatives} negatives`);
+    assert.strictEqual(stats.negatives + stats.falsePositives, 100);
+});
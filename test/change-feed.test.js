@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { ChangeFeed } = require("../server/change-feed");
+const {
+    onCleanup,
+    tempDir,
+    openTree,
+    startServer,
+    api,
+    sleep,
+} = require("./helpers");
+
+const TOKEN = "test-admin-token";
+const SHORT_TTL = 20;
+
+async function feedOf(t, options) {
+    const tree = await openTree(t, tempDir(t), options);
+    const feed = new ChangeFeed(tree, { bufferSize: 5 });
+    await tree.ready;
+    return { tree, feed };
+}
+
+function summary(events) {
+    return events.map((event) =>
+        event.key === undefined ? event.type : `${event.type} ${event.key}`
+    );
+}
+
+test("subscribers get the events under their prefix", async (t) => {
+    const { tree, feed } = await feedOf(t);
+    const all = [];
+    const users = [];
+    feed.subscribe({}, (event) => all.push(event));
+    const unsubscribe = feed.subscribe({ prefix: "user:" }, (event) =>
+        users.push(event)
+    );
+
+    await tree.put("user:1", 1);
+    await tree.put("order:1", 1);
+    await tree.delete("user:1");
+    await tree.flush();
+    unsubscribe();
+    await tree.put("user:2", 2);
+
+    assert.deepStrictEqual(summary(all), [
+        "put user:1",
+        "put order:1",
+        "delete user:1",
+        "flush",
+        "put user:2",
+    ]);
+    assert.deepStrictEqual(summary(users), [
+        "put user:1",
+        "delete user:1",
+        "flush",
+    ]);
+    assert.deepStrictEqual(
+        all.slice(0, 3).map((event) => event.seq),
+        [1, 2, 3]
+    );
+});
+
+test("a subscriber resumes after a sequence number", async (t) => {
+    const { tree, feed } = await feedOf(t);
+    for (let i = 1; i <= 4; i++) await tree.put(`k${i}`, i);
+
+    const resumed = [];
+    feed.subscribe({ since: 2 }, (event) => resumed.push(event));
+    assert.deepStrictEqual(summary(resumed), ["put k3", "put k4"]);
+
+    // Past the buffer, the subscriber is told to reload
+    for (let i = 5; i <= 20; i++) await tree.put(`k${i}`, i);
+    const late = [];
+    feed.subscribe({ since: 1 }, (event) => late.push(event));
+    assert.strictEqual(late[0].type, "reset");
+    assert.ok(late.length <= 11);
+});
+
+test("large values are dropped from the buffer by size", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    const feed = new ChangeFeed(tree, { bufferBytes: 64 * 1024 });
+    await tree.ready;
+    const big = "x".repeat(10 * 1024);
+    for (let i = 1; i <= 20; i++) await tree.put(`k${i}`, big);
+
+    assert.ok(feed.bytes <= feed.bufferBytes);
+    assert.ok(feed.buffer.length < 10);
+    const resumed = [];
+    feed.subscribe({ since: 0 }, (event) => resumed.push(event));
+    assert.strictEqual(resumed[0].type, "reset");
+    assert.strictEqual(resumed.at(-1).key, "k20");
+});
+
+test("evictions are announced", async (t) => {
+    const { tree, feed } = await feedOf(t, { maxEntries: 1 });
+    const events = [];
+    feed.subscribe({}, (event) => events.push(event));
+    await tree.put("a", 1);
+    await tree.put("b", 2);
+    assert.deepStrictEqual(summary(events), ["put a", "put b", "evict a"]);
+});
+
+test("a value found expired on read is announced once", async (t) => {
+    const { tree, feed } = await feedOf(t);
+    const events = [];
+    feed.subscribe({}, (event) => events.push(event));
+    await tree.put("a", 1, SHORT_TTL);
+    await tree.flush();
+    await sleep(SHORT_TTL * 2);
+
+    assert.strictEqual(await tree.get("a"), null);
+    await sleep(20);
+    assert.strictEqual(await tree.get("a"), null);
+    await sleep(20);
+    assert.deepStrictEqual(summary(events), ["put a", "flush", "expire a"]);
+});
+
+test("the sweeper and compactions announce expiries", async (t) => {
+    const { tree, feed } = await feedOf(t);
+    const events = [];
+    feed.subscribe({}, (event) => events.push(event));
+    await tree.put("table", 1, SHORT_TTL);
+    await tree.flush();
+    await tree.put("other", 1, 0);
+    await tree.flush();
+    await tree.put("memory", 1, SHORT_TTL);
+    await sleep(SHORT_TTL * 2);
+
+    await tree.sweepExpired();
+    await tree.compact({ full: true });
+    const expired = events
+        .filter((event) => event.type === "expire")
+        .map((event) => event.key)
+        .sort();
+    assert.deepStrictEqual(expired, ["memory", "table"]);
+});
+
+test("the events endpoint streams Server-Sent Events", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const put = (key, value) =>
+        api(url, "POST", "/api/cache", { token: TOKEN, body: { key, value } });
+    await put("user:1", 1);
+
+    const controller = new AbortController();
+    onCleanup(t, () => controller.abort());
+    const res = await fetch(`${url}/api/events?prefix=user:&since=0`, {
+        headers: { Authorization: `Bearer ${TOKEN}` },
+        signal: controller.signal,
+    });
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+    await put("order:1", 2);
+    await put("user:2", "two");
+
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let stream = "";
+    while ((stream.match(/\n\n/g) || []).length < 2) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        stream += decoder.decode(value, { stream: true });
+    }
+    const events = stream
+        .split("\n\n")
+        .filter((block) => block.startsWith("id:"))
+        .map((block) => {
+            const fields = Object.fromEntries(
+                block.split("\n").map((line) => line.split(/: (.*)/s))
+            );
+            return { ...fields, data: JSON.parse(fields.data) };
+        });
+    assert.deepStrictEqual(
+        events.map((event) => [event.id, event.event, event.data.key]),
+        [
+            ["1", "put", "user:1"],
+            ["3", "put", "user:2"],
+        ]
+    );
+    assert.strictEqual(events[1].data.value, "two");
+});
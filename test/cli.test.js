@@ -0,0 +1,183 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { main } = require("../server/cli");
+const { tempDir, openTree, close, crash } = require("./helpers");
+
+const CLI = path.join(__dirname, "../server/cli.js");
+
+// Runs lsm-cli to completion; returns its exit code and output
+function cli(...args) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        encoding: "utf8",
+        timeout: 30000,
+    });
+    const { status, stdout, stderr } = result;
+    return { status, stdout, stderr };
+}
+
+function ndjson(text) {
+    return text
+        .split("\n")
+        .filter(Boolean)
+        .map((line) => JSON.parse(line));
+}
+
+// A directory of one flushed table and a WAL holding later writes
+async function seededDir(t) {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("user:1", "ada", 0);
+    await tree.put("user:2", "grace", 0);
+    await tree.put("user:3", "edsger", 0);
+    await tree.put("order:1", { total: 5 }, 0);
+    await tree.flush();
+    await tree.delete("user:2");
+    await tree.put("user:4", "barbara", 0);
+    const tables = tree.ssTables.map((table) => table.filePath);
+    await crash(tree);
+    return { dir, tables };
+}
+
+test("bad invocations exit 1 with a reason", (t) => {
+    const dir = tempDir(t);
+    const none = cli();
+    assert.strictEqual(none.status, 1);
+    assert.match(none.stdout, /^Usage: lsm-cli/);
+    assert.strictEqual(cli("help").status, 0);
+
+    for (const [args, message] of [
+        [["frobnicate", "--data-dir", dir], /Unknown command "frobnicate"/],
+        [["scan", "--data-dir", dir, "--colour"], /Unknown option --colour/],
+        [["scan", "--data-dir"], /--data-dir needs a value/],
+        [["scan", "--data-dir", path.join(dir, "x")], /does not exist/],
+        [["scan", "--data-dir", dir, "--ns", "a"], /Namespace "a" not found/],
+        [["wal", "flush", "--data-dir", dir], /Usage: wal replay/],
+    ]) {
+        const result = cli(...args);
+        assert.strictEqual(result.status, 1, args.join(" "));
+        assert.match(result.stderr, message);
+    }
+});
+
+test("reads a data directory without changing it", async (t) => {
+    const { dir, tables } = await seededDir(t);
+    const before = fs.readdirSync(dir).sort();
+
+    const scanned = cli("scan", "--data-dir", dir, "--prefix", "user:");
+    assert.strictEqual(scanned.status, 0);
+    assert.deepStrictEqual(
+        ndjson(scanned.stdout).map(({ key, value }) => [key, value]),
+        [
+            ["user:1", "ada"],
+            ["user:3", "edsger"],
+            ["user:4", "barbara"],
+        ]
+    );
+    const last = cli("scan", "--data-dir", dir, "--reverse", "--limit=1");
+    assert.deepStrictEqual(
+        ndjson(last.stdout).map(({ key }) => key),
+        ["user:4"]
+    );
+
+    const deleted = cli("get", "user:2", "--data-dir", dir);
+    assert.strictEqual(ndjson(deleted.stdout)[0].state, "deleted");
+    assert.strictEqual(ndjson(deleted.stdout)[0].source, "wal");
+    const stored = cli("get", "order:1", "--data-dir", dir);
+    assert.deepStrictEqual(ndjson(stored.stdout)[0].value, { total: 5 });
+    assert.strictEqual(ndjson(stored.stdout)[0].source, "sstable");
+    assert.strictEqual(cli("get", "nope", "--data-dir", dir).status, 1);
+
+    const dumped = cli("dump", path.basename(tables[0]), "--data-dir", dir);
+    assert.strictEqual(dumped.status, 0);
+    assert.strictEqual(ndjson(dumped.stdout).length, 4);
+    assert.match(dumped.stderr, /4 entries in 1 blocks/);
+
+    const stats = JSON.parse(cli("stats", "--data-dir", dir).stdout);
+    assert.strictEqual(stats.ssTablesCount, 1);
+
+    const replay = cli("wal", "replay", "--dry-run", "--data-dir", dir);
+    assert.strictEqual(replay.status, 0);
+    assert.match(replay.stderr, /\d+ delete user:2/);
+    assert.match(replay.stderr, /Would replay 2 records holding 2 writes/);
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), before);
+});
+
+test("leaves the global console alone", async (t) => {
+    const { dir } = await seededDir(t);
+    const { log } = console;
+    assert.strictEqual(await main(["get", "nope", "--data-dir", dir]), 1);
+    assert.strictEqual(console.log, log);
+});
+
+test("verify finds damage that repair sets aside", async (t) => {
+    const { dir, tables } = await seededDir(t);
+    const clean = cli("verify", "--data-dir", dir);
+    assert.strictEqual(clean.status, 0);
+    assert.match(clean.stderr, /No problems found/);
+
+    // Damage the table's only block
+    const file = path.basename(tables[0]);
+    const fd = fs.openSync(tables[0], "r+");
+    fs.writeSync(fd, Buffer.from("garbage"), 0, 7, 24);
+    fs.closeSync(fd);
+    const damaged = cli("verify", "--data-dir", dir);
+    assert.strictEqual(damaged.status, 1);
+    assert.match(
+        damaged.stderr,
+        new RegExp(`FAIL ${file}: Block 0: Checksum mismatch`)
+    );
+    assert.match(damaged.stderr, /2 problems found/);
+
+    const repaired = cli("repair", "--data-dir", dir);
+    assert.strictEqual(repaired.status, 0);
+    assert.match(repaired.stderr, new RegExp(`Moved ${file} to corrupt/`));
+    assert.ok(fs.existsSync(path.join(dir, "corrupt", file)));
+    assert.strictEqual(cli("verify", "--data-dir", dir).status, 0);
+
+    // What the WAL held survives; the lost table's keys are gone
+    const tree = await openTree(t, dir);
+    assert.strictEqual((await tree.get("user:4")).value, "barbara");
+    assert.strictEqual(await tree.get("user:1"), null);
+});
+
+test("wal replay and compact write to the directory", async (t) => {
+    const { dir } = await seededDir(t);
+    const replayed = cli("wal", "replay", "--data-dir", dir);
+    assert.strictEqual(replayed.status, 0);
+    assert.match(replayed.stderr, /Replayed 2 keys into SSTable/);
+    const after = cli("wal", "replay", "--dry-run", "--data-dir", dir);
+    assert.match(after.stderr, /Would replay 0 records holding 0 writes/);
+
+    const compacted = cli("compact", "--full", "--data-dir", dir);
+    assert.strictEqual(compacted.status, 0);
+    assert.match(compacted.stderr, /2 SSTables before, 1 after/);
+
+    const tree = await openTree(t, dir);
+    assert.strictEqual(tree.ssTables.length, 1);
+    assert.strictEqual(await tree.get("user:2"), null);
+    assert.strictEqual((await tree.get("user:4")).value, "barbara");
+    await close(tree);
+});
+
+test("--ns works in a namespace's directory", async (t) => {
+    const dir = tempDir(t);
+    const nsDir = path.join(dir, "namespaces", "sessions");
+    fs.mkdirSync(nsDir, { recursive: true });
+    fs.writeFileSync(
+        path.join(dir, "namespaces.json"),
+        JSON.stringify([{ name: "sessions", config: {} }])
+    );
+    const tree = await openTree(t, nsDir);
+    await tree.put("s:1", "token", 0);
+    await close(tree);
+
+    const scanned = cli("scan", "--data-dir", dir, "--ns", "sessions");
+    assert.strictEqual(scanned.status, 0);
+    assert.deepStrictEqual(
+        ndjson(scanned.stdout).map(({ key }) => key),
+        ["s:1"]
+    );
+});
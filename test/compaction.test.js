@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    LeveledCompaction,
+    SizeTieredCompaction,
+    createCompactionStrategy,
+} = require("../server/compaction");
+const { tempDir, openTree } = require("./helpers");
+
+// Stands in for an SSTable as far as the strategies look at one
+function table(name, minKey, maxKey, bytes = 1000) {
+    return { name, meta: { minKey, maxKey }, byteSize: () => bytes };
+}
+
+function names(task) {
+    return task && task.inputs.map((input) => input.name);
+}
+
+test("leveled: merges L0 into the overlapping part of L1", () => {
+    const strategy = new LeveledCompaction({ level0Trigger: 2 });
+    const level1 = [
+        table("l1-a", "a", "c"),
+        table("l1-d", "d", "f"),
+        table("l1-m", "m", "p"),
+    ];
+    const one = [[table("new", "b", "e")], level1];
+    assert.strictEqual(strategy.pick(one), null);
+
+    const task = strategy.pick([
+        [table("newer", "e", "e"), table("new", "b", "e")],
+        level1,
+    ]);
+    assert.deepStrictEqual(names(task), ["newer", "new", "l1-a", "l1-d"]);
+    assert.strictEqual(task.outputLevel, 1);
+});
+
+test("leveled: moves one table at a time out of an oversized level", () => {
+    const strategy = new LeveledCompaction({ baseLevelBytes: 1500 });
+    const levels = [
+        [],
+        [table("a", "a", "c"), table("d", "d", "f")],
+        [table("deep-b", "b", "b"), table("deep-x", "x", "z")],
+    ];
+    const first = strategy.pick(levels);
+    assert.deepStrictEqual(names(first), ["a", "deep-b"]);
+    assert.strictEqual(first.outputLevel, 2);
+    // The next pick carries on past the last key compacted
+    assert.deepStrictEqual(names(strategy.pick(levels)), ["d"]);
+    assert.deepStrictEqual(names(strategy.pick(levels)), ["a", "deep-b"]);
+});
+
+test("size-tiered: merges a run of similar-sized tables", () => {
+    const strategy = new SizeTieredCompaction({
+        minThreshold: 3,
+        minTableBytes: 1,
+    });
+    const small = (name) => table(name, "a", "z", 1000);
+    assert.strictEqual(strategy.pick([[small("1"), small("2")]]), null);
+
+    const task = strategy.pick([
+        [small("1"), small("2"), small("3"), table("big", "a", "z", 50000)],
+    ]);
+    assert.deepStrictEqual(names(task), ["1", "2", "3"]);
+    assert.strictEqual(task.outputLevel, 0);
+});
+
+test("size-tiered: never merges a table on its own", async (t) => {
+    const small = (name) => table(name, "a", "z", 1000);
+    const strategy = new SizeTieredCompaction({
+        minThreshold: 1,
+        minTableBytes: 1,
+    });
+    assert.strictEqual(strategy.pick([[small("1")]]), null);
+    const two = [[small("1"), small("2")]];
+    assert.deepStrictEqual(names(strategy.pick(two)), ["1", "2"]);
+    strategy.maxThreshold = 1;
+    assert.strictEqual(strategy.pick(two), null);
+
+    const tree = await openTree(t, tempDir(t), {
+        maxSSTables: 1,
+        compactionStrategy: "size-tiered",
+    });
+    assert.strictEqual(tree.compactionStrategy.minThreshold, 2);
+    for (let i = 0; i < 3; i++) {
+        await tree.put(`key:${i}`, i, 0);
+        await tree.flush();
+    }
+    await tree.compact();
+    assert.ok(tree.compactionStats.completed <= 2);
+    assert.strictEqual(tree.ssTables.length, 1);
+});
+
+test("rejects an unknown strategy", () => {
+    assert.throws(
+        () => createCompactionStrategy("random"),
+        /Unknown compaction strategy "random"/
+    );
+});
+
+for (const compactionStrategy of ["leveled", "size-tiered"]) {
+    const title = `${compactionStrategy}: keeps the newest value of each key`;
+    test(title, async (t) => {
+        const tree = await openTree(t, tempDir(t), {
+            memTableMaxSize: 50,
+            maxSSTables: 2,
+            compactionStrategy,
+            compaction: { minTableBytes: 1 },
+        });
+        for (let round = 0; round < 4; round++) {
+            for (let i = 0; i < 100; i++) {
+                await tree.put(`key:${i}`, `${round}:${i}`, 0);
+            }
+        }
+        await tree.compact();
+        assert.ok(tree.compactionStats.completed > 0);
+
+        await tree.compact({ full: true });
+        assert.strictEqual(tree.ssTables.length, 1);
+        for (let i = 0; i < 100; i++) {
+            assert.strictEqual((await tree.get(`key:${i}`)).value, `3:${i}`);
+        }
+    });
+}
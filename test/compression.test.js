@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    CODECS,
+    COMPRESSION_CODECS,
+    getCodec,
+    codecById,
+} = require("../server/compression");
+const { encodeRecord, decodeRecords } = require("../server/wal");
+const { SSTable } = require("../server/sstable");
+const { createPut } = require("../server/entry");
+const { onCleanup, tempDir, openTree, close } = require("./helpers");
+
+const TEXT = Buffer.from("a fairly repetitive value ".repeat(200));
+
+function entriesOf(count) {
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const key = `key:${String(i).padStart(4, "0")}`;
+        entries.push([key, { ...createPut(`${TEXT} ${i}`), seq: i + 1 }]);
+    }
+    return entries;
+}
+
+test("every codec round-trips and keeps its id", () => {
+    assert.deepStrictEqual(
+        COMPRESSION_CODECS.map((name) => [name, CODECS[name].id]),
+        [
+            ["none", 0],
+            ["deflate", 1],
+            ["gzip", 2],
+            ["brotli", 3],
+        ]
+    );
+    for (const name of COMPRESSION_CODECS) {
+        const codec = getCodec(name);
+        const compressed = codec.compress(TEXT);
+        if (name !== "none") assert.ok(compressed.length < TEXT.length / 10);
+        assert.ok(codec.decompress(compressed).equals(TEXT));
+        assert.strictEqual(codecById(codec.id), codec);
+    }
+    assert.strictEqual(getCodec(), CODECS.none);
+    assert.throws(() => getCodec("lz4"), /Unknown compression codec "lz4"/);
+    assert.throws(() => codecById(9), /Unknown compression codec id 9/);
+});
+
+test("WAL records are compressed only when it helps", () => {
+    const large = { ops: [{ key: "a", entry: { value: TEXT.toString() } }] };
+    const small = { ops: [{ key: "b", entry: { value: 1 } }] };
+    const compressed = encodeRecord(large, CODECS.gzip);
+    const plain = encodeRecord(small, CODECS.gzip);
+    assert.ok(compressed.length < encodeRecord(large).length / 10);
+    assert.ok(plain.equals(encodeRecord(small)));
+
+    const { records, validLength } = decodeRecords(
+        Buffer.concat([compressed, plain])
+    );
+    assert.deepStrictEqual(records, [large, small]);
+    assert.strictEqual(validLength, compressed.length + plain.length);
+});
+
+test("an SSTable reads with the codec it was written with", async (t) => {
+    const dir = tempDir(t);
+    const sizes = {};
+    const rawSizes = new Set();
+    for (const compression of COMPRESSION_CODECS) {
+        const table = await SSTable.build(dir, entriesOf(100), {
+            compression,
+        });
+        sizes[compression] = table.byteSize();
+        rawSizes.add(table.rawByteSize());
+
+        // Opened by a reader configured for another codec
+        const reopened = await SSTable.loadFromDisk(table.filePath, {
+            compression: "none",
+        });
+        onCleanup(t, () => reopened.close());
+        await table.close();
+        assert.strictEqual(reopened.codec.name, compression);
+        const entry = await reopened.get("key:0042");
+        assert.strictEqual(entry.value, `${TEXT} 42`);
+    }
+    assert.strictEqual(rawSizes.size, 1);
+    for (const compression of ["deflate", "gzip", "brotli"]) {
+        assert.ok(sizes[compression] < sizes.none / 10, compression);
+    }
+});
+
+test("a tree mixes codecs and compacts into the current one", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    for (const [key, entry] of entriesOf(50)) await tree.put(key, entry.value);
+    await tree.flush();
+    await close(tree);
+
+    const reopened = await openTree(t, dir, {
+        compression: "deflate",
+        walCompression: "deflate",
+    });
+    for (const [key, entry] of entriesOf(50).slice(25)) {
+        await reopened.put(key, `${entry.value}!`);
+    }
+    await reopened.flush();
+    let { storage } = await reopened.getStats();
+    assert.deepStrictEqual(storage.tablesByCodec, { none: 1, deflate: 1 });
+    assert.strictEqual(storage.walCompression, "deflate");
+
+    await reopened.compact({ full: true });
+    ({ storage } = await reopened.getStats());
+    assert.deepStrictEqual(storage.tablesByCodec, { deflate: 1 });
+    assert.ok(storage.compressionRatio > 10);
+    assert.strictEqual((await reopened.get("key:0010")).value, `${TEXT} 10`);
+    assert.strictEqual((await reopened.get("key:0030")).value, `${TEXT} 30!`);
+
+    // Compressed WAL records replay too
+    await reopened.put("logged", TEXT.toString());
+    await close(reopened);
+    const last = await openTree(t, dir);
+    assert.strictEqual((await last.get("logged")).value, TEXT.toString());
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tempDir, openTree, startServer, api, sleep } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+test("putIfAbsent writes only a missing or dead key", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    assert.ok(await tree.putIfAbsent("lock", "me"));
+    assert.strictEqual(await tree.putIfAbsent("lock", "you"), null);
+    assert.strictEqual((await tree.get("lock")).value, "me");
+
+    await tree.delete("lock");
+    assert.ok(await tree.putIfAbsent("lock", "you"));
+    await tree.put("short", 1, 1);
+    await sleep(5);
+    assert.ok(await tree.putIfAbsent("short", 2));
+});
+
+test("compareAndSet checks the version or the value", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    const { seq } = await tree.put("a", { n: 1 });
+    await tree.flush();
+
+    assert.strictEqual(
+        await tree.compareAndSet("a", { version: seq + 1 }, "x"),
+        null
+    );
+    const written = await tree.compareAndSet("a", { version: seq }, "x");
+    assert.ok(written.seq > seq);
+    assert.strictEqual(
+        await tree.compareAndSet("a", { value: { n: 1 } }, "y"),
+        null
+    );
+    assert.ok(await tree.compareAndSet("a", { value: "x" }, "y"));
+    assert.strictEqual((await tree.get("a")).value, "y");
+    assert.strictEqual(
+        await tree.compareAndSet("missing", { value: undefined }, 1),
+        null
+    );
+});
+
+test("concurrent increments all count", async (t) => {
+    const tree = await openTree(t, tempDir(t), { memTableMaxSize: 20 });
+    await Promise.all(
+        Array.from({ length: 100 }, () => tree.increment("hits"))
+    );
+    assert.strictEqual((await tree.get("hits")).value, 100);
+    await tree.put("name", "text");
+    await assert.rejects(tree.increment("name"), { code: "NOT_A_NUMBER" });
+});
+
+test("PUT honours If-Match and If-None-Match", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const put = (value, headers) =>
+        api(url, "PUT", "/api/cache/doc", {
+            token: TOKEN,
+            body: { value },
+            headers,
+        });
+
+    const created = await put("v1", { "If-None-Match": "*" });
+    assert.strictEqual(created.status, 200);
+    const etag = created.headers.get("etag");
+    assert.strictEqual(etag, `"${created.body.data.version}"`);
+    assert.strictEqual((await put("v1", { "If-None-Match": "*" })).status, 412);
+
+    const read = await api(url, "GET", "/api/cache/doc", { token: TOKEN });
+    assert.strictEqual(read.headers.get("etag"), etag);
+
+    const updated = await put("v2", { "If-Match": etag });
+    assert.strictEqual(updated.status, 200);
+    // The old ETag no longer matches; a list containing the new one does
+    assert.strictEqual((await put("v3", { "If-Match": etag })).status, 412);
+    const newEtag = updated.headers.get("etag");
+    const listed = await put("v3", { "If-Match": `"0", W/${newEtag}` });
+    assert.strictEqual(listed.status, 200);
+
+    const missing = await api(url, "PUT", "/api/cache/other", {
+        token: TOKEN,
+        body: { value: 1 },
+        headers: { "If-Match": "*" },
+    });
+    assert.strictEqual(missing.status, 412);
+    const final = await api(url, "GET", "/api/cache/doc", { token: TOKEN });
+    assert.strictEqual(final.body.data.value, "v3");
+});
@@ -0,0 +1,273 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const yaml = require("../server/yaml");
+const {
+    loadConfig,
+    redact,
+    validateRuntimeSettings,
+} = require("../server/config");
+const { tempDir, openTree, close, startServer, api } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+const SERVER = path.join(__dirname, "../server/index.js");
+
+test("later sources override earlier ones", (t) => {
+    const file = path.join(tempDir(t), "cache.json");
+    fs.writeFileSync(
+        file,
+        JSON.stringify({
+            port: 4000,
+            maxSSTables: 4,
+            compaction: { level0Trigger: 2 },
+        })
+    );
+    const { settings, sources } = loadConfig({
+        argv: ["--config", file, "--max-sstables=6", "--wal-fsync", "batch"],
+        env: { PORT: "4100", MAX_SSTABLES: "5" },
+    });
+    assert.strictEqual(settings.port, 4100);
+    assert.strictEqual(settings.maxSSTables, 6);
+    assert.strictEqual(settings.walFsync, "batch");
+    assert.deepStrictEqual(settings.compaction, { level0Trigger: 2 });
+    assert.strictEqual(settings.defaultTTL, 60000);
+    assert.deepStrictEqual(
+        [sources.port, sources.maxSSTables, sources.compaction],
+        ["env", "flag", "file"]
+    );
+    assert.strictEqual(sources.defaultTTL, "default");
+});
+
+test("a YAML config file is read by its extension", (t) => {
+    const file = path.join(tempDir(t), "cache.yaml");
+    fs.writeFileSync(
+        file,
+        [
+            "# Cache settings",
+            "defaultTTL: 5000",
+            "adminToken: 'it''s secret'",
+            "compaction:",
+            "  level0Trigger: 8",
+            "",
+        ].join("\n")
+    );
+    const { file: resolved, settings } = loadConfig({
+        argv: [],
+        env: { CONFIG_FILE: file },
+    });
+    assert.strictEqual(resolved, file);
+    assert.strictEqual(settings.defaultTTL, 5000);
+    assert.strictEqual(settings.adminToken, "it's secret");
+    assert.deepStrictEqual(settings.compaction, { level0Trigger: 8 });
+    assert.strictEqual(redact(settings).adminToken, "********");
+    assert.strictEqual(redact(settings).replicaToken, null);
+});
+
+test("every problem is reported at once", (t) => {
+    const file = path.join(tempDir(t), "cache.json");
+    fs.writeFileSync(file, JSON.stringify({ colour: "red", port: "80" }));
+    assert.throws(
+        () =>
+            loadConfig({
+                argv: [`--config=${file}`, "--max-sstabls=3", "stray"],
+                env: { DEFAULT_TTL: "soon", WAL_FSYNC: "never" },
+            }),
+        (error) => {
+            assert.strictEqual(error.status, 400);
+            const lines = error.message.split("\n").slice(1);
+            const port = "must be an integer from 1 to 65535";
+            assert.deepStrictEqual(
+                lines.map((line) => line.trim()),
+                [
+                    'Unexpected argument "stray"',
+                    `Unknown setting "colour" in ${file}`,
+                    `"port" in ${file} ${port} (got "80")`,
+                    'DEFAULT_TTL must be a positive integer (got "soon")',
+                    'WAL_FSYNC must be one of always, batch, os (got "never")',
+                    "Unknown flag --max-sstabls",
+                ]
+            );
+            return true;
+        }
+    );
+    assert.throws(
+        () => loadConfig({ argv: ["--config", `${file}.missing`], env: {} }),
+        /Cannot read config file/
+    );
+});
+
+test("compaction options are checked against the strategy", (t) => {
+    const file = path.join(tempDir(t), "cache.json");
+    fs.writeFileSync(
+        file,
+        JSON.stringify({
+            compactionStrategy: "size-tiered",
+            compaction: { minThreshold: 1, maxThreshold: 8, level0Trigger: 4 },
+        })
+    );
+    assert.throws(
+        () => loadConfig({ argv: ["--config", file], env: {} }),
+        (error) => {
+            const lines = error.message.split("\n").slice(1);
+            assert.strictEqual(lines.length, 2);
+            assert.match(lines[0], /"minThreshold" must be an integer of at/);
+            assert.match(
+                lines[1],
+                /size-tiered compaction strategy has no "level0Trigger"/
+            );
+            return true;
+        }
+    );
+
+    validateRuntimeSettings({ compaction: { level0Trigger: 2 } });
+    for (const compaction of [
+        { level0Trigger: 0 },
+        { level0Trigger: 2.5 },
+        { levelSizeRatio: 1 },
+        { minThreshold: 4 },
+    ]) {
+        assert.throws(() => validateRuntimeSettings({ compaction }), {
+            status: 400,
+        });
+    }
+    validateRuntimeSettings({ compaction: { bucketLow: 0.5 } }, "size-tiered");
+    assert.throws(
+        () =>
+            validateRuntimeSettings(
+                { compaction: { minThreshold: 1 } },
+                "size-tiered"
+            ),
+        /"minThreshold" must be an integer of at least 2 \(got 1\)/
+    );
+});
+
+test("the YAML parser covers what config files use", () => {
+    assert.deepStrictEqual(
+        yaml.parse(
+            [
+                "---",
+                "name: cache # trailing comment",
+                'quoted: "a # b\\n"',
+                "empty:",
+                "list:",
+                "- 1",
+                "- two",
+                "nested:",
+                "  flag: true",
+                "  none: ~",
+                "  items:",
+                "    - 1.5e3",
+                "    - []",
+            ].join("\n")
+        ),
+        {
+            name: "cache",
+            quoted: "a # b\n",
+            empty: null,
+            list: [1, "two"],
+            nested: { flag: true, none: null, items: [1500, []] },
+        }
+    );
+    assert.strictEqual(yaml.parse("# nothing\n"), null);
+    assert.throws(() => yaml.parse("a: 1\na: 2"), /Line 2: Duplicate key "a"/);
+    assert.throws(() => yaml.parse("a:\n\tb: 1"), /Line 2: Tabs/);
+    assert.throws(() => yaml.parse("a: [1, 2]"), /Unsupported YAML syntax/);
+    assert.throws(() => yaml.parse("- a: 1"), /not supported/);
+    assert.throws(() => yaml.parse("a: 1\n  b: 2"), /Unexpected indentation/);
+});
+
+test("only runtime settings change at runtime", () => {
+    validateRuntimeSettings({ defaultTTL: 1000, maxSSTables: null });
+    assert.throws(() => validateRuntimeSettings([]), /must be an object/);
+    assert.throws(() => validateRuntimeSettings({ port: 1 }), {
+        message:
+            '"port" cannot be changed at runtime; set it with "port" in ' +
+            "the config file, PORT or --port and restart the server",
+    });
+    assert.throws(
+        () => validateRuntimeSettings({ defaultTTL: 0 }),
+        /"defaultTTL" must be a positive integer/
+    );
+    assert.throws(() => validateRuntimeSettings({ nope: 1 }), {
+        status: 400,
+        message: /Unknown setting "nope"/,
+    });
+});
+
+test("runtime settings are saved and can be undone", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir, { defaultTTL: 1000 });
+    await tree.configure({
+        defaultTTL: 2000,
+        compaction: { level0Trigger: 3 },
+    });
+    await assert.rejects(tree.configure({ compaction: { bogus: 1 } }), {
+        status: 400,
+        message: /no "bogus" setting/,
+    });
+    assert.strictEqual(tree.compactionStrategy.level0Trigger, 3);
+    await close(tree);
+
+    const reopened = await openTree(t, dir, { defaultTTL: 1000 });
+    assert.strictEqual(reopened.defaultTTL, 2000);
+    assert.deepStrictEqual(reopened.getSettings().overrides, {
+        defaultTTL: 2000,
+        compaction: { level0Trigger: 3 },
+    });
+    await reopened.configure({ defaultTTL: null });
+    assert.strictEqual(reopened.defaultTTL, 1000);
+});
+
+test("a default TTL saved before runtime settings carries over", async (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(
+        path.join(dir, "metadata.json"),
+        JSON.stringify({ lastSequence: 0, defaultTTL: 7000 })
+    );
+    const tree = await openTree(t, dir, { defaultTTL: 1000 });
+    assert.strictEqual(tree.defaultTTL, 7000);
+    await close(tree);
+
+    const reopened = await openTree(t, dir, { defaultTTL: 1000 });
+    assert.deepStrictEqual(reopened.getSettings().overrides, {
+        defaultTTL: 7000,
+    });
+});
+
+test("the server refuses to start with a bad setting", (t) => {
+    const dir = tempDir(t);
+    const result = spawnSync(process.execPath, [SERVER, "--port=http"], {
+        cwd: dir,
+        env: { ...process.env, DATA_DIR: dir, MAX_SSTABLES: "0" },
+        encoding: "utf8",
+        timeout: 10000,
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /MAX_SSTABLES must be a positive integer/);
+    assert.match(result.stderr, /--port must be an integer/);
+});
+
+test("the config endpoints show and change settings", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const shown = await api(url, "GET", "/api/admin/config", { token: TOKEN });
+    assert.strictEqual(shown.body.data.settings.adminToken, "********");
+    assert.strictEqual(shown.body.data.sources.adminToken, "env");
+
+    const patch = (body) =>
+        api(url, "PATCH", "/api/admin/config", { token: TOKEN, body });
+    const changed = await patch({ defaultTTL: 1234 });
+    assert.strictEqual(changed.status, 200);
+    assert.strictEqual(changed.body.data.runtime.values.defaultTTL, 1234);
+    assert.strictEqual((await patch({ port: 1 })).status, 400);
+    const trigger = await patch({ compaction: { level0Trigger: 0 } });
+    assert.strictEqual(trigger.status, 400);
+    assert.match(trigger.body.error, /"level0Trigger" must be a positive/);
+    await api(url, "POST", "/api/cache", {
+        token: TOKEN,
+        body: { key: "a", value: 1 },
+    });
+    const entry = await api(url, "GET", "/api/cache/a", { token: TOKEN });
+    assert.ok(entry.body.data.expiresAt <= Date.now() + 1234);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    LRUPolicy,
+    LFUPolicy,
+    TTLPolicy,
+    createEvictionPolicy,
+} = require("../server/eviction");
+const { tempDir, openTree, close } = require("./helpers");
+
+function drain(policy) {
+    const keys = [];
+    let key;
+    while ((key = policy.pop()) !== undefined) keys.push(key);
+    return keys;
+}
+
+test("LRU evicts the least recently used key first", () => {
+    const policy = new LRUPolicy();
+    for (const key of ["a", "b", "c"]) policy.record(key, {});
+    policy.access("a");
+    policy.remove("b");
+    assert.deepStrictEqual(drain(policy), ["c", "a"]);
+});
+
+test("LFU evicts the least used key, oldest first on ties", () => {
+    const policy = new LFUPolicy();
+    for (const key of ["a", "b", "c", "d"]) policy.record(key, {});
+    policy.access("a");
+    policy.access("a");
+    policy.access("c");
+    policy.record("d", {});
+    assert.deepStrictEqual(drain(policy), ["b", "c", "d", "a"]);
+});
+
+test("TTL evicts the soonest to expire, keys without one last", () => {
+    const policy = new TTLPolicy();
+    policy.record("forever", { expiresAt: null });
+    policy.record("late", { expiresAt: 3000 });
+    policy.record("soon", { expiresAt: 1000 });
+    policy.record("later", { expiresAt: 2000 });
+    // Rewritten with a later expiry
+    policy.record("soon", { expiresAt: 4000 });
+    assert.deepStrictEqual(drain(policy), ["later", "late", "soon", "forever"]);
+});
+
+test("rejects an unknown policy", () => {
+    assert.throws(() => createEvictionPolicy("fifo"), /Unknown eviction/);
+});
+
+test("a tree over its entry limit evicts by policy", async (t) => {
+    const tree = await openTree(t, tempDir(t), {
+        maxEntries: 3,
+        evictionPolicy: "lru",
+    });
+    for (const key of ["a", "b", "c"]) await tree.put(key, key);
+    await tree.get("a");
+    await tree.put("d", "d");
+    await tree.put("e", "e");
+
+    assert.strictEqual(await tree.get("b"), null);
+    assert.strictEqual(await tree.get("c"), null);
+    assert.deepStrictEqual(
+        (await tree.scan()).map((entry) => entry.key),
+        ["a", "d", "e"]
+    );
+    const { eviction } = await tree.getStats();
+    assert.strictEqual(eviction.entries, 3);
+    assert.strictEqual(eviction.evictions, 2);
+});
+
+test("a tree over its byte limit evicts until it fits", async (t) => {
+    const tree = await openTree(t, tempDir(t), { maxBytes: 2000 });
+    for (let i = 0; i < 20; i++) await tree.put(`k${i}`, "x".repeat(200));
+    const { eviction } = await tree.getStats();
+    assert.ok(eviction.bytes <= 2000, `${eviction.bytes} bytes`);
+    assert.ok(eviction.entries < 20);
+    assert.strictEqual((await tree.get("k19")).value.length, 200);
+});
+
+test("limits apply to data already on disk at startup", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    for (let i = 0; i < 10; i++) await tree.put(`k${i}`, i);
+    await tree.flush();
+    await close(tree);
+
+    const limited = await openTree(t, dir, { maxEntries: 4 });
+    const keys = (await limited.scan()).map((entry) => entry.key);
+    // The oldest writes go first
+    assert.deepStrictEqual(keys, ["k6", "k7", "k8", "k9"]);
+});
@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tempDir, openTree, sleep } = require("./helpers");
+
+const SHORT_TTL = 20;
+
+test("expired values read as missing", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("short", 1, SHORT_TTL);
+    await tree.put("long", 2, 60000);
+    await tree.flush();
+    await tree.put("fresh", 3, SHORT_TTL);
+    await sleep(SHORT_TTL * 2);
+
+    assert.strictEqual(await tree.get("short"), null);
+    assert.strictEqual(await tree.get("fresh"), null);
+    assert.deepStrictEqual(
+        (await tree.scan()).map((entry) => entry.key),
+        ["long"]
+    );
+});
+
+test("the sweeper forgets expired MemTable values", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1, SHORT_TTL);
+    await tree.put("b", 2, SHORT_TTL);
+    await tree.put("c", 3, 60000);
+    await sleep(SHORT_TTL * 2);
+
+    const result = await tree.sweepExpired();
+    assert.strictEqual(result.memTableExpired, 2);
+    assert.deepStrictEqual([...tree.memTable.data.keys()], ["c"]);
+    assert.strictEqual(tree.expirationStats.sweeps, 1);
+});
+
+test("the sweeper drops a table whose data has all expired", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("keep", 1, 60000);
+    await tree.flush();
+    for (let i = 0; i < 10; i++) await tree.put(`tmp:${i}`, i, SHORT_TTL);
+    await tree.flush();
+    const [expiring] = tree.getLevels()[0];
+    assert.strictEqual(expiring.meta.expiry.forever, 0);
+    await sleep(SHORT_TTL * 2);
+
+    assert.ok(expiring.isFullyExpired());
+    const result = await tree.sweepExpired();
+    assert.strictEqual(result.tablesDropped, 1);
+    assert.strictEqual(tree.ssTables.length, 1);
+    assert.strictEqual((await tree.get("keep")).value, 1);
+});
+
+test("the sweeper rewrites a table that is mostly expired", async (t) => {
+    const tree = await openTree(t, tempDir(t), {
+        expiredRewriteThreshold: 0.5,
+    });
+    for (let i = 0; i < 8; i++) await tree.put(`tmp:${i}`, i, SHORT_TTL);
+    await tree.put("keep:1", 1, 0);
+    await tree.put("keep:2", 2, 0);
+    await tree.flush();
+    await sleep(SHORT_TTL * 2);
+
+    const result = await tree.sweepExpired();
+    assert.strictEqual(result.tablesRewritten, 1);
+    assert.strictEqual(tree.ssTables.length, 1);
+    assert.strictEqual(tree.ssTables[0].meta.count, 2);
+    assert.deepStrictEqual(
+        (await tree.scan()).map((entry) => entry.key),
+        ["keep:1", "keep:2"]
+    );
+});
+
+test("an expired value hides older versions until it can go", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", "old", 0);
+    await tree.flush();
+    await tree.put("a", "new", SHORT_TTL);
+    await tree.put("b", 1, 0);
+    await tree.flush();
+    await sleep(SHORT_TTL * 2);
+
+    // Merge only the newer table: the expired value becomes a tombstone
+    const [newer] = tree.getLevels()[0];
+    await tree.runCompaction({
+        inputs: [newer],
+        outputLevel: 0,
+        targetTableBytes: Infinity,
+    });
+    assert.strictEqual(await tree.get("a"), null);
+
+    await tree.compact({ full: true });
+    assert.strictEqual(await tree.get("a"), null);
+    assert.strictEqual(tree.ssTables[0].meta.count, 1);
+});
+
+test("the sweeper runs on its interval", async (t) => {
+    const tree = await openTree(t, tempDir(t), { ttlSweepIntervalMs: 10 });
+    await tree.put("a", 1, SHORT_TTL);
+    await sleep(100);
+    assert.ok(tree.expirationStats.sweeps > 1);
+    assert.strictEqual(tree.memTable.data.size, 0);
+});
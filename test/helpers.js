@@ -0,0 +1,180 @@
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const { LSMTree } = require("../server/lsm-tree");
+
+const SERVER = path.join(__dirname, "../server/index.js");
+
+const cleanups = new WeakMap();
+
+// Runs `fn` when the test `t` ends, before whatever was set up earlier is
+// cleaned up
+function onCleanup(t, fn) {
+    if (!cleanups.has(t)) {
+        cleanups.set(t, []);
+        t.after(async () => {
+            for (const cleanup of cleanups.get(t).reverse()) await cleanup();
+        });
+    }
+    cleanups.get(t).push(fn);
+}
+
+// A fresh directory, removed when the test `t` ends
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "lsm-test-"));
+    onCleanup(t, () => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+// A tree over `dir` with the sweeper off, shut down when `t` ends unless
+// the test closes it first
+async function openTree(t, dir, options = {}) {
+    const { memTableMaxSize = 1000, maxSSTables = 10, ...rest } = options;
+    const tree = new LSMTree(memTableMaxSize, maxSSTables, dir, {
+        ttlSweepIntervalMs: 0,
+        ...rest,
+    });
+    await tree.ready;
+    onCleanup(t, () => close(tree));
+    return tree;
+}
+
+// Shuts a tree down once, however many times it is asked to
+function close(tree) {
+    if (!tree.closed) tree.closed = tree.ready.then(() => tree.shutdown());
+    return tree.closed;
+}
+
+// Lets go of a tree's files without flushing its MemTable, as if the
+// process had died
+function crash(tree) {
+    if (!tree.closed) {
+        tree.closed = (async () => {
+            await tree.ready;
+            clearInterval(tree.sweepTimer);
+            tree.closing = true;
+            await tree.flushQueue;
+            await tree.compactionQueue;
+            await tree.wal.close();
+            await tree.manifest.close();
+            await Promise.all(tree.ssTables.map((table) => table.close()));
+        })();
+    }
+    return tree.closed;
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on("error", reject);
+        server.listen(0, "127.0.0.1", () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// Runs server/index.js over `dataDir` with `env` added to its environment
+// until `t` ends, with the RESP server on if `resp` is set. Resolves once
+// it listens, with its base URL and ports.
+async function startServer(t, dataDir, env = {}, { resp = false } = {}) {
+    const port = await freePort();
+    const respPort = resp ? await freePort() : 0;
+    const child = spawn(process.execPath, [SERVER], {
+        cwd: dataDir,
+        env: {
+            ...process.env,
+            DATA_DIR: dataDir,
+            PORT: String(port),
+            RESP_PORT: String(respPort),
+            ...env,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+    });
+    let output = "";
+    const exited = new Promise((resolve) => child.once("exit", resolve));
+    onCleanup(t, () => {
+        if (child.exitCode === null) child.kill("SIGTERM");
+        return exited;
+    });
+
+    await new Promise((resolve, reject) => {
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes("running on port")) {
+                child.stdout.off("data", onData);
+                resolve();
+            }
+        };
+        child.stdout.setEncoding("utf8").on("data", onData);
+        child.stderr.setEncoding("utf8").on("data", (chunk) => {
+            output += chunk;
+        });
+        child.once("exit", (code) =>
+            reject(new Error(`Server exited with ${code}:\n${output}`))
+        );
+    });
+    // Give the RESP server, started after the HTTP one, a moment
+    if (respPort) await waitForPort(respPort);
+    return { url: `http://127.0.0.1:${port}`, port, respPort, child };
+}
+
+async function waitForPort(port, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const open = await new Promise((resolve) => {
+            const socket = net.connect(port, "127.0.0.1");
+            socket.once("connect", () => {
+                socket.destroy();
+                resolve(true);
+            });
+            socket.once("error", () => resolve(false));
+        });
+        if (open) return;
+        await sleep(50);
+    }
+    throw new Error(`Nothing listens on port ${port}`);
+}
+
+// fetch() with a JSON body and bearer token; resolves with the status,
+// headers and parsed body
+async function api(base, method, url, { token, body, headers = {} } = {}) {
+    const res = await fetch(`${base}${url}`, {
+        method,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(body === undefined
+                ? {}
+                : { "Content-Type": "application/json" }),
+            ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let json = null;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        // Not JSON; the text is kept
+    }
+    return { status: res.status, headers: res.headers, body: json, text };
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    onCleanup,
+    tempDir,
+    openTree,
+    close,
+    crash,
+    freePort,
+    startServer,
+    waitForPort,
+    api,
+    sleep,
+};
@@ -0,0 +1,205 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { WriteBehindQueue, FileOrigin } = require("../server/loaders");
+const {
+    tempDir,
+    openTree,
+    close,
+    startServer,
+    api,
+    sleep,
+} = require("./helpers");
+
+const TOKEN = "test-admin-token";
+const SHORT_TTL = 30;
+
+// An origin adapter over a Map, recording the calls it gets
+function memoryOrigin(entries = {}) {
+    const data = new Map(Object.entries(entries));
+    const calls = [];
+    return {
+        data,
+        calls,
+        async load(key) {
+            calls.push(["load", key]);
+            await sleep(10);
+            return data.get(key);
+        },
+        async store(key, value) {
+            calls.push(["store", key]);
+            data.set(key, value);
+        },
+        async remove(key) {
+            calls.push(["remove", key]);
+            data.delete(key);
+        },
+    };
+}
+
+test("misses under a prefix load once and are cached", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    const origin = memoryOrigin({ "user:1": { name: "Ada" } });
+    tree.registerLoader("user:", (key) => origin.load(key), { ttl: 60000 });
+
+    const results = await Promise.all(
+        Array.from({ length: 5 }, () => tree.get("user:1"))
+    );
+    assert.ok(results.every((entry) => entry.value.name === "Ada"));
+    assert.strictEqual(origin.calls.length, 1);
+    assert.ok(results[0].expiresAt > Date.now() + 50000);
+    assert.strictEqual((await tree.get("user:1")).value.name, "Ada");
+    assert.strictEqual(origin.calls.length, 1);
+
+    assert.strictEqual(await tree.get("user:2"), null);
+    assert.strictEqual(await tree.get("order:1"), null);
+    const [stats] = (await tree.getStats()).loaders;
+    assert.strictEqual(stats.loads, 2);
+    assert.strictEqual(stats.coalesced, 4);
+    assert.strictEqual(stats.notFound, 1);
+});
+
+test("the longest prefix wins and failures carry status 502", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    tree.registerLoader("", (key) => `any ${key}`);
+    tree.registerLoader("vip:", () => {
+        throw new Error("origin down");
+    });
+    assert.throws(() => tree.registerLoader("", () => 1), /already/);
+
+    assert.strictEqual((await tree.get("a")).value, "any a");
+    await assert.rejects(tree.get("vip:1"), {
+        status: 502,
+        message: 'Loader for "vip:" failed: origin down',
+    });
+    // Snapshots read the past and never load
+    const snapshot = await tree.snapshot();
+    assert.strictEqual(await snapshot.get("b"), null);
+    snapshot.release();
+});
+
+test("an expired value is served while it reloads", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    let version = 1;
+    tree.registerLoader("k", async () => version++, {
+        ttl: SHORT_TTL,
+        staleWhileRevalidate: 60000,
+    });
+    assert.strictEqual((await tree.get("k")).value, 1);
+    await sleep(SHORT_TTL * 2);
+
+    assert.strictEqual((await tree.get("k")).value, 1);
+    await sleep(20);
+    assert.strictEqual((await tree.get("k")).value, 2);
+    const [stats] = tree.loaders.getStats();
+    assert.strictEqual(stats.staleServed, 1);
+});
+
+test("only the latest write of a key goes behind to the origin", async (t) => {
+    const tree = await openTree(t, tempDir(t), { maxEntries: 2 });
+    const origin = memoryOrigin();
+    tree.registerLoader("user:", (key) => origin.load(key), {
+        writeBehind: origin,
+        writeBehindDelayMs: 10,
+    });
+    await tree.put("user:1", "first");
+    await tree.put("user:1", "second");
+    await tree.put("user:2", "two");
+    await tree.delete("user:2");
+    await tree.put("other", "local");
+    // Evicts user:1 from the cache, not from the origin
+    await tree.put("user:3", "three");
+    await sleep(50);
+
+    assert.deepStrictEqual(Object.fromEntries(origin.data), {
+        "user:1": "second",
+        "user:3": "three",
+    });
+    assert.deepStrictEqual(origin.calls, [
+        ["store", "user:1"],
+        ["remove", "user:2"],
+        ["store", "user:3"],
+    ]);
+
+    // A load fills the cache without writing back
+    assert.strictEqual((await tree.get("user:1")).value, "second");
+    await sleep(50);
+    assert.strictEqual(
+        origin.calls.filter(([call]) => call === "store").length,
+        2
+    );
+});
+
+test("failed write-behind is retried, then dropped", async (t) => {
+    let failures = 2;
+    const stored = [];
+    const queue = new WriteBehindQueue(
+        {
+            async store(key, value) {
+                if (key === "broken" || failures-- > 0) {
+                    throw new Error("unavailable");
+                }
+                stored.push([key, value]);
+            },
+        },
+        { delayMs: 1, retryMs: 5, maxAttempts: 3 }
+    );
+    const error = console.error;
+    console.error = () => {};
+    t.after(() => {
+        console.error = error;
+    });
+    queue.enqueue("a", { value: 1 });
+    queue.enqueue("broken", { value: 2 });
+    await sleep(100);
+
+    assert.deepStrictEqual(stored, [["a", 1]]);
+    assert.deepStrictEqual(queue.getStats(), {
+        pending: 0,
+        written: 1,
+        retries: 4,
+        failed: 1,
+    });
+});
+
+test("pending writes are sent on shutdown", async (t) => {
+    const dir = tempDir(t);
+    const origin = new FileOrigin(path.join(dir, "origin"));
+    const tree = await openTree(t, path.join(dir, "data"));
+    tree.registerLoader("", (key) => origin.load(key), {
+        writeBehind: origin,
+        writeBehindDelayMs: 60000,
+    });
+    await tree.put("a b", { n: 1 });
+    await close(tree);
+    assert.deepStrictEqual(await origin.load("a b"), { n: 1 });
+    assert.ok(fs.existsSync(path.join(dir, "origin", "a%20b.json")));
+});
+
+test("the server reads through to ORIGIN_DIR", async (t) => {
+    const originDir = tempDir(t);
+    fs.writeFileSync(path.join(originDir, "user%3A1.json"), '{"n":1}');
+    const { url } = await startServer(t, tempDir(t), {
+        ADMIN_TOKEN: TOKEN,
+        ORIGIN_DIR: originDir,
+        ORIGIN_PREFIX: "user:",
+    });
+
+    const loaded = await api(url, "GET", "/api/cache/user:1", {
+        token: TOKEN,
+    });
+    assert.deepStrictEqual(loaded.body.data.value, { n: 1 });
+    const missing = await api(url, "GET", "/api/cache/user:2", {
+        token: TOKEN,
+    });
+    assert.strictEqual(missing.status, 404);
+
+    await api(url, "POST", "/api/cache", {
+        token: TOKEN,
+        body: { key: "user:3", value: 3 },
+    });
+    const stored = path.join(originDir, "user%3A3.json");
+    for (let i = 0; i < 50 && !fs.existsSync(stored); i++) await sleep(20);
+    assert.strictEqual(fs.readFileSync(stored, "utf8"), "3");
+});
@@ -0,0 +1,184 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { Manifest, MANIFEST_FILE } = require("../server/manifest");
+const { tempDir, openTree, close, crash } = require("./helpers");
+
+// What Manifest.apply() needs of an SSTable
+function table(file, level = 0) {
+    return { filePath: path.join("/nowhere", file), level };
+}
+
+function tablesOf(version) {
+    return Object.fromEntries(version.tables);
+}
+
+// Runs `fn` with console.warn silenced, resolving with what it warned
+async function quietly(fn) {
+    const warned = [];
+    const warn = console.warn;
+    console.warn = (...args) => warned.push(args.join(" "));
+    try {
+        await fn();
+    } finally {
+        console.warn = warn;
+    }
+    return warned;
+}
+
+test("edits replay into the current version", async (t) => {
+    const dir = tempDir(t);
+    const manifest = new Manifest(dir);
+    await manifest.create({ add: [{ file: "a.sst", level: 0 }] });
+    await manifest.apply({ add: [table("b.sst")], lastSequence: 5 });
+    await manifest.apply({
+        add: [table("c.sst", 1)],
+        remove: [table("a.sst"), table("b.sst")],
+        logNumber: 3,
+    });
+    await manifest.close();
+
+    const reloaded = new Manifest(dir);
+    const version = await reloaded.load();
+    await reloaded.close();
+    assert.deepStrictEqual(tablesOf(version), { "c.sst": 1 });
+    assert.strictEqual(version.logNumber, 3);
+    assert.strictEqual(version.lastSequence, 5);
+    assert.ok(reloaded.isLive("c.bloom"));
+    assert.ok(!reloaded.isLive("a.sst"));
+});
+
+test("a torn last edit never happened", async (t) => {
+    const dir = tempDir(t);
+    const manifest = new Manifest(dir);
+    await manifest.create({ add: [{ file: "a.sst", level: 0 }] });
+    await manifest.apply({ add: [table("b.sst")] });
+    await manifest.close();
+    const whole = fs.statSync(manifest.path).size;
+
+    // A crash while the next edit was written
+    const next = new Manifest(dir);
+    await next.load();
+    await next.apply({ remove: [table("a.sst")] });
+    await next.close();
+    const torn = fs.statSync(next.path).size - 3;
+    fs.truncateSync(next.path, torn);
+
+    const inspector = new Manifest(dir, { readOnly: true });
+    await inspector.load();
+    assert.strictEqual(inspector.damagedBytes, torn - whole);
+    await assert.rejects(inspector.apply({}), /read-only/);
+    assert.strictEqual(fs.statSync(next.path).size, torn);
+
+    const reloaded = new Manifest(dir);
+    let version;
+    const warned = await quietly(async () => {
+        version = await reloaded.load();
+    });
+    assert.match(warned[0], /damaged trailing bytes/);
+    assert.deepStrictEqual(tablesOf(version), { "a.sst": 0, "b.sst": 0 });
+    assert.strictEqual(fs.statSync(next.path).size, whole);
+
+    // Later edits land after the truncation and replay
+    await reloaded.apply({ add: [table("c.sst")] });
+    await reloaded.close();
+    const last = new Manifest(dir);
+    assert.strictEqual((await last.load()).tables.size, 3);
+    await last.close();
+});
+
+test("a long log is rewritten as one edit", async (t) => {
+    const dir = tempDir(t);
+    const manifest = new Manifest(dir);
+    await manifest.create({ add: [] });
+    for (let i = 0; i < 300; i++) {
+        await manifest.apply({ add: [table(`t${i}.sst`)] });
+        if (i > 0) await manifest.apply({ remove: [table(`t${i - 1}.sst`)] });
+    }
+    assert.ok(manifest.getStats().edits < 256);
+    await manifest.close();
+    assert.ok(!fs.existsSync(`${manifest.path}.tmp`));
+
+    const reloaded = new Manifest(dir);
+    assert.deepStrictEqual(tablesOf(await reloaded.load()), { "t299.sst": 0 });
+    await reloaded.close();
+});
+
+test("an edit after a failed append rewrites the log", async (t) => {
+    const dir = tempDir(t);
+    const manifest = new Manifest(dir);
+    await manifest.create({ add: [{ file: "a.sst", level: 0 }] });
+    const write = manifest.handle.write;
+    manifest.handle.write = async () => {
+        throw new Error("disk full");
+    };
+    await assert.rejects(
+        manifest.apply({ add: [table("b.sst")] }),
+        /disk full/
+    );
+    manifest.handle.write = write;
+    assert.deepStrictEqual(tablesOf(manifest.version), { "a.sst": 0 });
+
+    await manifest.apply({ add: [table("c.sst")] });
+    assert.strictEqual(manifest.getStats().edits, 1);
+    await manifest.close();
+    const reloaded = new Manifest(dir);
+    assert.deepStrictEqual(tablesOf(await reloaded.load()), {
+        "a.sst": 0,
+        "c.sst": 0,
+    });
+    await reloaded.close();
+});
+
+test("tables a crash left out of the MANIFEST are removed", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("a", 1);
+    await tree.flush();
+    await tree.delete("a");
+    await tree.put("b", 2);
+    await tree.flush();
+
+    // Keep the inputs the compaction is about to delete, as if it crashed
+    // after its MANIFEST edit but before removing them
+    const saved = path.join(tempDir(t), "saved");
+    fs.mkdirSync(saved);
+    const inputs = fs
+        .readdirSync(dir)
+        .filter((file) => file.startsWith("sstable_"));
+    for (const file of inputs) {
+        fs.copyFileSync(path.join(dir, file), path.join(saved, file));
+    }
+    await tree.compact({ full: true });
+    await crash(tree);
+    for (const file of inputs) {
+        fs.copyFileSync(path.join(saved, file), path.join(dir, file));
+    }
+    fs.writeFileSync(path.join(dir, `${MANIFEST_FILE}.tmp`), "partial");
+
+    let reopened;
+    const warned = await quietly(async () => {
+        reopened = await openTree(t, dir);
+    });
+    assert.strictEqual(reopened.orphansRemoved, inputs.length + 1);
+    assert.ok(warned.every((line) => /MANIFEST does not list/.test(line)));
+    assert.strictEqual(reopened.ssTables.length, 1);
+    assert.strictEqual(await reopened.get("a"), null);
+    assert.strictEqual((await reopened.get("b")).value, 2);
+    assert.ok(!fs.existsSync(path.join(dir, `${MANIFEST_FILE}.tmp`)));
+});
+
+test("a data directory without a MANIFEST gets one", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("a", 1);
+    await tree.flush();
+    await close(tree);
+    fs.rmSync(path.join(dir, MANIFEST_FILE));
+
+    const reopened = await openTree(t, dir);
+    assert.strictEqual((await reopened.get("a")).value, 1);
+    assert.ok(fs.existsSync(path.join(dir, MANIFEST_FILE)));
+    assert.strictEqual(reopened.manifest.getStats().tables, 1);
+});
@@ -0,0 +1,189 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { Registry } = require("../server/metrics");
+const {
+    tempDir,
+    openTree,
+    crash,
+    startServer,
+    api,
+    sleep,
+} = require("./helpers");
+
+const TOKEN = "test-admin-token";
+const SHORT_TTL = 20;
+
+test("renders the Prometheus text format", () => {
+    const registry = new Registry();
+    const requests = registry.counter("requests_total", "Requests");
+    requests.inc({ path: 'a"b\\c\nd' });
+    requests.inc({ path: 'a"b\\c\nd' }, 2);
+    registry.gauge("ratio", "A ratio").set({}, Infinity);
+    registry.summary("took_seconds", "Time").set({}, { sum: 1.5, count: 3 });
+    const latency = registry.histogram("latency", "Latency", [0.1, 1]);
+    latency.observe({}, 0.05);
+    latency.observe({}, 0.5);
+    latency.observe({}, 5);
+
+    assert.strictEqual(
+        registry.render(),
+        [
+            "# HELP requests_total Requests",
+            "# TYPE requests_total counter",
+            'requests_total{path="a\\"b\\\\c\\nd"} 3',
+            "# HELP ratio A ratio",
+            "# TYPE ratio gauge",
+            "ratio +Inf",
+            "# HELP took_seconds Time",
+            "# TYPE took_seconds summary",
+            "took_seconds_sum 1.5",
+            "took_seconds_count 3",
+            "# HELP latency Latency",
+            "# TYPE latency histogram",
+            'latency_bucket{le="0.1"} 1',
+            'latency_bucket{le="1"} 2',
+            'latency_bucket{le="+Inf"} 3',
+            "latency_sum 5.55",
+            "latency_count 3",
+            "",
+        ].join("\n")
+    );
+});
+
+test("collectors set their values before each render", () => {
+    const registry = new Registry();
+    const keys = registry.gauge("keys", "Keys");
+    let count = 1;
+    registry.addCollector(() => {
+        keys.reset();
+        keys.set({ namespace: `ns${count}` }, count++);
+    });
+    assert.match(registry.render(), /keys\{namespace="ns1"\} 1\n$/);
+    const second = registry.render();
+    assert.match(second, /keys\{namespace="ns2"\} 2\n$/);
+    assert.doesNotMatch(second, /ns1/);
+});
+
+test("key counts are estimated from table metadata", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    for (let i = 0; i < 6; i++) await tree.put(`k${i}`, i, 0);
+    await tree.put("short", 1, SHORT_TTL);
+    await tree.put("long", 1, 60000);
+    await tree.flush();
+    await tree.delete("k0");
+    await tree.put("memory", 1, 60000);
+    await sleep(SHORT_TTL * 2);
+
+    const { totalEntries, expiringEntries } = await tree.getStats();
+    assert.strictEqual(totalEntries, 7);
+    assert.strictEqual(expiringEntries, 2);
+    await tree.compact({ full: true });
+    assert.deepStrictEqual(tree.estimateKeyCounts(), {
+        totalEntries: 7,
+        expiringEntries: 2,
+    });
+});
+
+test("key counts are exact under a capacity limit", async (t) => {
+    const tree = await openTree(t, tempDir(t), { maxEntries: 100 });
+    await tree.put("a", 1, 0);
+    await tree.flush();
+    await tree.put("a", 2, 60000);
+    await tree.put("b", 1, 0);
+    assert.deepStrictEqual(tree.estimateKeyCounts(), {
+        totalEntries: 2,
+        expiringEntries: 1,
+    });
+});
+
+test("file counts and sizes are kept without reading the disk", async (t) => {
+    const dir = tempDir(t);
+    // What the directory holds, read the slow way
+    const onDisk = () => {
+        const files = fs.readdirSync(dir);
+        const bytes = (pattern) =>
+            files
+                .filter((file) => pattern.test(file))
+                .map((file) => fs.statSync(path.join(dir, file)).size)
+                .reduce((sum, size) => sum + size, 0);
+        const tables = files.filter((file) => /^sstable_.*\.sst$/.test(file));
+        return {
+            diskFiles: tables.length,
+            wal: bytes(/^wal_\d+\.log$/),
+            manifest: bytes(/^MANIFEST$/),
+        };
+    };
+    const kept = async (tree) => {
+        const { readdirSync, statSync } = fs;
+        fs.readdirSync = fs.statSync = () => assert.fail("went to disk");
+        try {
+            const stats = await tree.getStats();
+            return {
+                diskFiles: stats.diskFiles,
+                wal: stats.wal.bytes,
+                manifest: stats.manifest.bytes,
+            };
+        } finally {
+            Object.assign(fs, { readdirSync, statSync });
+        }
+    };
+
+    const tree = await openTree(t, dir);
+    for (let round = 0; round < 3; round++) {
+        for (let i = 0; i < 5; i++) await tree.put(`k${i}`, round, 0);
+        await tree.flush();
+    }
+    await tree.put("unflushed", 1, 0);
+    assert.deepStrictEqual(await kept(tree), onDisk());
+    assert.strictEqual((await kept(tree)).diskFiles, 3);
+
+    await tree.compact({ full: true });
+    assert.deepStrictEqual(await kept(tree), onDisk());
+    assert.strictEqual((await kept(tree)).diskFiles, 1);
+    await crash(tree);
+
+    const reopened = await openTree(t, dir);
+    assert.deepStrictEqual(await kept(reopened), onDisk());
+});
+
+test("the metrics endpoint reports requests and trees", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    await api(url, "POST", "/api/cache", {
+        token: TOKEN,
+        body: { key: "secret-key", value: 1 },
+    });
+    await api(url, "GET", "/api/cache/secret-key", { token: TOKEN });
+    await api(url, "GET", "/api/cache/missing", { token: TOKEN });
+
+    const { status, headers, text } = await api(url, "GET", "/metrics", {
+        token: TOKEN,
+    });
+    assert.strictEqual(status, 200);
+    assert.match(headers.get("content-type"), /^text\/plain.*version=0.0.4/);
+    const samples = new Map(
+        text
+            .split("\n")
+            .filter((line) => line && !line.startsWith("#"))
+            .map((line) => line.split(/ (?=\S+$)/))
+    );
+    const route = 'method="GET",route="/api/cache/:key"';
+    assert.strictEqual(
+        samples.get(`lsm_http_requests_total{${route},status="200"}`),
+        "1"
+    );
+    assert.strictEqual(
+        samples.get(`lsm_http_requests_total{${route},status="404"}`),
+        "1"
+    );
+    assert.doesNotMatch(text, /secret-key/);
+    assert.strictEqual(
+        samples.get('lsm_get_total{namespace="default",result="memtable"}'),
+        "1"
+    );
+    assert.strictEqual(
+        samples.get('lsm_last_sequence{namespace="default"}'),
+        "1"
+    );
+});
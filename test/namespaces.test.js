@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { NamespaceManager } = require("../server/namespaces");
+const {
+    onCleanup,
+    tempDir,
+    openTree,
+    close,
+    startServer,
+    api,
+} = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+// A manager over `dir`, its trees shut down when `t` ends
+async function managerOf(t, dir) {
+    const tree = await openTree(t, dir);
+    const manager = new NamespaceManager(tree, { ttlSweepIntervalMs: 0 });
+    await manager.load();
+    onCleanup(t, () => shutdown(manager));
+    return manager;
+}
+
+function shutdown(manager) {
+    return Promise.all(manager.all().map(({ tree }) => close(tree)));
+}
+
+test("namespaces are separate trees that survive a restart", async (t) => {
+    const dir = tempDir(t);
+    const manager = await managerOf(t, dir);
+    await manager.create("sessions", { defaultTTL: 60000, maxEntries: 10 });
+    await manager.get("sessions").tree.put("a", "session");
+    await manager.get("default").tree.put("a", "default");
+    await manager.get("sessions").tree.flush();
+    await shutdown(manager);
+
+    const reopened = await managerOf(t, dir);
+    assert.deepStrictEqual(
+        reopened.list().map(({ name }) => name),
+        ["default", "sessions"]
+    );
+    const sessions = reopened.get("sessions");
+    assert.strictEqual((await sessions.tree.get("a")).value, "session");
+    assert.strictEqual(sessions.tree.defaultTTL, 60000);
+    assert.strictEqual(
+        (await reopened.get("default").tree.get("a")).value,
+        "default"
+    );
+});
+
+test("rejects bad names, settings and duplicates", async (t) => {
+    const manager = await managerOf(t, tempDir(t));
+    await assert.rejects(manager.create("Bad Name"), { status: 400 });
+    await assert.rejects(manager.create("x", { colour: "red" }), {
+        status: 400,
+        message: /Unknown setting "colour"/,
+    });
+    await assert.rejects(manager.create("x", { maxEntries: -1 }), {
+        status: 400,
+    });
+    await assert.rejects(manager.create("x", { evictionPolicy: "fifo" }), {
+        status: 400,
+    });
+    for (const compaction of [{ level0Trigger: 0 }, { level0Trigger: -2 }]) {
+        await assert.rejects(manager.create("x", { compaction }), {
+            status: 400,
+            message: /"level0Trigger" must be a positive integer/,
+        });
+    }
+    await assert.rejects(
+        manager.create("x", {
+            compactionStrategy: "size-tiered",
+            compaction: { level0Trigger: 4 },
+        }),
+        { status: 400, message: /strategy has no "level0Trigger" setting/ }
+    );
+    await assert.rejects(manager.create("x", { defaultTTL: 1.5 }), {
+        status: 400,
+        message: /"defaultTTL" must be a positive integer/,
+    });
+    await manager.create("x");
+    await assert.rejects(manager.create("x"), { status: 409 });
+    await assert.rejects(manager.drop("default"), { status: 400 });
+    await assert.rejects(manager.drop("missing"), { status: 404 });
+});
+
+test("dropping a namespace deletes its data", async (t) => {
+    const dir = tempDir(t);
+    const manager = await managerOf(t, dir);
+    await manager.create("tmp");
+    await manager.get("tmp").tree.put("a", 1);
+    const tmpDir = path.join(dir, "namespaces", "tmp");
+    assert.ok(fs.existsSync(tmpDir));
+
+    await manager.drop("tmp");
+    assert.ok(!fs.existsSync(tmpDir));
+    assert.strictEqual(manager.get("tmp"), undefined);
+});
+
+test("a drop interrupted after the registry update is finished", async (t) => {
+    const dir = tempDir(t);
+    const manager = await managerOf(t, dir);
+    await manager.create("tmp");
+    await shutdown(manager);
+    // The registry no longer lists it, but the directory is still there
+    fs.writeFileSync(path.join(dir, "namespaces.json"), "[]");
+
+    const log = console.log;
+    console.log = () => {};
+    let reopened;
+    try {
+        reopened = await managerOf(t, dir);
+    } finally {
+        console.log = log;
+    }
+    assert.ok(!fs.existsSync(path.join(dir, "namespaces", "tmp")));
+    assert.strictEqual(reopened.get("tmp"), undefined);
+});
+
+test("the API routes keys to their namespace", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const request = (method, route, body) =>
+        api(url, method, route, { token: TOKEN, body });
+
+    const created = await request("POST", "/api/namespaces", {
+        name: "carts",
+        config: { defaultTTL: 5000 },
+    });
+    assert.strictEqual(created.status, 201);
+    assert.strictEqual(created.body.data.defaultTTL, 5000);
+    const invalid = await request("POST", "/api/namespaces", {
+        name: "bad",
+        config: { defaultTTL: "soon" },
+    });
+    assert.strictEqual(invalid.status, 400);
+
+    await request("POST", "/api/ns/carts/cache", { key: "a", value: "cart" });
+    await request("POST", "/api/cache", { key: "a", value: "default" });
+    const cart = await request("GET", "/api/ns/carts/cache/a");
+    assert.strictEqual(cart.body.data.value, "cart");
+    assert.ok(cart.body.data.expiresAt < Date.now() + 5000);
+    const plain = await request("GET", "/api/cache/a");
+    assert.strictEqual(plain.body.data.value, "default");
+    assert.ok(plain.body.data.expiresAt > Date.now() + 5000);
+
+    const dropped = await request("DELETE", "/api/namespaces/carts");
+    assert.strictEqual(dropped.status, 200);
+    const gone = await request("GET", "/api/ns/carts/cache/a");
+    assert.strictEqual(gone.status, 404);
+    assert.match(gone.body.error, /Namespace "carts" not found/);
+});
@@ -0,0 +1,218 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const {
+    ReplicationLog,
+    ReplicationStream,
+    ReplicationClient,
+} = require("../server/replication");
+const {
+    onCleanup,
+    tempDir,
+    openTree,
+    startServer,
+    api,
+    sleep,
+} = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+// Polls `check` until it returns something truthy
+async function eventually(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await sleep(20);
+    }
+    throw new Error("Timed out waiting");
+}
+
+async function listen(t, handler) {
+    const server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    onCleanup(t, () => {
+        server.closeAllConnections();
+        return new Promise((resolve) => server.close(resolve));
+    });
+    return `http://127.0.0.1:${server.address().port}/stream`;
+}
+
+// A primary tree and an HTTP server streaming its log, as index.js does
+async function startPrimary(t, { bufferSize } = {}) {
+    const tree = await openTree(t, tempDir(t));
+    const log = new ReplicationLog(tree, { bufferSize });
+    const url = await listen(t, (req, res) => {
+        const since = new URL(req.url, "http://localhost").searchParams.get(
+            "since"
+        );
+        res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+        const stream = new ReplicationStream(log, res, {
+            since: since === null ? undefined : Number(since),
+            address: "test",
+        });
+        req.on("close", () => stream.close());
+        stream.start();
+    });
+    return { tree, log, url };
+}
+
+async function startReplica(t, dir, url, options) {
+    const tree = await openTree(t, dir, { replica: true });
+    const client = new ReplicationClient(tree, url, {
+        retryMs: 20,
+        ...options,
+    }).start();
+    onCleanup(t, () => client.stop());
+    return { tree, client };
+}
+
+test("the log buffers recent records and knows what it covers", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    const log = new ReplicationLog(tree, { bufferSize: 2 });
+    await tree.ready;
+    log.subscribe(() => {});
+    for (let i = 1; i <= 5; i++) await tree.put(`k${i}`, i);
+
+    assert.deepStrictEqual(
+        log.recordsAfter(3).map((message) => message.seq),
+        [4, 5]
+    );
+    assert.strictEqual(log.buffer.length, 2);
+    assert.strictEqual(log.floor, 3);
+    assert.ok(log.covers(3));
+    assert.ok(log.covers(5));
+    assert.ok(!log.covers(2));
+    assert.ok(!log.covers(6));
+});
+
+test("the log waits for a replica and is bounded by bytes", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    const log = new ReplicationLog(tree, { bufferBytes: 64 * 1024 });
+    await tree.ready;
+    const big = "x".repeat(10 * 1024);
+    for (let i = 1; i <= 5; i++) await tree.put(`k${i}`, big);
+    assert.strictEqual(log.buffer.length, 0);
+    assert.strictEqual(log.floor, 5);
+    assert.ok(log.covers(5));
+
+    const unsubscribe = log.subscribe(() => {});
+    unsubscribe();
+    for (let i = 6; i <= 25; i++) await tree.put(`k${i}`, big);
+    assert.ok(log.bytes <= log.bufferBytes);
+    assert.ok(log.buffer.length > 0 && log.buffer.length < 10);
+    assert.ok(!log.covers(5));
+    assert.ok(log.covers(log.floor));
+    assert.strictEqual(log.recordsAfter(log.floor).at(-1).seq, 25);
+});
+
+test("a replica the log cannot serve bootstraps, then streams", async (t) => {
+    // The log keeps too little to replay from the start
+    const primary = await startPrimary(t, { bufferSize: 1 });
+    await primary.tree.put("a", 1);
+    await primary.tree.put("b", "two");
+    await primary.tree.delete("a");
+
+    const { tree, client } = await startReplica(t, tempDir(t), primary.url);
+    await eventually(() => client.stats.state === "streaming");
+    assert.strictEqual(client.stats.bootstraps, 1);
+    assert.strictEqual(await tree.get("a"), null);
+    assert.strictEqual((await tree.get("b")).value, "two");
+
+    await primary.tree.put("c", Buffer.from([0, 255]));
+    await primary.tree.delete("b");
+    await eventually(() => tree.lastSequence === primary.tree.lastSequence);
+    assert.ok((await tree.get("c")).value.equals(Buffer.from([0, 255])));
+    assert.strictEqual(await tree.get("b"), null);
+    assert.strictEqual(client.getStats().lag, 0);
+    await assert.rejects(tree.put("d", 1), { code: "READ_ONLY" });
+});
+
+test("a replica that reconnects catches up from the log", async (t) => {
+    const primary = await startPrimary(t);
+    const dir = tempDir(t);
+    await primary.tree.put("a", 1);
+    const first = await startReplica(t, dir, primary.url);
+    await eventually(() => first.tree.lastSequence === 1);
+    await first.client.stop();
+
+    await primary.tree.put("b", 2);
+    await primary.tree.put("c", 3);
+    const { tree } = first;
+    const resumed = new ReplicationClient(tree, primary.url, {
+        retryMs: 20,
+    }).start();
+    onCleanup(t, () => resumed.stop());
+    await eventually(() => tree.lastSequence === 3);
+    assert.strictEqual(resumed.stats.bootstraps, 0);
+    assert.strictEqual((await tree.get("c")).value, 3);
+});
+
+test("a replica too far behind the log bootstraps again", async (t) => {
+    const primary = await startPrimary(t, { bufferSize: 2 });
+    const { tree, client } = await startReplica(t, tempDir(t), primary.url);
+    await primary.tree.put("a", 1);
+    await eventually(() => tree.lastSequence === 1);
+    await client.stop();
+
+    for (let i = 0; i < 10; i++) await primary.tree.put(`k${i}`, i);
+    await primary.tree.delete("a");
+    const again = new ReplicationClient(tree, primary.url, {
+        retryMs: 20,
+    }).start();
+    onCleanup(t, () => again.stop());
+    await eventually(() => tree.lastSequence === primary.tree.lastSequence);
+    assert.strictEqual(again.stats.bootstraps, 1);
+    assert.strictEqual(await tree.get("a"), null);
+    assert.strictEqual((await tree.scan()).length, 10);
+});
+
+test("a silent primary is dropped and retried", async (t) => {
+    let connections = 0;
+    const url = await listen(t, (req, res) => {
+        connections++;
+        res.writeHead(200, { "Content-Type": "application/x-ndjson" });
+        res.flushHeaders();
+    });
+    const { client } = await startReplica(t, tempDir(t), url, {
+        idleTimeoutMs: 50,
+    });
+    await eventually(() => client.stats.reconnects >= 2);
+    assert.ok(connections >= 2);
+    assert.match(client.stats.error, /Heard nothing from the primary/);
+});
+
+test("a replica server mirrors its primary and refuses writes", async (t) => {
+    const primary = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const request = (base, method, route, body) =>
+        api(base, method, route, { token: TOKEN, body });
+    await request(primary.url, "POST", "/api/namespaces", { name: "carts" });
+    await request(primary.url, "POST", "/api/cache", { key: "a", value: 1 });
+
+    const replica = await startServer(t, tempDir(t), {
+        ADMIN_TOKEN: TOKEN,
+        REPLICA_OF: primary.url,
+        REPLICA_TOKEN: TOKEN,
+    });
+    await request(primary.url, "POST", "/api/ns/carts/cache", {
+        key: "b",
+        value: 2,
+    });
+    const b = await eventually(async () => {
+        const res = await request(replica.url, "GET", "/api/ns/carts/cache/b");
+        return res.status === 200 && res.body.data;
+    });
+    assert.strictEqual(b.value, 2);
+    const a = await request(replica.url, "GET", "/api/cache/a");
+    assert.strictEqual(a.body.data.value, 1);
+
+    const write = await request(replica.url, "POST", "/api/cache", {
+        key: "c",
+        value: 3,
+    });
+    assert.strictEqual(write.status, 403);
+    const stats = await request(replica.url, "GET", "/api/stats");
+    assert.strictEqual(stats.body.data.replication.role, "replica");
+    const primaryStats = await request(primary.url, "GET", "/api/stats");
+    assert.strictEqual(primaryStats.body.data.replication.replicas.length, 1);
+});
@@ -0,0 +1,257 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const {
+    RespServer,
+    parseRequest,
+    globToRegExp,
+} = require("../server/resp-server");
+const { onCleanup, tempDir, openTree, sleep } = require("./helpers");
+
+// Parses one reply from the front of `buffer`: { value, length } or null
+// if it is incomplete. Errors come back as { error }, bulk strings as
+// Buffers.
+function parseReply(buffer, offset = 0) {
+    const end = buffer.indexOf("\r\n", offset);
+    if (end === -1) return null;
+    const line = buffer.toString("utf8", offset + 1, end);
+    const next = end + 2;
+    switch (String.fromCharCode(buffer[offset])) {
+        case "+":
+            return { value: line, length: next };
+        case "-":
+            return { value: { error: line }, length: next };
+        case ":":
+            return { value: Number(line), length: next };
+        case "$": {
+            const size = Number(line);
+            if (size === -1) return { value: null, length: next };
+            if (buffer.length < next + size + 2) return null;
+            return {
+                value: buffer.subarray(next, next + size),
+                length: next + size + 2,
+            };
+        }
+        case "*": {
+            const count = Number(line);
+            if (count === -1) return { value: null, length: next };
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.length;
+            }
+            return { value: items, length: position };
+        }
+        default:
+            throw new Error(`Unexpected reply: ${line}`);
+    }
+}
+
+function encodeCommand(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    for (const arg of args) {
+        const bytes = Buffer.isBuffer(arg) ? arg : Buffer.from(String(arg));
+        parts.push(Buffer.from(`$${bytes.length}\r\n`), bytes);
+        parts.push(Buffer.from("\r\n"));
+    }
+    return Buffer.concat(parts);
+}
+
+// A connection that sends commands and resolves their replies in order
+async function connect(t, port) {
+    const socket = net.connect(port, "127.0.0.1");
+    await new Promise((resolve) => socket.once("connect", resolve));
+    onCleanup(t, () => socket.destroy());
+    let buffer = Buffer.alloc(0);
+    const waiting = [];
+    socket.on("data", (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let parsed;
+        while (waiting.length > 0 && (parsed = parseReply(buffer))) {
+            buffer = buffer.subarray(parsed.length);
+            waiting.shift()(parsed.value);
+        }
+    });
+    const send = (...args) =>
+        new Promise((resolve) => {
+            waiting.push(resolve);
+            socket.write(encodeCommand(args));
+        });
+    // Replies as text, bulk strings decoded
+    const call = async (...args) => text(await send(...args));
+    return { socket, send, call };
+}
+
+function text(value) {
+    if (Buffer.isBuffer(value)) return value.toString("utf8");
+    if (Array.isArray(value)) return value.map(text);
+    return value;
+}
+
+async function startResp(t, options = {}) {
+    const tree = await openTree(t, tempDir(t));
+    const server = new RespServer(tree, { port: 0, ...options });
+    await server.start();
+    onCleanup(t, () => server.close());
+    return { tree, server, port: server.server.address().port };
+}
+
+test("parses multibulk and inline requests", () => {
+    const buffer = Buffer.concat([
+        encodeCommand(["SET", "k", "v\r\n"]),
+        Buffer.from("PING hello\r\n"),
+    ]);
+    const first = parseRequest(buffer);
+    assert.deepStrictEqual(first.args.map(String), ["SET", "k", "v\r\n"]);
+    const second = parseRequest(buffer.subarray(first.length));
+    assert.deepStrictEqual(second.args.map(String), ["PING", "hello"]);
+    assert.strictEqual(parseRequest(buffer.subarray(0, 10)), null);
+});
+
+test("matches Redis glob patterns", () => {
+    assert.ok(globToRegExp("user:*").test("user:1"));
+    assert.ok(globToRegExp("h?llo").test("hallo"));
+    assert.ok(globToRegExp("h[ae]llo").test("hello"));
+    assert.ok(!globToRegExp("h[^e]llo").test("hello"));
+    assert.ok(globToRegExp("a\\*").test("a*"));
+    assert.ok(!globToRegExp("a\\*").test("ab"));
+});
+
+test("strings, counters and multi-key commands", async (t) => {
+    const { port } = await startResp(t);
+    const { call } = await connect(t, port);
+
+    assert.strictEqual(await call("PING"), "PONG");
+    assert.strictEqual(await call("SET", "a", "1"), "OK");
+    assert.strictEqual(await call("GET", "a"), "1");
+    assert.strictEqual(await call("SET", "a", "2", "NX"), null);
+    assert.strictEqual(await call("SET", "b", "2", "XX"), null);
+    assert.strictEqual(await call("INCR", "a"), 2);
+    assert.strictEqual(await call("INCRBY", "a", "10"), 12);
+    assert.strictEqual(await call("DECRBY", "a", "2"), 10);
+    assert.strictEqual(await call("MSET", "x", "1", "y", "2"), "OK");
+    assert.deepStrictEqual(await call("MGET", "x", "nope", "y"), [
+        "1",
+        null,
+        "2",
+    ]);
+    assert.strictEqual(await call("EXISTS", "x", "y", "nope"), 2);
+    assert.strictEqual(await call("DEL", "x", "nope"), 1);
+    assert.strictEqual(await call("GET", "x"), null);
+    assert.match((await call("INCR", "y", "z")).error, /wrong number/);
+    assert.match((await call("FLUSHALL")).error, /unknown command/);
+    await call("SET", "word", "abc");
+    assert.match((await call("INCR", "word")).error, /not an integer/);
+});
+
+test("TTLs and expiry", async (t) => {
+    const { port } = await startResp(t);
+    const { call } = await connect(t, port);
+
+    await call("SET", "forever", "1");
+    await call("SET", "session", "1", "EX", "100");
+    await call("SET", "blink", "1", "PX", "20");
+    assert.strictEqual(await call("TTL", "forever"), -1);
+    assert.strictEqual(await call("TTL", "session"), 100);
+    assert.strictEqual(await call("TTL", "missing"), -2);
+    assert.strictEqual(await call("EXPIRE", "forever", "50"), 1);
+    assert.ok((await call("PTTL", "forever")) > 49000);
+    await sleep(40);
+    assert.strictEqual(await call("GET", "blink"), null);
+    assert.strictEqual(await call("EXPIRE", "session", "0"), 1);
+    assert.strictEqual(await call("EXISTS", "session"), 0);
+    assert.match((await call("SET", "k", "v", "EX", "0")).error, /invalid/);
+});
+
+test("values are binary-safe", async (t) => {
+    const { tree, port } = await startResp(t);
+    const { send, call } = await connect(t, port);
+    const bytes = Buffer.from([0x00, 0xff, 0x0d, 0x0a, 0xc3, 0x28, 0x80]);
+
+    assert.strictEqual(text(await send("SET", "blob", bytes)), "OK");
+    assert.ok((await send("GET", "blob")).equals(bytes));
+    assert.strictEqual((await tree.get("blob")).codec, "bytes");
+
+    await call("SET", "text", "héllo\r\nworld");
+    assert.strictEqual(await call("GET", "text"), "héllo\r\nworld");
+    assert.strictEqual((await tree.get("text")).value, "héllo\r\nworld");
+});
+
+test("pipelined replies come back in order", async (t) => {
+    const { port } = await startResp(t);
+    const { send } = await connect(t, port);
+    const replies = await Promise.all(
+        Array.from({ length: 50 }, () => send("INCR", "n").then(text))
+    );
+    const counts = Array.from({ length: 50 }, (_, i) => i + 1);
+    assert.deepStrictEqual(replies, counts);
+});
+
+test("SCAN walks every matching key", async (t) => {
+    const { tree, port } = await startResp(t);
+    for (let i = 0; i < 25; i++) await tree.put(`user:${i}`, i);
+    await tree.put("other", 1);
+    const { call } = await connect(t, port);
+
+    const seen = [];
+    let cursor = "0";
+    do {
+        const [next, keys] = await call(
+            "SCAN",
+            cursor,
+            "MATCH",
+            "user:*",
+            "COUNT",
+            "7"
+        );
+        seen.push(...keys);
+        cursor = next;
+    } while (cursor !== "0");
+    assert.strictEqual(seen.length, 25);
+    assert.ok(seen.every((key) => key.startsWith("user:")));
+
+    // A cursor means nothing on another connection
+    const [next] = await call("SCAN", "0", "COUNT", "5");
+    const other = await connect(t, port);
+    assert.deepStrictEqual(await other.call("SCAN", next), ["0", []]);
+});
+
+test("INFO reports the keyspace", async (t) => {
+    const { tree, port } = await startResp(t);
+    await tree.put("a", 1, 60000);
+    await tree.put("b", 2, 0);
+    await tree.put("c", 3, 0);
+    const { call } = await connect(t, port);
+    assert.match(await call("INFO"), /db0:keys=3,expires=1/);
+});
+
+test("AUTH, roles and prefixes apply", async (t) => {
+    const keys = {
+        reader: { role: "read-only", prefixes: null },
+        writer: { role: "read-write", prefixes: ["app:"] },
+    };
+    const { port } = await startResp(t, {
+        auth: { authenticate: (token) => keys[token] || null },
+    });
+    const { call } = await connect(t, port);
+
+    assert.match((await call("GET", "a")).error, /^NOAUTH/);
+    assert.match((await call("AUTH", "wrong")).error, /^WRONGPASS/);
+    assert.strictEqual(await call("AUTH", "reader"), "OK");
+    assert.strictEqual(await call("GET", "a"), null);
+    assert.match((await call("SET", "a", "1")).error, /^NOPERM/);
+
+    assert.strictEqual(await call("AUTH", "user", "writer"), "OK");
+    assert.strictEqual(await call("SET", "app:a", "1"), "OK");
+    assert.match((await call("SET", "a", "1")).error, /^NOPERM Key 'a'/);
+});
+
+test("a read-only server refuses writes", async (t) => {
+    const { port } = await startResp(t, { readOnly: true });
+    const { call } = await connect(t, port);
+    assert.match((await call("SET", "a", "1")).error, /^READONLY/);
+    assert.strictEqual(await call("GET", "a"), null);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tempDir, openTree, startServer, api } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+
+function keys(entries) {
+    return entries.map((entry) => entry.key);
+}
+
+// Keys spread over two SSTables and the MemTable, one of them deleted
+async function filledTree(t) {
+    const tree = await openTree(t, tempDir(t));
+    for (const key of ["user:3", "order:1", "user:1"]) await tree.put(key, 1);
+    await tree.flush();
+    for (const key of ["user:2", "user:5", "zebra"]) await tree.put(key, 2);
+    await tree.flush();
+    await tree.put("user:4", 3);
+    await tree.put("user:1", 4);
+    await tree.delete("user:5");
+    return tree;
+}
+
+test("scans merge every source in key order", async (t) => {
+    const tree = await filledTree(t);
+    assert.deepStrictEqual(keys(await tree.scan()), [
+        "order:1",
+        "user:1",
+        "user:2",
+        "user:3",
+        "user:4",
+        "zebra",
+    ]);
+    const [first] = await tree.scan({ prefix: "user:", limit: 1 });
+    assert.strictEqual(first.value, 4);
+});
+
+test("scans honour prefixes, bounds, limits and direction", async (t) => {
+    const tree = await filledTree(t);
+    assert.deepStrictEqual(keys(await tree.scan({ prefix: "user:" })), [
+        "user:1",
+        "user:2",
+        "user:3",
+        "user:4",
+    ]);
+    assert.deepStrictEqual(
+        keys(await tree.scan({ start: "user:2", end: "user:4" })),
+        ["user:2", "user:3"]
+    );
+    assert.deepStrictEqual(
+        keys(await tree.scan({ prefix: "user:", reverse: true, limit: 2 })),
+        ["user:4", "user:3"]
+    );
+    assert.deepStrictEqual(await tree.scan({ prefix: "nobody:" }), []);
+});
+
+test("a scan of a snapshot ignores later writes", async (t) => {
+    const tree = await filledTree(t);
+    const snapshot = await tree.snapshot();
+    t.after(() => snapshot.release());
+    await tree.put("user:0", 5);
+    await tree.delete("user:2");
+    assert.deepStrictEqual(
+        keys(await tree.scan({ prefix: "user:", snapshot })),
+        ["user:1", "user:2", "user:3", "user:4"]
+    );
+});
+
+test("the list endpoint pages through every key with cursors", async (t) => {
+    const server = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const written = [];
+    for (let i = 0; i < 25; i++) {
+        const key = `item:${String(i).padStart(2, "0")}`;
+        written.push(key);
+        await api(server.url, "POST", "/api/cache", {
+            token: TOKEN,
+            body: { key, value: i },
+        });
+    }
+
+    for (const reverse of [false, true]) {
+        const seen = [];
+        let cursor = null;
+        do {
+            const query = new URLSearchParams({
+                prefix: "item:",
+                limit: "10",
+                reverse: String(reverse),
+            });
+            if (cursor) query.set("cursor", cursor);
+            const { status, body } = await api(
+                server.url,
+                "GET",
+                `/api/cache?${query}`,
+                { token: TOKEN }
+            );
+            assert.strictEqual(status, 200);
+            assert.ok(body.data.length <= 10);
+            seen.push(...keys(body.data));
+            cursor = body.cursor;
+        } while (cursor);
+        assert.deepStrictEqual(
+            seen,
+            reverse ? [...written].reverse() : written
+        );
+    }
+
+    const { status } = await api(server.url, "GET", "/api/cache?cursor=%%", {
+        token: TOKEN,
+    });
+    assert.strictEqual(status, 400);
+});
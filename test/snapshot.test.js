@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { SnapshotList } = require("../server/snapshot");
+const { tempDir, openTree } = require("./helpers");
+
+// [key, value] of every version in the tree's only SSTable
+async function storedVersions(tree) {
+    const versions = [];
+    for await (const [key, entry] of tree.ssTables[0].entries()) {
+        versions.push([key, entry.value]);
+    }
+    return versions;
+}
+
+test("writes get increasing sequence numbers", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    await tree.put("b", 2);
+    await tree.delete("a");
+    assert.strictEqual(tree.lastSequence, 3);
+    assert.strictEqual((await tree.get("b")).seq, 2);
+});
+
+test("a snapshot keeps reading what was there when it was taken", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", "old");
+    await tree.put("b", "kept");
+    const snapshot = await tree.snapshot();
+    await tree.put("a", "new");
+    await tree.delete("b");
+    await tree.put("c", "later");
+
+    assert.strictEqual((await snapshot.get("a")).value, "old");
+    assert.strictEqual((await snapshot.get("b")).value, "kept");
+    assert.strictEqual(await snapshot.get("c"), null);
+    assert.strictEqual((await tree.get("a")).value, "new");
+    assert.strictEqual(await tree.get("b"), null);
+    snapshot.release();
+});
+
+test("flushes and compactions keep the versions a snapshot sees", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    await tree.flush();
+    const snapshot = await tree.snapshot();
+    await tree.put("a", 2);
+    await tree.delete("a");
+    await tree.flush();
+    await tree.compact({ full: true });
+
+    assert.strictEqual((await snapshot.get("a")).value, 1);
+    assert.deepStrictEqual(
+        (await snapshot.scan()).map((entry) => entry.value),
+        [1]
+    );
+    assert.strictEqual(await tree.get("a"), null);
+    // The value the snapshot sees stays under the tombstone; the one
+    // written in between goes
+    assert.deepStrictEqual(await storedVersions(tree), [
+        ["a", undefined],
+        ["a", 1],
+    ]);
+});
+
+test("released snapshots let compaction drop old versions", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    const snapshot = await tree.snapshot();
+    await tree.put("a", 2);
+    await tree.flush();
+    snapshot.release();
+    await assert.rejects(snapshot.get("a"), /was released/);
+
+    await tree.compact({ full: true });
+    assert.deepStrictEqual(await storedVersions(tree), [["a", 2]]);
+});
+
+test("SnapshotList keeps a version only for snapshots between writes", () => {
+    const list = new SnapshotList();
+    list.add(5);
+    list.add(5);
+    list.add(9);
+    const versions = [{ seq: 12 }, { seq: 8 }, { seq: 6 }, { seq: 3 }];
+    // 9 sees seq 8, 5 sees seq 3; nothing sees seq 6
+    assert.deepStrictEqual(
+        list.retain(versions).map((version) => version.seq),
+        [12, 8, 3]
+    );
+    list.remove(5);
+    assert.strictEqual(list.oldest, 5);
+    list.remove(5);
+    assert.strictEqual(list.oldest, 9);
+});
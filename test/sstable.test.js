@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { SSTable } = require("../server/sstable");
+const { createPut, createTombstone } = require("../server/entry");
+const { onCleanup, tempDir } = require("./helpers");
+
+let seq = 0;
+function put(value) {
+    return { ...createPut(value, null, 1000), seq: ++seq };
+}
+
+function keyAt(i) {
+    return `key:${String(i).padStart(4, "0")}`;
+}
+
+// 500 keys in blocks of about 512 bytes
+async function buildTable(t, dir = tempDir(t)) {
+    const entries = [];
+    for (let i = 0; i < 500; i++) entries.push([keyAt(i), put(`value ${i}`)]);
+    const table = await SSTable.build(dir, entries.reverse(), {
+        blockSize: 512,
+    });
+    onCleanup(t, () => table.close());
+    return table;
+}
+
+async function collect(iterable) {
+    const items = [];
+    for await (const item of iterable) items.push(item);
+    return items;
+}
+
+test("splits entries into indexed blocks and finds every key", async (t) => {
+    const table = await buildTable(t);
+    assert.ok(table.index.length > 10);
+    assert.strictEqual(table.meta.count, 500);
+    assert.strictEqual(table.meta.minKey, keyAt(0));
+    assert.strictEqual(table.meta.maxKey, keyAt(499));
+    for (const i of [0, 1, 137, 250, 498, 499]) {
+        assert.strictEqual((await table.get(keyAt(i))).value, `value ${i}`);
+    }
+    assert.strictEqual(await table.get("key:0000x"), null);
+    assert.strictEqual(await table.get("a"), null);
+    assert.strictEqual(await table.get("z"), null);
+});
+
+test("reads a table back from disk", async (t) => {
+    const built = await buildTable(t);
+    const table = await SSTable.readFromDisk(built.filePath);
+    onCleanup(t, () => table.close());
+    assert.deepStrictEqual(table.index, built.index);
+    assert.strictEqual((await table.get(keyAt(321))).value, "value 321");
+});
+
+test("finds the newest version at or below a sequence number", async (t) => {
+    const dir = tempDir(t);
+    const old = put("old");
+    const current = put("new");
+    const written = put("b");
+    const deleted = { ...createTombstone(1000), seq: ++seq };
+    const table = await SSTable.build(dir, [
+        ["a", old],
+        ["a", current],
+        ["b", written],
+        ["b", deleted],
+    ]);
+    onCleanup(t, () => table.close());
+
+    assert.strictEqual((await table.find("a")).value, "new");
+    assert.strictEqual((await table.find("a", { seq: old.seq })).value, "old");
+    assert.strictEqual(await table.find("a", { seq: old.seq - 1 }), null);
+    assert.strictEqual((await table.find("b")).type, "delete");
+    assert.strictEqual(await table.get("b"), null);
+});
+
+test("scans a key range in either direction", async (t) => {
+    const table = await buildTable(t);
+    const range = { start: keyAt(100), end: keyAt(110) };
+    const forward = await collect(table.entries(range));
+    assert.deepStrictEqual(
+        forward.map(([key]) => key),
+        Array.from({ length: 10 }, (_, i) => keyAt(100 + i))
+    );
+    const backward = await collect(table.entries({ ...range, reverse: true }));
+    assert.deepStrictEqual(
+        backward.map(([key]) => key),
+        forward.map(([key]) => key).reverse()
+    );
+});
+
+test("verify() finds nothing wrong with a sound table", async (t) => {
+    const table = await buildTable(t);
+    const { entries, problems, bloomFilterMisses } = await table.verify();
+    assert.strictEqual(entries, 500);
+    assert.deepStrictEqual(problems, []);
+    assert.strictEqual(bloomFilterMisses, 0);
+});
+
+test("a damaged block fails its checksum", async (t) => {
+    const built = await buildTable(t);
+    await built.close();
+    const { offset } = built.index[3];
+    const fd = fs.openSync(built.filePath, "r+");
+    fs.writeSync(fd, Buffer.from([0xff, 0xff]), 0, 2, offset + 10);
+    fs.closeSync(fd);
+
+    const table = await SSTable.readFromDisk(built.filePath);
+    onCleanup(t, () => table.close());
+    const { problems } = await table.verify();
+    assert.match(problems[0], /^Block 3: Checksum mismatch/);
+    assert.match(problems[1], /^Holds \d+ entries, the metadata says 500/);
+    assert.strictEqual((await table.get(keyAt(0))).value, "value 0");
+});
+
+test("refuses a file that is not an SSTable", async (t) => {
+    const file = `${tempDir(t)}/sstable_bogus.sst`;
+    fs.writeFileSync(file, Buffer.alloc(64, 1));
+    await assert.rejects(SSTable.readFromDisk(file), /magic/);
+});
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { tempDir, openTree, close } = require("./helpers");
+
+async function storedVersions(table, key) {
+    const versions = [];
+    for await (const [stored, entry] of table.entries()) {
+        if (stored === key) versions.push(entry);
+    }
+    return versions;
+}
+
+test("a delete hides values already flushed", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    await tree.put("b", 2);
+    await tree.flush();
+    await tree.delete("a");
+
+    assert.strictEqual(await tree.get("a"), null);
+    assert.deepStrictEqual((await tree.scan()).map((e) => e.key), ["b"]);
+    await tree.flush();
+    assert.strictEqual(await tree.get("a"), null);
+    assert.deepStrictEqual(
+        (await tree.getAllEntries()).map((entry) => entry.key),
+        ["b"]
+    );
+});
+
+test("a delete survives a restart", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("a", 1);
+    await tree.flush();
+    await tree.delete("a");
+    await close(tree);
+
+    const reopened = await openTree(t, dir);
+    assert.strictEqual(await reopened.get("a"), null);
+});
+
+test("compaction keeps a tombstone an older table needs", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    await tree.flush();
+    await tree.delete("a");
+    await tree.put("b", 2);
+    await tree.flush();
+    await tree.put("c", 3);
+    await tree.flush();
+
+    // Merge only the two newest tables; the oldest still holds "a"
+    const [newest, middle, oldest] = tree.getLevels()[0];
+    await tree.runCompaction({
+        inputs: [newest, middle],
+        outputLevel: 0,
+        targetTableBytes: Infinity,
+    });
+    assert.strictEqual(tree.compactionStats.tombstonesDropped, 0);
+    assert.strictEqual(await tree.get("a"), null);
+    assert.ok(tree.ssTables.includes(oldest));
+});
+
+test("compaction drops a tombstone once nothing older remains", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    await tree.put("b", 2);
+    await tree.flush();
+    await tree.delete("a");
+    await tree.flush();
+
+    await tree.compact({ full: true });
+    assert.strictEqual(tree.compactionStats.tombstonesDropped, 1);
+    assert.strictEqual(tree.ssTables.length, 1);
+    assert.deepStrictEqual(await storedVersions(tree.ssTables[0], "a"), []);
+    assert.strictEqual(await tree.get("a"), null);
+    assert.strictEqual((await tree.get("b")).value, 2);
+});
+
+test("a key written again after its delete comes back", async (t) => {
+    const tree = await openTree(t, tempDir(t));
+    await tree.put("a", 1);
+    await tree.flush();
+    await tree.delete("a");
+    await tree.flush();
+    await tree.put("a", 3);
+    await tree.compact({ full: true });
+    assert.strictEqual((await tree.get("a")).value, 3);
+});
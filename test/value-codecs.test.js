@@ -0,0 +1,197 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const msgpack = require("../server/msgpack");
+const {
+    registerValueCodec,
+    checkValue,
+    codecForContentType,
+    decodeValue,
+    entryToJSON,
+    entryFromJSON,
+} = require("../server/value-codecs");
+const { tempDir, openTree, close, startServer, api } = require("./helpers");
+
+const TOKEN = "test-admin-token";
+const BYTES = Buffer.from([0x00, 0xff, 0x89, 0x50, 0x4e, 0x47]);
+
+test("MessagePack round-trips the values the cache stores", () => {
+    const values = [
+        null,
+        true,
+        false,
+        0,
+        -1,
+        127,
+        -33,
+        65536,
+        -2147483648,
+        2 ** 40,
+        1.5,
+        "",
+        "héllo",
+        "x".repeat(300),
+        BYTES,
+        [],
+        [1, [2, "three"]],
+        { a: 1, nested: { list: [null, BYTES] } },
+        Array.from({ length: 20 }, (_, i) => i),
+    ];
+    for (const value of values) {
+        assert.deepStrictEqual(msgpack.decode(msgpack.encode(value)), value);
+    }
+    // The shortest forms, as other implementations write them
+    assert.deepStrictEqual([...msgpack.encode(5)], [0x05]);
+    assert.deepStrictEqual([...msgpack.encode(-1)], [0xff]);
+    assert.deepStrictEqual([...msgpack.encode("ab")], [0xa2, 0x61, 0x62]);
+    assert.deepStrictEqual([...msgpack.encode({})], [0x80]);
+    assert.deepStrictEqual([...msgpack.encode(Buffer.from([7]))], [0xc4, 1, 7]);
+    assert.strictEqual(msgpack.encode(2 ** 40)[0], 0xcb);
+    // A uint64 from another encoder
+    const uint64 = Buffer.from([0xcf, 0, 0, 0, 1, 0, 0, 0, 0]);
+    assert.strictEqual(msgpack.decode(uint64), 2 ** 32);
+});
+
+test("MessagePack rejects what it cannot represent", () => {
+    assert.throws(() => msgpack.encode(() => {}), /Cannot encode a function/);
+    assert.throws(() => msgpack.decode(Buffer.from([0xa3, 0x61])), /Truncated/);
+    assert.throws(() => msgpack.decode(Buffer.from([1, 2])), /Trailing/);
+    assert.throws(() => msgpack.decode(Buffer.from([0xc1])));
+});
+
+test("request content types pick a codec", () => {
+    assert.strictEqual(codecForContentType("application/json"), "json");
+    assert.strictEqual(codecForContentType("text/plain"), "utf8");
+    assert.strictEqual(codecForContentType("text/csv; charset=UTF-8"), "utf8");
+    assert.strictEqual(
+        codecForContentType("text/plain; charset=latin1"),
+        "bytes"
+    );
+    assert.strictEqual(codecForContentType("application/x-msgpack"), "msgpack");
+    assert.strictEqual(codecForContentType("image/png"), "bytes");
+    assert.strictEqual(codecForContentType(), "bytes");
+});
+
+test("values are checked against their codec", () => {
+    assert.throws(() => checkValue("utf8", 1), {
+        status: 400,
+        message: /cannot be stored with the "utf8" codec/,
+    });
+    assert.throws(() => checkValue("json", BYTES), { status: 400 });
+    assert.throws(() => checkValue("avro", 1), {
+        status: 400,
+        message: /Unknown value codec "avro"/,
+    });
+    assert.throws(() => decodeValue("json", Buffer.from("{")), {
+        status: 400,
+    });
+    assert.throws(() => registerValueCodec("json", {}), /already exists/);
+});
+
+test("binary values travel in JSON as base64", () => {
+    const entry = { value: { data: BYTES }, codec: "msgpack", seq: 3 };
+    const json = entryToJSON(entry);
+    assert.strictEqual(typeof json.value, "string");
+    assert.deepStrictEqual(entryFromJSON(json), entry);
+
+    const text = { value: "plain", codec: "utf8" };
+    assert.strictEqual(entryToJSON(text), text);
+    assert.deepStrictEqual(entryFromJSON({ value: "AP8=", codec: "bytes" }), {
+        value: Buffer.from([0, 255]),
+        codec: "bytes",
+    });
+    assert.throws(() => entryFromJSON({ value: 1, codec: "bytes" }), {
+        status: 400,
+    });
+    // Tombstones carry no value
+    assert.deepStrictEqual(entryToJSON({ deleted: true }), { deleted: true });
+});
+
+test("values keep their codec through flushes and restarts", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("bytes", BYTES, 0);
+    await tree.put("text", "héllo", 0, { codec: "utf8" });
+    await tree.put("packed", { data: BYTES }, 0, { codec: "msgpack" });
+    await tree.put("typed", BYTES, 0, {
+        codec: "bytes",
+        contentType: "image/png",
+    });
+    await tree.flush();
+    await tree.put("logged", BYTES, 0);
+    await assert.rejects(tree.put("bad", 1, 0, { codec: "bytes" }), {
+        status: 400,
+    });
+    await close(tree);
+
+    const reopened = await openTree(t, dir);
+    for (const key of ["bytes", "logged"]) {
+        const entry = await reopened.get(key);
+        assert.ok(entry.value.equals(BYTES));
+        assert.strictEqual(entry.codec, "bytes");
+    }
+    assert.strictEqual((await reopened.get("text")).codec, "utf8");
+    assert.deepStrictEqual((await reopened.get("packed")).value, {
+        data: BYTES,
+    });
+    assert.strictEqual((await reopened.get("typed")).contentType, "image/png");
+});
+
+test("the API stores bodies by Content-Type", async (t) => {
+    const { url } = await startServer(t, tempDir(t), { ADMIN_TOKEN: TOKEN });
+    const raw = (method, route, body, contentType) =>
+        fetch(`${url}${route}`, {
+            method,
+            headers: {
+                Authorization: `Bearer ${TOKEN}`,
+                ...(contentType ? { "Content-Type": contentType } : {}),
+            },
+            body,
+        });
+
+    const put = await raw(
+        "PUT",
+        "/api/cache/logo?ttl=60000",
+        BYTES,
+        "image/png"
+    );
+    assert.strictEqual(put.status, 200);
+    const got = await raw("GET", "/api/cache/logo");
+    assert.strictEqual(got.headers.get("content-type"), "image/png");
+    assert.ok(got.headers.get("expires"));
+    assert.ok(Buffer.from(await got.arrayBuffer()).equals(BYTES));
+
+    const asJSON = await api(url, "GET", "/api/cache/logo?format=json", {
+        token: TOKEN,
+    });
+    assert.strictEqual(asJSON.body.data.codec, "bytes");
+    assert.strictEqual(asJSON.body.data.value, BYTES.toString("base64"));
+
+    await raw("PUT", "/api/cache/note", "héllo", "text/plain; charset=utf-8");
+    const note = await raw("GET", "/api/cache/note");
+    assert.match(note.headers.get("content-type"), /^text\/plain/);
+    assert.strictEqual(await note.text(), "héllo");
+
+    const packed = msgpack.encode({ n: [1, 2] });
+    await api(url, "POST", "/api/cache", {
+        token: TOKEN,
+        body: {
+            key: "packed",
+            value: packed.toString("base64"),
+            codec: "msgpack",
+        },
+    });
+    const unpacked = await api(url, "GET", "/api/cache/packed", {
+        token: TOKEN,
+    });
+    assert.strictEqual(unpacked.body.data.value, packed.toString("base64"));
+
+    const invalid = await raw(
+        "PUT",
+        "/api/cache/broken",
+        Buffer.from([0xc1]),
+        "application/msgpack"
+    );
+    assert.strictEqual(invalid.status, 400);
+    const badTtl = await raw("PUT", "/api/cache/x?ttl=soon", "x", "text/plain");
+    assert.strictEqual(badTtl.status, 400);
+});
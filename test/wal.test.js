@@ -0,0 +1,190 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const {
+    WriteAheadLog,
+    encodeRecord,
+    decodeRecords,
+    segmentFileName,
+} = require("../server/wal");
+const { spawnSync } = require("child_process");
+const { createPut } = require("../server/entry");
+const { LSMTree } = require("../server/lsm-tree");
+const { tempDir, openTree, crash, freePort } = require("./helpers");
+
+const SERVER = path.join(__dirname, "../server/index.js");
+
+function record(key, value) {
+    return { ops: [{ key, entry: createPut(value, null, 1000) }] };
+}
+
+async function openLog(dir, options) {
+    const wal = new WriteAheadLog(dir, options);
+    const records = await wal.open();
+    return { wal, records };
+}
+
+test("replays appended records in order after a reopen", async (t) => {
+    const dir = tempDir(t);
+    const { wal } = await openLog(dir);
+    for (let i = 0; i < 5; i++) await wal.append(record(`k${i}`, i));
+    await wal.close();
+
+    const { wal: reopened, records } = await openLog(dir);
+    await reopened.close();
+    assert.deepStrictEqual(
+        records.map((r) => [r.ops[0].key, r.ops[0].entry.value]),
+        [0, 1, 2, 3, 4].map((i) => [`k${i}`, i])
+    );
+});
+
+test("truncates a torn tail and keeps the records before it", async (t) => {
+    const dir = tempDir(t);
+    const { wal } = await openLog(dir);
+    for (let i = 0; i < 3; i++) await wal.append(record(`k${i}`, i));
+    await wal.close();
+
+    const file = path.join(dir, segmentFileName(1));
+    const { size } = fs.statSync(file);
+    fs.truncateSync(file, size - 3);
+
+    const { wal: reopened, records } = await openLog(dir);
+    await reopened.close();
+    assert.deepStrictEqual(records.map((r) => r.ops[0].key), ["k0", "k1"]);
+    const valid = encodeRecord(record("k0", 0)).length * 2;
+    assert.strictEqual(fs.statSync(file).size, valid);
+});
+
+test("stops at a record whose checksum does not match", () => {
+    const first = encodeRecord(record("a", 1));
+    const second = encodeRecord(record("b", 2));
+    second[second.length - 2] ^= 0xff;
+    const { records, validLength } = decodeRecords(
+        Buffer.concat([first, second, encodeRecord(record("c", 3))])
+    );
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(validLength, first.length);
+});
+
+test("moves segments after a damaged one aside", async (t) => {
+    const dir = tempDir(t);
+    const { wal } = await openLog(dir);
+    await wal.append(record("a", 1));
+    await wal.rotate();
+    await wal.append(record("b", 2));
+    await wal.close();
+    fs.appendFileSync(path.join(dir, segmentFileName(1)), Buffer.from([1, 2]));
+
+    const { wal: reopened, records } = await openLog(dir);
+    await reopened.close();
+    assert.deepStrictEqual(records.map((r) => r.ops[0].key), ["a"]);
+    assert.ok(fs.existsSync(path.join(dir, `${segmentFileName(2)}.corrupt`)));
+});
+
+test("rotation starts a new segment and drops older ones", async (t) => {
+    const dir = tempDir(t);
+    const { wal } = await openLog(dir);
+    await wal.append(record("a", 1));
+    const id = await wal.rotate();
+    assert.strictEqual(id, 2);
+    await wal.removeSegmentsBefore(id);
+    await wal.close();
+    assert.deepStrictEqual(fs.readdirSync(dir), [segmentFileName(2)]);
+});
+
+test("every fsync policy makes appends durable", async (t) => {
+    for (const fsync of ["always", "batch", "os"]) {
+        const dir = tempDir(t);
+        const { wal } = await openLog(dir, { fsync, batchIntervalMs: 5 });
+        await Promise.all([
+            wal.append(record("a", 1)),
+            wal.append(record("b", 2)),
+        ]);
+        await wal.close();
+        const { wal: reopened, records } = await openLog(dir);
+        await reopened.close();
+        assert.strictEqual(records.length, 2, fsync);
+    }
+});
+
+test("refuses an unknown fsync policy", () => {
+    assert.throws(
+        () => new WriteAheadLog("unused", { fsync: "sometimes" }),
+        /Unknown WAL fsync policy/
+    );
+});
+
+test("a tree recovers unflushed writes from its WAL", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    await tree.put("a", 1);
+    await tree.put("b", 2);
+    await tree.delete("a");
+    await crash(tree);
+
+    const recovered = await openTree(t, dir);
+    assert.strictEqual(await recovered.get("a"), null);
+    assert.strictEqual((await recovered.get("b")).value, 2);
+});
+
+test("a write whose append fails is not applied", async (t) => {
+    const dir = tempDir(t);
+    const tree = await openTree(t, dir);
+    const append = tree.wal.append;
+    tree.wal.append = () => Promise.reject(new Error("disk full"));
+    await assert.rejects(tree.put("a", 1), /disk full/);
+    tree.wal.append = append;
+    assert.strictEqual(await tree.get("a"), null);
+});
+
+test("a record that cannot be replayed is skipped", async (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(
+        path.join(dir, segmentFileName(1)),
+        Buffer.concat([
+            encodeRecord(record("a", 1)),
+            encodeRecord(record(123, 2)),
+            encodeRecord({ ops: [{ key: "b" }] }),
+            encodeRecord(record("c", 3)),
+        ])
+    );
+    const warned = [];
+    const warn = console.warn;
+    console.warn = (...args) => warned.push(args.join(" "));
+    let tree;
+    try {
+        tree = await openTree(t, dir);
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(warned.length, 2);
+    assert.match(warned[0], /cannot be replayed: 123 is not a valid key/);
+    assert.strictEqual((await tree.get("a")).value, 1);
+    assert.strictEqual((await tree.get("c")).value, 3);
+    await tree.put("d", 4);
+    await tree.flush();
+    assert.strictEqual(tree.ssTables.length, 1);
+});
+
+test("a tree that cannot load does not start", async (t) => {
+    const dir = tempDir(t);
+    fs.writeFileSync(path.join(dir, "metadata.json"), "{not json");
+    const tree = new LSMTree(1000, 10, dir, { ttlSweepIntervalMs: 0 });
+    await assert.rejects(tree.ready, SyntaxError);
+
+    const port = await freePort();
+    const result = spawnSync(process.execPath, [SERVER], {
+        cwd: dir,
+        env: {
+            ...process.env,
+            DATA_DIR: dir,
+            PORT: String(port),
+            RESP_PORT: "0",
+        },
+        encoding: "utf8",
+        timeout: 10000,
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Failed to load from disk: SyntaxError/);
+});